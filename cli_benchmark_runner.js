@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+// CLI Benchmark Runner - solves MovingAI .map/.scen scenarios with the registered pathfinding algorithms
+// Usage: node cli_benchmark_runner.js --map=arena.map --scen=arena.map.scen [--region-size=16] [--limit=100] [--algorithms=a,b] [--movement=4-connected]
+import { readFileSync } from 'fs';
+import { parseMovingAIMap, parseMovingAIScenarios } from './src/core/utils/movingai-utils.js';
+import { runScenarioBenchmark, formatBenchmarkReport, DEFAULT_BENCHMARK_ALGORITHMS } from './src/benchmarks/index.js';
+import { DEFAULT_REGION_SIZE } from './src/core/constants.js';
+import { MOVEMENT_TYPES } from './src/core/utils/movement-model.js';
+
+const readArg = (name) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+async function runBenchmark() {
+  const mapPath = readArg('map');
+  const scenPath = readArg('scen') || (mapPath && `${mapPath}.scen`);
+  const regionSize = Number(readArg('region-size') || DEFAULT_REGION_SIZE);
+  const limit = readArg('limit') ? Number(readArg('limit')) : Infinity;
+  const algorithms = readArg('algorithms') ? readArg('algorithms').split(',') : DEFAULT_BENCHMARK_ALGORITHMS;
+  const movement = readArg('movement') || MOVEMENT_TYPES.NO_CORNER_CUTTING;
+
+  if (!mapPath) {
+    console.error('Usage: node cli_benchmark_runner.js --map=<file.map> [--scen=<file.scen>] [--region-size=16] [--limit=N] [--algorithms=a,b] [--movement=type]');
+    process.exit(1);
+  }
+
+  try {
+    const { maze, width, height } = parseMovingAIMap(readFileSync(mapPath, 'utf8'));
+    const scenarios = parseMovingAIScenarios(readFileSync(scenPath, 'utf8')).slice(0, limit);
+
+    console.log(`📦 Map: ${mapPath} (${width}x${height})`);
+    console.log(`   Scenarios: ${scenarios.length} from ${scenPath}`);
+    console.log(`   Region size: ${regionSize}`);
+    console.log(`   Movement: ${movement}\n`);
+
+    const report = await runScenarioBenchmark({
+      maze,
+      scenarios,
+      algorithms,
+      regionSize,
+      movement,
+      onProgress: ({ algorithm, index, total }) => {
+        if ((index + 1) % 50 === 0 || index + 1 === total) {
+          process.stdout.write(`\r   ${algorithm}: ${index + 1}/${total}`);
+          if (index + 1 === total) process.stdout.write('\n');
+        }
+      }
+    });
+
+    console.log('\n' + formatBenchmarkReport(report));
+  } catch (error) {
+    console.error('❌ Benchmark failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+runBenchmark();
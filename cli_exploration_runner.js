@@ -2,27 +2,108 @@
 
 // CLI Exploration Runner - A simple demonstration of the CLIExplorationDemo class
 import { CLIExplorationDemo } from './src/demos/exploration-demo/CLIExplorationDemo.js';
+import { DEFAULT_MOVEMENT } from './src/core/utils/movement-model.js';
+
+// Parse --seed=<number> so a maze from a bug report can be replayed
+const seedArg = process.argv.find(arg => arg.startsWith('--seed='));
+const seed = seedArg ? Number(seedArg.split('=')[1]) : undefined;
+
+// Parse --width=<cells> and --height=<cells> for non-square floor plans
+const readDimension = (name) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? Number(arg.split('=')[1]) : undefined;
+};
+const width = readDimension('width');
+const height = readDimension('height');
+// Parse --region-size=<cells> to build the components over larger or smaller regions
+const regionSize = readDimension('region-size');
+
+// Parse --maze=<file> to explore a saved maze and --save-maze=<file> to keep the generated one
+const readArg = (name) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+const mazePath = readArg('maze');
+const saveMazePath = readArg('save-maze');
+
+// Parse --algorithm=<name> to pick a maze generator (frontier, kruskal, prim, wilson, ...)
+const mazeAlgorithm = readArg('algorithm');
+
+// Parse --terrain=<density> to cover that share of the floor with carpet, mud and water
+const terrainArg = readArg('terrain');
+// Parse --connectivity=<fill|connect> to repair unreachable pockets of the generated maze
+const connectivity = readArg('connectivity');
+// Parse --movement=<8-connected|8-connected-no-corner-cutting|4-connected> for the maze, its components and the robot
+const movement = readArg('movement');
+const mazeParams = terrainArg !== undefined || connectivity !== undefined || movement !== undefined
+  ? {
+    ...(terrainArg !== undefined && { terrainDensity: Number(terrainArg) }),
+    ...(connectivity !== undefined && { connectivity }),
+    ...(movement !== undefined && { movement })
+  }
+  : undefined;
+
+// Command line that runs on the same maze again, with the settings actually used;
+// a loaded maze is replayed from its file, a generated one from its seed
+const getReplayCommand = ({ seed, mazeAlgorithm, mazeWidth, mazeHeight, mazeRegionSize, mazeParams }, loadedFrom) => {
+  const args = loadedFrom
+    ? [`--maze=${loadedFrom}`, `--region-size=${mazeRegionSize}`]
+    : [
+      `--seed=${seed}`,
+      `--algorithm=${mazeAlgorithm}`,
+      `--width=${mazeWidth}`,
+      `--height=${mazeHeight}`,
+      `--region-size=${mazeRegionSize}`
+    ];
+  if (!loadedFrom && mazeParams.terrainDensity !== undefined) args.push(`--terrain=${mazeParams.terrainDensity}`);
+  if (!loadedFrom && mazeParams.connectivity !== undefined) args.push(`--connectivity=${mazeParams.connectivity}`);
+  // Files without a movement model of their own take the --movement one
+  if (mazeParams.movement !== undefined) args.push(`--movement=${mazeParams.movement}`);
+  return `node cli_exploration_runner.js ${args.join(' ')}`;
+};
 
 async function runExplorationDemo() {
   console.log('🚀 Starting CLI Exploration Demo...\n');
   
   try {
     // Create the demo instance
-    const demo = new CLIExplorationDemo();
+    const demo = new CLIExplorationDemo({ seed, width, height, regionSize, mazeAlgorithm, mazeParams });
     
-    // Generate a maze
-    console.log('📦 Generating maze...');
-    await demo.generateNewMaze();
+    // Load a maze file or generate a maze
+    if (mazePath) {
+      console.log(`📦 Loading maze from ${mazePath}...`);
+      demo.loadMazeFile(mazePath);
+    } else {
+      console.log('📦 Generating maze...');
+      await demo.generateNewMaze();
+    }
     
     if (demo.state.maze.length === 0) {
       console.log('❌ Failed to generate maze');
       return;
     }
     
-    console.log('✅ Maze generated successfully!');
-    console.log(`   Size: ${demo.state.maze.length}x${demo.state.maze.length}`);
+    console.log(mazePath ? '✅ Maze loaded successfully!' : '✅ Maze generated successfully!');
+    console.log(`   Size: ${demo.state.maze[0].length}x${demo.state.maze.length}`);
+    console.log(`   Movement: ${(demo.state.movement || DEFAULT_MOVEMENT).type}`);
+    if (demo.state.seed !== null) {
+      console.log(`   Seed: ${demo.state.seed}`);
+    }
+    if (mazePath || demo.state.seed !== null) {
+      console.log(`   Replay: ${getReplayCommand(demo.state, mazePath)}`);
+    }
     console.log(`   Start: (${demo.state.start?.row}, ${demo.state.start?.col})`);
-    console.log(`   Components: ${demo.state.totalComponents}`);
+    console.log(`   Components: ${demo.state.totalComponents} (${demo.state.regionSize}x${demo.state.regionSize} regions)`);
+    const repair = demo.state.connectivityRepair?.global;
+    if (repair) {
+      console.log(`   Connectivity (${repair.mode}): ${repair.componentsBefore} → ${repair.componentsAfter} areas, ` +
+        `${repair.filledCells} cells filled, ${repair.carvedCells.length} cells carved`);
+    }
+    
+    if (saveMazePath) {
+      demo.saveMazeFile(saveMazePath);
+      console.log(`💾 Maze saved to: ${saveMazePath}`);
+    }
     
     // Show initial maze state
     console.log('\n🗺️  Initial maze state:');
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+// CLI Open Set Benchmark - times A* and HAA* with an array open set against the indexed binary heap
+// Usage: node cli_open_set_benchmark.js [--sizes=256,1024] [--queries=5] [--algorithm=cave] [--seed=1]
+import { runOpenSetBenchmark, formatOpenSetReport, DEFAULT_OPEN_SET_SIZES } from './src/benchmarks/index.js';
+
+const readArg = (name) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+async function runBenchmark() {
+  const sizes = readArg('sizes') ? readArg('sizes').split(',').map(Number) : DEFAULT_OPEN_SET_SIZES;
+  const queries = readArg('queries') ? Number(readArg('queries')) : 5;
+  const mazeAlgorithm = readArg('algorithm') || 'cave';
+  const seed = readArg('seed') ? Number(readArg('seed')) : 1;
+
+  try {
+    const report = await runOpenSetBenchmark({
+      sizes,
+      queries,
+      mazeAlgorithm,
+      seed,
+      onProgress: ({ size, stage }) => console.log(`   ${size}x${size}: ${stage}...`)
+    });
+
+    console.log('\n' + formatOpenSetReport(report));
+  } catch (error) {
+    console.error('❌ Benchmark failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+runBenchmark();
@@ -9,11 +9,13 @@
  * Creates a standardized algorithm object
  * @param {Object} config - Algorithm configuration
  * @param {string} config.name - Human-readable algorithm name
- * @param {string} config.type - Algorithm type: 'pathfinding' | 'exploration' | 'maze-generation'
+ * @param {string} config.type - Algorithm type: 'pathfinding' | 'exploration' | 'maze-generation' | 'analysis'
  * @param {string} config.description - Algorithm description
  * @param {Object} config.parameters - Algorithm parameters with min/max/default values
  * @param {Function} config.execute - Main execution function
  * @param {Function} config.createInitialState - State initialization function
+ * @param {Function} config.constrainParameters - Optional (validated) => validated hook for
+ *   constraints between parameters, applied after the per-parameter clamping
  * @returns {Object} Standardized algorithm object
  */
 export const createAlgorithm = (config) => {
@@ -75,6 +77,9 @@ export const createAlgorithm = (config) => {
         }
       }
       
+      if (config.constrainParameters) {
+        return config.constrainParameters(validated);
+      }
       return validated;
     }
   };
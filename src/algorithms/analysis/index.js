@@ -0,0 +1,31 @@
+/**
+ * Analysis Algorithms Registry
+ * 
+ * Registry of algorithms that measure mazes rather than solve them.
+ */
+
+import mazeStatisticsAlgorithm from './maze-statistics.js';
+
+/**
+ * Registry of analysis algorithms
+ */
+export const analysisAlgorithms = {
+  'maze-statistics': mazeStatisticsAlgorithm
+};
+
+/**
+ * Get an analysis algorithm by name
+ * @param {string} name - Algorithm name
+ * @returns {Object|null} Algorithm object or null if not found
+ */
+export const getAnalysisAlgorithm = (name) => {
+  return analysisAlgorithms[name] || null;
+};
+
+/**
+ * Get all analysis algorithm names
+ * @returns {string[]} Array of algorithm names
+ */
+export const getAnalysisAlgorithmNames = () => {
+  return Object.keys(analysisAlgorithms);
+};
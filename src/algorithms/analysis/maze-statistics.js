@@ -0,0 +1,303 @@
+/**
+ * Maze Statistics Analysis
+ *
+ * Describes a maze's structure with numbers instead of by eye: dead ends,
+ * junctions, loops, the longest shortest path, components per HAA* region and
+ * the chokepoints (articulation points) of the component graph.
+ */
+
+import { createAlgorithm, createAlgorithmResult, selectParam } from '../algorithm-interface.js';
+import { analyzeComponents, buildMazeComponents, generateColors } from '../maze-generation/shared-utils.js';
+import { CELL_STATES } from '../../core/utils/map-utils.js';
+import { getMazeDimensions } from '../../core/utils/maze-utils.js';
+import { DEFAULT_MOVEMENT, getMovementModel } from '../../core/utils/movement-model.js';
+import { DEFAULT_REGION_SIZE } from '../../core/constants.js';
+
+// Row/column offsets of the cell graph's edges for each neighborhood
+const NEIGHBORHOODS = {
+  '4-connected': [[-1, 0], [1, 0], [0, -1], [0, 1]],
+  '8-connected': [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]]
+};
+
+/**
+ * Breadth-first search over walkable cells (cells are indexed row * width + col)
+ * Writes labels[cell] = label for every reached cell.
+ * @returns {Object} { size, farthest, distance } - reached cell count and the last cell dequeued with its distance
+ */
+const breadthFirstSearch = (source, walkable, width, height, offsets, labels, label, distances, queue) => {
+  let head = 0;
+  let tail = 0;
+  queue[tail++] = source;
+  labels[source] = label;
+  distances[source] = 0;
+  let farthest = source;
+
+  while (head < tail) {
+    const cell = queue[head++];
+    farthest = cell;
+    const row = Math.floor(cell / width);
+    const col = cell - row * width;
+
+    for (const [dRow, dCol] of offsets) {
+      const r = row + dRow;
+      const c = col + dCol;
+      if (r < 0 || r >= height || c < 0 || c >= width) continue;
+      const next = r * width + c;
+      if (!walkable[next] || labels[next] === label) continue;
+      labels[next] = label;
+      distances[next] = distances[cell] + 1;
+      queue[tail++] = next;
+    }
+  }
+
+  return { size: tail, farthest, distance: distances[farthest] };
+};
+
+/**
+ * Articulation points of an undirected component graph (iterative Tarjan)
+ * Removing one of these nodes splits the graph, so every route between the
+ * parts has to pass through it.
+ * @param {Object} componentGraph - Nodes with neighbors arrays (as built by buildComponentGraph)
+ * @returns {string[]} Node ids of the articulation points
+ */
+export const findArticulationPoints = (componentGraph) => {
+  const discovery = new Map();
+  const low = new Map();
+  const articulationPoints = new Set();
+  let time = 0;
+
+  for (const root of Object.keys(componentGraph)) {
+    if (discovery.has(root)) continue;
+
+    discovery.set(root, time);
+    low.set(root, time);
+    time++;
+    let rootChildren = 0;
+    const stack = [{ node: root, parent: null, next: 0 }];
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const neighbors = componentGraph[frame.node].neighbors;
+
+      if (frame.next < neighbors.length) {
+        const neighbor = neighbors[frame.next++];
+        if (!componentGraph[neighbor] || neighbor === frame.parent) continue;
+
+        if (discovery.has(neighbor)) {
+          low.set(frame.node, Math.min(low.get(frame.node), discovery.get(neighbor)));
+        } else {
+          discovery.set(neighbor, time);
+          low.set(neighbor, time);
+          time++;
+          if (frame.node === root) rootChildren++;
+          stack.push({ node: neighbor, parent: frame.node, next: 0 });
+        }
+        continue;
+      }
+
+      // All neighbors done: report back to the parent
+      stack.pop();
+      if (frame.parent !== null) {
+        low.set(frame.parent, Math.min(low.get(frame.parent), low.get(frame.node)));
+        if (frame.parent !== root && low.get(frame.node) >= discovery.get(frame.parent)) {
+          articulationPoints.add(frame.parent);
+        }
+      }
+    }
+
+    if (rootChildren > 1) articulationPoints.add(root);
+  }
+
+  return [...articulationPoints];
+};
+
+/**
+ * Compute structural statistics of a maze
+ *
+ * The cell graph links walkable cells that are neighbors under the chosen
+ * neighborhood. Dead ends have one neighbor, junctions three or more, and loops
+ * is the number of independent cycles (edges - cells + connected components).
+ * The longest shortest path is found with two breadth-first sweeps over the
+ * largest connected area; it is exact when the maze has no loops and a lower
+ * bound otherwise.
+ *
+ * @param {Array} maze - 2D maze array (0 = walkable, 1 = wall)
+ * @param {Object} options
+ * @param {string} options.neighborhood - '4-connected' (classic maze corridors) or '8-connected' (diagonal moves)
+ * @param {number} options.regionSize - HAA* region size for the per-region component counts
+ * @param {Object} options.componentGraph - Component graph to reuse; built from the maze when missing
+ * @param {Array} options.terrain - Optional terrain grid, used when the component graph is built here
+ * @param {Object} options.movement - Movement model of the region components (default 8-connected with corner cutting)
+ * @returns {Object} Maze statistics
+ */
+export const analyzeMaze = (maze, options = {}) => {
+  const {
+    neighborhood = '4-connected',
+    regionSize = DEFAULT_REGION_SIZE,
+    componentGraph: providedComponentGraph = null,
+    terrain = null,
+    movement = DEFAULT_MOVEMENT
+  } = options;
+  const offsets = NEIGHBORHOODS[neighborhood] || NEIGHBORHOODS['4-connected'];
+  const { width, height } = getMazeDimensions(maze);
+  const cellCount = width * height;
+
+  const walkable = new Uint8Array(cellCount);
+  let walkableCells = 0;
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      if (maze[row][col] === CELL_STATES.WALKABLE) {
+        walkable[row * width + col] = 1;
+        walkableCells++;
+      }
+    }
+  }
+
+  // Degrees, dead ends and junction branching
+  const degreeDistribution = {};
+  const branching = {};
+  let deadEnds = 0;
+  let junctions = 0;
+  let degreeSum = 0;
+  for (let cell = 0; cell < cellCount; cell++) {
+    if (!walkable[cell]) continue;
+    const row = Math.floor(cell / width);
+    const col = cell - row * width;
+    let degree = 0;
+    for (const [dRow, dCol] of offsets) {
+      const r = row + dRow;
+      const c = col + dCol;
+      if (r >= 0 && r < height && c >= 0 && c < width && walkable[r * width + c]) degree++;
+    }
+
+    degreeSum += degree;
+    degreeDistribution[degree] = (degreeDistribution[degree] || 0) + 1;
+    if (degree === 1) deadEnds++;
+    if (degree >= 3) {
+      junctions++;
+      branching[degree] = (branching[degree] || 0) + 1;
+    }
+  }
+  const edges = degreeSum / 2;
+
+  // Connected areas of the whole maze
+  const labels = new Int32Array(cellCount).fill(-1);
+  const distances = new Int32Array(cellCount);
+  const queue = new Int32Array(cellCount);
+  let connectedComponents = 0;
+  let largestSize = 0;
+  let largestSeed = -1;
+  for (let cell = 0; cell < cellCount; cell++) {
+    if (!walkable[cell] || labels[cell] !== -1) continue;
+    const { size } = breadthFirstSearch(cell, walkable, width, height, offsets, labels, connectedComponents, distances, queue);
+    if (size > largestSize) {
+      largestSize = size;
+      largestSeed = cell;
+    }
+    connectedComponents++;
+  }
+  const loops = edges - walkableCells + connectedComponents;
+
+  // Longest shortest path: sweep to the farthest cell, then sweep again from there
+  let longestShortestPath = { length: 0, start: null, end: null, exact: loops === 0 };
+  if (largestSeed !== -1) {
+    const sweepLabels = new Int32Array(cellCount).fill(-1);
+    const first = breadthFirstSearch(largestSeed, walkable, width, height, offsets, sweepLabels, 0, distances, queue);
+    const second = breadthFirstSearch(first.farthest, walkable, width, height, offsets, sweepLabels, 1, distances, queue);
+    const toPosition = (cell) => ({ row: Math.floor(cell / width), col: cell % width });
+    longestShortestPath = {
+      length: second.distance,
+      start: toPosition(first.farthest),
+      end: toPosition(second.farthest),
+      exact: loops === 0
+    };
+  }
+
+  // Components per HAA* region
+  const { regionComponentCounts } = analyzeComponents(maze, regionSize, generateColors(20), movement);
+  const regionCounts = regionComponentCounts.flat();
+  const regionDistribution = {};
+  regionCounts.forEach(count => {
+    regionDistribution[count] = (regionDistribution[count] || 0) + 1;
+  });
+
+  // Chokepoints of the component graph
+  const componentGraph = providedComponentGraph || buildMazeComponents(maze, regionSize, terrain, movement).componentGraph;
+  const componentNodes = Object.keys(componentGraph);
+  const componentEdges = componentNodes.reduce((sum, nodeId) => sum + componentGraph[nodeId].neighbors.length, 0) / 2;
+  const articulationPoints = findArticulationPoints(componentGraph);
+
+  return {
+    width,
+    height,
+    neighborhood: NEIGHBORHOODS[neighborhood] ? neighborhood : '4-connected',
+    walkableCells,
+    openness: cellCount > 0 ? walkableCells / cellCount : 0,
+    deadEnds,
+    junctions,
+    branching,
+    degreeDistribution,
+    loops,
+    connectedComponents,
+    largestComponentSize: largestSize,
+    longestShortestPath,
+    regions: {
+      regionSize,
+      componentCounts: regionComponentCounts,
+      min: regionCounts.length > 0 ? regionCounts.reduce((min, count) => Math.min(min, count), Infinity) : 0,
+      max: regionCounts.reduce((max, count) => Math.max(max, count), 0),
+      mean: regionCounts.length > 0 ? regionCounts.reduce((sum, count) => sum + count, 0) / regionCounts.length : 0,
+      distribution: regionDistribution
+    },
+    componentGraph: {
+      nodes: componentNodes.length,
+      edges: componentEdges,
+      articulationPoints,
+      articulationPointCount: articulationPoints.length
+    }
+  };
+};
+
+/**
+ * Maze Statistics Algorithm
+ */
+export const mazeStatisticsAlgorithm = createAlgorithm({
+  name: 'Maze Statistics',
+  type: 'analysis',
+  description: 'Reports dead ends, loops, branching, the longest shortest path, components per region and chokepoints',
+  parameters: {
+    neighborhood: selectParam(Object.keys(NEIGHBORHOODS), '4-connected')
+  },
+
+  async execute(input, options = {}, onProgress) {
+    const { maze, componentGraph = null, terrain = null, REGION_SIZE = DEFAULT_REGION_SIZE } = input;
+    const params = mazeStatisticsAlgorithm.validateParameters(options);
+    const startTime = performance.now();
+
+    const statistics = analyzeMaze(maze, {
+      ...params,
+      regionSize: REGION_SIZE,
+      componentGraph,
+      terrain,
+      movement: getMovementModel(options)
+    });
+
+    const endTime = performance.now();
+
+    if (onProgress) {
+      onProgress({
+        type: 'analysis_complete',
+        statistics
+      });
+    }
+
+    return createAlgorithmResult(statistics, {
+      executionTime: endTime - startTime,
+      mazeWidth: statistics.width,
+      mazeHeight: statistics.height,
+      regionSize: REGION_SIZE
+    });
+  }
+});
+
+export default mazeStatisticsAlgorithm;
@@ -13,6 +13,9 @@ import { createAlgorithm, createAlgorithmResult, numberParam, selectParam } from
 import { getComponentNodeId } from '../pathfinding/component-based-haa-star.js';
 import { scanWithSensors } from '../../core/utils/sensor-utils.js';
 import { updateKnownMap, CELL_STATES } from '../../core/utils/map-utils.js';
+import { getMazeDimensions } from '../../core/utils/maze-utils.js';
+import { getMovementModel } from '../../core/utils/movement-model.js';
+import { movementParameters } from '../pathfinding/grid-search-utils.js';
 import { DIRECTIONS } from '../../utils/utilities.js';
 import { updateComponentStructure } from './component-structure.js';
 import { detectComponentAwareFrontiers, selectOptimalFrontier, shouldAbandonCurrentTarget, isComponentReachable } from './frontier-detection.js';
@@ -64,7 +67,7 @@ function validateAllFrontiersReachable(frontiers, robotPosition, componentGraph,
       let matrixDebugInfo = '';
       if (fullMaze && sensorRange !== null && sensorPositions) {
         const frontierComponent = getComponentNodeId({ row: frontier.row, col: frontier.col }, coloredMaze, regionSize);
-        matrixDebugInfo = matrixInfo(knownMap, robotPosition, frontier, fullMaze, coloredMaze, componentGraph, robotComponent, frontierComponent, sensorRange, sensorPositions);
+        matrixDebugInfo = matrixInfo(knownMap, robotPosition, frontier, fullMaze, coloredMaze, componentGraph, robotComponent, frontierComponent, sensorRange, sensorPositions, regionSize);
         console.error(`MATRIX DEBUG INFO:\n${matrixDebugInfo}`);
       }
 
@@ -111,22 +114,22 @@ function getRotationPath(fromDirection, toDirection) {
   return path;
 }
 
-function matrixInfo(knownMap, robotPosition, targetFrontier, fullMaze, coloredMaze, componentGraph, robotComponent, frontierComponent, sensorRange, sensorPositions) {
+function matrixInfo(knownMap, robotPosition, targetFrontier, fullMaze, coloredMaze, componentGraph, robotComponent, frontierComponent, sensorRange, sensorPositions, regionSize) {
   let debugInfo = '';
   // 1. Known map (what robot has discovered)
-  debugInfo += knownMapAreaToString(knownMap, robotPosition, DEFAULT_REGION_SIZE, robotPosition, targetFrontier);
+  debugInfo += knownMapAreaToString(knownMap, robotPosition, regionSize, robotPosition, targetFrontier);
   debugInfo += '\n';
 
   // 2. Ground truth (actual maze)
-  debugInfo += groundTruthAreaToString(fullMaze, robotPosition, DEFAULT_REGION_SIZE, robotPosition, targetFrontier);
+  debugInfo += groundTruthAreaToString(fullMaze, robotPosition, regionSize, robotPosition, targetFrontier);
   debugInfo += '\n';
 
   // 3. Component assignments (colored maze)
-  debugInfo += coloredMazeAreaToString(coloredMaze, robotPosition, DEFAULT_REGION_SIZE, robotPosition, targetFrontier);
+  debugInfo += coloredMazeAreaToString(coloredMaze, robotPosition, regionSize, robotPosition, targetFrontier);
   debugInfo += '\n';
 
   // 4. Sensor coverage analysis
-  debugInfo += sensorCoverageToString(fullMaze, knownMap, robotPosition, sensorRange, sensorPositions, DEFAULT_REGION_SIZE, targetFrontier);
+  debugInfo += sensorCoverageToString(fullMaze, knownMap, robotPosition, sensorRange, sensorPositions, regionSize, targetFrontier);
   debugInfo += '\n';
 
   // 5. Component connectivity analysis
@@ -148,7 +151,7 @@ function matrixInfo(knownMap, robotPosition, targetFrontier, fullMaze, coloredMa
  * @param {number} regionSize - Region size for components
  * @returns {Object} - {finalDirection, updatedKnownMap, updatedComponentGraph, updatedColoredMaze}
  */
-function rotateWithSensing(currentDirection, targetDirection, robotPosition, sensorRange, fullMaze, knownMap, componentGraph, coloredMaze, regionSize) {
+function rotateWithSensing(currentDirection, targetDirection, robotPosition, sensorRange, fullMaze, knownMap, componentGraph, coloredMaze, regionSize, movement) {
   const rotationPath = getRotationPath(currentDirection, targetDirection);
   let currentKnownMap = knownMap;
   let currentComponentGraph = componentGraph;
@@ -158,7 +161,7 @@ function rotateWithSensing(currentDirection, targetDirection, robotPosition, sen
   // Sense at each direction during rotation (skip the first one as we already sensed there)
   for (let i = 1; i < rotationPath.length; i++) {
     const direction = rotationPath[i];
-    const sensorPositions = scanWithSensors(robotPosition, sensorRange, fullMaze, direction);
+    const sensorPositions = scanWithSensors(robotPosition, sensorRange, fullMaze, direction, movement);
     const updateResult = updateKnownMap(currentKnownMap, fullMaze, sensorPositions);
     currentKnownMap = updateResult.knownMap;
 
@@ -170,10 +173,10 @@ function rotateWithSensing(currentDirection, targetDirection, robotPosition, sen
 
   // ALWAYS rebuild component structure after rotation since we potentially discovered new connections
   // Get all walkable cells for complete rebuild
-  const SIZE = currentKnownMap.length;
+  const { width, height } = getMazeDimensions(currentKnownMap);
   const allWalkableCells = [];
-  for (let r = 0; r < SIZE; r++) {
-    for (let c = 0; c < SIZE; c++) {
+  for (let r = 0; r < height; r++) {
+    for (let c = 0; c < width; c++) {
       if (currentKnownMap[r][c] === CELL_STATES.WALKABLE) {
         allWalkableCells.push({ row: r, col: c, newState: CELL_STATES.WALKABLE });
       }
@@ -182,7 +185,7 @@ function rotateWithSensing(currentDirection, targetDirection, robotPosition, sen
 
   // Force complete rebuild of component structure
   const componentUpdate = updateComponentStructure(
-    currentKnownMap, {}, Array(SIZE).fill(null).map(() => Array(SIZE).fill(-1)), allWalkableCells, regionSize
+    currentKnownMap, {}, Array(height).fill(null).map(() => Array(width).fill(-1)), allWalkableCells, regionSize, movement
   );
   currentComponentGraph = componentUpdate.componentGraph;
   currentColoredMaze = componentUpdate.coloredMaze;
@@ -250,7 +253,7 @@ function generatePathfindingDebugInfo(robotPosition, targetFrontier, knownMap, c
  * @param {number} regionSize - Region size for components
  * @returns {Object} - {updatedKnownMap, updatedComponentGraph, updatedColoredMaze, newCellsCount}
  */
-function perform360Scan(robotPosition, sensorRange, fullMaze, knownMap, componentGraph, coloredMaze, regionSize) {
+function perform360Scan(robotPosition, sensorRange, fullMaze, knownMap, componentGraph, coloredMaze, regionSize, movement) {
   let currentKnownMap = knownMap;
   let currentComponentGraph = componentGraph;
   let currentColoredMaze = coloredMaze;
@@ -258,7 +261,7 @@ function perform360Scan(robotPosition, sensorRange, fullMaze, knownMap, componen
 
   // Scan all 8 directions
   for (let direction = 0; direction < 8; direction++) {
-    const sensorPositions = scanWithSensors(robotPosition, sensorRange, fullMaze, direction);
+    const sensorPositions = scanWithSensors(robotPosition, sensorRange, fullMaze, direction, movement);
     const updateResult = updateKnownMap(currentKnownMap, fullMaze, sensorPositions);
     currentKnownMap = updateResult.knownMap;
 
@@ -270,10 +273,10 @@ function perform360Scan(robotPosition, sensorRange, fullMaze, knownMap, componen
 
   // ALWAYS rebuild component structure after 360 scan since we potentially discovered new connections
   // Get all walkable cells for complete rebuild
-  const SIZE = currentKnownMap.length;
+  const { width, height } = getMazeDimensions(currentKnownMap);
   const allWalkableCells = [];
-  for (let r = 0; r < SIZE; r++) {
-    for (let c = 0; c < SIZE; c++) {
+  for (let r = 0; r < height; r++) {
+    for (let c = 0; c < width; c++) {
       if (currentKnownMap[r][c] === CELL_STATES.WALKABLE) {
         allWalkableCells.push({ row: r, col: c, newState: CELL_STATES.WALKABLE });
       }
@@ -282,7 +285,7 @@ function perform360Scan(robotPosition, sensorRange, fullMaze, knownMap, componen
 
   // Force complete rebuild of component structure
   const componentUpdate = updateComponentStructure(
-    currentKnownMap, {}, Array(SIZE).fill(null).map(() => Array(SIZE).fill(-1)), allWalkableCells, regionSize
+    currentKnownMap, {}, Array(height).fill(null).map(() => Array(width).fill(-1)), allWalkableCells, regionSize, movement
   );
   currentComponentGraph = componentUpdate.componentGraph;
   currentColoredMaze = componentUpdate.coloredMaze;
@@ -297,31 +300,33 @@ function perform360Scan(robotPosition, sensorRange, fullMaze, knownMap, componen
 
 /**
  * Initializes the exploration state including the first sensor scan and component graph build.
- * @param {Object} input - Algorithm input (maze, start, SIZE)
- * @param {Object} options - Algorithm options (sensorRange, targetSwitchCooldown)
+ * @param {Object} input - Algorithm input (maze, start); known map dimensions follow the maze
+ * @param {Object} options - Algorithm options (sensorRange, targetSwitchCooldown, movement, diagonalCost)
  * @param {number} REGION_SIZE - Region size for components
  * @returns {Object} - Initial exploration state object
  */
 function initializeExplorationState(input, options, REGION_SIZE) {
-  const { maze: fullMaze, start: startPos, SIZE } = input;
+  const { maze: fullMaze, start: startPos } = input;
+  const { width, height } = getMazeDimensions(fullMaze);
   const { sensorRange = 15, targetSwitchCooldown = 2 } = options;
+  const movement = getMovementModel(options);
 
   let robotPosition = { row: startPos.row, col: startPos.col };
   let robotDirection = 0; // 0=NORTH, 1=NORTHEAST, 2=EAST, 3=SOUTHEAST, 4=SOUTH, 5=SOUTHWEST, 6=WEST, 7=NORTHWEST
 
-  let knownMap = Array(SIZE).fill(null).map(() => Array(SIZE).fill(CELL_STATES.UNKNOWN));
-  let coloredMaze = Array(SIZE).fill(null).map(() => Array(SIZE).fill(-1));
+  let knownMap = Array(height).fill(null).map(() => Array(width).fill(CELL_STATES.UNKNOWN));
+  let coloredMaze = Array(height).fill(null).map(() => Array(width).fill(-1));
   let componentGraph = {};
   let exploredPositions = [{ ...robotPosition }];
 
   // Initial sensor scan with direction
-  const initialSensorPositions = scanWithSensors(robotPosition, sensorRange, fullMaze, robotDirection);
+  const initialSensorPositions = scanWithSensors(robotPosition, sensorRange, fullMaze, robotDirection, movement);
   const initialUpdate = updateKnownMap(knownMap, fullMaze, initialSensorPositions);
   knownMap = initialUpdate.knownMap;
 
   // Build initial component graph
   const initialComponentUpdate = updateComponentStructure(
-    knownMap, componentGraph, coloredMaze, initialUpdate.newCells, REGION_SIZE
+    knownMap, componentGraph, coloredMaze, initialUpdate.newCells, REGION_SIZE, movement
   );
   componentGraph = initialComponentUpdate.componentGraph;
   coloredMaze = initialComponentUpdate.coloredMaze;
@@ -329,6 +334,7 @@ function initializeExplorationState(input, options, REGION_SIZE) {
   return {
     robotPosition,
     robotDirection,
+    movement,
     knownMap,
     coloredMaze,
     componentGraph,
@@ -354,13 +360,13 @@ function initializeExplorationState(input, options, REGION_SIZE) {
  */
 function performSensingAndUpdate(state, fullMaze, sensorRange, REGION_SIZE) {
   // 1. SENSE: Robot scans environment with current direction
-  const sensorPositions = scanWithSensors(state.robotPosition, sensorRange, fullMaze, state.robotDirection);
+  const sensorPositions = scanWithSensors(state.robotPosition, sensorRange, fullMaze, state.robotDirection, state.movement);
   const updateResult = updateKnownMap(state.knownMap, fullMaze, sensorPositions);
   state.knownMap = updateResult.knownMap; // Update knownMap in state
 
   // 2. UPDATE: Online component analysis (always update to catch fragmentation)
   const componentUpdate = updateComponentStructure(
-    state.knownMap, state.componentGraph, state.coloredMaze, updateResult.newCells, REGION_SIZE
+    state.knownMap, state.componentGraph, state.coloredMaze, updateResult.newCells, REGION_SIZE, state.movement
   );
   state.componentGraph = componentUpdate.componentGraph; // Update componentGraph in state
   state.coloredMaze = componentUpdate.coloredMaze;     // Update coloredMaze in state
@@ -372,14 +378,14 @@ function performSensingAndUpdate(state, fullMaze, sensorRange, REGION_SIZE) {
  * Calculates current coverage of the maze.
  * @param {Array} knownMap - Current known map
  * @param {Array} fullMaze - Full maze ground truth
- * @param {number} SIZE - Size of the maze
  * @returns {number} - Current coverage percentage
  */
-function calculateCoverage(knownMap, fullMaze, SIZE) {
+function calculateCoverage(knownMap, fullMaze) {
+  const { width, height } = getMazeDimensions(fullMaze);
   let knownCells = 0;
   let totalCells = 0;
-  for (let r = 0; r < SIZE; r++) {
-    for (let c = 0; c < SIZE; c++) {
+  for (let r = 0; r < height; r++) {
+    for (let c = 0; c < width; c++) {
       if (fullMaze[r][c] === CELL_STATES.WALKABLE) {
         totalCells++;
         if (knownMap[r][c] === CELL_STATES.WALKABLE) {
@@ -411,7 +417,8 @@ function detectAndSelectFrontier(state, options, fullMaze, REGION_SIZE, currentS
     state.coloredMaze,
     useWFD === 'true',
     frontierStrategy,
-    state.robotPosition
+    state.robotPosition,
+    REGION_SIZE
   );
 
   // Add reachability information to each frontier
@@ -511,7 +518,8 @@ function detectAndSelectFrontier(state, options, fullMaze, REGION_SIZE, currentS
         state.knownMap,
         state.componentGraph,
         state.coloredMaze,
-        REGION_SIZE
+        REGION_SIZE,
+        state.movement
       );
       state.robotDirection = rotationResult.finalDirection;
       state.knownMap = rotationResult.updatedKnownMap;
@@ -525,7 +533,8 @@ function detectAndSelectFrontier(state, options, fullMaze, REGION_SIZE, currentS
         state.coloredMaze,
         useWFD === 'true',
         frontierStrategy,
-        state.robotPosition
+        state.robotPosition,
+        REGION_SIZE
       );
 
       // Add reachability information to updated frontiers
@@ -683,14 +692,13 @@ function detectAndSelectFrontier(state, options, fullMaze, REGION_SIZE, currentS
       // validateAllFrontiersReachable(frontiers, state.robotPosition, state.componentGraph, state.coloredMaze, REGION_SIZE, state.knownMap, fullMaze, sensorRange, currentSensorPositions);
     }
 
-    targetFrontier = selectOptimalFrontier(frontiers, state.robotPosition, state.componentGraph, state.coloredMaze, state.prevTargets, state.knownMap);
+    targetFrontier = selectOptimalFrontier(frontiers, state.robotPosition, state.componentGraph, state.coloredMaze, state.prevTargets, state.knownMap, REGION_SIZE);
     state.currentTarget = targetFrontier; // Update current target in state
     state.lastTargetSwitchIteration = state.iterationCount; // Record target switch in state
     // console.log(`TARGET SELECTION: Selected new target: ${targetFrontier ? `(${targetFrontier.row},${targetFrontier.col})` : 'null'}`);
 
     if (!targetFrontier) {
       const robotComponent = getComponentNodeId(state.robotPosition, state.coloredMaze, REGION_SIZE);
-      const SIZE = state.knownMap.length;
 
       let debugOutput = `Exploration stopped: No reachable frontier targets found after ${state.iterationCount} iterations`;
       debugOutput += `\nRobot is in position (${state.robotPosition.row},${state.robotPosition.col}) in component ${robotComponent}. Found ${frontiers.length} total frontiers, but none are reachable through known paths.`;
@@ -762,10 +770,10 @@ function navigateToTarget(state, currentIterationTargetFrontier, frontiers, full
     // AGGRESSIVE FIX: Force complete component graph rebuild
     console.log(`FIXING: Forcing complete component structure rebuild...`);
 
-    const SIZE = state.knownMap.length;
+    const { width, height } = getMazeDimensions(state.knownMap);
     const allWalkableCells = [];
-    for (let r = 0; r < SIZE; r++) {
-      for (let c = 0; c < SIZE; c++) {
+    for (let r = 0; r < height; r++) {
+      for (let c = 0; c < width; c++) {
         if (state.knownMap[r][c] === CELL_STATES.WALKABLE) {
           allWalkableCells.push({ row: r, col: c, newState: CELL_STATES.WALKABLE });
         }
@@ -773,7 +781,7 @@ function navigateToTarget(state, currentIterationTargetFrontier, frontiers, full
     }
 
     const rebuiltUpdate = updateComponentStructure(
-      state.knownMap, {}, Array(SIZE).fill(null).map(() => Array(SIZE).fill(-1)), allWalkableCells, REGION_SIZE
+      state.knownMap, {}, Array(height).fill(null).map(() => Array(width).fill(-1)), allWalkableCells, REGION_SIZE, state.movement
     );
     state.componentGraph = rebuiltUpdate.componentGraph; // Update state object
     state.coloredMaze = rebuiltUpdate.coloredMaze;     // Update state object
@@ -791,7 +799,8 @@ function navigateToTarget(state, currentIterationTargetFrontier, frontiers, full
     state.knownMap,
     state.componentGraph,
     state.coloredMaze,
-    REGION_SIZE
+    REGION_SIZE,
+    state.movement
   );
 
   // Check if we should abandon current target (if pathfinding succeeded and not in cooldown)
@@ -808,7 +817,8 @@ function navigateToTarget(state, currentIterationTargetFrontier, frontiers, full
         state.knownMap,
         state.componentGraph,
         state.coloredMaze,
-        REGION_SIZE
+        REGION_SIZE,
+        state.movement
       );
 
       frontierPaths.push({
@@ -833,13 +843,14 @@ function navigateToTarget(state, currentIterationTargetFrontier, frontiers, full
       state.coloredMaze,
       {
         iterations: state.iterationCount,
-        coverage: calculateCoverage(state.knownMap, fullMaze, state.knownMap.length), // Recalculate coverage for decision
+        coverage: calculateCoverage(state.knownMap, fullMaze), // Recalculate coverage for decision
         sameTargetCount: state.sameTargetCount,
         exploredPositions: state.exploredPositions.length,
         prev_targets: state.prevTargets, // prevTargets updated in moveRobot when target is reached
         recent_positions: state.recentPositions
       },
-      frontierPaths
+      frontierPaths,
+      REGION_SIZE
     );
 
     if (abandonDecision !== null) {
@@ -864,14 +875,14 @@ function navigateToTarget(state, currentIterationTargetFrontier, frontiers, full
           state.knownMap,
           state.componentGraph,
           state.coloredMaze,
-          REGION_SIZE
+          REGION_SIZE,
+          state.movement
         );
       }
     }
   }
 
   if (!pathResult?.path || pathResult.path.length === 0) {
-    const SIZE = state.knownMap.length;
     targetComponent = getComponentNodeId({ row: targetFrontier.row, col: targetFrontier.col }, state.coloredMaze, REGION_SIZE); // Re-get component in case target changed
     let debugInfo = generatePathfindingDebugInfo(state.robotPosition, targetFrontier, state.knownMap, state.componentGraph, state.coloredMaze, REGION_SIZE);
 
@@ -888,15 +899,15 @@ function navigateToTarget(state, currentIterationTargetFrontier, frontiers, full
 
     // Print comprehensive debug matrices
     debugInfo += `\n=== DEBUG: COMPREHENSIVE MATRIX ANALYSIS ===\n`;
-    let matrix_info = matrixInfo(state.knownMap, state.robotPosition, targetFrontier, fullMaze, state.coloredMaze, state.componentGraph, robotComponent, targetComponent, sensorRange, currentSensorPositions);
+    let matrix_info = matrixInfo(state.knownMap, state.robotPosition, targetFrontier, fullMaze, state.coloredMaze, state.componentGraph, robotComponent, targetComponent, sensorRange, currentSensorPositions, REGION_SIZE);
     debugInfo += `\n${matrix_info}\n`;
 
     // If robot and target are far apart, show target area separately
     if (Math.abs(state.robotPosition.row - targetFrontier.row) > 16 || Math.abs(state.robotPosition.col - targetFrontier.col) > 16) {
       console.log(`\n--- TARGET AREA (separate view) ---`);
-      console.log(knownMapAreaToString(state.knownMap, targetFrontier, DEFAULT_REGION_SIZE, state.robotPosition, targetFrontier));
-      console.log(groundTruthAreaToString(fullMaze, targetFrontier, DEFAULT_REGION_SIZE, state.robotPosition, targetFrontier));
-      console.log(coloredMazeAreaToString(state.coloredMaze, targetFrontier, DEFAULT_REGION_SIZE, state.robotPosition, targetFrontier));
+      console.log(knownMapAreaToString(state.knownMap, targetFrontier, REGION_SIZE, state.robotPosition, targetFrontier));
+      console.log(groundTruthAreaToString(fullMaze, targetFrontier, REGION_SIZE, state.robotPosition, targetFrontier));
+      console.log(coloredMazeAreaToString(state.coloredMaze, targetFrontier, REGION_SIZE, state.robotPosition, targetFrontier));
     }
 
     throw new Error(debugInfo);
@@ -911,7 +922,8 @@ function navigateToTarget(state, currentIterationTargetFrontier, frontiers, full
         state.knownMap,
         state.componentGraph,
         state.coloredMaze,
-        REGION_SIZE
+        REGION_SIZE,
+        state.movement
       );
       frontier.pathDistance = frontierPath?.path ? frontierPath.path.length : Infinity;
     });
@@ -953,7 +965,8 @@ function moveRobot(state, pathResult, targetFrontier, fullMaze, options, REGION_
         state.knownMap,
         state.componentGraph,
         state.coloredMaze,
-        REGION_SIZE
+        REGION_SIZE,
+        state.movement
       );
       state.knownMap = scanResult.updatedKnownMap;
       state.componentGraph = scanResult.updatedComponentGraph;
@@ -1014,7 +1027,8 @@ function moveRobot(state, pathResult, targetFrontier, fullMaze, options, REGION_
         state.knownMap,
         state.componentGraph,
         state.coloredMaze,
-        REGION_SIZE
+        REGION_SIZE,
+        state.movement
       );
       state.robotDirection = rotationResult.finalDirection;
       state.knownMap = rotationResult.updatedKnownMap;
@@ -1046,18 +1060,18 @@ function moveRobot(state, pathResult, targetFrontier, fullMaze, options, REGION_
  * Calculates final exploration metrics and creates the algorithm result.
  * @param {Object} state - The final exploration state
  * @param {Array} fullMaze - Full maze ground truth
- * @param {number} SIZE - Maze size
  * @param {Object} options - Algorithm options (frontierStrategy, useWFD)
  * @param {number} startTime - Algorithm start time
  * @returns {Object} - Result object for createAlgorithmResult
  */
-function finalizeExploration(state, fullMaze, SIZE, options, startTime) {
+function finalizeExploration(state, fullMaze, options, startTime) {
   const endTime = performance.now();
+  const { width, height } = getMazeDimensions(fullMaze);
 
   let finalKnownCells = 0;
   let finalTotalCells = 0;
-  for (let r = 0; r < SIZE; r++) {
-    for (let c = 0; c < SIZE; c++) {
+  for (let r = 0; r < height; r++) {
+    for (let c = 0; c < width; c++) {
       if (fullMaze[r][c] === CELL_STATES.WALKABLE) {
         finalTotalCells++;
         if (state.knownMap[r][c] === CELL_STATES.WALKABLE) {
@@ -1106,18 +1120,21 @@ const componentBasedExplorationAlgorithm = createAlgorithm({
     useWFD: selectParam(['true', 'false'], 'true'),
     frontierStrategy: selectParam(['nearest', 'centroid', 'median'], 'median'),
     targetSwitchCooldown: numberParam(0, 20, 5, 1),
-    scan360OnFrontier: selectParam(['true', 'false'], 'true')
+    scan360OnFrontier: selectParam(['true', 'false'], 'true'),
+    regionSize: numberParam(4, 32, DEFAULT_REGION_SIZE, 4),
+    ...movementParameters
   },
 
   async execute(input, options, onProgress) {
-    const { maze: fullMaze, SIZE = 256 } = input;
+    const { maze: fullMaze } = input;
+    const { width, height } = getMazeDimensions(fullMaze);
     const {
       explorationThreshold = 100,
       delay = 50,
-      maxIterations = 10000 // Default value for maxIterations
+      maxIterations = 10000, // Default value for maxIterations
+      regionSize: REGION_SIZE = DEFAULT_REGION_SIZE
     } = options;
 
-    const REGION_SIZE = DEFAULT_REGION_SIZE;
     const startTime = performance.now();
 
     // Initialize exploration state
@@ -1134,7 +1151,7 @@ const componentBasedExplorationAlgorithm = createAlgorithm({
       );
 
       // Calculate coverage
-      const coverage = calculateCoverage(explorationState.knownMap, fullMaze, SIZE);
+      const coverage = calculateCoverage(explorationState.knownMap, fullMaze);
 
       // 3. PLAN: Find next exploration target
       const frontierSelectionResult = detectAndSelectFrontier(
@@ -1162,7 +1179,7 @@ const componentBasedExplorationAlgorithm = createAlgorithm({
       }
 
       // DEBUG: Check if target frontier is valid (original verbatim check)
-      if (targetFrontier.row < 0 || targetFrontier.row >= SIZE || targetFrontier.col < 0 || targetFrontier.col >= SIZE) {
+      if (targetFrontier.row < 0 || targetFrontier.row >= height || targetFrontier.col < 0 || targetFrontier.col >= width) {
         throw new Error(`DEBUG: Invalid target frontier at (${targetFrontier.row}, ${targetFrontier.col})`);
       }
 
@@ -1228,7 +1245,7 @@ const componentBasedExplorationAlgorithm = createAlgorithm({
 
     // Finalization
     return finalizeExploration(
-      explorationState, fullMaze, SIZE, options, startTime
+      explorationState, fullMaze, options, startTime
     );
   }
 });
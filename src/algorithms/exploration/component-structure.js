@@ -3,16 +3,19 @@
  * Handles online component graph evolution during exploration
  */
 
-import { findConnectedComponents } from '../../core/utils/maze-utils.js';
+import { findConnectedComponents, getMazeDimensions } from '../../core/utils/maze-utils.js';
 import { CELL_STATES } from '../../core/utils/map-utils.js';
+import { DEFAULT_MOVEMENT, createMazeWalkableTest } from '../../core/utils/movement-model.js';
 
 /**
  * Online component structure updates
- * Handles component growth, merging, and evolution
+ * Handles component growth, merging, and evolution; components and their
+ * diagonal connections follow the movement model
  */
-export const updateComponentStructure = (knownMap, componentGraph, coloredMaze, newCells, REGION_SIZE) => {
-  const SIZE = knownMap.length;
-  const numRegions = SIZE / REGION_SIZE;
+export const updateComponentStructure = (knownMap, componentGraph, coloredMaze, newCells, REGION_SIZE, movement = DEFAULT_MOVEMENT) => {
+  const { width, height } = getMazeDimensions(knownMap);
+  const numRegionRows = Math.ceil(height / REGION_SIZE);
+  const numRegionCols = Math.ceil(width / REGION_SIZE);
   
   // Track regions that need component reanalysis
   const regionsToUpdate = new Set();
@@ -45,14 +48,14 @@ export const updateComponentStructure = (knownMap, componentGraph, coloredMaze,
     // Clear colored maze for this region
     for (let r = startRow; r < startRow + REGION_SIZE; r++) {
       for (let c = startCol; c < startCol + REGION_SIZE; c++) {
-        if (r < SIZE && c < SIZE) {
+        if (r < height && c < width) {
           newColoredMaze[r][c] = -1;
         }
       }
     }
     
     // Reanalyze components in this region
-    const components = findConnectedComponents(knownMap, startRow, startCol, REGION_SIZE);
+    const components = findConnectedComponents(knownMap, startRow, startCol, REGION_SIZE, movement);
     
     
     // Create new component nodes
@@ -87,20 +90,21 @@ export const updateComponentStructure = (knownMap, componentGraph, coloredMaze,
   }
   
   // COMPREHENSIVE connection rebuilding - rebuild ALL border connections for ALL regions
-  // console.log(`[COMPONENT] Rebuilding connections for ${numRegions}x${numRegions} regions`);
+  // console.log(`[COMPONENT] Rebuilding connections for ${numRegionRows}x${numRegionCols} regions`);
   let connectionsBuilt = 0;
+  const isKnownWalkable = createMazeWalkableTest(knownMap);
   
-  for (let regionRow = 0; regionRow < numRegions; regionRow++) {
-    for (let regionCol = 0; regionCol < numRegions; regionCol++) {
+  for (let regionRow = 0; regionRow < numRegionRows; regionRow++) {
+    for (let regionCol = 0; regionCol < numRegionCols; regionCol++) {
     
     // Check RIGHT border connections (this region to region on the right)
-    if (regionCol < numRegions - 1) {
+    if (regionCol < numRegionCols - 1) {
       const rightRegionRow = regionRow;
       const rightRegionCol = regionCol + 1;
       const borderCol = regionCol * REGION_SIZE + REGION_SIZE - 1;
       
       for (let r = regionRow * REGION_SIZE; r < (regionRow + 1) * REGION_SIZE; r++) {
-        if (r >= 0 && r < SIZE && borderCol >= 0 && borderCol < SIZE - 1 && 
+        if (r >= 0 && r < height && borderCol >= 0 && borderCol < width - 1 && 
             knownMap[r] && knownMap[r][borderCol] === CELL_STATES.WALKABLE && 
             knownMap[r][borderCol + 1] === CELL_STATES.WALKABLE) {
           
@@ -148,7 +152,7 @@ export const updateComponentStructure = (knownMap, componentGraph, coloredMaze,
       const borderCol = regionCol * REGION_SIZE;
       
       for (let r = regionRow * REGION_SIZE; r < (regionRow + 1) * REGION_SIZE; r++) {
-        if (r >= 0 && r < SIZE && borderCol > 0 && borderCol < SIZE && 
+        if (r >= 0 && r < height && borderCol > 0 && borderCol < width && 
             knownMap[r] && knownMap[r][borderCol] === CELL_STATES.WALKABLE && 
             knownMap[r][borderCol - 1] === CELL_STATES.WALKABLE) {
           
@@ -188,13 +192,13 @@ export const updateComponentStructure = (knownMap, componentGraph, coloredMaze,
     }
     
     // Check BOTTOM border connections (this region to region below)
-    if (regionRow < numRegions - 1) {
+    if (regionRow < numRegionRows - 1) {
       const bottomRegionRow = regionRow + 1;
       const bottomRegionCol = regionCol;
       const borderRow = regionRow * REGION_SIZE + REGION_SIZE - 1;
       
       for (let c = regionCol * REGION_SIZE; c < (regionCol + 1) * REGION_SIZE; c++) {
-        if (c >= 0 && c < SIZE && borderRow >= 0 && borderRow < SIZE - 1 && 
+        if (c >= 0 && c < width && borderRow >= 0 && borderRow < height - 1 && 
             knownMap[borderRow] && knownMap[borderRow][c] === CELL_STATES.WALKABLE && 
             knownMap[borderRow + 1] && knownMap[borderRow + 1][c] === CELL_STATES.WALKABLE) {
           
@@ -241,7 +245,7 @@ export const updateComponentStructure = (knownMap, componentGraph, coloredMaze,
       
       
       for (let c = regionCol * REGION_SIZE; c < (regionCol + 1) * REGION_SIZE; c++) {
-        if (c >= 0 && c < SIZE && borderRow >= 0 && borderRow < SIZE && 
+        if (c >= 0 && c < width && borderRow >= 0 && borderRow < height && 
             borderRow > 0 && knownMap[borderRow] && knownMap[borderRow][c] === CELL_STATES.WALKABLE && 
             knownMap[borderRow - 1] && knownMap[borderRow - 1][c] === CELL_STATES.WALKABLE) {
           
@@ -302,8 +306,8 @@ export const updateComponentStructure = (knownMap, componentGraph, coloredMaze,
       const neighborRegionCol = regionCol + dc;
       
       // Check if neighbor region exists
-      if (neighborRegionRow >= 0 && neighborRegionRow < numRegions &&
-          neighborRegionCol >= 0 && neighborRegionCol < numRegions) {
+      if (neighborRegionRow >= 0 && neighborRegionRow < numRegionRows &&
+          neighborRegionCol >= 0 && neighborRegionCol < numRegionCols) {
         
         // Check diagonal corner connection
         let cornerRow, cornerCol, neighborCornerRow, neighborCornerCol;
@@ -330,12 +334,10 @@ export const updateComponentStructure = (knownMap, componentGraph, coloredMaze,
           neighborCornerCol = cornerCol + 1;
         }
         
-        // Check if both corners are walkable and within bounds
-        if (cornerRow >= 0 && cornerRow < SIZE && cornerCol >= 0 && cornerCol < SIZE &&
-            neighborCornerRow >= 0 && neighborCornerRow < SIZE && 
-            neighborCornerCol >= 0 && neighborCornerCol < SIZE &&
-            knownMap[cornerRow] && knownMap[cornerRow][cornerCol] === CELL_STATES.WALKABLE &&
-            knownMap[neighborCornerRow] && knownMap[neighborCornerRow][neighborCornerCol] === CELL_STATES.WALKABLE) {
+        // Check if both corners are walkable and within bounds, and the movement model allows the step
+        if (cornerRow >= 0 && cornerRow < height && cornerCol >= 0 && cornerCol < width &&
+            isKnownWalkable(cornerRow, cornerCol) &&
+            movement.canStep(isKnownWalkable, cornerRow, cornerCol, dr, dc)) {
           
           const currentComponent = newColoredMaze[cornerRow][cornerCol];
           const neighborComponent = newColoredMaze[neighborCornerRow][neighborCornerCol];
@@ -6,6 +6,7 @@
 import { WavefrontFrontierDetection } from '../../core/frontier/index.js';
 import { getComponentNodeId } from '../pathfinding/component-based-haa-star.js';
 import { CELL_STATES } from '../../core/utils/map-utils.js';
+import { getMazeDimensions } from '../../core/utils/maze-utils.js';
 import { findComponentPath } from './pathfinding-utils.js';
 import { heuristicObjectChebyshev } from '../../utils/utilities.js';
 import { DEFAULT_REGION_SIZE } from '../../core/constants.js';
@@ -13,18 +14,19 @@ import { DEFAULT_REGION_SIZE } from '../../core/constants.js';
 /**
  * Advanced component-aware frontier detection using WFD algorithm
  * Combines research-grade WFD with component awareness
+ * regionSize must be the region size the component graph was built with.
  */
-export const detectComponentAwareFrontiers = (knownMap, componentGraph, coloredMaze, useWFD = true, frontierStrategy = 'centroid', robotPosition = null) => {
-  const SIZE = knownMap.length;
+export const detectComponentAwareFrontiers = (knownMap, componentGraph, coloredMaze, useWFD = true, frontierStrategy = 'centroid', robotPosition = null, regionSize = DEFAULT_REGION_SIZE) => {
+  const { width, height } = getMazeDimensions(knownMap);
   
   if (useWFD) {
-    const wfdDetector = new WavefrontFrontierDetection(SIZE, SIZE);
+    const wfdDetector = new WavefrontFrontierDetection(width, height);
     
-    // Convert 2D knownMap to flat array for WFD
-    const flatKnownMap = new Uint8Array(SIZE * SIZE);
-    for (let r = 0; r < SIZE; r++) {
-      for (let c = 0; c < SIZE; c++) {
-        flatKnownMap[r * SIZE + c] = knownMap[r][c];
+    // Convert 2D knownMap to flat row-major array for WFD
+    const flatKnownMap = new Uint8Array(width * height);
+    for (let r = 0; r < height; r++) {
+      for (let c = 0; c < width; c++) {
+        flatKnownMap[r * width + c] = knownMap[r][c];
       }
     }
     
@@ -48,7 +50,7 @@ export const detectComponentAwareFrontiers = (knownMap, componentGraph, coloredM
       
       if (targetPoint) {
         // Find which component this frontier is associated with - use same logic as pathfinding
-        let associatedComponent = getComponentNodeId(targetPoint, coloredMaze, DEFAULT_REGION_SIZE);
+        let associatedComponent = getComponentNodeId(targetPoint, coloredMaze, regionSize);
         
         // If frontier is not directly in a component, find the closest one
         if (!associatedComponent) {
@@ -100,7 +102,7 @@ export const detectComponentAwareFrontiers = (knownMap, componentGraph, coloredM
  */
 export const detectBasicFrontiers = (knownMap, componentGraph, robotPosition = null) => {
   const frontiers = [];
-  const SIZE = knownMap.length;
+  const { width, height } = getMazeDimensions(knownMap);
   
   // Iterate through all component cells to find frontier points
   for (const nodeId of Object.keys(componentGraph)) {
@@ -121,8 +123,8 @@ export const detectBasicFrontiers = (knownMap, componentGraph, robotPosition = n
       
       let hasUnknownNeighbor = false;
       for (const neighbor of neighbors) {
-        if (neighbor.row >= 0 && neighbor.row < SIZE && 
-            neighbor.col >= 0 && neighbor.col < SIZE &&
+        if (neighbor.row >= 0 && neighbor.row < height && 
+            neighbor.col >= 0 && neighbor.col < width &&
             knownMap[neighbor.row][neighbor.col] === CELL_STATES.UNKNOWN) {
           hasUnknownNeighbor = true;
           break;
@@ -201,12 +203,13 @@ export const isComponentReachable = (robotComponent, targetComponent, componentG
 /**
  * Select optimal frontier using component-aware reachability and distance
  * Only considers frontiers in components reachable from robot's component
+ * regionSize must be the region size the component graph was built with.
  */
-export const selectOptimalFrontier = (frontiers, robotPosition, componentGraph, coloredMaze, prevTargets = [], knownMap = null) => {
+export const selectOptimalFrontier = (frontiers, robotPosition, componentGraph, coloredMaze, prevTargets = [], knownMap = null, regionSize = DEFAULT_REGION_SIZE) => {
   if (frontiers.length === 0) return null;
   
   // Get robot's component
-  const robotComponent = getComponentNodeId(robotPosition, coloredMaze, DEFAULT_REGION_SIZE);
+  const robotComponent = getComponentNodeId(robotPosition, coloredMaze, regionSize);
   
   // Filter frontiers to only reachable components
   const reachableFrontiers = frontiers.filter(frontier => {
@@ -241,7 +244,7 @@ export const selectOptimalFrontier = (frontiers, robotPosition, componentGraph,
         knownMap,
         componentGraph,
         coloredMaze,
-        DEFAULT_REGION_SIZE // regionSize
+        regionSize
       );
       
       if (pathResult?.path) {
@@ -275,6 +278,7 @@ export const selectOptimalFrontier = (frontiers, robotPosition, componentGraph,
  * @param {Array} coloredMaze - Component assignments
  * @param {Object} explorationState - Additional state (iterations, coverage, sameTargetCount, etc.)
  * @param {Array} frontierPaths - Pre-calculated paths to all frontiers [{frontier, path, cost}]
+ * @param {number} regionSize - Region size the component graph was built with
  * @returns {null|Object} - null to keep current target, or {target, path} to switch to
  */
 export const shouldAbandonCurrentTarget = (
@@ -285,7 +289,8 @@ export const shouldAbandonCurrentTarget = (
   componentGraph, 
   coloredMaze, 
   explorationState,
-  frontierPaths
+  frontierPaths,
+  regionSize = DEFAULT_REGION_SIZE
 ) => {
   let result = null;
   
@@ -320,7 +325,7 @@ export const shouldAbandonCurrentTarget = (
     
     // Switch if new frontier has significantly shorter path (>50% shorter)
     
-    if (isComponentReachable(getComponentNodeId(robotPosition, coloredMaze, DEFAULT_REGION_SIZE), frontier.componentId, componentGraph)) {
+    if (isComponentReachable(getComponentNodeId(robotPosition, coloredMaze, regionSize), frontier.componentId, componentGraph)) {
       if (cost < newPathCost) {
         newTarget = frontier;
         newPath = path;
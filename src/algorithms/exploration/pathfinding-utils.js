@@ -8,12 +8,15 @@ import {
   getComponentNodeId 
 } from '../pathfinding/component-based-haa-star.js';
 import { CELL_STATES } from '../../core/utils/map-utils.js';
+import { getMazeDimensions } from '../../core/utils/maze-utils.js';
+import { DEFAULT_MOVEMENT } from '../../core/utils/movement-model.js';
+import { IndexedMinHeap } from '../../utils/utilities.js';
 
 /**
  * Generate ASCII representation of known map around a position for debugging
  */
 export const knownMapAreaToString = (knownMap, centerPos, radius = 10, robotPos = null, targetPos = null) => {
-  const SIZE = knownMap.length;
+  const { width, height } = getMazeDimensions(knownMap);
   const { row: centerRow, col: centerCol } = centerPos;
   
   let debugInfo = '';
@@ -22,7 +25,7 @@ export const knownMapAreaToString = (knownMap, centerPos, radius = 10, robotPos
   // Print column headers
   let header = '    ';
   for (let c = centerCol - radius; c <= centerCol + radius; c++) {
-    if (c >= 0 && c < SIZE) {
+    if (c >= 0 && c < width) {
       header += (c % 10).toString();
     } else {
       header += ' ';
@@ -32,12 +35,12 @@ export const knownMapAreaToString = (knownMap, centerPos, radius = 10, robotPos
   
   // Print rows
   for (let r = centerRow - radius; r <= centerRow + radius; r++) {
-    if (r < 0 || r >= SIZE) continue;
+    if (r < 0 || r >= height) continue;
     
     let line = `${r.toString().padStart(3, ' ')} `;
     
     for (let c = centerCol - radius; c <= centerCol + radius; c++) {
-      if (c < 0 || c >= SIZE) {
+      if (c < 0 || c >= width) {
         line += ' ';
         continue;
       }
@@ -78,7 +81,7 @@ export const knownMapAreaToString = (knownMap, centerPos, radius = 10, robotPos
  * Generate ASCII representation of ground truth maze around a position for debugging
  */
 export const groundTruthAreaToString = (fullMaze, centerPos, radius = 10, robotPos = null, targetPos = null) => {
-  const SIZE = fullMaze.length;
+  const { width, height } = getMazeDimensions(fullMaze);
   const { row: centerRow, col: centerCol } = centerPos;
   
   let debugInfo = '';
@@ -87,7 +90,7 @@ export const groundTruthAreaToString = (fullMaze, centerPos, radius = 10, robotP
   // Print column headers
   let header = '    ';
   for (let c = centerCol - radius; c <= centerCol + radius; c++) {
-    if (c >= 0 && c < SIZE) {
+    if (c >= 0 && c < width) {
       header += (c % 10).toString();
     } else {
       header += ' ';
@@ -97,12 +100,12 @@ export const groundTruthAreaToString = (fullMaze, centerPos, radius = 10, robotP
   
   // Print rows
   for (let r = centerRow - radius; r <= centerRow + radius; r++) {
-    if (r < 0 || r >= SIZE) continue;
+    if (r < 0 || r >= height) continue;
     
     let line = `${r.toString().padStart(3, ' ')} `;
     
     for (let c = centerCol - radius; c <= centerCol + radius; c++) {
-      if (c < 0 || c >= SIZE) {
+      if (c < 0 || c >= width) {
         line += ' ';
         continue;
       }
@@ -140,7 +143,7 @@ export const groundTruthAreaToString = (fullMaze, centerPos, radius = 10, robotP
  * Generate ASCII representation of colored maze (component assignments) around a position for debugging
  */
 export const coloredMazeAreaToString = (coloredMaze, centerPos, radius = 10, robotPos = null, targetPos = null) => {
-  const SIZE = coloredMaze.length;
+  const { width, height } = getMazeDimensions(coloredMaze);
   const { row: centerRow, col: centerCol } = centerPos;
   
   let debugInfo = '';
@@ -149,7 +152,7 @@ export const coloredMazeAreaToString = (coloredMaze, centerPos, radius = 10, rob
   // Print column headers
   let header = '    ';
   for (let c = centerCol - radius; c <= centerCol + radius; c++) {
-    if (c >= 0 && c < SIZE) {
+    if (c >= 0 && c < width) {
       header += (c % 10).toString();
     } else {
       header += ' ';
@@ -159,12 +162,12 @@ export const coloredMazeAreaToString = (coloredMaze, centerPos, radius = 10, rob
   
   // Print rows
   for (let r = centerRow - radius; r <= centerRow + radius; r++) {
-    if (r < 0 || r >= SIZE) continue;
+    if (r < 0 || r >= height) continue;
     
     let line = `${r.toString().padStart(3, ' ')} `;
     
     for (let c = centerCol - radius; c <= centerCol + radius; c++) {
-      if (c < 0 || c >= SIZE) {
+      if (c < 0 || c >= width) {
         line += ' ';
         continue;
       }
@@ -199,7 +202,7 @@ export const coloredMazeAreaToString = (coloredMaze, centerPos, radius = 10, rob
  * Generate ASCII representation of sensor coverage around robot position for debugging
  */
 export const sensorCoverageToString = (fullMaze, knownMap, robotPos, sensorRange, sensorPositions = [], radius = 10, targetPos = null) => {
-  const SIZE = fullMaze.length;
+  const { width, height } = getMazeDimensions(fullMaze);
   const { row: centerRow, col: centerCol } = robotPos;
   
   let debugInfo = '';
@@ -211,7 +214,7 @@ export const sensorCoverageToString = (fullMaze, knownMap, robotPos, sensorRange
   // Print column headers
   let header = '    ';
   for (let c = centerCol - radius; c <= centerCol + radius; c++) {
-    if (c >= 0 && c < SIZE) {
+    if (c >= 0 && c < width) {
       header += (c % 10).toString();
     } else {
       header += ' ';
@@ -221,12 +224,12 @@ export const sensorCoverageToString = (fullMaze, knownMap, robotPos, sensorRange
   
   // Print rows
   for (let r = centerRow - radius; r <= centerRow + radius; r++) {
-    if (r < 0 || r >= SIZE) continue;
+    if (r < 0 || r >= height) continue;
     
     let line = `${r.toString().padStart(3, ' ')} `;
     
     for (let c = centerCol - radius; c <= centerCol + radius; c++) {
-      if (c < 0 || c >= SIZE) {
+      if (c < 0 || c >= width) {
         line += ' ';
         continue;
       }
@@ -361,7 +364,7 @@ export const componentConnectivityToString = (componentGraph, robotComponent, ta
  * Simple BFS to check if path exists (for debugging)
  */
 export const checkSimplePathExists = (start, goal, knownMap) => {
-  const SIZE = knownMap.length;
+  const { width, height } = getMazeDimensions(knownMap);
   const queue = [start];
   const visited = new Set();
   visited.add(`${start.row},${start.col}`);
@@ -382,8 +385,8 @@ export const checkSimplePathExists = (start, goal, knownMap) => {
     ];
     
     for (const neighbor of neighbors) {
-      if (neighbor.row >= 0 && neighbor.row < SIZE &&
-          neighbor.col >= 0 && neighbor.col < SIZE &&
+      if (neighbor.row >= 0 && neighbor.row < height &&
+          neighbor.col >= 0 && neighbor.col < width &&
           knownMap[neighbor.row][neighbor.col] === CELL_STATES.WALKABLE &&
           !visited.has(`${neighbor.row},${neighbor.col}`)) {
         visited.add(`${neighbor.row},${neighbor.col}`);
@@ -399,8 +402,8 @@ export const checkSimplePathExists = (start, goal, knownMap) => {
  * Simple A* pathfinding for debugging purposes only
  */
 export const debugSimpleAStar = (start, goal, knownMap) => {
-  const SIZE = knownMap.length;
-  const openSet = [start];
+  const { width, height } = getMazeDimensions(knownMap);
+  const openSet = new IndexedMinHeap();
   const closedSet = new Set();
   const gScore = new Map();
   const fScore = new Map();
@@ -411,10 +414,10 @@ export const debugSimpleAStar = (start, goal, knownMap) => {
   
   gScore.set(getKey(start), 0);
   fScore.set(getKey(start), heuristic(start, goal));
+  openSet.push(getKey(start), fScore.get(getKey(start)), start);
   
-  while (openSet.length > 0) {
-    openSet.sort((a, b) => (fScore.get(getKey(a)) || Infinity) - (fScore.get(getKey(b)) || Infinity));
-    const current = openSet.shift();
+  while (openSet.size > 0) {
+    const current = openSet.pop();
     const currentKey = getKey(current);
     
     if (current.row === goal.row && current.col === goal.col) {
@@ -437,8 +440,8 @@ export const debugSimpleAStar = (start, goal, knownMap) => {
     ];
     
     for (const neighbor of neighbors) {
-      if (neighbor.row < 0 || neighbor.row >= SIZE || 
-          neighbor.col < 0 || neighbor.col >= SIZE ||
+      if (neighbor.row < 0 || neighbor.row >= height || 
+          neighbor.col < 0 || neighbor.col >= width ||
           knownMap[neighbor.row][neighbor.col] !== CELL_STATES.WALKABLE ||
           closedSet.has(getKey(neighbor))) {
         continue;
@@ -447,15 +450,14 @@ export const debugSimpleAStar = (start, goal, knownMap) => {
       const tentativeGScore = (gScore.get(currentKey) || Infinity) + 1;
       const neighborKey = getKey(neighbor);
       
-      if (!openSet.some(n => getKey(n) === neighborKey)) {
-        openSet.push(neighbor);
-      } else if (tentativeGScore >= (gScore.get(neighborKey) || Infinity)) {
+      if (openSet.has(neighborKey) && tentativeGScore >= (gScore.get(neighborKey) || Infinity)) {
         continue;
       }
       
       cameFrom.set(neighborKey, current);
       gScore.set(neighborKey, tentativeGScore);
       fScore.set(neighborKey, tentativeGScore + heuristic(neighbor, goal));
+      openSet.push(neighborKey, fScore.get(neighborKey), neighbor);
     }
   }
   
@@ -464,10 +466,9 @@ export const debugSimpleAStar = (start, goal, knownMap) => {
 
 /**
  * Component-aware pathfinding using existing HAA* infrastructure
+ * The movement model must be the one the component graph was built with.
  */
-export const findComponentPath = (start, goal, knownMap, componentGraph, coloredMaze, REGION_SIZE) => {
-  const SIZE = knownMap.length;
-  
+export const findComponentPath = (start, goal, knownMap, componentGraph, coloredMaze, REGION_SIZE, movement = DEFAULT_MOVEMENT) => {
   // Use original HAA* pathfinding
   const result = findComponentBasedHAAStarPath(
     start, 
@@ -475,8 +476,12 @@ export const findComponentPath = (start, goal, knownMap, componentGraph, colored
     knownMap, 
     componentGraph, 
     coloredMaze, 
-    REGION_SIZE, 
-    SIZE
+    REGION_SIZE,
+    'octile',
+    null,
+    'a-star',
+    null,
+    movement
   );
   
   // // FALLBACK: If HAA* fails but simple path exists, use simple A* as fallback
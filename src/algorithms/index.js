@@ -9,6 +9,7 @@
 import { pathfindingAlgorithms } from './pathfinding/index.js';
 import { explorationAlgorithms } from './exploration/index.js';
 import { mazeGenerationAlgorithms } from './maze-generation/index.js';
+import { analysisAlgorithms } from './analysis/index.js';
 
 /**
  * Main algorithm registry organized by type
@@ -16,12 +17,13 @@ import { mazeGenerationAlgorithms } from './maze-generation/index.js';
 export const algorithmRegistry = {
   pathfinding: pathfindingAlgorithms,
   exploration: explorationAlgorithms,
-  'maze-generation': mazeGenerationAlgorithms
+  'maze-generation': mazeGenerationAlgorithms,
+  analysis: analysisAlgorithms
 };
 
 /**
  * Get an algorithm by type and name
- * @param {string} type - Algorithm type ('pathfinding', 'exploration', 'maze-generation')
+ * @param {string} type - Algorithm type ('pathfinding', 'exploration', 'maze-generation', 'analysis')
  * @param {string} name - Algorithm name
  * @returns {Object|null} Algorithm object or null if not found
  */
@@ -0,0 +1,71 @@
+/**
+ * Binary Tree Maze Generation Algorithm
+ *
+ * Creates strongly biased mazes by linking every cell to one of two fixed neighbors
+ */
+
+import { createAlgorithm, createAlgorithmResult, numberParam, selectParam } from '../algorithm-interface.js';
+import { executeAlgorithm, postProcessingParameters, createCellLattice, carvePassage, addMazeOpenings } from './shared-utils.js';
+import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from '../../core/constants.js';
+
+// Row/column offsets of the two candidate neighbors for each bias
+const BIAS_DIRECTIONS = {
+  'north-west': [{ row: -1, col: 0 }, { row: 0, col: -1 }],
+  'north-east': [{ row: -1, col: 0 }, { row: 0, col: 1 }],
+  'south-west': [{ row: 1, col: 0 }, { row: 0, col: -1 }],
+  'south-east': [{ row: 1, col: 0 }, { row: 0, col: 1 }]
+};
+
+/**
+ * Binary tree maze generation
+ * The two edges on the bias side become unbroken corridors and every path
+ * drifts toward that corner.
+ * @param {number} WIDTH - Maze width in cells
+ * @param {number} HEIGHT - Maze height in cells
+ * @param {Object} options - Generation options
+ * @param {Function} options.random - Random source (seeded PRNG), defaults to Math.random
+ * @param {Function} options.onCellChange - Optional (row, col, value) callback for every carved cell
+ * @param {string} options.bias - Corner every cell links toward: 'north-west' | 'north-east' | 'south-west' | 'south-east'
+ */
+export const generateBinaryTreeMaze = (WIDTH, HEIGHT, options = {}) => {
+  const { random = Math.random, bias = 'north-west', onCellChange = null } = options;
+  const directions = BIAS_DIRECTIONS[bias] || BIAS_DIRECTIONS['north-west'];
+  const { maze, rows, cols } = createCellLattice(WIDTH, HEIGHT);
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const candidates = directions
+        .map(({ row: dRow, col: dCol }) => ({ row: row + dRow, col: col + dCol }))
+        .filter(n => n.row >= 0 && n.row < rows && n.col >= 0 && n.col < cols);
+
+      if (candidates.length > 0) {
+        carvePassage(maze, { row, col }, candidates[Math.floor(random() * candidates.length)], onCellChange);
+      }
+    }
+  }
+
+  return addMazeOpenings(maze, onCellChange);
+};
+
+/**
+ * Binary Tree Maze Generation Algorithm
+ */
+export const binaryTreeMazeAlgorithm = createAlgorithm({
+  name: 'Binary Tree Maze Generation',
+  type: 'maze-generation',
+  description: 'Generates diagonally biased mazes by linking each cell toward one corner',
+  parameters: {
+    bias: selectParam(Object.keys(BIAS_DIRECTIONS), 'north-west'),
+    ...postProcessingParameters,
+    seed: numberParam(0, 4294967295, null, 1)
+  },
+
+  async execute(input, options = {}, onProgress) {
+    const { SIZE = DEFAULT_MAZE_SIZE, WIDTH = SIZE, HEIGHT = SIZE, REGION_SIZE = DEFAULT_REGION_SIZE } = input;
+    const params = { ...options, ...binaryTreeMazeAlgorithm.validateParameters(options) };
+    const result = await executeAlgorithm(generateBinaryTreeMaze, 'Binary Tree', { WIDTH, HEIGHT, REGION_SIZE }, params, onProgress);
+    return createAlgorithmResult(result.result, result.metrics);
+  }
+});
+
+export default binaryTreeMazeAlgorithm;
@@ -0,0 +1,200 @@
+/**
+ * BSP Dungeon Generation Algorithm
+ *
+ * Creates building-like layouts of rectangular rooms joined by corridors using
+ * binary space partitioning
+ */
+
+import { createAlgorithm, createAlgorithmResult, numberParam } from '../algorithm-interface.js';
+import { executeAlgorithm, postProcessingParameters, setMazeCell } from './shared-utils.js';
+import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from '../../core/constants.js';
+
+/**
+ * Random integer in [min, max]
+ */
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+/**
+ * Center cell of a room
+ */
+const roomCenter = (room) => ({
+  row: room.row + Math.floor(room.height / 2),
+  col: room.col + Math.floor(room.width / 2)
+});
+
+/**
+ * Squared distance between two room centers
+ */
+const roomDistance = (a, b) => {
+  const centerA = roomCenter(a);
+  const centerB = roomCenter(b);
+  return (centerA.row - centerB.row) ** 2 + (centerA.col - centerB.col) ** 2;
+};
+
+/**
+ * BSP dungeon generation
+ * The maze is split recursively into partitions, each leaf gets one room with a
+ * one-cell wall margin, and sibling partitions are joined by an L-shaped corridor
+ * between their closest rooms. Extra corridors between nearby rooms add loops.
+ * @param {number} WIDTH - Maze width in cells
+ * @param {number} HEIGHT - Maze height in cells
+ * @param {Object} options - Generation parameters (see bspDungeonAlgorithm.parameters)
+ * @param {Function} options.random - Random source (seeded PRNG), defaults to Math.random
+ * @param {number} options.minRoomSize - Minimum room side length
+ * @param {number} options.maxRoomSize - Maximum room side length
+ * @param {number} options.splitDepth - Maximum partition depth (up to 2^splitDepth rooms)
+ * @param {number} options.corridorWidth - Width of carved corridors in cells
+ * @param {number} options.extraConnections - Additional corridors between nearby rooms
+ * @param {Function} options.onCellChange - Optional (row, col, value) callback for every carved cell
+ * @returns {Object} { maze, rooms } where rooms are { id, row, col, width, height }
+ */
+export const generateBSPDungeon = (WIDTH, HEIGHT, options = {}) => {
+  const {
+    random = Math.random,
+    minRoomSize = 4,
+    splitDepth = 5,
+    corridorWidth = 1,
+    extraConnections = 2,
+    onCellChange = null
+  } = options;
+  const maxRoomSize = Math.max(options.maxRoomSize || 12, minRoomSize);
+  // Smallest partition that still fits a room plus its wall margin
+  const minPartition = minRoomSize + 2;
+
+  const maze = Array(HEIGHT).fill(null).map(() => Array(WIDTH).fill(1));
+  const rooms = [];
+
+  const carveRect = (row, col, height, width) => {
+    const startRow = Math.max(1, row);
+    const startCol = Math.max(1, col);
+    const endRow = Math.min(row + height, HEIGHT - 1);
+    const endCol = Math.min(col + width, WIDTH - 1);
+    for (let r = startRow; r < endRow; r++) {
+      for (let c = startCol; c < endCol; c++) {
+        setMazeCell(maze, r, c, 0, onCellChange);
+      }
+    }
+  };
+
+  // L-shaped corridor between two cells, horizontal or vertical leg first at random
+  const carveCorridor = (from, to) => {
+    const offset = Math.floor((corridorWidth - 1) / 2);
+    const horizontal = (row, colA, colB) =>
+      carveRect(row - offset, Math.min(colA, colB) - offset, corridorWidth, Math.abs(colA - colB) + corridorWidth);
+    const vertical = (col, rowA, rowB) =>
+      carveRect(Math.min(rowA, rowB) - offset, col - offset, Math.abs(rowA - rowB) + corridorWidth, corridorWidth);
+
+    if (random() < 0.5) {
+      horizontal(from.row, from.col, to.col);
+      vertical(to.col, from.row, to.row);
+    } else {
+      vertical(from.col, from.row, to.row);
+      horizontal(to.row, from.col, to.col);
+    }
+  };
+
+  const randomCellInRoom = (room) => ({
+    row: randomInt(random, room.row, room.row + room.height - 1),
+    col: randomInt(random, room.col, room.col + room.width - 1)
+  });
+
+  // Split a partition and return the rooms created inside it
+  const partition = (row, col, height, width, depth) => {
+    const canSplitVertically = width >= 2 * minPartition;
+    const canSplitHorizontally = height >= 2 * minPartition;
+
+    if (depth >= splitDepth || (!canSplitVertically && !canSplitHorizontally)) {
+      const roomWidth = randomInt(random, Math.min(minRoomSize, width - 2), Math.min(maxRoomSize, width - 2));
+      const roomHeight = randomInt(random, Math.min(minRoomSize, height - 2), Math.min(maxRoomSize, height - 2));
+      if (roomWidth < 1 || roomHeight < 1) return [];
+
+      const room = {
+        id: rooms.length,
+        row: row + 1 + Math.floor(random() * (height - 2 - roomHeight + 1)),
+        col: col + 1 + Math.floor(random() * (width - 2 - roomWidth + 1)),
+        width: roomWidth,
+        height: roomHeight
+      };
+      rooms.push(room);
+      carveRect(room.row, room.col, room.height, room.width);
+      return [room];
+    }
+
+    // Prefer cutting across the longer side so partitions stay roughly square
+    let splitVertically;
+    if (!canSplitHorizontally) splitVertically = true;
+    else if (!canSplitVertically) splitVertically = false;
+    else if (width > height * 1.25) splitVertically = true;
+    else if (height > width * 1.25) splitVertically = false;
+    else splitVertically = random() < 0.5;
+
+    let firstRooms;
+    let secondRooms;
+    if (splitVertically) {
+      const split = randomInt(random, minPartition, width - minPartition);
+      firstRooms = partition(row, col, height, split, depth + 1);
+      secondRooms = partition(row, col + split, height, width - split, depth + 1);
+    } else {
+      const split = randomInt(random, minPartition, height - minPartition);
+      firstRooms = partition(row, col, split, width, depth + 1);
+      secondRooms = partition(row + split, col, height - split, width, depth + 1);
+    }
+
+    // Join the two halves through their closest pair of rooms
+    let closest = null;
+    firstRooms.forEach(a => {
+      secondRooms.forEach(b => {
+        const distance = roomDistance(a, b);
+        if (!closest || distance < closest.distance) {
+          closest = { a, b, distance };
+        }
+      });
+    });
+    if (closest) {
+      carveCorridor(randomCellInRoom(closest.a), randomCellInRoom(closest.b));
+    }
+
+    return [...firstRooms, ...secondRooms];
+  };
+
+  partition(0, 0, HEIGHT, WIDTH, 0);
+
+  // Loops: connect random rooms to one of their nearest neighbors
+  for (let i = 0; i < extraConnections && rooms.length > 2; i++) {
+    const room = rooms[Math.floor(random() * rooms.length)];
+    const nearest = rooms
+      .filter(other => other !== room)
+      .sort((a, b) => roomDistance(room, a) - roomDistance(room, b))
+      .slice(0, 3);
+    carveCorridor(roomCenter(room), roomCenter(nearest[Math.floor(random() * nearest.length)]));
+  }
+
+  return { maze, rooms };
+};
+
+/**
+ * BSP Dungeon Generation Algorithm
+ */
+export const bspDungeonAlgorithm = createAlgorithm({
+  name: 'BSP Dungeon Generation',
+  type: 'maze-generation',
+  description: 'Generates rectangular rooms joined by corridors using binary space partitioning',
+  parameters: {
+    minRoomSize: numberParam(2, 16, 4, 1),
+    maxRoomSize: numberParam(3, 32, 12, 1),
+    splitDepth: numberParam(1, 10, 5, 1),
+    corridorWidth: numberParam(1, 4, 1, 1),
+    extraConnections: numberParam(0, 20, 2, 1),
+    ...postProcessingParameters,
+    seed: numberParam(0, 4294967295, null, 1)
+  },
+
+  async execute(input, options = {}, onProgress) {
+    const { SIZE = DEFAULT_MAZE_SIZE, WIDTH = SIZE, HEIGHT = SIZE, REGION_SIZE = DEFAULT_REGION_SIZE } = input;
+    const params = { ...options, ...bspDungeonAlgorithm.validateParameters(options) };
+    const result = await executeAlgorithm(generateBSPDungeon, 'BSP Dungeon', { WIDTH, HEIGHT, REGION_SIZE }, params, onProgress);
+    return createAlgorithmResult(result.result, result.metrics);
+  }
+});
+
+export default bspDungeonAlgorithm;
@@ -0,0 +1,164 @@
+/**
+ * Cave Generation Algorithm
+ *
+ * Creates open, organic cave systems using a cellular automaton
+ */
+
+import { createAlgorithm, createAlgorithmResult, numberParam, booleanParam } from '../algorithm-interface.js';
+import { executeAlgorithm, postProcessingParameters, setMazeCell } from './shared-utils.js';
+import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from '../../core/constants.js';
+
+/**
+ * Count wall cells in the 8-neighborhood; cells outside the maze count as walls
+ */
+const countWallNeighbors = (maze, row, col, WIDTH, HEIGHT) => {
+  let walls = 0;
+  for (let dRow = -1; dRow <= 1; dRow++) {
+    for (let dCol = -1; dCol <= 1; dCol++) {
+      if (dRow === 0 && dCol === 0) continue;
+      const r = row + dRow;
+      const c = col + dCol;
+      if (r < 0 || r >= HEIGHT || c < 0 || c >= WIDTH || maze[r][c] === 1) {
+        walls++;
+      }
+    }
+  }
+  return walls;
+};
+
+/**
+ * Fill every open cell that is not part of the largest 8-connected cave
+ * (8-connected to match the component analysis and diagonal movement)
+ */
+const keepLargestCave = (maze, WIDTH, HEIGHT, onCellChange) => {
+  const caveIds = Array(HEIGHT).fill(null).map(() => Array(WIDTH).fill(-1));
+  let largestId = -1;
+  let largestSize = 0;
+  let caveCount = 0;
+
+  for (let row = 0; row < HEIGHT; row++) {
+    for (let col = 0; col < WIDTH; col++) {
+      if (maze[row][col] !== 0 || caveIds[row][col] !== -1) continue;
+
+      const id = caveCount++;
+      const stack = [{ row, col }];
+      let size = 0;
+      caveIds[row][col] = id;
+
+      while (stack.length > 0) {
+        const cell = stack.pop();
+        size++;
+        for (let dRow = -1; dRow <= 1; dRow++) {
+          for (let dCol = -1; dCol <= 1; dCol++) {
+            const r = cell.row + dRow;
+            const c = cell.col + dCol;
+            if (r >= 0 && r < HEIGHT && c >= 0 && c < WIDTH && maze[r][c] === 0 && caveIds[r][c] === -1) {
+              caveIds[r][c] = id;
+              stack.push({ row: r, col: c });
+            }
+          }
+        }
+      }
+
+      if (size > largestSize) {
+        largestSize = size;
+        largestId = id;
+      }
+    }
+  }
+
+  for (let row = 0; row < HEIGHT; row++) {
+    for (let col = 0; col < WIDTH; col++) {
+      if (maze[row][col] === 0 && caveIds[row][col] !== largestId) {
+        setMazeCell(maze, row, col, 1, onCellChange);
+      }
+    }
+  }
+};
+
+/**
+ * Cellular-automaton cave generation
+ * The maze starts as random noise with the outer border walled in, then each
+ * iteration turns a floor cell into wall when it has at least birthLimit wall
+ * neighbors and keeps a wall when it has at least survivalLimit wall neighbors.
+ * @param {number} WIDTH - Maze width in cells
+ * @param {number} HEIGHT - Maze height in cells
+ * @param {Object} options - Generation parameters (see caveMazeAlgorithm.parameters)
+ * @param {Function} options.random - Random source (seeded PRNG), defaults to Math.random
+ * @param {number} options.fillProbability - Initial probability of a cell being wall
+ * @param {number} options.birthLimit - Wall neighbors needed to turn a floor cell into wall
+ * @param {number} options.survivalLimit - Wall neighbors needed for a wall cell to stay wall
+ * @param {number} options.iterations - Number of automaton steps
+ * @param {boolean} options.keepLargestCave - Fill every cave except the largest connected one
+ * @param {Function} options.onCellChange - Optional (row, col, value) callback for every changed cell
+ */
+export const generateCaveMaze = (WIDTH, HEIGHT, options = {}) => {
+  const {
+    random = Math.random,
+    fillProbability = 0.45,
+    birthLimit = 5,
+    survivalLimit = 4,
+    iterations = 5,
+    keepLargestCave: keepLargest = true,
+    onCellChange = null
+  } = options;
+
+  const isBorder = (row, col) => row === 0 || col === 0 || row === HEIGHT - 1 || col === WIDTH - 1;
+
+  let maze = Array(HEIGHT).fill(null).map((_, row) =>
+    Array(WIDTH).fill(null).map((_, col) => (isBorder(row, col) || random() < fillProbability ? 1 : 0))
+  );
+
+  const reportChanges = (previous, next) => {
+    if (!onCellChange) return;
+    next.forEach((cells, row) => cells.forEach((cell, col) => {
+      if (previous[row][col] !== cell) onCellChange(row, col, cell);
+    }));
+  };
+
+  // Animations start from solid rock, so the initial noise is reported as carved floor
+  reportChanges(Array(HEIGHT).fill(null).map(() => Array(WIDTH).fill(1)), maze);
+
+  for (let step = 0; step < iterations; step++) {
+    const current = maze;
+    maze = current.map((cells, row) => cells.map((cell, col) => {
+      if (isBorder(row, col)) return 1;
+      const walls = countWallNeighbors(current, row, col, WIDTH, HEIGHT);
+      return walls >= (cell === 1 ? survivalLimit : birthLimit) ? 1 : 0;
+    }));
+    reportChanges(current, maze);
+  }
+
+  if (keepLargest) {
+    keepLargestCave(maze, WIDTH, HEIGHT, onCellChange);
+  }
+
+  return maze;
+};
+
+/**
+ * Cave Generation Algorithm
+ */
+export const caveMazeAlgorithm = createAlgorithm({
+  name: 'Cave Generation',
+  type: 'maze-generation',
+  description: 'Generates open, irregular caves using a cellular automaton',
+  parameters: {
+    fillProbability: numberParam(0.3, 0.7, 0.45, 0.01),
+    birthLimit: numberParam(1, 8, 5, 1),
+    survivalLimit: numberParam(1, 8, 4, 1),
+    iterations: numberParam(0, 15, 5, 1),
+    keepLargestCave: booleanParam(true),
+    ...postProcessingParameters,
+    seed: numberParam(0, 4294967295, null, 1)
+  },
+
+  async execute(input, options = {}, onProgress) {
+    const { SIZE = DEFAULT_MAZE_SIZE, WIDTH = SIZE, HEIGHT = SIZE, REGION_SIZE = DEFAULT_REGION_SIZE } = input;
+    const params = { ...options, ...caveMazeAlgorithm.validateParameters(options) };
+    const result = await executeAlgorithm(generateCaveMaze, 'Cave', { WIDTH, HEIGHT, REGION_SIZE }, params, onProgress);
+    return createAlgorithmResult(result.result, result.metrics);
+  }
+});
+
+export default caveMazeAlgorithm;
@@ -0,0 +1,239 @@
+/**
+ * Connectivity repair for generated mazes
+ *
+ * Some generators (frontier rooms, caves) can leave pockets of floor that no
+ * path reaches, so a start and goal picked at random may be disconnected.
+ * These passes work on the global connected areas under a movement model
+ * (8-connected by default, as in pathfinding) and edit the maze in place:
+ * - repairConnectivity fills every pocket outside the largest area with wall,
+ *   or carves the fewest wall cells needed to join all areas
+ * - ensureCellsConnected opens a requested set of cells and carves just
+ *   enough to make them mutually reachable
+ * Both return a report of what was changed.
+ */
+
+import { CELL_STATES } from '../../core/utils/map-utils.js';
+import { getMazeDimensions } from '../../core/utils/maze-utils.js';
+import { DEFAULT_MOVEMENT, createMazeWalkableTest } from '../../core/utils/movement-model.js';
+import { setMazeCell } from './shared-utils.js';
+
+/**
+ * Label the walkable areas of a maze connected under a movement model (cells are indexed row * width + col)
+ * @returns {Object} { labels, sizes } - labels[cell] is the area index (-1 for walls), sizes[area] its cell count
+ */
+const labelComponents = (maze, width, height, movement) => {
+  const isOpen = createMazeWalkableTest(maze);
+  const labels = new Int32Array(width * height).fill(-1);
+  const queue = new Int32Array(width * height);
+  const sizes = [];
+
+  for (let start = 0; start < width * height; start++) {
+    if (labels[start] !== -1 || maze[Math.floor(start / width)][start % width] !== CELL_STATES.WALKABLE) continue;
+
+    const label = sizes.length;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    labels[start] = label;
+
+    while (head < tail) {
+      const cell = queue[head++];
+      const row = Math.floor(cell / width);
+      const col = cell - row * width;
+      for (const { dRow, dCol } of movement.moves) {
+        if (!movement.canStep(isOpen, row, col, dRow, dCol)) continue;
+        const next = (row + dRow) * width + col + dCol;
+        if (labels[next] !== -1) continue;
+        labels[next] = label;
+        queue[tail++] = next;
+      }
+    }
+    sizes.push(tail);
+  }
+
+  return { labels, sizes };
+};
+
+/**
+ * Carve the cheapest connection from a set of joined areas to any other area in targets
+ * 0-1 breadth-first search: stepping onto floor is free (any step the movement model
+ * allows), carving a wall costs one cell and is only done with cardinal steps. The
+ * outer border is never carved.
+ * @param {Set<number>} joined - Area labels already connected
+ * @param {Set<number>} targets - Area labels still to connect
+ * @returns {Object|null} { area, carved } - the area reached and the carved cells, or null when none is reachable
+ */
+const carveCheapestConnection = (maze, width, height, labels, joined, targets, onCellChange, movement) => {
+  const isOpen = createMazeWalkableTest(maze);
+  const cellCount = width * height;
+  const cost = new Int32Array(cellCount).fill(-1);
+  const previous = new Int32Array(cellCount).fill(-1);
+  // Deque of up to two entries per cell (a cell can be re-queued once at a lower cost)
+  const deque = new Int32Array(4 * cellCount);
+  let head = 2 * cellCount;
+  let tail = 2 * cellCount;
+
+  for (let cell = 0; cell < cellCount; cell++) {
+    if (labels[cell] !== -1 && joined.has(labels[cell])) {
+      cost[cell] = 0;
+      deque[tail++] = cell;
+    }
+  }
+
+  while (head < tail) {
+    const cell = deque[head++];
+    const row = Math.floor(cell / width);
+    const col = cell - row * width;
+
+    if (labels[cell] !== -1 && targets.has(labels[cell])) {
+      const carved = [];
+      // Walk back to the joined area (its cells are the only ones without a predecessor)
+      for (let step = cell; step !== -1; step = previous[step]) {
+        if (labels[step] === -1) {
+          const stepRow = Math.floor(step / width);
+          const stepCol = step - stepRow * width;
+          setMazeCell(maze, stepRow, stepCol, CELL_STATES.WALKABLE, onCellChange);
+          carved.push({ row: stepRow, col: stepCol });
+        }
+      }
+      return { area: labels[cell], carved };
+    }
+
+    // Floor is entered by the model's steps, walls (other than the border) only cardinally
+    for (const { dRow, dCol } of movement.moves) {
+      const r = row + dRow;
+      const c = col + dCol;
+      if (r < 0 || r >= height || c < 0 || c >= width) continue;
+      const isWall = maze[r][c] !== CELL_STATES.WALKABLE;
+      const isDiagonal = dRow !== 0 && dCol !== 0;
+      const isBorder = r === 0 || r === height - 1 || c === 0 || c === width - 1;
+      if (isWall ? isDiagonal || isBorder : !movement.canStep(isOpen, row, col, dRow, dCol)) continue;
+
+      const next = r * width + c;
+      const nextCost = cost[cell] + (isWall ? 1 : 0);
+      if (cost[next] !== -1 && cost[next] <= nextCost) continue;
+      cost[next] = nextCost;
+      previous[next] = cell;
+      if (isWall) deque[tail++] = next;
+      else deque[--head] = next;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Join the given areas with as few carved cells as possible
+ * Greedy: the cheapest connection from everything joined so far is carved
+ * until every area is joined or the rest cannot be reached.
+ * @returns {Object} { carvedCells, unreachable } - carved cells and the labels left unjoined
+ */
+const joinComponents = (maze, width, height, labels, areas, onCellChange, movement) => {
+  const [first, ...rest] = areas;
+  const joined = new Set([first]);
+  const targets = new Set(rest);
+  const carvedCells = [];
+
+  while (targets.size > 0) {
+    const connection = carveCheapestConnection(maze, width, height, labels, joined, targets, onCellChange, movement);
+    if (!connection) break;
+
+    // The carved cells belong to the joined part now, and so does every area they touch
+    for (const cell of connection.carved) {
+      labels[cell.row * width + cell.col] = first;
+    }
+    joined.add(connection.area);
+    targets.delete(connection.area);
+    carvedCells.push(...connection.carved);
+  }
+
+  return { carvedCells, unreachable: [...targets] };
+};
+
+/**
+ * Detect the global connected areas of a maze and make them a single area
+ * @param {Array} maze - 2D maze array (0 = walkable, 1 = wall), edited in place
+ * @param {Object} options
+ * @param {string} options.mode - 'fill' (wall off every area but the largest) or 'connect' (carve passages between all areas)
+ * @param {Function} options.onCellChange - Optional (row, col, value) callback for every changed cell
+ * @param {Object} options.movement - Movement model that decides which cells are connected (default 8-connected)
+ * @returns {Object} Report: { mode, componentsBefore, componentsAfter, componentSizes, filledCells, carvedCells }
+ */
+export const repairConnectivity = (maze, options = {}) => {
+  const { mode = 'connect', onCellChange = null, movement = DEFAULT_MOVEMENT } = options;
+  const { width, height } = getMazeDimensions(maze);
+  const { labels, sizes } = labelComponents(maze, width, height, movement);
+  const report = {
+    mode,
+    componentsBefore: sizes.length,
+    componentsAfter: sizes.length,
+    componentSizes: [...sizes].sort((a, b) => b - a),
+    filledCells: 0,
+    carvedCells: []
+  };
+  if (sizes.length <= 1) return report;
+
+  const largest = sizes.indexOf(Math.max(...sizes));
+
+  if (mode === 'fill') {
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        const label = labels[row * width + col];
+        if (label !== -1 && label !== largest) {
+          setMazeCell(maze, row, col, CELL_STATES.WALL, onCellChange);
+          report.filledCells++;
+        }
+      }
+    }
+    report.componentsAfter = 1;
+    return report;
+  }
+
+  const others = sizes.map((_, label) => label).filter(label => label !== largest);
+  const { carvedCells, unreachable } = joinComponents(maze, width, height, labels, [largest, ...others], onCellChange, movement);
+  report.carvedCells = carvedCells;
+  report.componentsAfter = 1 + unreachable.length;
+  return report;
+};
+
+/**
+ * Guarantee that a set of cells is mutually reachable
+ * Requested wall cells are opened, then the areas containing the requested
+ * cells are joined with as few carved cells as possible; other areas are left alone.
+ * @param {Array} maze - 2D maze array (0 = walkable, 1 = wall), edited in place
+ * @param {Array} cells - Cells {row, col} that must reach each other
+ * @param {Object} options
+ * @param {Function} options.onCellChange - Optional (row, col, value) callback for every changed cell
+ * @param {Object} options.movement - Movement model that decides which cells are connected (default 8-connected)
+ * @returns {Object} Report: { mode: 'cells', requestedCells, openedCells, componentsBefore, componentsAfter, carvedCells }
+ */
+export const ensureCellsConnected = (maze, cells, options = {}) => {
+  const { onCellChange = null, movement = DEFAULT_MOVEMENT } = options;
+  const { width, height } = getMazeDimensions(maze);
+  const requestedCells = cells.filter(({ row, col }) => row >= 0 && row < height && col >= 0 && col < width);
+
+  const openedCells = [];
+  for (const { row, col } of requestedCells) {
+    if (maze[row][col] !== CELL_STATES.WALKABLE) {
+      setMazeCell(maze, row, col, CELL_STATES.WALKABLE, onCellChange);
+      openedCells.push({ row, col });
+    }
+  }
+
+  const { labels } = labelComponents(maze, width, height, movement);
+  const areas = [...new Set(requestedCells.map(({ row, col }) => labels[row * width + col]))];
+  const report = {
+    mode: 'cells',
+    requestedCells: requestedCells.length,
+    openedCells,
+    componentsBefore: areas.length,
+    componentsAfter: areas.length,
+    carvedCells: []
+  };
+  if (areas.length <= 1) return report;
+
+  const { carvedCells, unreachable } = joinComponents(maze, width, height, labels, areas, onCellChange, movement);
+  report.carvedCells = carvedCells;
+  report.componentsAfter = 1 + unreachable.length;
+  return report;
+};
@@ -0,0 +1,105 @@
+/**
+ * Eller Maze Generation Algorithm
+ *
+ * Creates perfect mazes one row at a time using Eller's set-merging algorithm
+ */
+
+import { createAlgorithm, createAlgorithmResult, numberParam } from '../algorithm-interface.js';
+import { executeAlgorithm, postProcessingParameters, createCellLattice, carvePassage, addMazeOpenings } from './shared-utils.js';
+import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from '../../core/constants.js';
+
+/**
+ * Eller's algorithm maze generation
+ * Only the set membership of the current row is kept, so memory grows with the
+ * maze width rather than its area.
+ * @param {number} WIDTH - Maze width in cells
+ * @param {number} HEIGHT - Maze height in cells
+ * @param {Object} options - Generation options
+ * @param {Function} options.random - Random source (seeded PRNG), defaults to Math.random
+ * @param {Function} options.onCellChange - Optional (row, col, value) callback for every carved cell
+ * @param {number} options.horizontalBias - Probability of joining two neighboring sets in a row
+ * @param {number} options.verticalBias - Probability of extending each cell down (one per set is guaranteed)
+ */
+export const generateEllerMaze = (WIDTH, HEIGHT, options = {}) => {
+  const { random = Math.random, horizontalBias = 0.5, verticalBias = 0.3, onCellChange = null } = options;
+  const { maze, rows, cols } = createCellLattice(WIDTH, HEIGHT);
+  if (rows === 0 || cols === 0) return maze;
+
+  // Set id per column of the current row; 0 means not yet assigned
+  let sets = Array(cols).fill(0);
+  let nextSetId = 1;
+
+  for (let row = 0; row < rows; row++) {
+    const lastRow = row === rows - 1;
+
+    for (let col = 0; col < cols; col++) {
+      if (sets[col] === 0) sets[col] = nextSetId++;
+    }
+
+    // Join neighboring cells from different sets; the last row joins all of them
+    for (let col = 0; col < cols - 1; col++) {
+      if (sets[col] !== sets[col + 1] && (lastRow || random() < horizontalBias)) {
+        carvePassage(maze, { row, col }, { row, col: col + 1 }, onCellChange);
+        const merged = sets[col + 1];
+        for (let other = 0; other < cols; other++) {
+          if (sets[other] === merged) sets[other] = sets[col];
+        }
+      }
+    }
+
+    if (lastRow) break;
+
+    // Extend every set at least once into the next row
+    const members = new Map();
+    sets.forEach((set, col) => {
+      if (!members.has(set)) members.set(set, []);
+      members.get(set).push(col);
+    });
+
+    const nextSets = Array(cols).fill(0);
+    members.forEach((columns, set) => {
+      let extended = false;
+      columns.forEach(col => {
+        if (random() < verticalBias) {
+          carvePassage(maze, { row, col }, { row: row + 1, col }, onCellChange);
+          nextSets[col] = set;
+          extended = true;
+        }
+      });
+
+      if (!extended) {
+        const col = columns[Math.floor(random() * columns.length)];
+        carvePassage(maze, { row, col }, { row: row + 1, col }, onCellChange);
+        nextSets[col] = set;
+      }
+    });
+
+    sets = nextSets;
+  }
+
+  return addMazeOpenings(maze, onCellChange);
+};
+
+/**
+ * Eller Maze Generation Algorithm
+ */
+export const ellerMazeAlgorithm = createAlgorithm({
+  name: 'Eller Maze Generation',
+  type: 'maze-generation',
+  description: 'Generates perfect mazes row by row using Eller\'s algorithm',
+  parameters: {
+    horizontalBias: numberParam(0.1, 0.9, 0.5, 0.05),
+    verticalBias: numberParam(0.1, 0.9, 0.3, 0.05),
+    ...postProcessingParameters,
+    seed: numberParam(0, 4294967295, null, 1)
+  },
+
+  async execute(input, options = {}, onProgress) {
+    const { SIZE = DEFAULT_MAZE_SIZE, WIDTH = SIZE, HEIGHT = SIZE, REGION_SIZE = DEFAULT_REGION_SIZE } = input;
+    const params = { ...options, ...ellerMazeAlgorithm.validateParameters(options) };
+    const result = await executeAlgorithm(generateEllerMaze, 'Eller', { WIDTH, HEIGHT, REGION_SIZE }, params, onProgress);
+    return createAlgorithmResult(result.result, result.metrics);
+  }
+});
+
+export default ellerMazeAlgorithm;
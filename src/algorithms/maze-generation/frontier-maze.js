@@ -4,51 +4,70 @@
  * Creates mazes with larger rooms and corridors using frontier-style algorithm
  */
 
-import { createAlgorithm, createAlgorithmResult, numberParam } from '../algorithm-interface.js';
-import { executeAlgorithm } from './shared-utils.js';
+import { createAlgorithm, createAlgorithmResult, numberParam, selectParam } from '../algorithm-interface.js';
+import { executeAlgorithm, postProcessingParameters, setMazeCell } from './shared-utils.js';
 import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from '../../core/constants.js';
 
 /**
  * Frontier-style maze generation (adapted from frontier_maze)
  * Creates mazes with larger rooms and corridors
+ * 
+ * A randomized depth-first search carves corridorWidth x corridorWidth cells on a
+ * grid with the given stride, then a post-processing pass adds rooms, loops and
+ * widened areas with the given per-cell probabilities.
+ * @param {number} WIDTH - Maze width in cells
+ * @param {number} HEIGHT - Maze height in cells
+ * @param {Object} options - Generation parameters (see frontierMazeAlgorithm.parameters)
+ * @param {Function} options.random - Random source (seeded PRNG), defaults to Math.random
+ * @param {number} options.corridorWidth - Width of carved corridors in cells
+ * @param {number} options.stride - Distance between corridor grid cells; must exceed corridorWidth,
+ *   or neighbouring corridors merge (frontierMazeAlgorithm raises it to corridorWidth + 1)
+ * @param {number} options.roomMinSize - Minimum room side length
+ * @param {number} options.roomMaxSize - Maximum room side length
+ * @param {number} options.roomThreshold - Per-cell probability of starting a room
+ * @param {number} options.loopThreshold - Per-cell probability of opening a wall into a loop
+ * @param {number} options.wideningThreshold - Per-cell probability of widening a corridor
+ * @param {string} options.openings - Entrance/exit placement: 'west-east' | 'north-south' | 'none'
+ * @param {Function} options.onCellChange - Optional (row, col, value) callback for every carved cell
  */
-export const generateFrontierMaze = (SIZE) => {
+export const generateFrontierMaze = (WIDTH, HEIGHT, options = {}) => {
+  const {
+    random = Math.random,
+    corridorWidth = 3,
+    roomMinSize = 4,
+    roomThreshold = 0.002,
+    loopThreshold = 0.005,
+    wideningThreshold = 0.003,
+    openings = 'west-east',
+    onCellChange = null
+  } = options;
+  const stride = options.stride || 4;
+  const roomMaxSize = Math.max(options.roomMaxSize || 6, roomMinSize);
+  
   // Initialize maze with all walls  
-  const maze = Array(SIZE).fill(null).map(() => Array(SIZE).fill(1));
+  const maze = Array(HEIGHT).fill(null).map(() => Array(WIDTH).fill(1));
   
-  const carve3x3 = (x, y) => {
-    const endY = Math.min(y + 3, SIZE);
-    const endX = Math.min(x + 3, SIZE);
+  const carveRect = (x, y, width, height) => {
+    const endY = Math.min(y + height, HEIGHT);
+    const endX = Math.min(x + width, WIDTH);
     for (let dy = y; dy < endY; dy++) {
       for (let dx = x; dx < endX; dx++) {
-        maze[dy][dx] = 0;
+        setMazeCell(maze, dy, dx, 0, onCellChange);
       }
     }
   };
   
+  const carveCell = (x, y) => carveRect(x, y, corridorWidth, corridorWidth);
+  
   const carveConnection = (x1, y1, x2, y2) => {
     if (x1 === x2) {
       const minY = Math.min(y1, y2);
-      const maxY = Math.max(y1, y2) + 2;
-      const endY = Math.min(maxY + 1, SIZE);
-      const endX = Math.min(x1 + 3, SIZE);
-      
-      for (let y = minY; y < endY; y++) {
-        for (let dx = x1; dx < endX; dx++) {
-          maze[y][dx] = 0;
-        }
-      }
+      const maxY = Math.max(y1, y2);
+      carveRect(x1, minY, corridorWidth, maxY - minY + corridorWidth);
     } else {
       const minX = Math.min(x1, x2);
-      const maxX = Math.max(x1, x2) + 2;
-      const endX = Math.min(maxX + 1, SIZE);
-      const endY = Math.min(y1 + 3, SIZE);
-      
-      for (let y = y1; y < endY; y++) {
-        for (let x = minX; x < endX; x++) {
-          maze[y][x] = 0;
-        }
-      }
+      const maxX = Math.max(x1, x2);
+      carveRect(minX, y1, maxX - minX + corridorWidth, corridorWidth);
     }
   };
   
@@ -58,15 +77,15 @@ export const generateFrontierMaze = (SIZE) => {
   const stack = [];
   const startX = 2, startY = 2;
   
-  carve3x3(startX, startY);
+  carveCell(startX, startY);
   stack.push([startX, startY]);
   visited.add(toKey(startX, startY));
   
-  const directions = [[4, 0], [0, 4], [-4, 0], [0, -4]];
+  const directions = [[stride, 0], [0, stride], [-stride, 0], [0, -stride]];
   
   const shuffle = (arr) => {
     for (let i = arr.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [arr[i], arr[j]] = [arr[j], arr[i]];
     }
     return arr;
@@ -81,11 +100,11 @@ export const generateFrontierMaze = (SIZE) => {
       const newX = currentX + dx;
       const newY = currentY + dy;
       
-      if (newX > 0 && newX < SIZE - 3 && newY > 0 && newY < SIZE - 3) {
+      if (newX > 0 && newX < WIDTH - corridorWidth && newY > 0 && newY < HEIGHT - corridorWidth) {
         const key = toKey(newX, newY);
         if (!visited.has(key)) {
           carveConnection(currentX, currentY, newX, newY);
-          carve3x3(newX, newY);
+          carveCell(newX, newY);
           visited.add(key);
           stack.push([newX, newY]);
           found = true;
@@ -97,55 +116,60 @@ export const generateFrontierMaze = (SIZE) => {
     if (!found) stack.pop();
   }
   
-  // Post-processing for rooms, loops, and widening
-  const random = Math.random;
-  const roomThreshold = 0.002;
-  const loopThreshold = 0.005;
-  const wideningThreshold = 0.003;
-  
-  for (let y = 1; y < SIZE - 1; y++) {
-    for (let x = 1; x < SIZE - 1; x++) {
+  // Post-processing for rooms, loops, and widening.
+  // One draw per cell; the thresholds are stacked so each is an independent per-cell probability.
+  for (let y = 1; y < HEIGHT - 1; y++) {
+    for (let x = 1; x < WIDTH - 1; x++) {
       const rand = random();
       
-      if (rand < roomThreshold && x < SIZE - DEFAULT_REGION_SIZE && y < SIZE - DEFAULT_REGION_SIZE) {
-        const roomWidth = 4 + Math.floor(random() * 3);
-        const roomHeight = 4 + Math.floor(random() * 3);
-        const maxY = Math.min(y + roomHeight, SIZE - 2);
-        const maxX = Math.min(x + roomWidth, SIZE - 2);
-        
-        for (let dy = y; dy < maxY; dy++) {
-          for (let dx = x; dx < maxX; dx++) {
-            maze[dy][dx] = 0;
-          }
+      if (rand < roomThreshold) {
+        if (x < WIDTH - roomMaxSize - 1 && y < HEIGHT - roomMaxSize - 1) {
+          const roomWidth = roomMinSize + Math.floor(random() * (roomMaxSize - roomMinSize + 1));
+          const roomHeight = roomMinSize + Math.floor(random() * (roomMaxSize - roomMinSize + 1));
+          carveRect(x, y, Math.min(roomWidth, WIDTH - 2 - x), Math.min(roomHeight, HEIGHT - 2 - y));
         }
       }
-      else if (rand < loopThreshold && maze[y][x] === 1) {
-        let paths = 0;
-        if (y > 0 && maze[y - 1][x] === 0) paths++;
-        if (y < SIZE - 1 && maze[y + 1][x] === 0) paths++;
-        if (x > 0 && maze[y][x - 1] === 0) paths++;
-        if (x < SIZE - 1 && maze[y][x + 1] === 0) paths++;
-        
-        if (paths >= 2) maze[y][x] = 0;
+      else if (rand < roomThreshold + loopThreshold) {
+        if (maze[y][x] === 1) {
+          let paths = 0;
+          if (maze[y - 1][x] === 0) paths++;
+          if (maze[y + 1][x] === 0) paths++;
+          if (maze[y][x - 1] === 0) paths++;
+          if (maze[y][x + 1] === 0) paths++;
+          
+          if (paths >= 2) setMazeCell(maze, y, x, 0, onCellChange);
+        }
       }
-      else if (rand < wideningThreshold && maze[y][x] === 0 && x < SIZE - 4 && y < SIZE - 4) {
-        const size = random() > 0.5 ? 3 : 4;
-        const maxY = Math.min(y + size, SIZE - 1);
-        const maxX = Math.min(x + size, SIZE - 1);
-        
-        for (let dy = y; dy < maxY; dy++) {
-          for (let dx = x; dx < maxX; dx++) {
-            maze[dy][dx] = 0;
-          }
+      else if (rand < roomThreshold + loopThreshold + wideningThreshold) {
+        if (maze[y][x] === 0) {
+          const size = random() > 0.5 ? corridorWidth : corridorWidth + 1;
+          carveRect(x, y, Math.min(size, WIDTH - 1 - x), Math.min(size, HEIGHT - 1 - y));
         }
       }
     }
   }
   
-  // Add entrance and exit
-  for (let i = 0; i < 3; i++) {
-    maze[2 + i][0] = 0;
-    maze[SIZE - 3 - i][SIZE - 1] = 0;
+  // Add entrance and exit, aligned with the first and last corridor grid cells
+  // and tunnelled inward until they reach the carved maze
+  const lastCellX = startX + Math.floor((WIDTH - corridorWidth - 1 - startX) / stride) * stride;
+  const lastCellY = startY + Math.floor((HEIGHT - corridorWidth - 1 - startY) / stride) * stride;
+  
+  const tunnel = (row, col, dRow, dCol) => {
+    while (row >= 0 && row < HEIGHT && col >= 0 && col < WIDTH && maze[row][col] === 1) {
+      setMazeCell(maze, row, col, 0, onCellChange);
+      row += dRow;
+      col += dCol;
+    }
+  };
+  
+  for (let i = 0; i < corridorWidth; i++) {
+    if (openings === 'west-east') {
+      tunnel(startY + i, 0, 0, 1);
+      tunnel(lastCellY + i, WIDTH - 1, 0, -1);
+    } else if (openings === 'north-south') {
+      tunnel(0, startX + i, 1, 0);
+      tunnel(HEIGHT - 1, lastCellX + i, -1, 0);
+    }
   }
   
   return maze;
@@ -159,14 +183,28 @@ export const frontierMazeAlgorithm = createAlgorithm({
   type: 'maze-generation',
   description: 'Generates mazes with larger rooms and corridors using frontier-style algorithm',
   parameters: {
-    roomThreshold: numberParam(0.001, 0.005, 0.002, 0.001),
-    loopThreshold: numberParam(0.003, 0.01, 0.005, 0.001),
-    wideningThreshold: numberParam(0.001, 0.005, 0.003, 0.001)
+    corridorWidth: numberParam(1, 6, 3, 1),
+    // Must exceed corridorWidth so corridors keep a wall between them, see constrainParameters
+    stride: numberParam(2, 10, 4, 1),
+    roomMinSize: numberParam(2, 12, 4, 1),
+    roomMaxSize: numberParam(2, 16, 6, 1),
+    roomThreshold: numberParam(0, 0.02, 0.002, 0.001),
+    loopThreshold: numberParam(0, 0.05, 0.005, 0.001),
+    wideningThreshold: numberParam(0, 0.02, 0.003, 0.001),
+    openings: selectParam(['west-east', 'north-south', 'none'], 'west-east'),
+    ...postProcessingParameters,
+    seed: numberParam(0, 4294967295, null, 1)
+  },
+  
+  // A stride of corridorWidth or less is raised to corridorWidth + 1
+  constrainParameters(params) {
+    return { ...params, stride: Math.max(params.stride, params.corridorWidth + 1) };
   },
   
-  async execute(input, options, onProgress) {
-    const { SIZE = DEFAULT_MAZE_SIZE, REGION_SIZE = DEFAULT_REGION_SIZE } = input;
-    const result = await executeAlgorithm(generateFrontierMaze, 'Frontier', { SIZE, REGION_SIZE }, options, onProgress);
+  async execute(input, options = {}, onProgress) {
+    const { SIZE = DEFAULT_MAZE_SIZE, WIDTH = SIZE, HEIGHT = SIZE, REGION_SIZE = DEFAULT_REGION_SIZE } = input;
+    const params = { ...options, ...frontierMazeAlgorithm.validateParameters(options) };
+    const result = await executeAlgorithm(generateFrontierMaze, 'Frontier', { WIDTH, HEIGHT, REGION_SIZE }, params, onProgress);
     return createAlgorithmResult(result.result, result.metrics);
   }
 });
@@ -6,13 +6,27 @@
 
 import { frontierMazeAlgorithm } from './frontier-maze.js';
 import { kruskalMazeAlgorithm } from './kruskal-maze.js'; // Not needed for CLI
+import { recursiveBacktrackerMazeAlgorithm } from './recursive-backtracker-maze.js';
+import { primMazeAlgorithm } from './prim-maze.js';
+import { wilsonMazeAlgorithm } from './wilson-maze.js';
+import { ellerMazeAlgorithm } from './eller-maze.js';
+import { binaryTreeMazeAlgorithm } from './binary-tree-maze.js';
+import { caveMazeAlgorithm } from './cave-maze.js';
+import { bspDungeonAlgorithm } from './bsp-dungeon-maze.js';
 
 /**
  * Registry of maze generation algorithms
  */
 export const mazeGenerationAlgorithms = {
   'frontier': frontierMazeAlgorithm,
-  'kruskal': kruskalMazeAlgorithm // Not needed for CLI
+  'kruskal': kruskalMazeAlgorithm, // Not needed for CLI
+  'recursive-backtracker': recursiveBacktrackerMazeAlgorithm,
+  'prim': primMazeAlgorithm,
+  'wilson': wilsonMazeAlgorithm,
+  'eller': ellerMazeAlgorithm,
+  'binary-tree': binaryTreeMazeAlgorithm,
+  'cave': caveMazeAlgorithm,
+  'bsp-dungeon': bspDungeonAlgorithm
 };
 
 /**
@@ -4,78 +4,123 @@
  * Creates traditional mazes using Kruskal's minimum spanning tree algorithm
  */
 
-import { createAlgorithm, createAlgorithmResult } from '../algorithm-interface.js';
-import { UnionFind } from '../../utils/utilities.js';
-import { executeAlgorithm } from './shared-utils.js';
+import { createAlgorithm, createAlgorithmResult, numberParam } from '../algorithm-interface.js';
+import { executeAlgorithm, postProcessingParameters, setMazeCell } from './shared-utils.js';
 import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from '../../core/constants.js';
 
 /**
  * Kruskal's algorithm maze generation
  * Creates more traditional maze-like structures
+ *
+ * Path cells sit at odd coordinates and are addressed by index (id = row * cols + col
+ * on the cell lattice); edges, weights and the union-find live in typed arrays, so
+ * building and sorting the edge list stays O(E log E) for 2048x2048 and beyond.
+ * Edges are created (and weighted) in the same order as the original object-based
+ * version, so a seed still produces the same maze.
+ * @param {number} WIDTH - Maze width in cells
+ * @param {number} HEIGHT - Maze height in cells
+ * @param {Object} options - Generation options
+ * @param {Function} options.random - Random source (seeded PRNG), defaults to Math.random
+ * @param {Function} options.onCellChange - Optional (row, col, value) callback for every carved cell
  */
-export const generateKruskalMaze = (SIZE) => {
+export const generateKruskalMaze = (WIDTH, HEIGHT, options = {}) => {
+  const { random = Math.random, onCellChange = null } = options;
+  
   // Initialize maze with all walls
-  const newMaze = Array(SIZE).fill(null).map(() => Array(SIZE).fill(1));
-    
-  // Create a grid of potential path cells (odd coordinates)
-  const pathCells = [];
-  for (let row = 1; row < SIZE; row += 2) {
-    for (let col = 1; col < SIZE; col += 2) {
-      pathCells.push({ row, col, id: pathCells.length });
-      newMaze[row][col] = 0; // Set these cells as air
+  const newMaze = Array(HEIGHT).fill(null).map(() => Array(WIDTH).fill(1));
+  
+  // Path cells on the odd-coordinate lattice
+  const rows = Math.floor(HEIGHT / 2);
+  const cols = Math.floor(WIDTH / 2);
+  const cellCount = rows * cols;
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      newMaze[2 * row + 1][2 * col + 1] = 0; // Set these cells as air
     }
   }
-
-  // Create edges between adjacent path cells
-  const edges = [];
-  for (let i = 0; i < pathCells.length; i++) {
-    const cell = pathCells[i];
-    
-    // Check right neighbor
-    if (cell.col + 2 < SIZE) {
-      const neighbor = pathCells.find(c => c.row === cell.row && c.col === cell.col + 2);
-      if (neighbor) {
-        edges.push({
-          from: i,
-          to: neighbor.id,
-          weight: Math.random(),
-          wallRow: cell.row,
-          wallCol: cell.col + 1
-        });
-      }
+  
+  // Edges to the right and bottom neighbor of every cell, in row-major cell order
+  const edgeCount = Math.max(0, rows * (cols - 1)) + Math.max(0, (rows - 1) * cols);
+  const edgeFrom = new Uint32Array(edgeCount);
+  const edgeVertical = new Uint8Array(edgeCount);
+  const edgeWeight = new Float64Array(edgeCount);
+  let edge = 0;
+  for (let id = 0; id < cellCount; id++) {
+    const col = id % cols;
+    const row = (id - col) / cols;
+    if (col < cols - 1) {
+      edgeFrom[edge] = id;
+      edgeWeight[edge] = random();
+      edge++;
     }
-    
-    // Check bottom neighbor
-    if (cell.row + 2 < SIZE) {
-      const neighbor = pathCells.find(c => c.row === cell.row + 2 && c.col === cell.col);
-      if (neighbor) {
-        edges.push({
-          from: i,
-          to: neighbor.id,
-          weight: Math.random(),
-          wallRow: cell.row + 1,
-          wallCol: cell.col
-        });
-      }
+    if (row < rows - 1) {
+      edgeFrom[edge] = id;
+      edgeVertical[edge] = 1;
+      edgeWeight[edge] = random();
+      edge++;
     }
   }
-
-  // Sort edges by random weight
-  edges.sort((a, b) => a.weight - b.weight);
-
-  // Use Kruskal's algorithm to build MST
-  const uf = new UnionFind(pathCells.length);
   
-  for (const edge of edges) {
-    if (uf.union(edge.from, edge.to)) {
-      // Remove the wall between cells
-      newMaze[edge.wallRow][edge.wallCol] = 0;
+  // Sort edges by random weight, stable like Array.prototype.sort: weights are
+  // uniform in [0, 1), so a counting pass into edgeCount buckets leaves about one
+  // edge per bucket and a final insertion sort only fixes order within buckets
+  const bucketOf = (e) => Math.min(edgeCount - 1, Math.floor(edgeWeight[e] * edgeCount));
+  const bucketStart = new Uint32Array(edgeCount + 1);
+  for (let e = 0; e < edgeCount; e++) bucketStart[bucketOf(e) + 1]++;
+  for (let b = 0; b < edgeCount; b++) bucketStart[b + 1] += bucketStart[b];
+  const order = new Uint32Array(edgeCount);
+  for (let e = 0; e < edgeCount; e++) order[bucketStart[bucketOf(e)]++] = e;
+  for (let i = 1; i < edgeCount; i++) {
+    const e = order[i];
+    let j = i - 1;
+    while (j >= 0 && edgeWeight[order[j]] > edgeWeight[e]) {
+      order[j + 1] = order[j];
+      j--;
+    }
+    order[j + 1] = e;
+  }
+  
+  // Union-find with union by rank and path halving
+  const parent = new Int32Array(cellCount);
+  const rank = new Uint8Array(cellCount);
+  for (let i = 0; i < cellCount; i++) parent[i] = i;
+  const find = (x) => {
+    while (parent[x] !== x) {
+      parent[x] = parent[parent[x]];
+      x = parent[x];
+    }
+    return x;
+  };
+  
+  // Use Kruskal's algorithm to build MST
+  for (let i = 0; i < edgeCount; i++) {
+    const e = order[i];
+    const from = edgeFrom[e];
+    const to = edgeVertical[e] ? from + cols : from + 1;
+    let rootFrom = find(from);
+    let rootTo = find(to);
+    if (rootFrom === rootTo) continue;
+    
+    if (rank[rootFrom] < rank[rootTo]) [rootFrom, rootTo] = [rootTo, rootFrom];
+    parent[rootTo] = rootFrom;
+    if (rank[rootFrom] === rank[rootTo]) rank[rootFrom]++;
+    
+    // Remove the wall between cells
+    const fromRow = 2 * Math.floor(from / cols) + 1;
+    const fromCol = 2 * (from % cols) + 1;
+    const wallRow = fromRow + edgeVertical[e];
+    const wallCol = fromCol + 1 - edgeVertical[e];
+    newMaze[wallRow][wallCol] = 0;
+    if (onCellChange) {
+      onCellChange(fromRow, fromCol, 0);
+      onCellChange(wallRow, wallCol, 0);
+      onCellChange(2 * Math.floor(to / cols) + 1, 2 * (to % cols) + 1, 0);
     }
   }
 
   // Add entrance and exit
-  newMaze[0][1] = 0; // Top entrance
-  newMaze[SIZE - 1][SIZE - 2] = 0; // Bottom exit
+  setMazeCell(newMaze, 0, 1, 0, onCellChange); // Top entrance
+  setMazeCell(newMaze, HEIGHT - 1, WIDTH - 2, 0, onCellChange); // Bottom exit
 
   return newMaze;
 };
@@ -87,11 +132,14 @@ export const kruskalMazeAlgorithm = createAlgorithm({
   name: 'Kruskal Maze Generation',
   type: 'maze-generation', 
   description: 'Generates traditional mazes using Kruskal\'s minimum spanning tree algorithm',
-  parameters: {},
+  parameters: {
+    ...postProcessingParameters,
+    seed: numberParam(0, 4294967295, null, 1)
+  },
   
   async execute(input, options, onProgress) {
-    const { SIZE = DEFAULT_MAZE_SIZE, REGION_SIZE = DEFAULT_REGION_SIZE } = input;
-    const result = await executeAlgorithm(generateKruskalMaze, 'Kruskal', { SIZE, REGION_SIZE }, options, onProgress);
+    const { SIZE = DEFAULT_MAZE_SIZE, WIDTH = SIZE, HEIGHT = SIZE, REGION_SIZE = DEFAULT_REGION_SIZE } = input;
+    const result = await executeAlgorithm(generateKruskalMaze, 'Kruskal', { WIDTH, HEIGHT, REGION_SIZE }, options, onProgress);
     return createAlgorithmResult(result.result, result.metrics);
   }
 });
@@ -0,0 +1,76 @@
+/**
+ * Prim Maze Generation Algorithm
+ *
+ * Creates mazes with many short dead ends using randomized Prim's algorithm
+ */
+
+import { createAlgorithm, createAlgorithmResult, numberParam } from '../algorithm-interface.js';
+import { executeAlgorithm, postProcessingParameters, createCellLattice, getLatticeNeighbors, carvePassage, addMazeOpenings } from './shared-utils.js';
+import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from '../../core/constants.js';
+
+/**
+ * Randomized Prim's algorithm maze generation
+ * Grows the maze from a random cell by repeatedly attaching a random frontier cell
+ * @param {number} WIDTH - Maze width in cells
+ * @param {number} HEIGHT - Maze height in cells
+ * @param {Object} options - Generation options
+ * @param {Function} options.random - Random source (seeded PRNG), defaults to Math.random
+ * @param {Function} options.onCellChange - Optional (row, col, value) callback for every carved cell
+ */
+export const generatePrimMaze = (WIDTH, HEIGHT, options = {}) => {
+  const { random = Math.random, onCellChange = null } = options;
+  const { maze, rows, cols } = createCellLattice(WIDTH, HEIGHT);
+  if (rows === 0 || cols === 0) return maze;
+
+  const inMaze = Array(rows).fill(null).map(() => Array(cols).fill(false));
+  const inFrontier = Array(rows).fill(null).map(() => Array(cols).fill(false));
+  const frontier = [];
+
+  const addCell = (cell) => {
+    inMaze[cell.row][cell.col] = true;
+    getLatticeNeighbors(cell.row, cell.col, rows, cols).forEach(neighbor => {
+      if (!inMaze[neighbor.row][neighbor.col] && !inFrontier[neighbor.row][neighbor.col]) {
+        inFrontier[neighbor.row][neighbor.col] = true;
+        frontier.push(neighbor);
+      }
+    });
+  };
+
+  addCell({ row: Math.floor(random() * rows), col: Math.floor(random() * cols) });
+
+  while (frontier.length > 0) {
+    // Swap-remove a random frontier cell
+    const index = Math.floor(random() * frontier.length);
+    const cell = frontier[index];
+    frontier[index] = frontier[frontier.length - 1];
+    frontier.pop();
+
+    const connected = getLatticeNeighbors(cell.row, cell.col, rows, cols)
+      .filter(n => inMaze[n.row][n.col]);
+    carvePassage(maze, cell, connected[Math.floor(random() * connected.length)], onCellChange);
+    addCell(cell);
+  }
+
+  return addMazeOpenings(maze, onCellChange);
+};
+
+/**
+ * Prim Maze Generation Algorithm
+ */
+export const primMazeAlgorithm = createAlgorithm({
+  name: 'Prim Maze Generation',
+  type: 'maze-generation',
+  description: 'Generates mazes with many short branches using randomized Prim\'s algorithm',
+  parameters: {
+    ...postProcessingParameters,
+    seed: numberParam(0, 4294967295, null, 1)
+  },
+
+  async execute(input, options, onProgress) {
+    const { SIZE = DEFAULT_MAZE_SIZE, WIDTH = SIZE, HEIGHT = SIZE, REGION_SIZE = DEFAULT_REGION_SIZE } = input;
+    const result = await executeAlgorithm(generatePrimMaze, 'Prim', { WIDTH, HEIGHT, REGION_SIZE }, options, onProgress);
+    return createAlgorithmResult(result.result, result.metrics);
+  }
+});
+
+export default primMazeAlgorithm;
@@ -0,0 +1,68 @@
+/**
+ * Recursive Backtracker Maze Generation Algorithm
+ *
+ * Creates long, winding corridors with few dead ends using a randomized depth-first search
+ */
+
+import { createAlgorithm, createAlgorithmResult, numberParam } from '../algorithm-interface.js';
+import { executeAlgorithm, postProcessingParameters, createCellLattice, getLatticeNeighbors, carvePassage, addMazeOpenings } from './shared-utils.js';
+import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from '../../core/constants.js';
+
+/**
+ * Recursive backtracker (randomized depth-first search) maze generation
+ * Uses an explicit stack so large mazes don't overflow the call stack
+ * @param {number} WIDTH - Maze width in cells
+ * @param {number} HEIGHT - Maze height in cells
+ * @param {Object} options - Generation options
+ * @param {Function} options.random - Random source (seeded PRNG), defaults to Math.random
+ * @param {Function} options.onCellChange - Optional (row, col, value) callback for every carved cell
+ */
+export const generateRecursiveBacktrackerMaze = (WIDTH, HEIGHT, options = {}) => {
+  const { random = Math.random, onCellChange = null } = options;
+  const { maze, rows, cols } = createCellLattice(WIDTH, HEIGHT);
+  if (rows === 0 || cols === 0) return maze;
+
+  const visited = Array(rows).fill(null).map(() => Array(cols).fill(false));
+  const start = { row: Math.floor(random() * rows), col: Math.floor(random() * cols) };
+  const stack = [start];
+  visited[start.row][start.col] = true;
+
+  while (stack.length > 0) {
+    const current = stack[stack.length - 1];
+    const unvisited = getLatticeNeighbors(current.row, current.col, rows, cols)
+      .filter(n => !visited[n.row][n.col]);
+
+    if (unvisited.length === 0) {
+      stack.pop();
+      continue;
+    }
+
+    const next = unvisited[Math.floor(random() * unvisited.length)];
+    carvePassage(maze, current, next, onCellChange);
+    visited[next.row][next.col] = true;
+    stack.push(next);
+  }
+
+  return addMazeOpenings(maze, onCellChange);
+};
+
+/**
+ * Recursive Backtracker Maze Generation Algorithm
+ */
+export const recursiveBacktrackerMazeAlgorithm = createAlgorithm({
+  name: 'Recursive Backtracker Maze Generation',
+  type: 'maze-generation',
+  description: 'Generates long winding corridors using a randomized depth-first search',
+  parameters: {
+    ...postProcessingParameters,
+    seed: numberParam(0, 4294967295, null, 1)
+  },
+
+  async execute(input, options, onProgress) {
+    const { SIZE = DEFAULT_MAZE_SIZE, WIDTH = SIZE, HEIGHT = SIZE, REGION_SIZE = DEFAULT_REGION_SIZE } = input;
+    const result = await executeAlgorithm(generateRecursiveBacktrackerMaze, 'Recursive Backtracker', { WIDTH, HEIGHT, REGION_SIZE }, options, onProgress);
+    return createAlgorithmResult(result.result, result.metrics);
+  }
+});
+
+export default recursiveBacktrackerMazeAlgorithm;
@@ -2,36 +2,206 @@
  * Shared utilities for maze generation algorithms
  */
 
-import { findConnectedComponents } from '../../core/utils/maze-utils.js';
-import { buildComponentGraph } from '../pathfinding/component-based-haa-star.js';
+import { findConnectedComponents, getMazeDimensions } from '../../core/utils/maze-utils.js';
+import { CELL_STATES, TERRAIN_TYPES } from '../../core/utils/map-utils.js';
+import { DEFAULT_MOVEMENT, getMovementModel } from '../../core/utils/movement-model.js';
+import { buildComponentGraph, repairComponentGraph } from '../pathfinding/component-based-haa-star.js';
+import { movementParameters } from '../pathfinding/grid-search-utils.js';
+import { numberParam, selectParam } from '../algorithm-interface.js';
+import { createSeededRandom, generateSeed } from '../../utils/utilities.js';
+import { repairConnectivity, ensureCellsConnected } from './connectivity-repair.js';
+
+/**
+ * Parameters shared by every maze generator, applied by executeAlgorithm after carving
+ * connectivity repairs unreachable pockets: 'fill' walls them off, 'connect' carves passages to them.
+ * terrainDensity is the share of walkable cells covered by carpet, mud and water patches.
+ * movement and diagonalCost pick the movement model the repairs and components follow.
+ */
+export const postProcessingParameters = {
+  connectivity: selectParam(['none', 'fill', 'connect'], 'none'),
+  terrainDensity: numberParam(0, 0.5, 0, 0.05),
+  ...movementParameters
+};
+
+/**
+ * Normalize a user-supplied seed (number or numeric string) to an unsigned 32-bit integer.
+ * Missing or non-numeric seeds produce a fresh random seed.
+ */
+export const resolveSeed = (seed) => {
+  if (seed === undefined || seed === null || seed === '') {
+    return generateSeed();
+  }
+  const numericSeed = Number(seed);
+  return Number.isFinite(numericSeed) ? numericSeed >>> 0 : generateSeed();
+};
+
+/**
+ * Set a maze cell and report the change for generation_step events
+ * onCellChange is passed to generators by executeAlgorithm when step events are requested.
+ */
+export const setMazeCell = (maze, row, col, value, onCellChange = null) => {
+  if (maze[row][col] === value) return;
+  maze[row][col] = value;
+  if (onCellChange) onCellChange(row, col, value);
+};
+
+/**
+ * Cell lattice for the classic perfect-maze generators
+ * Lattice cell (row, col) is the passage cell at maze[2 * row + 1][2 * col + 1];
+ * everything else starts as wall.
+ * @returns {Object} { maze, rows, cols }
+ */
+export const createCellLattice = (WIDTH, HEIGHT) => {
+  const maze = Array(HEIGHT).fill(null).map(() => Array(WIDTH).fill(1));
+  const rows = Math.floor(HEIGHT / 2);
+  const cols = Math.floor(WIDTH / 2);
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      maze[2 * row + 1][2 * col + 1] = 0;
+    }
+  }
+
+  return { maze, rows, cols };
+};
+
+/**
+ * Orthogonal lattice neighbors of a lattice cell
+ */
+export const getLatticeNeighbors = (row, col, rows, cols) => {
+  const neighbors = [];
+  if (row > 0) neighbors.push({ row: row - 1, col });
+  if (row < rows - 1) neighbors.push({ row: row + 1, col });
+  if (col > 0) neighbors.push({ row, col: col - 1 });
+  if (col < cols - 1) neighbors.push({ row, col: col + 1 });
+  return neighbors;
+};
+
+/**
+ * Remove the wall between two adjacent lattice cells
+ * Both lattice cells are reported too, so an animation shows cells as they join the maze.
+ */
+export const carvePassage = (maze, from, to, onCellChange = null) => {
+  const wallRow = from.row + to.row + 1;
+  const wallCol = from.col + to.col + 1;
+  maze[wallRow][wallCol] = 0;
+
+  if (onCellChange) {
+    onCellChange(2 * from.row + 1, 2 * from.col + 1, 0);
+    onCellChange(wallRow, wallCol, 0);
+    onCellChange(2 * to.row + 1, 2 * to.col + 1, 0);
+  }
+};
+
+/**
+ * Open a top entrance above the first lattice cell and a bottom exit below the last one
+ */
+export const addMazeOpenings = (maze, onCellChange = null) => {
+  const { width, height } = getMazeDimensions(maze);
+  setMazeCell(maze, 0, 1, 0, onCellChange);
+  setMazeCell(maze, height - 1, 2 * Math.floor(width / 2) - 1, 0, onCellChange);
+  return maze;
+};
+
+/**
+ * Scatter round carpet, mud and water patches over the walkable cells
+ * Patches get a random type, centre and radius (2-6 cells, with a ragged edge)
+ * until about terrainDensity of the walkable cells are covered; walls stay untouched.
+ * @param {Array} maze - 2D maze array (0 = walkable, 1 = wall)
+ * @param {Function} random - Random source (seeded PRNG)
+ * @param {number} terrainDensity - Target share of walkable cells to cover (0-1)
+ * @returns {Array|null} Terrain grid of TERRAIN_TYPES values, or null when terrainDensity is 0
+ */
+export const placeTerrainPatches = (maze, random, terrainDensity = 0) => {
+  if (!(terrainDensity > 0)) return null;
+
+  const { width, height } = getMazeDimensions(maze);
+  const terrain = Array(height).fill(null).map(() => Array(width).fill(TERRAIN_TYPES.FLOOR));
+  const walkableCells = [];
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      if (maze[row][col] === CELL_STATES.WALKABLE) walkableCells.push({ row, col });
+    }
+  }
+  if (walkableCells.length === 0) return terrain;
+
+  const patchTypes = [TERRAIN_TYPES.CARPET, TERRAIN_TYPES.MUD, TERRAIN_TYPES.WATER];
+  const target = Math.floor(walkableCells.length * Math.min(1, terrainDensity));
+  let covered = 0;
+
+  // Patches may overlap or fall mostly on walls, so bound the attempts
+  for (let attempt = 0; covered < target && attempt < walkableCells.length; attempt++) {
+    const centre = walkableCells[Math.floor(random() * walkableCells.length)];
+    const type = patchTypes[Math.floor(random() * patchTypes.length)];
+    const radius = 2 + random() * 4;
+    const reach = Math.ceil(radius);
+
+    for (let row = Math.max(0, centre.row - reach); row <= Math.min(height - 1, centre.row + reach); row++) {
+      for (let col = Math.max(0, centre.col - reach); col <= Math.min(width - 1, centre.col + reach); col++) {
+        if (maze[row][col] !== CELL_STATES.WALKABLE) continue;
+        const distance = Math.hypot(row - centre.row, col - centre.col);
+        if (distance > radius * (0.7 + 0.3 * random())) continue;
+
+        if (terrain[row][col] === TERRAIN_TYPES.FLOOR) covered++;
+        terrain[row][col] = type;
+      }
+    }
+  }
+
+  return terrain;
+};
+
+/**
+ * Color the components of one region in coloredMaze
+ * Cells of the region that belong to no component are reset to -1.
+ * @returns {number} Number of components in the region
+ */
+const colorRegionComponents = (maze, coloredMaze, REGION_SIZE, regionRow, regionCol, colors, movement) => {
+  const { width, height } = getMazeDimensions(maze);
+  const startRow = regionRow * REGION_SIZE;
+  const startCol = regionCol * REGION_SIZE;
+  for (let row = startRow; row < Math.min(startRow + REGION_SIZE, height); row++) {
+    for (let col = startCol; col < Math.min(startCol + REGION_SIZE, width); col++) {
+      coloredMaze[row][col] = -1;
+    }
+  }
+  
+  const components = findConnectedComponents(maze, startRow, startCol, REGION_SIZE, movement);
+  
+  // Assign colors to components
+  components.forEach((component, idx) => {
+    const colorIndex = idx % colors.length;
+    component.forEach(cell => {
+      coloredMaze[cell.row][cell.col] = colorIndex;
+    });
+  });
+  
+  return components.length;
+};
 
 /**
  * Component analysis and coloring
+ * Partial regions along the right and bottom edges are analyzed like full ones.
+ * regionComponentCounts[regionRow][regionCol] is the number of components per region.
+ * Cells are connected by the steps of the movement model (default 8-connected).
  */
-export const analyzeComponents = (maze, SIZE, REGION_SIZE, colors) => {
-  const coloredMaze = Array(SIZE).fill(null).map(() => Array(SIZE).fill(-1));
+export const analyzeComponents = (maze, REGION_SIZE, colors, movement = DEFAULT_MOVEMENT) => {
+  const { width, height } = getMazeDimensions(maze);
+  const coloredMaze = Array(height).fill(null).map(() => Array(width).fill(-1));
+  const regionRows = Math.ceil(height / REGION_SIZE);
+  const regionCols = Math.ceil(width / REGION_SIZE);
+  const regionComponentCounts = Array(regionRows).fill(null).map(() => Array(regionCols).fill(0));
   let totalComponentCount = 0;
   
-  for (let regionRow = 0; regionRow < SIZE / REGION_SIZE; regionRow++) {
-    for (let regionCol = 0; regionCol < SIZE / REGION_SIZE; regionCol++) {
-      const startRow = regionRow * REGION_SIZE;
-      const startCol = regionCol * REGION_SIZE;
-      
-      const components = findConnectedComponents(maze, startRow, startCol, REGION_SIZE);
-      
-      // Assign colors to components
-      components.forEach((component, idx) => {
-        const colorIndex = idx % colors.length;
-        component.forEach(cell => {
-          coloredMaze[cell.row][cell.col] = colorIndex;
-        });
-      });
-      
-      totalComponentCount += components.length;
+  for (let regionRow = 0; regionRow < regionRows; regionRow++) {
+    for (let regionCol = 0; regionCol < regionCols; regionCol++) {
+      const componentCount = colorRegionComponents(maze, coloredMaze, REGION_SIZE, regionRow, regionCol, colors, movement);
+      regionComponentCounts[regionRow][regionCol] = componentCount;
+      totalComponentCount += componentCount;
     }
   }
   
-  return { coloredMaze, totalComponentCount };
+  return { coloredMaze, totalComponentCount, regionComponentCounts };
 };
 
 /**
@@ -46,36 +216,174 @@ export const generateColors = (count = 20) => {
   return colors;
 };
 
+/**
+ * Color components and build the HAA* component graph for an existing maze
+ * Used by the generators below and for mazes that come from files.
+ * An optional terrain grid weights the graph's abstract edges; components and
+ * transitions follow the movement model (default 8-connected).
+ */
+export const buildMazeComponents = (maze, REGION_SIZE, terrain = null, movement = DEFAULT_MOVEMENT) => {
+  const colors = generateColors(20);
+  const { coloredMaze, totalComponentCount } = analyzeComponents(maze, REGION_SIZE, colors, movement);
+  const componentGraph = buildComponentGraph(maze, coloredMaze, REGION_SIZE, terrain, movement);
+  
+  return { coloredMaze, componentGraph, totalComponents: totalComponentCount, colors };
+};
+
+/**
+ * Update the component data of a maze after some of its cells changed
+ * Only the regions containing changed cells are recolored and rebuilt (see
+ * repairComponentGraph); the given coloredMaze and componentGraph are not modified.
+ * @param {Object} mazeData - { maze, coloredMaze, componentGraph, terrain }, maze already containing the change
+ * @param {Array} changedCells - Cells {row, col} that turned into walls or floor
+ * @param {number} REGION_SIZE - Region size the component data was built with
+ * @param {Object} movement - Movement model the component data was built with (default 8-connected)
+ * @returns {Object} { coloredMaze, componentGraph, totalComponents, diff } - diff lists the added, removed and changed node IDs
+ */
+export const repairMazeComponents = (mazeData, changedCells, REGION_SIZE, movement = DEFAULT_MOVEMENT) => {
+  const { maze, coloredMaze, componentGraph, terrain = null } = mazeData;
+  const regions = new Map();
+  for (const { row, col } of changedCells) {
+    const regionRow = Math.floor(row / REGION_SIZE);
+    const regionCol = Math.floor(col / REGION_SIZE);
+    regions.set(`${regionRow},${regionCol}`, { regionRow, regionCol });
+  }
+  
+  // Copy only the rows of the changed regions
+  const colors = generateColors(20);
+  const repairedColoredMaze = [...coloredMaze];
+  for (const { regionRow, regionCol } of regions.values()) {
+    for (let row = regionRow * REGION_SIZE; row < Math.min((regionRow + 1) * REGION_SIZE, coloredMaze.length); row++) {
+      if (repairedColoredMaze[row] === coloredMaze[row]) repairedColoredMaze[row] = [...coloredMaze[row]];
+    }
+    colorRegionComponents(maze, repairedColoredMaze, REGION_SIZE, regionRow, regionCol, colors, movement);
+  }
+  
+  const repaired = repairComponentGraph(maze, repairedColoredMaze, componentGraph, REGION_SIZE, [...regions.values()], terrain, movement);
+  return {
+    coloredMaze: repairedColoredMaze,
+    componentGraph: repaired.componentGraph,
+    totalComponents: Object.keys(repaired.componentGraph).length,
+    diff: repaired.diff
+  };
+};
+
+/**
+ * Component data for a maze loaded from a file
+ * Stored components are reused only when they were built with the same region size
+ * and movement model (files without one were built with the default).
+ */
+export const resolveMazeComponents = (mazeData, REGION_SIZE, movement = DEFAULT_MOVEMENT) => {
+  const { maze, coloredMaze, componentGraph, regionSize, terrain = null } = mazeData;
+  const storedMovement = mazeData.movement || DEFAULT_MOVEMENT;
+  if (coloredMaze && componentGraph && regionSize === REGION_SIZE && storedMovement.key === movement.key) {
+    return { coloredMaze, componentGraph, totalComponents: Object.keys(componentGraph).length };
+  }
+  return buildMazeComponents(maze, REGION_SIZE, terrain, movement);
+};
+
+/**
+ * Run the connectivity repairs requested in the generation options
+ * @returns {Object|null} { global, cells } repair reports, or null when nothing was requested
+ */
+const repairMazeConnectivity = (maze, options, onCellChange, movement) => {
+  const { connectivity = 'none', connectedCells = null } = options;
+  if (connectivity === 'none' && !connectedCells) return null;
+
+  return {
+    global: connectivity !== 'none' ? repairConnectivity(maze, { mode: connectivity, onCellChange, movement }) : null,
+    cells: connectedCells ? ensureCellsConnected(maze, connectedCells, { onCellChange, movement }) : null
+  };
+};
+
 /**
  * Common algorithm execution wrapper
+ * 
+ * The generator is called as mazeGenerator(WIDTH, HEIGHT, { ...options, random }) where
+ * random is a seeded PRNG, so the same options.seed always yields the same maze.
+ * WIDTH and HEIGHT default to SIZE for square mazes.
+ * A generator may return { maze, ...metadata } instead of the bare grid; the metadata
+ * (e.g. room rectangles) is passed through to the result and the completion event.
+ *
+ * Connectivity: options.connectivity 'fill' or 'connect' runs repairConnectivity on
+ * the carved maze, and options.connectedCells (an array of {row, col}) runs
+ * ensureCellsConnected so those cells reach each other. The repair report is passed
+ * on as connectivityRepair ({ global, cells }, null when no repair was requested).
+ *
+ * Terrain: a generator may return its own terrain grid as metadata; otherwise
+ * options.terrainDensity > 0 scatters patches with placeTerrainPatches after the
+ * maze is carved (drawing from the same seeded PRNG, so the maze itself is unchanged).
+ * The result and the completion event always carry terrain (null for plain floor).
+ *
+ * Region size: the component data is built with input.REGION_SIZE, which is passed
+ * on as regionSize, so searches and renderers on the maze use the same regions.
+ *
+ * Movement: options.movement and options.diagonalCost pick the movement model (see
+ * getMovementModel) that the connectivity repairs and the component data follow;
+ * the model is passed on as movement, so searches on the maze can use the same one.
+ *
+ * Animation: with options.stepBatchSize > 0 the generator also receives
+ * options.onCellChange(row, col, value), and the recorded changes are replayed as
+ * generation_step events of stepBatchSize cells, options.stepDelay ms apart, on top
+ * of an all-wall WIDTH x HEIGHT grid. options.signal (an AbortSignal) cancels the
+ * replay; the promise then rejects with the signal's AbortError.
  */
-export const executeAlgorithm = async (mazeGenerator, algorithmName, input, options, onProgress) => {
-  const { SIZE, REGION_SIZE } = input;
+export const executeAlgorithm = async (mazeGenerator, algorithmName, input, options = {}, onProgress) => {
+  const { SIZE, WIDTH = SIZE, HEIGHT = SIZE, REGION_SIZE } = input;
+  const { stepBatchSize = 0, stepDelay = 0, signal } = options;
+  const seed = resolveSeed(options.seed);
+  const random = createSeededRandom(seed);
+  const movement = getMovementModel(options);
   const startTime = performance.now();
   
   if (onProgress) {
-    onProgress({ type: 'generation_start', algorithm: algorithmName });
+    onProgress({ type: 'generation_start', algorithm: algorithmName, seed, width: WIDTH, height: HEIGHT });
   }
   
-  // Generate maze
-  const maze = mazeGenerator(SIZE);
+  // Generate maze, recording cell changes only when they will be replayed
+  const steps = onProgress && stepBatchSize > 0 ? [] : null;
+  const onCellChange = steps ? (row, col, value) => steps.push({ row, col, value }) : null;
+  const generated = mazeGenerator(WIDTH, HEIGHT, { ...options, random, onCellChange });
+  const { maze, terrain: generatedTerrain, ...metadata } = Array.isArray(generated) ? { maze: generated } : generated;
+  const connectivityRepair = repairMazeConnectivity(maze, options, onCellChange, movement);
+  const terrain = generatedTerrain || placeTerrainPatches(maze, random, options.terrainDensity);
   
-  // Generate colors and analyze components
-  const colors = generateColors(20);
-  const { coloredMaze, totalComponentCount } = analyzeComponents(maze, SIZE, REGION_SIZE, colors);
-  
-  // Build component graph
-  const componentGraph = buildComponentGraph(maze, coloredMaze, SIZE, REGION_SIZE);
+  // Analyze components and build component graph
+  const { coloredMaze, componentGraph, totalComponents: totalComponentCount, colors } = buildMazeComponents(maze, REGION_SIZE, terrain, movement);
   
   const endTime = performance.now();
   
+  // Replay the carving as throttled batches
+  if (steps) {
+    for (let i = 0; i < steps.length; i += stepBatchSize) {
+      if (signal) signal.throwIfAborted();
+      onProgress({
+        type: 'generation_step',
+        cells: steps.slice(i, i + stepBatchSize),
+        width: WIDTH,
+        height: HEIGHT,
+        progress: Math.min(1, (i + stepBatchSize) / steps.length)
+      });
+      if (stepDelay > 0) {
+        await new Promise(resolve => setTimeout(resolve, stepDelay));
+      }
+    }
+  }
+  if (signal) signal.throwIfAborted();
+  
   if (onProgress) {
     onProgress({ 
       type: 'generation_complete', 
       maze, 
       coloredMaze, 
       componentGraph,
-      totalComponents: totalComponentCount
+      totalComponents: totalComponentCount,
+      terrain,
+      movement,
+      regionSize: REGION_SIZE,
+      connectivityRepair,
+      seed,
+      ...metadata
     });
   }
   
@@ -85,11 +393,19 @@ export const executeAlgorithm = async (mazeGenerator, algorithmName, input, opti
       coloredMaze,
       componentGraph,
       totalComponents: totalComponentCount,
-      colors
+      colors,
+      terrain,
+      movement,
+      regionSize: REGION_SIZE,
+      connectivityRepair,
+      seed,
+      ...metadata
     },
     metrics: {
       executionTime: endTime - startTime,
-      mazeSize: SIZE,
+      seed,
+      mazeWidth: WIDTH,
+      mazeHeight: HEIGHT,
       regionSize: REGION_SIZE,
       componentCount: Object.keys(componentGraph).length
     }
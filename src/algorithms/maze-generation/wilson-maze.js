@@ -0,0 +1,78 @@
+/**
+ * Wilson Maze Generation Algorithm
+ *
+ * Creates uniformly random spanning-tree mazes using loop-erased random walks
+ */
+
+import { createAlgorithm, createAlgorithmResult, numberParam } from '../algorithm-interface.js';
+import { executeAlgorithm, postProcessingParameters, createCellLattice, getLatticeNeighbors, carvePassage, addMazeOpenings } from './shared-utils.js';
+import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from '../../core/constants.js';
+
+/**
+ * Wilson's algorithm maze generation
+ * Every spanning tree of the cell lattice is equally likely, so the maze has no
+ * directional or texture bias.
+ * @param {number} WIDTH - Maze width in cells
+ * @param {number} HEIGHT - Maze height in cells
+ * @param {Object} options - Generation options
+ * @param {Function} options.random - Random source (seeded PRNG), defaults to Math.random
+ * @param {Function} options.onCellChange - Optional (row, col, value) callback for every carved cell
+ */
+export const generateWilsonMaze = (WIDTH, HEIGHT, options = {}) => {
+  const { random = Math.random, onCellChange = null } = options;
+  const { maze, rows, cols } = createCellLattice(WIDTH, HEIGHT);
+  if (rows === 0 || cols === 0) return maze;
+
+  const inMaze = Array(rows).fill(null).map(() => Array(cols).fill(false));
+  // Last exit taken from each cell during the current walk; revisiting a cell overwrites it, erasing the loop
+  const nextStep = Array(rows).fill(null).map(() => Array(cols).fill(null));
+
+  inMaze[Math.floor(random() * rows)][Math.floor(random() * cols)] = true;
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (inMaze[row][col]) continue;
+
+      // Random walk until the walk hits the maze
+      let cell = { row, col };
+      while (!inMaze[cell.row][cell.col]) {
+        const neighbors = getLatticeNeighbors(cell.row, cell.col, rows, cols);
+        const next = neighbors[Math.floor(random() * neighbors.length)];
+        nextStep[cell.row][cell.col] = next;
+        cell = next;
+      }
+
+      // Carve the loop-erased walk into the maze
+      cell = { row, col };
+      while (!inMaze[cell.row][cell.col]) {
+        const next = nextStep[cell.row][cell.col];
+        carvePassage(maze, cell, next, onCellChange);
+        inMaze[cell.row][cell.col] = true;
+        cell = next;
+      }
+    }
+  }
+
+  return addMazeOpenings(maze, onCellChange);
+};
+
+/**
+ * Wilson Maze Generation Algorithm
+ */
+export const wilsonMazeAlgorithm = createAlgorithm({
+  name: 'Wilson Maze Generation',
+  type: 'maze-generation',
+  description: 'Generates unbiased mazes using Wilson\'s loop-erased random walks',
+  parameters: {
+    ...postProcessingParameters,
+    seed: numberParam(0, 4294967295, null, 1)
+  },
+
+  async execute(input, options, onProgress) {
+    const { SIZE = DEFAULT_MAZE_SIZE, WIDTH = SIZE, HEIGHT = SIZE, REGION_SIZE = DEFAULT_REGION_SIZE } = input;
+    const result = await executeAlgorithm(generateWilsonMaze, 'Wilson', { WIDTH, HEIGHT, REGION_SIZE }, options, onProgress);
+    return createAlgorithmResult(result.result, result.metrics);
+  }
+});
+
+export default wilsonMazeAlgorithm;
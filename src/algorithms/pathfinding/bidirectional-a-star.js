@@ -0,0 +1,114 @@
+/**
+ * Bidirectional A* Pathfinding Algorithm
+ *
+ * Runs one A* forward from the start and one backward from the goal, each
+ * aimed at the other's origin, alternating expansions. Every cell reached by
+ * both searches closes a candidate path; the search stops once neither
+ * direction can still produce a cheaper one, so the path is optimal with a
+ * consistent heuristic (octile by default, see the heuristic registry in utilities.js).
+ */
+
+import { getHeuristic, getKey, IndexedMinHeap } from '../../utils/utilities.js';
+import { getTerrainCost } from '../../core/utils/map-utils.js';
+import { DEFAULT_MOVEMENT } from '../../core/utils/movement-model.js';
+import { createGridSearchAlgorithm, getWalkableNeighbors, reconstructPath, heuristicParam } from './grid-search-utils.js';
+
+/**
+ * Bidirectional A* between start and end
+ * The backward search walks moves in reverse, so a move it takes from cell
+ * to neighbor costs the terrain of cell (the cell the forward move enters).
+ * @param {Object} start - Start position {row, col}
+ * @param {Object} end - End position {row, col}
+ * @param {Array} maze - 2D maze array (0 = walkable, 1 = wall)
+ * @param {string} heuristicType - Registered heuristic name (default 'octile')
+ * @param {Array|null} terrain - Optional terrain grid
+ * @param {Object} movement - Movement model (default 8-connected with corner cutting)
+ * @returns {Object} { path, nodesExplored, executionTime } - path is null when end is unreachable
+ */
+const findBidirectionalAStarPath = (start, end, maze, heuristicType = 'octile', terrain = null, movement = DEFAULT_MOVEMENT) => {
+  const startTime = performance.now();
+
+  if (start.row === end.row && start.col === end.col) {
+    return { path: [start], nodesExplored: 0, executionTime: performance.now() - startTime };
+  }
+
+  const { estimate } = getHeuristic(heuristicType);
+  const heuristic = (a, b) => estimate(a, b, movement);
+  const createSearch = (origin, target, reverse) => {
+    const search = {
+      target,
+      reverse,
+      openSet: new IndexedMinHeap(),
+      closedSet: new Set(),
+      cameFrom: new Map(),
+      gScore: new Map([[getKey(origin), 0]])
+    };
+    search.openSet.push(getKey(origin), heuristic(origin, target), origin);
+    return search;
+  };
+  const forward = createSearch(start, end, false);
+  const backward = createSearch(end, start, true);
+
+  let bestCost = Infinity;
+  let meetingCell = null;
+  let nodesExplored = 0;
+
+  // Each open set's lowest f-score bounds every path still to be found through it
+  for (let turn = 0; forward.openSet.size > 0 && backward.openSet.size > 0; turn++) {
+    if (bestCost <= Math.max(forward.openSet.peekPriority(), backward.openSet.peekPriority())) break;
+
+    const search = turn % 2 === 0 ? forward : backward;
+    const other = search === forward ? backward : forward;
+    const current = search.openSet.pop();
+    const currentKey = getKey(current);
+    search.closedSet.add(currentKey);
+    nodesExplored++;
+
+    for (const neighbor of getWalkableNeighbors(maze, current, movement)) {
+      const neighborKey = getKey(neighbor);
+      if (search.closedSet.has(neighborKey)) continue;
+
+      const entered = search.reverse ? current : neighbor;
+      const tentativeGScore = search.gScore.get(currentKey) + neighbor.cost * getTerrainCost(terrain, entered.row, entered.col);
+      if (search.gScore.has(neighborKey) && tentativeGScore >= search.gScore.get(neighborKey)) continue;
+
+      const cell = { row: neighbor.row, col: neighbor.col };
+      search.gScore.set(neighborKey, tentativeGScore);
+      search.cameFrom.set(neighborKey, current);
+      search.openSet.push(neighborKey, tentativeGScore + heuristic(cell, search.target), cell);
+
+      if (other.gScore.has(neighborKey) && tentativeGScore + other.gScore.get(neighborKey) < bestCost) {
+        bestCost = tentativeGScore + other.gScore.get(neighborKey);
+        meetingCell = cell;
+      }
+    }
+  }
+
+  if (!meetingCell) {
+    return { path: null, nodesExplored, executionTime: performance.now() - startTime };
+  }
+
+  // Forward half up to the meeting cell, then the backward half (which points towards the end)
+  const path = reconstructPath(forward.cameFrom, meetingCell);
+  for (let cell = backward.cameFrom.get(getKey(meetingCell)); cell; cell = backward.cameFrom.get(getKey(cell))) {
+    path.push(cell);
+  }
+  return { path, nodesExplored, executionTime: performance.now() - startTime };
+};
+
+/**
+ * Bidirectional A* Algorithm
+ */
+const bidirectionalAStarAlgorithm = createGridSearchAlgorithm({
+  name: 'Bidirectional A*',
+  description: 'A* from both ends at once, stopping when the two frontiers can no longer improve the meeting path',
+  parameters: {
+    heuristicType: heuristicParam('octile')
+  },
+  search: (start, end, maze, terrain, { heuristicType = 'octile' } = {}, movement) => findBidirectionalAStarPath(start, end, maze, heuristicType, terrain, movement)
+});
+
+export default bidirectionalAStarAlgorithm;
+
+// Export utility function for reuse
+export { findBidirectionalAStarPath };
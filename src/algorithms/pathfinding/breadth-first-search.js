@@ -0,0 +1,62 @@
+/**
+ * Breadth-First Search Pathfinding Algorithm
+ *
+ * Explores the grid in rings of equal step count. The path has the fewest
+ * steps, which is not the cheapest path once diagonal steps (√2) or terrain
+ * costs come into play.
+ */
+
+import { getKey } from '../../utils/utilities.js';
+import { DEFAULT_MOVEMENT } from '../../core/utils/movement-model.js';
+import { createGridSearchAlgorithm, getWalkableNeighbors, reconstructPath } from './grid-search-utils.js';
+
+/**
+ * Breadth-first search from start until end is reached
+ * @param {Object} start - Start position {row, col}
+ * @param {Object} end - End position {row, col}
+ * @param {Array} maze - 2D maze array (0 = walkable, 1 = wall)
+ * @param {Object} movement - Movement model (default 8-connected with corner cutting)
+ * @returns {Object} { path, nodesExplored, executionTime } - path is null when end is unreachable
+ */
+const findBFSPath = (start, end, maze, movement = DEFAULT_MOVEMENT) => {
+  const startTime = performance.now();
+
+  const queue = [start];
+  const cameFrom = new Map();
+  const visited = new Set([getKey(start)]);
+  let nodesExplored = 0;
+
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
+
+    if (current.row === end.row && current.col === end.col) {
+      return { path: reconstructPath(cameFrom, current), nodesExplored, executionTime: performance.now() - startTime };
+    }
+
+    nodesExplored++;
+
+    for (const neighbor of getWalkableNeighbors(maze, current, movement)) {
+      const neighborKey = getKey(neighbor);
+      if (visited.has(neighborKey)) continue;
+      visited.add(neighborKey);
+      cameFrom.set(neighborKey, current);
+      queue.push({ row: neighbor.row, col: neighbor.col });
+    }
+  }
+
+  return { path: null, nodesExplored, executionTime: performance.now() - startTime };
+};
+
+/**
+ * Breadth-First Search Algorithm
+ */
+const breadthFirstSearchAlgorithm = createGridSearchAlgorithm({
+  name: 'Breadth-First Search',
+  description: 'Fewest-steps search that ignores move and terrain costs',
+  search: (start, end, maze, terrain, options, movement) => findBFSPath(start, end, maze, movement)
+});
+
+export default breadthFirstSearchAlgorithm;
+
+// Export utility function for reuse
+export { findBFSPath };
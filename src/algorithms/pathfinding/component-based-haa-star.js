@@ -5,255 +5,613 @@
  * Now follows the standard algorithm interface pattern.
  */
 
-import { createAlgorithm, createAlgorithmResult, numberParam, selectParam } from '../algorithm-interface.js';
-import { heuristicString, heuristicObject, heuristicStringChebyshev, heuristicObjectChebyshev, getKey } from '../../utils/utilities.js';
-import { CELL_STATES } from '../../core/utils/map-utils.js';
+import { createAlgorithm, createAlgorithmResult, numberParam, selectParam, booleanParam } from '../algorithm-interface.js';
+import { getHeuristic, getKey, IndexedMinHeap } from '../../utils/utilities.js';
+import { CELL_STATES, getTerrainCost, hasWeightedTerrain } from '../../core/utils/map-utils.js';
+import { getMazeDimensions, getMovementCost, getPathCost } from '../../core/utils/maze-utils.js';
+import { DEFAULT_MOVEMENT, getMovementModel, createMazeWalkableTest } from '../../core/utils/movement-model.js';
 import { DEFAULT_REGION_SIZE } from '../../core/constants.js';
+import { findAStarPath } from './traditional-a-star.js';
+import { findJPSPath, supportsJPS } from './jump-point-search.js';
+import { movementParameters, heuristicParam, getHeuristicMetrics } from './grid-search-utils.js';
+import { getLevelRegionSizes, getComponentHierarchy, findHierarchyCorridor } from './component-hierarchy.js';
+import { smoothPath, getWaypointPathCost } from './path-smoothing.js';
 
 /**
- * Build component-based abstract graph from maze
- * Returns graph where nodes are "regionRow,regionCol_componentId"
+ * Cell adjacency of one component for in-component searches
+ * Cells are numbered by their position in cells; moves are the steps the
+ * movement model allows between cells of the component. The moves out of cell i are
+ * targets[offsets[i]] .. targets[offsets[i + 1] - 1], with the base cost of each
+ * move in stepCost, and enterCost[i] is the terrain cost of entering cell i.
+ * heapCost and heapCell are scratch space shared by the searches on the component.
+ * @param {Array} cells - The component's cells {row, col}
+ * @param {Array|null} terrain - Optional terrain grid
+ * @param {Object} movement - Movement model
+ * @returns {Object} { cells, indexOf(cell) -> number (-1 outside), offsets, targets, stepCost, enterCost, heapCost, heapCell }
  */
-const buildComponentGraph = (maze, coloredMaze, SIZE, REGION_SIZE) => {
-  const numRegions = SIZE / REGION_SIZE;
-  const componentGraph = {};
+const buildComponentAdjacency = (cells, terrain = null, movement = DEFAULT_MOVEMENT) => {
+  // Components lie within one region, so a grid over their bounding box numbers the cells
+  let minRow = Infinity, minCol = Infinity, maxRow = -Infinity, maxCol = -Infinity;
+  for (const cell of cells) {
+    minRow = Math.min(minRow, cell.row);
+    minCol = Math.min(minCol, cell.col);
+    maxRow = Math.max(maxRow, cell.row);
+    maxCol = Math.max(maxCol, cell.col);
+  }
+  const gridWidth = maxCol - minCol + 1;
+  const grid = new Int32Array(gridWidth * (maxRow - minRow + 1)).fill(-1);
+  cells.forEach((cell, i) => {
+    grid[(cell.row - minRow) * gridWidth + (cell.col - minCol)] = i;
+  });
+  const indexAt = (row, col) => {
+    if (row < minRow || row > maxRow || col < minCol || col > maxCol) return -1;
+    return grid[(row - minRow) * gridWidth + (col - minCol)];
+  };
+  const isOpen = (row, col) => indexAt(row, col) !== -1;
   
-  // Step 1: Create component nodes for each region
-  for (let regionRow = 0; regionRow < numRegions; regionRow++) {
-    for (let regionCol = 0; regionCol < numRegions; regionCol++) {
-      const startRow = regionRow * REGION_SIZE;
-      const startCol = regionCol * REGION_SIZE;
-      
-      // Find all components in this region
-      const componentCells = new Map(); // componentId -> cells[]
-      
-      for (let r = startRow; r < startRow + REGION_SIZE; r++) {
-        for (let c = startCol; c < startCol + REGION_SIZE; c++) {
-          if (maze[r][c] === CELL_STATES.WALKABLE) { // Walkable cell
-            const componentId = coloredMaze[r][c];
-            if (componentId !== -1) {
-              if (!componentCells.has(componentId)) {
-                componentCells.set(componentId, []);
-              }
-              componentCells.get(componentId).push({ row: r, col: c });
-            }
-          }
-        }
-      }
-      
-      // Create nodes for each component
-      for (const [componentId, cells] of componentCells) {
-        const nodeId = `${regionRow},${regionCol}_${componentId}`;
-        componentGraph[nodeId] = {
-          regionRow,
-          regionCol,
-          componentId,
-          cells,
-          neighbors: [],
-          transitions: [] // component-to-component transitions
-        };
+  const offsets = new Int32Array(cells.length + 1);
+  const targets = new Int32Array(cells.length * movement.moves.length);
+  const stepCost = new Float64Array(cells.length * movement.moves.length);
+  let moves = 0;
+  cells.forEach((cell, i) => {
+    offsets[i] = moves;
+    for (const { dRow, dCol, cost } of movement.moves) {
+      if (!movement.canStep(isOpen, cell.row, cell.col, dRow, dCol)) continue;
+      targets[moves] = indexAt(cell.row + dRow, cell.col + dCol);
+      stepCost[moves] = cost;
+      moves++;
+    }
+  });
+  offsets[cells.length] = moves;
+  
+  const enterCost = Float64Array.from(cells, cell => getTerrainCost(terrain, cell.row, cell.col));
+  return {
+    cells,
+    indexOf: (cell) => indexAt(cell.row, cell.col),
+    offsets,
+    targets,
+    stepCost,
+    enterCost,
+    // Every improvement pushes one heap entry, so moves + 1 entries always suffice
+    heapCost: new Float64Array(moves + 1),
+    heapCell: new Int32Array(moves + 1)
+  };
+};
+
+/**
+ * Cheapest path costs from one cell to the other cells of its component (Dijkstra)
+ * Each step costs its base cost (see buildComponentAdjacency) times the terrain cost
+ * of the cell it enters. With reverse the costs are of paths from each cell to the source instead.
+ * This runs for every entrance of every component while the graph is built, so it
+ * uses a typed-array heap with lazy deletion rather than IndexedMinHeap.
+ * @param {number} source - Index of the source cell in the adjacency
+ * @param {Object} adjacency - Result of buildComponentAdjacency
+ * @param {boolean} reverse - Measure paths towards the source
+ * @param {Set<number>} targetCells - Optional cell indices to stop after; all cells are settled when omitted
+ * @returns {Float64Array} Path cost per cell index (Infinity when unreachable or not settled)
+ */
+const findDistancesWithinComponent = (source, adjacency, reverse = false, targetCells = null) => {
+  const { cells, offsets, targets, stepCost, enterCost, heapCost, heapCell } = adjacency;
+  const distances = new Float64Array(cells.length).fill(Infinity);
+  
+  // Every improvement pushes a (cost, cell) pair; outdated pairs are skipped when popped
+  let heapSize = 0;
+  let poppedCost = 0;
+  const push = (cost, cell) => {
+    let index = heapSize++;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (heapCost[parent] <= cost) break;
+      heapCost[index] = heapCost[parent];
+      heapCell[index] = heapCell[parent];
+      index = parent;
+    }
+    heapCost[index] = cost;
+    heapCell[index] = cell;
+  };
+  const pop = () => {
+    const top = heapCell[0];
+    poppedCost = heapCost[0];
+    const cost = heapCost[--heapSize];
+    const cell = heapCell[heapSize];
+    let index = 0;
+    for (;;) {
+      let child = 2 * index + 1;
+      if (child >= heapSize) break;
+      if (child + 1 < heapSize && heapCost[child + 1] < heapCost[child]) child++;
+      if (heapCost[child] >= cost) break;
+      heapCost[index] = heapCost[child];
+      heapCell[index] = heapCell[child];
+      index = child;
+    }
+    heapCost[index] = cost;
+    heapCell[index] = cell;
+    return top;
+  };
+  
+  distances[source] = 0;
+  push(0, source);
+  let remaining = targetCells ? targetCells.size : Infinity;
+  
+  while (heapSize > 0 && remaining > 0) {
+    const current = pop();
+    if (poppedCost > distances[current]) continue;
+    if (targetCells && targetCells.has(current)) remaining--;
+    
+    for (let move = offsets[current]; move < offsets[current + 1]; move++) {
+      const next = targets[move];
+      const cost = distances[current] + stepCost[move] * enterCost[reverse ? current : next];
+      if (cost < distances[next]) {
+        distances[next] = cost;
+        push(cost, next);
       }
     }
   }
   
-  // Step 2: Find component-to-component connectivity across region boundaries
-  for (let regionRow = 0; regionRow < numRegions; regionRow++) {
-    for (let regionCol = 0; regionCol < numRegions; regionCol++) {
-      
-      // Check right border connections
-      if (regionCol < numRegions - 1) {
-        const rightRegionRow = regionRow;
-        const rightRegionCol = regionCol + 1;
-        
-        const borderCol = regionCol * REGION_SIZE + REGION_SIZE - 1;
-        
-        for (let r = regionRow * REGION_SIZE; r < (regionRow + 1) * REGION_SIZE; r++) {
-          if (maze[r][borderCol] === CELL_STATES.WALKABLE && maze[r][borderCol + 1] === CELL_STATES.WALKABLE) {
-            // Found walkable connection across border
-            const leftComponent = coloredMaze[r][borderCol];
-            const rightComponent = coloredMaze[r][borderCol + 1];
-            
-            if (leftComponent !== -1 && rightComponent !== -1) {
-              const leftNodeId = `${regionRow},${regionCol}_${leftComponent}`;
-              const rightNodeId = `${rightRegionRow},${rightRegionCol}_${rightComponent}`;
-              
-              if (componentGraph[leftNodeId] && componentGraph[rightNodeId]) {
-                // Add bidirectional connection
-                if (!componentGraph[leftNodeId].neighbors.includes(rightNodeId)) {
-                  componentGraph[leftNodeId].neighbors.push(rightNodeId);
-                  componentGraph[leftNodeId].transitions.push({
-                    to: rightNodeId,
-                    fromCell: { row: r, col: borderCol },
-                    toCell: { row: r, col: borderCol + 1 }
-                  });
-                }
-                
-                if (!componentGraph[rightNodeId].neighbors.includes(leftNodeId)) {
-                  componentGraph[rightNodeId].neighbors.push(leftNodeId);
-                  componentGraph[rightNodeId].transitions.push({
-                    to: leftNodeId,
-                    fromCell: { row: r, col: borderCol + 1 },
-                    toCell: { row: r, col: borderCol }
-                  });
-                }
-              }
-            }
+  return distances;
+};
+
+/**
+ * Border runs at least this long get a transition at each end instead of one
+ * in the middle (the HPA* entrance rule), so paths along long shared borders
+ * need not detour to a single crossing
+ */
+const ENTRANCE_SPLIT_LENGTH = 6;
+
+/**
+ * Connect two component nodes through one border crossing, in both directions
+ * Neighbors are listed once per pair; every crossing becomes its own transition.
+ */
+const addTransition = (componentGraph, fromNodeId, toNodeId, fromCell, toCell) => {
+  for (const [nodeId, otherNodeId, cell, otherCell] of [[fromNodeId, toNodeId, fromCell, toCell], [toNodeId, fromNodeId, toCell, fromCell]]) {
+    const node = componentGraph[nodeId];
+    if (!node.neighbors.includes(otherNodeId)) {
+      node.neighbors.push(otherNodeId);
+    }
+    node.transitions.push({ to: otherNodeId, fromCell: cell, toCell: otherCell });
+  }
+};
+
+/**
+ * Turn the crossings along one region border into transitions
+ * Consecutive crossings between the same pair of components form an entrance;
+ * short entrances get one transition in the middle, long ones one at each end.
+ * @param {Array} crossings - In border order, { fromNodeId, toNodeId, fromCell, toCell } or null where the border cannot be crossed
+ */
+const addBorderEntrances = (componentGraph, crossings) => {
+  let run = [];
+  const flush = () => {
+    if (run.length === 0) return;
+    const chosen = run.length < ENTRANCE_SPLIT_LENGTH ? [run[Math.floor((run.length - 1) / 2)]] : [run[0], run[run.length - 1]];
+    for (const { fromNodeId, toNodeId, fromCell, toCell } of chosen) {
+      addTransition(componentGraph, fromNodeId, toNodeId, fromCell, toCell);
+    }
+    run = [];
+  };
+  
+  for (const crossing of crossings) {
+    const previous = run[run.length - 1];
+    if (!crossing || (previous && (previous.fromNodeId !== crossing.fromNodeId || previous.toNodeId !== crossing.toNodeId))) {
+      flush();
+    }
+    if (crossing) run.push(crossing);
+  }
+  flush();
+};
+
+/**
+ * Component nodes of one region, holding the cells coloredMaze assigns to each component
+ * @returns {Object} nodeId -> node, as in buildComponentGraph before transitions are added
+ */
+const createRegionNodes = (maze, coloredMaze, REGION_SIZE, regionRow, regionCol) => {
+  const { width, height } = getMazeDimensions(maze);
+  const startRow = regionRow * REGION_SIZE;
+  const startCol = regionCol * REGION_SIZE;
+  const endRow = Math.min(startRow + REGION_SIZE, height);
+  const endCol = Math.min(startCol + REGION_SIZE, width);
+  
+  // Find all components in this region
+  const componentCells = new Map(); // componentId -> cells[]
+  
+  for (let r = startRow; r < endRow; r++) {
+    for (let c = startCol; c < endCol; c++) {
+      if (maze[r][c] === CELL_STATES.WALKABLE) { // Walkable cell
+        const componentId = coloredMaze[r][c];
+        if (componentId !== -1) {
+          if (!componentCells.has(componentId)) {
+            componentCells.set(componentId, []);
           }
+          componentCells.get(componentId).push({ row: r, col: c });
         }
       }
-      
-      // Check bottom border connections
-      if (regionRow < numRegions - 1) {
-        const bottomRegionRow = regionRow + 1;
-        const bottomRegionCol = regionCol;
-        
-        const borderRow = regionRow * REGION_SIZE + REGION_SIZE - 1;
-        
-        for (let c = regionCol * REGION_SIZE; c < (regionCol + 1) * REGION_SIZE; c++) {
-          if (maze[borderRow][c] === CELL_STATES.WALKABLE && maze[borderRow + 1][c] === CELL_STATES.WALKABLE) {
-            // Found walkable connection across border
-            const topComponent = coloredMaze[borderRow][c];
-            const bottomComponent = coloredMaze[borderRow + 1][c];
-            
-            if (topComponent !== -1 && bottomComponent !== -1) {
-              const topNodeId = `${regionRow},${regionCol}_${topComponent}`;
-              const bottomNodeId = `${bottomRegionRow},${bottomRegionCol}_${bottomComponent}`;
-              
-              if (componentGraph[topNodeId] && componentGraph[bottomNodeId]) {
-                // Add bidirectional connection
-                if (!componentGraph[topNodeId].neighbors.includes(bottomNodeId)) {
-                  componentGraph[topNodeId].neighbors.push(bottomNodeId);
-                  componentGraph[topNodeId].transitions.push({
-                    to: bottomNodeId,
-                    fromCell: { row: borderRow, col: c },
-                    toCell: { row: borderRow + 1, col: c }
-                  });
-                }
-                
-                if (!componentGraph[bottomNodeId].neighbors.includes(topNodeId)) {
-                  componentGraph[bottomNodeId].neighbors.push(topNodeId);
-                  componentGraph[bottomNodeId].transitions.push({
-                    to: topNodeId,
-                    fromCell: { row: borderRow + 1, col: c },
-                    toCell: { row: borderRow, col: c }
-                  });
-                }
-              }
-            }
-          }
-        }
+    }
+  }
+  
+  // Create nodes for each component
+  const nodes = {};
+  for (const [componentId, cells] of componentCells) {
+    const nodeId = `${regionRow},${regionCol}_${componentId}`;
+    nodes[nodeId] = {
+      regionRow,
+      regionCol,
+      componentId,
+      cells,
+      neighbors: [],
+      transitions: [] // component-to-component transitions
+    };
+  }
+  return nodes;
+};
+
+/**
+ * A step from one cell into a cell of another region, when both are component cells
+ * @returns {Object|null} { fromNodeId, toNodeId, fromCell, toCell }
+ */
+const getCrossing = (componentGraph, maze, coloredMaze, REGION_SIZE, fromRow, fromCol, toRow, toCol) => {
+  if (maze[fromRow][fromCol] !== CELL_STATES.WALKABLE || maze[toRow][toCol] !== CELL_STATES.WALKABLE) return null;
+  const fromComponent = coloredMaze[fromRow][fromCol];
+  const toComponent = coloredMaze[toRow][toCol];
+  if (fromComponent === -1 || toComponent === -1) return null;
+  
+  const fromNodeId = `${Math.floor(fromRow / REGION_SIZE)},${Math.floor(fromCol / REGION_SIZE)}_${fromComponent}`;
+  const toNodeId = `${Math.floor(toRow / REGION_SIZE)},${Math.floor(toCol / REGION_SIZE)}_${toComponent}`;
+  if (!componentGraph[fromNodeId] || !componentGraph[toNodeId]) return null;
+  return {
+    fromNodeId,
+    toNodeId,
+    fromCell: { row: fromRow, col: fromCol },
+    toCell: { row: toRow, col: toCol }
+  };
+};
+
+/**
+ * Add the transitions across one side of a region
+ * side is 'right' or 'bottom' for the border with the next region, or 'bottom-right'
+ * or 'bottom-left' for the diagonal step across that corner of the region. Sides at
+ * the maze edge have no transitions. Only steps the movement model allows are
+ * crossings; where it lets diagonal steps cut corners, a border cell without a
+ * straight crossing may still cross diagonally to the cell beside it.
+ * @returns {number} Number of diagonal transitions added
+ */
+const addRegionBorderTransitions = (componentGraph, maze, coloredMaze, REGION_SIZE, regionRow, regionCol, side, movement = DEFAULT_MOVEMENT) => {
+  const { width, height } = getMazeDimensions(maze);
+  const numRegionRows = Math.ceil(height / REGION_SIZE);
+  const numRegionCols = Math.ceil(width / REGION_SIZE);
+  if (regionRow >= numRegionRows || regionCol >= numRegionCols) return 0;
+  const isOpen = createMazeWalkableTest(maze);
+  const crossingAt = (fromRow, fromCol, dRow, dCol) => (movement.canStep(isOpen, fromRow, fromCol, dRow, dCol)
+    ? getCrossing(componentGraph, maze, coloredMaze, REGION_SIZE, fromRow, fromCol, fromRow + dRow, fromCol + dCol)
+    : null);
+  
+  // Crossings from one border cell, null when there are none; diagonal ones (needed only
+  // when there is no straight one) end beside the border cell, not in a corner region
+  const crossBorder = (crossings, fromRow, fromCol, dRow, dCol, first, last) => {
+    const crossing = crossingAt(fromRow, fromCol, dRow, dCol);
+    const found = crossing ? [crossing] : [];
+    if (!crossing && movement.cutsCorners) {
+      const [alongRow, alongCol] = dRow === 0 ? [1, 0] : [0, 1];
+      for (const sign of [-1, 1]) {
+        const along = (dRow === 0 ? fromRow : fromCol) + sign;
+        const diagonal = along >= first && along <= last ? crossingAt(fromRow, fromCol, dRow + sign * alongRow, dCol + sign * alongCol) : null;
+        if (diagonal) found.push(diagonal);
       }
     }
+    crossings.push(...(found.length > 0 ? found : [null]));
+  };
+  
+  // Check right border connections
+  if (side === 'right') {
+    if (regionCol >= numRegionCols - 1) return 0;
+    const borderCol = regionCol * REGION_SIZE + REGION_SIZE - 1;
+    const firstRow = regionRow * REGION_SIZE;
+    const lastRow = Math.min((regionRow + 1) * REGION_SIZE, height) - 1;
+    const crossings = [];
+    for (let r = firstRow; r <= lastRow; r++) {
+      crossBorder(crossings, r, borderCol, 0, 1, firstRow, lastRow);
+    }
+    addBorderEntrances(componentGraph, crossings);
+    return 0;
+  }
+  
+  // Check bottom border connections
+  if (side === 'bottom') {
+    if (regionRow >= numRegionRows - 1) return 0;
+    const borderRow = regionRow * REGION_SIZE + REGION_SIZE - 1;
+    const firstCol = regionCol * REGION_SIZE;
+    const lastCol = Math.min((regionCol + 1) * REGION_SIZE, width) - 1;
+    const crossings = [];
+    for (let c = firstCol; c <= lastCol; c++) {
+      crossBorder(crossings, borderRow, c, 1, 0, firstCol, lastCol);
+    }
+    addBorderEntrances(componentGraph, crossings);
+    return 0;
+  }
+  
+  // Check diagonal connections across the bottom-right or bottom-left corner
+  const toRight = side === 'bottom-right';
+  if (regionRow >= numRegionRows - 1 || (toRight ? regionCol >= numRegionCols - 1 : regionCol === 0)) return 0;
+  const cornerRow = regionRow * REGION_SIZE + REGION_SIZE - 1;
+  const cornerCol = toRight ? regionCol * REGION_SIZE + REGION_SIZE - 1 : regionCol * REGION_SIZE;
+  
+  const crossing = crossingAt(cornerRow, cornerCol, 1, toRight ? 1 : -1);
+  if (!crossing) return 0;
+  
+  // Add bidirectional diagonal connection
+  addTransition(componentGraph, crossing.fromNodeId, crossing.toNodeId, crossing.fromCell, crossing.toCell);
+  return 1;
+};
+
+/**
+ * Number a node's entrances and price its border steps
+ * Sets node.entrances and the cost and entrance of each transition (see buildComponentGraph).
+ */
+const indexNodeEntrances = (node, terrain = null, movement = DEFAULT_MOVEMENT) => {
+  const indices = new Map(); // cell key -> entrance index
+  node.entrances = [];
+  for (const transition of node.transitions) {
+    transition.cost = getMovementCost(transition.fromCell, transition.toCell, terrain, movement);
+    const key = getKey(transition.fromCell);
+    if (!indices.has(key)) {
+      indices.set(key, node.entrances.length);
+      node.entrances.push(transition.fromCell);
+    }
+    transition.entrance = indices.get(key);
+  }
+};
+
+/**
+ * Lookup of entrance indices by node and cell (-1 when the cell is no entrance)
+ * Each node's entrances are read once, so they must be numbered before the first lookup.
+ */
+const createEntranceLookup = (componentGraph) => {
+  const entranceIndices = new Map(); // nodeId -> Map(cell key -> entrance index)
+  return (nodeId, cell) => {
+    if (!entranceIndices.has(nodeId)) {
+      entranceIndices.set(nodeId, new Map(componentGraph[nodeId].entrances.map((entrance, index) => [getKey(entrance), index])));
+    }
+    return entranceIndices.get(nodeId).get(getKey(cell)) ?? -1;
+  };
+};
+
+/**
+ * Point each of a node's transitions at the entrance of the component it leads into
+ */
+const linkNodeEntrances = (node, entranceOf) => {
+  for (const transition of node.transitions) {
+    transition.toEntrance = entranceOf(transition.to, transition.toCell);
+  }
+};
+
+/**
+ * Cheapest in-component path costs between a node's entrances (entranceDistances)
+ */
+const measureEntranceDistances = (node, terrain = null, movement = DEFAULT_MOVEMENT) => {
+  if (node.entrances.length <= 1) {
+    node.entranceDistances = node.entrances.map(() => [0]);
+    return;
+  }
+  const adjacency = buildComponentAdjacency(node.cells, terrain, movement);
+  const entranceCells = node.entrances.map(cell => adjacency.indexOf(cell));
+  const targetCells = new Set(entranceCells);
+  node.entranceDistances = entranceCells.map(source => {
+    const distances = findDistancesWithinComponent(source, adjacency, false, targetCells);
+    return entranceCells.map(cell => (distances[cell] < Infinity ? distances[cell] : null));
+  });
+};
+
+/**
+ * Build component-based abstract graph from maze
+ * Returns graph where nodes are "regionRow,regionCol_componentId"
+ * Width and height are read from the maze; partial regions along the
+ * right and bottom edges become regular (smaller) regions.
+ * A pair of components can share several transitions (see addBorderEntrances).
+ * For the entrance-to-entrance abstract search every node lists its entrance
+ * cells (entrances, the fromCells of its transitions) and the cheapest
+ * in-component path costs between them (entranceDistances[from][to], null when
+ * unreachable); every transition records the cost of its border step (cost),
+ * its fromCell's entrance index (entrance) and its toCell's entrance index in
+ * the next component (toEntrance). All costs include terrain.
+ * The movement model must be the one coloredMaze was analyzed with; transitions
+ * and costs follow its steps.
+ */
+const buildComponentGraph = (maze, coloredMaze, REGION_SIZE, terrain = null, movement = DEFAULT_MOVEMENT) => {
+  const { width, height } = getMazeDimensions(maze);
+  const numRegionRows = Math.ceil(height / REGION_SIZE);
+  const numRegionCols = Math.ceil(width / REGION_SIZE);
+  const componentGraph = {};
+  
+  // Step 1: Create component nodes for each region
+  for (let regionRow = 0; regionRow < numRegionRows; regionRow++) {
+    for (let regionCol = 0; regionCol < numRegionCols; regionCol++) {
+      Object.assign(componentGraph, createRegionNodes(maze, coloredMaze, REGION_SIZE, regionRow, regionCol));
+    }
+  }
+  
+  // Step 2: Find component-to-component connectivity across region boundaries
+  for (let regionRow = 0; regionRow < numRegionRows; regionRow++) {
+    for (let regionCol = 0; regionCol < numRegionCols; regionCol++) {
+      addRegionBorderTransitions(componentGraph, maze, coloredMaze, REGION_SIZE, regionRow, regionCol, 'right', movement);
+      addRegionBorderTransitions(componentGraph, maze, coloredMaze, REGION_SIZE, regionRow, regionCol, 'bottom', movement);
+    }
   }
   
   // Step 3: Find diagonal component-to-component connectivity across region corners
   let diagonalConnectionsAdded = 0;
-  for (let regionRow = 0; regionRow < numRegions - 1; regionRow++) {
-    for (let regionCol = 0; regionCol < numRegions - 1; regionCol++) {
-      
-      // Check bottom-right diagonal connections
-      const cornerRow = regionRow * REGION_SIZE + REGION_SIZE - 1;
-      const cornerCol = regionCol * REGION_SIZE + REGION_SIZE - 1;
-      
-      // Check if diagonal movement is valid across the corner
-      if (maze[cornerRow][cornerCol] === CELL_STATES.WALKABLE && 
-          maze[cornerRow + 1][cornerCol + 1] === CELL_STATES.WALKABLE) {
-        
-        // Check that we're not cutting through walls (corner-cutting prevention)
-        const verticalCell = maze[cornerRow + 1][cornerCol];
-        const horizontalCell = maze[cornerRow][cornerCol + 1];
-        
-        if (verticalCell === CELL_STATES.WALKABLE && horizontalCell === CELL_STATES.WALKABLE) {
-          // Found valid diagonal connection
-          const currentComponent = coloredMaze[cornerRow][cornerCol];
-          const diagonalComponent = coloredMaze[cornerRow + 1][cornerCol + 1];
-          
-          if (currentComponent !== -1 && diagonalComponent !== -1) {
-            const currentNodeId = `${regionRow},${regionCol}_${currentComponent}`;
-            const diagonalNodeId = `${regionRow + 1},${regionCol + 1}_${diagonalComponent}`;
-            
-            if (componentGraph[currentNodeId] && componentGraph[diagonalNodeId]) {
-              // Add bidirectional diagonal connection
-              if (!componentGraph[currentNodeId].neighbors.includes(diagonalNodeId)) {
-                componentGraph[currentNodeId].neighbors.push(diagonalNodeId);
-                componentGraph[currentNodeId].transitions.push({
-                  to: diagonalNodeId,
-                  fromCell: { row: cornerRow, col: cornerCol },
-                  toCell: { row: cornerRow + 1, col: cornerCol + 1 }
-                });
-                diagonalConnectionsAdded++;
-              }
-              
-              if (!componentGraph[diagonalNodeId].neighbors.includes(currentNodeId)) {
-                componentGraph[diagonalNodeId].neighbors.push(currentNodeId);
-                componentGraph[diagonalNodeId].transitions.push({
-                  to: currentNodeId,
-                  fromCell: { row: cornerRow + 1, col: cornerCol + 1 },
-                  toCell: { row: cornerRow, col: cornerCol }
-                });
-                diagonalConnectionsAdded++;
-              }
-            }
-          }
-        }
-      }
-      
-      // Check bottom-left diagonal connections  
-      if (regionCol > 0) {
-        const cornerRow = regionRow * REGION_SIZE + REGION_SIZE - 1;
-        const cornerCol = regionCol * REGION_SIZE; // Left edge of current region
-        
-        // Check if diagonal movement is valid across the corner
-        if (maze[cornerRow][cornerCol] === CELL_STATES.WALKABLE && 
-            maze[cornerRow + 1][cornerCol - 1] === CELL_STATES.WALKABLE) {
-          
-          // Check that we're not cutting through walls (corner-cutting prevention)
-          const verticalCell = maze[cornerRow + 1][cornerCol];
-          const horizontalCell = maze[cornerRow][cornerCol - 1];
-          
-          if (verticalCell === CELL_STATES.WALKABLE && horizontalCell === CELL_STATES.WALKABLE) {
-            // Found valid diagonal connection
-            const currentComponent = coloredMaze[cornerRow][cornerCol];
-            const diagonalComponent = coloredMaze[cornerRow + 1][cornerCol - 1];
-            
-            if (currentComponent !== -1 && diagonalComponent !== -1) {
-              const currentNodeId = `${regionRow},${regionCol}_${currentComponent}`;
-              const diagonalNodeId = `${regionRow + 1},${regionCol - 1}_${diagonalComponent}`;
-              
-              if (componentGraph[currentNodeId] && componentGraph[diagonalNodeId]) {
-                // Add bidirectional diagonal connection
-                if (!componentGraph[currentNodeId].neighbors.includes(diagonalNodeId)) {
-                  componentGraph[currentNodeId].neighbors.push(diagonalNodeId);
-                  componentGraph[currentNodeId].transitions.push({
-                    to: diagonalNodeId,
-                    fromCell: { row: cornerRow, col: cornerCol },
-                    toCell: { row: cornerRow + 1, col: cornerCol - 1 }
-                  });
-                  diagonalConnectionsAdded++;
-                }
-                
-                if (!componentGraph[diagonalNodeId].neighbors.includes(currentNodeId)) {
-                  componentGraph[diagonalNodeId].neighbors.push(currentNodeId);
-                  componentGraph[diagonalNodeId].transitions.push({
-                    to: currentNodeId,
-                    fromCell: { row: cornerRow + 1, col: cornerCol - 1 },
-                    toCell: { row: cornerRow, col: cornerCol }
-                  });
-                  diagonalConnectionsAdded++;
-                }
-              }
-            }
-          }
-        }
-      }
+  for (let regionRow = 0; regionRow < numRegionRows; regionRow++) {
+    for (let regionCol = 0; regionCol < numRegionCols; regionCol++) {
+      diagonalConnectionsAdded += addRegionBorderTransitions(componentGraph, maze, coloredMaze, REGION_SIZE, regionRow, regionCol, 'bottom-right', movement);
+      diagonalConnectionsAdded += addRegionBorderTransitions(componentGraph, maze, coloredMaze, REGION_SIZE, regionRow, regionCol, 'bottom-left', movement);
     }
   }
   
   console.log(`DEBUG: buildComponentGraph added ${diagonalConnectionsAdded} diagonal connections`);
   
+  // Step 4: Border step costs and in-component distances between entrance cells
+  for (const node of Object.values(componentGraph)) {
+    indexNodeEntrances(node, terrain, movement);
+  }
+  const entranceOf = createEntranceLookup(componentGraph);
+  for (const node of Object.values(componentGraph)) {
+    linkNodeEntrances(node, entranceOf);
+    measureEntranceDistances(node, terrain, movement);
+  }
+  
   return componentGraph;
 };
 
+/**
+ * Signature of a node's transitions, for telling whether a repair changed them
+ */
+const getTransitionSignature = (node) => node.transitions
+  .map(({ to, fromCell, toCell, entrance, toEntrance }) => `${to}|${getKey(fromCell)}|${getKey(toCell)}|${entrance}|${toEntrance}`)
+  .sort()
+  .join(';');
+
+/**
+ * Update a component graph after cells of the maze changed, rebuilding only what they affect
+ * The nodes of the given regions are rebuilt from coloredMaze (already recolored for
+ * those regions), together with the transitions across their borders and corners.
+ * Nodes of the surrounding regions get their transitions into the rebuilt regions
+ * replaced, as well as their diagonal transitions across a corner of a rebuilt region
+ * (corner cutting depends on the cells beside the corner), and nodes linked to a component whose entrances changed get their
+ * entrance indices updated. The input graph is left untouched; nodes that come out
+ * unchanged are shared between the two graphs.
+ * @param {Array} maze - The maze after the change
+ * @param {Array} coloredMaze - Component colors after the change
+ * @param {Object} componentGraph - Graph built for the maze before the change
+ * @param {number} REGION_SIZE - Region size the graph was built with
+ * @param {Array} regions - Regions {regionRow, regionCol} containing changed cells
+ * @param {Array|null} terrain - Optional terrain grid
+ * @param {Object} movement - Movement model the graph was built with
+ * @returns {Object} { componentGraph, diff: { added, removed, changed } } - the diff lists node IDs
+ */
+const repairComponentGraph = (maze, coloredMaze, componentGraph, REGION_SIZE, regions, terrain = null, movement = DEFAULT_MOVEMENT) => {
+  const regionKeys = new Set(regions.map(({ regionRow, regionCol }) => `${regionRow},${regionCol}`));
+  const surroundingKeys = new Set();
+  for (const { regionRow, regionCol } of regions) {
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const key = `${regionRow + dr},${regionCol + dc}`;
+        if (!regionKeys.has(key)) surroundingKeys.add(key);
+      }
+    }
+  }
+  
+  // Corners are numbered by the region below and to the right of them
+  const cornerKeys = new Set();
+  for (const { regionRow, regionCol } of regions) {
+    for (let dr = 0; dr <= 1; dr++) {
+      for (let dc = 0; dc <= 1; dc++) {
+        cornerKeys.add(`${regionRow + dr},${regionCol + dc}`);
+      }
+    }
+  }
+  
+  const isRebuilt = (nodeId) => regionKeys.has(nodeId.slice(0, nodeId.indexOf('_')));
+  const crossesChangedCorner = (node, transition) => {
+    const other = componentGraph[transition.to];
+    return other.regionRow !== node.regionRow && other.regionCol !== node.regionCol &&
+      cornerKeys.has(`${Math.max(node.regionRow, other.regionRow)},${Math.max(node.regionCol, other.regionCol)}`);
+  };
+  const oldIds = [];
+  const surroundingIds = [];
+  for (const nodeId of Object.keys(componentGraph)) {
+    const regionKey = nodeId.slice(0, nodeId.indexOf('_'));
+    if (regionKeys.has(regionKey)) oldIds.push(nodeId);
+    else if (surroundingKeys.has(regionKey)) surroundingIds.push(nodeId);
+  }
+  
+  const graph = { ...componentGraph };
+  const copyNode = (node) => ({ ...node, neighbors: [...node.neighbors], transitions: node.transitions.map(transition => ({ ...transition })) });
+  
+  // Step 1: Replace the nodes of the changed regions
+  for (const nodeId of oldIds) {
+    delete graph[nodeId];
+  }
+  const newIds = [];
+  for (const { regionRow, regionCol } of regions) {
+    const nodes = createRegionNodes(maze, coloredMaze, REGION_SIZE, regionRow, regionCol);
+    Object.assign(graph, nodes);
+    newIds.push(...Object.keys(nodes));
+  }
+  
+  // Step 2: Copy the surrounding nodes without the transitions that are rebuilt
+  for (const nodeId of surroundingIds) {
+    const node = copyNode(componentGraph[nodeId]);
+    node.transitions = node.transitions.filter(transition => !isRebuilt(transition.to) && !crossesChangedCorner(node, transition));
+    node.neighbors = node.neighbors.filter(neighbor => node.transitions.some(transition => transition.to === neighbor));
+    graph[nodeId] = node;
+  }
+  
+  // Step 3: Transitions across every border of the changed regions and both diagonals at each of their corners
+  const sides = new Set();
+  for (const { regionRow, regionCol } of regions) {
+    for (const [row, col, side] of [
+      [regionRow, regionCol, 'right'], [regionRow, regionCol - 1, 'right'],
+      [regionRow, regionCol, 'bottom'], [regionRow - 1, regionCol, 'bottom'],
+      [regionRow - 1, regionCol - 1, 'bottom-right'], [regionRow - 1, regionCol, 'bottom-left'],
+      [regionRow - 1, regionCol, 'bottom-right'], [regionRow - 1, regionCol + 1, 'bottom-left'],
+      [regionRow, regionCol - 1, 'bottom-right'], [regionRow, regionCol, 'bottom-left'],
+      [regionRow, regionCol, 'bottom-right'], [regionRow, regionCol + 1, 'bottom-left']
+    ]) {
+      const key = `${row},${col},${side}`;
+      if (row < 0 || col < 0 || sides.has(key)) continue;
+      sides.add(key);
+      addRegionBorderTransitions(graph, maze, coloredMaze, REGION_SIZE, row, col, side, movement);
+    }
+  }
+  
+  // Step 4: Entrances of the rebuilt and surrounding nodes; components linked to a node
+  // whose entrances were renumbered need their toEntrance indices refreshed as well
+  const sameEntrances = (nodeId) => componentGraph[nodeId] &&
+    graph[nodeId].entrances.map(getKey).join(';') === componentGraph[nodeId].entrances.map(getKey).join(';');
+  const relinkIds = new Set([...newIds, ...surroundingIds]);
+  for (const nodeId of relinkIds) {
+    indexNodeEntrances(graph[nodeId], terrain, movement);
+  }
+  for (const nodeId of [...relinkIds]) {
+    if (sameEntrances(nodeId)) continue;
+    for (const neighbor of graph[nodeId].neighbors) {
+      if (relinkIds.has(neighbor)) continue;
+      graph[neighbor] = copyNode(graph[neighbor]);
+      relinkIds.add(neighbor);
+    }
+  }
+  const entranceOf = createEntranceLookup(graph);
+  for (const nodeId of relinkIds) {
+    linkNodeEntrances(graph[nodeId], entranceOf);
+  }
+  
+  // Step 5: Keep the original of every node that came out the same, measure the rest
+  const changed = [];
+  for (const nodeId of relinkIds) {
+    const original = componentGraph[nodeId];
+    const node = graph[nodeId];
+    if (original) {
+      const sameCells = node.cells.length === original.cells.length &&
+        node.cells.every((cell, i) => cell.row === original.cells[i].row && cell.col === original.cells[i].col);
+      if (sameCells && getTransitionSignature(node) === getTransitionSignature(original)) {
+        graph[nodeId] = original;
+        continue;
+      }
+      changed.push(nodeId);
+    }
+    if (!original || !sameEntrances(nodeId) || isRebuilt(nodeId)) {
+      measureEntranceDistances(node, terrain, movement);
+    }
+  }
+  
+  const oldIdSet = new Set(oldIds);
+  return {
+    componentGraph: graph,
+    diff: {
+      added: newIds.filter(nodeId => !oldIdSet.has(nodeId)),
+      removed: oldIds.filter(nodeId => !graph[nodeId]),
+      changed
+    }
+  };
+};
+
 /**
  * Find component ID for a given cell position
  */
@@ -281,21 +639,20 @@ const getRegionFromComponentNode = (componentNodeId) => {
 /**
  * Component-based heuristic: distance between regions containing the components
  */
-const componentHeuristic = (fromNodeId, toNodeId, heuristicType = 'manhattan') => {
-  const fromRegion = getRegionFromComponentNode(fromNodeId);
-  const toRegion = getRegionFromComponentNode(toNodeId);
-  
-  // Select heuristic function based on type
-  const heuristic = heuristicType === 'chebyshev' ? heuristicStringChebyshev : heuristicString;
+const componentHeuristic = (fromNodeId, toNodeId, heuristicType = 'octile', movement = DEFAULT_MOVEMENT) => {
+  const [fromRow, fromCol] = getRegionFromComponentNode(fromNodeId).split(',').map(Number);
+  const [toRow, toCol] = getRegionFromComponentNode(toNodeId).split(',').map(Number);
   
-  return heuristic(fromRegion, toRegion);
+  return getHeuristic(heuristicType).estimate({ row: fromRow, col: fromCol }, { row: toRow, col: toCol }, movement);
 };
 
 /**
  * Standard A* pathfinding on component graph with proper heuristic
- * Returns array of component node IDs
+ * Returns array of component node IDs. With allowedNodes only those nodes are entered.
+ * onStep, when given, gets an 'abstract_node_expanded' event { nodeId, opened } per expansion.
+ * OpenSet is the open set class (push, pop, has, size), IndexedMinHeap unless a benchmark swaps it.
  */
-const findAbstractComponentPath = (startNodeId, endNodeId, componentGraph, heuristicType = 'manhattan') => {
+const findAbstractComponentPath = (startNodeId, endNodeId, componentGraph, heuristicType = 'octile', allowedNodes = null, movement = DEFAULT_MOVEMENT, onStep = null, OpenSet = IndexedMinHeap) => {
   let debugInfo = '';
   debugInfo += `\n=== HAA* ABSTRACT PATHFINDING DEBUG ===\n`;
   debugInfo += `Start: ${startNodeId} -> End: ${endNodeId}\n`;
@@ -323,22 +680,21 @@ const findAbstractComponentPath = (startNodeId, endNodeId, componentGraph, heuri
     return { path: [startNodeId], debugInfo: debugInfo };
   }
   
-  const openSet = [startNodeId];
+  const openSet = new OpenSet();
   const closedSet = new Set();
   const cameFrom = {};
   const gScore = { [startNodeId]: 0 };
-  const fScore = { [startNodeId]: componentHeuristic(startNodeId, endNodeId, heuristicType) };
+  const fScore = { [startNodeId]: componentHeuristic(startNodeId, endNodeId, heuristicType, movement) };
+  openSet.push(startNodeId, fScore[startNodeId]);
   
   debugInfo += `\n--- A* Search Steps ---\n`;
   let iteration = 0;
   
-  while (openSet.length > 0) {
+  while (openSet.size > 0) {
     iteration++;
-    let current = openSet.reduce((min, node) => 
-      fScore[node] < fScore[min] ? node : min
-    );
+    let current = openSet.pop();
     
-    debugInfo += `Step ${iteration}: Current=${current}, OpenSet=[${openSet.join(', ')}]\n`;
+    debugInfo += `Step ${iteration}: Current=${current}, f=${fScore[current]}\n`;
     
     if (current === endNodeId) {
       const path = [];
@@ -352,57 +708,160 @@ const findAbstractComponentPath = (startNodeId, endNodeId, componentGraph, heuri
       return { path: path, debugInfo: debugInfo };
     }
     
-    openSet.splice(openSet.indexOf(current), 1);
     closedSet.add(current);
+    const opened = [];
     
     debugInfo += `  Processing neighbors of ${current}: [${componentGraph[current].neighbors.join(', ')}]\n`;
     
     for (const neighbor of componentGraph[current].neighbors) {
+      if (allowedNodes && !allowedNodes.has(neighbor)) continue;
       if (closedSet.has(neighbor)) {
         debugInfo += `    ${neighbor}: SKIPPED (in closed set)\n`;
         continue;
       }
       
-      const tentativeGScore = gScore[current] + 1;
+      // Cheapest of the transitions between the pair (graphs built elsewhere may have no costs)
+      const stepCost = Math.min(...componentGraph[current].transitions.filter(t => t.to === neighbor).map(t => t.cost ?? 1));
+      const tentativeGScore = gScore[current] + (Number.isFinite(stepCost) ? stepCost : 1);
       
       if (gScore[neighbor] === undefined || tentativeGScore < gScore[neighbor]) {
         cameFrom[neighbor] = current;
         gScore[neighbor] = tentativeGScore;
-        fScore[neighbor] = gScore[neighbor] + componentHeuristic(neighbor, endNodeId, heuristicType);
+        fScore[neighbor] = gScore[neighbor] + componentHeuristic(neighbor, endNodeId, heuristicType, movement);
         
-        if (!openSet.includes(neighbor)) {
-          openSet.push(neighbor);
-          debugInfo += `    ${neighbor}: ADDED to openSet (g=${gScore[neighbor]}, f=${fScore[neighbor]})\n`;
-        } else {
-          debugInfo += `    ${neighbor}: UPDATED (g=${gScore[neighbor]}, f=${fScore[neighbor]})\n`;
-        }
+        const wasOpen = openSet.has(neighbor);
+        openSet.push(neighbor, fScore[neighbor]);
+        opened.push(neighbor);
+        debugInfo += wasOpen
+          ? `    ${neighbor}: UPDATED (g=${gScore[neighbor]}, f=${fScore[neighbor]})\n`
+          : `    ${neighbor}: ADDED to openSet (g=${gScore[neighbor]}, f=${fScore[neighbor]})\n`;
       } else {
         debugInfo += `    ${neighbor}: SKIPPED (worse path)\n`;
       }
     }
     
-
+    if (onStep) onStep({ type: 'abstract_node_expanded', nodeId: current, opened });
   }
   
   debugInfo += `FAILURE: No path found after ${iteration} iterations\n`;
-  debugInfo += `Final openSet: [${openSet.join(', ')}]\n`;
   debugInfo += `Final closedSet: [${Array.from(closedSet).join(', ')}]\n`;
   // console.log(debugInfo);
   return { path: null, debugInfo: debugInfo };
 };
 
+/**
+ * A* over entrance cells on a component graph with entranceDistances
+ * Search states are the start cell and the cells where a path enters a component;
+ * a state's successors are the entrances of its component, reached through the
+ * component (entranceDistances) and across the border (transition.cost), plus the
+ * end cell when the state lies in the end component. Costs are therefore path
+ * costs in cells, and the heuristic is the cell distance to the end.
+ * Returns the component node IDs along the path and the transitions taken.
+ * With allowedNodes only transitions into those nodes are followed.
+ * onStep, when given, gets an 'abstract_node_expanded' event { nodeId, cell, opened } per
+ * expanded entrance, opened listing the nodes of the entrances it pushed.
+ * OpenSet is the open set class, as for findAbstractComponentPath.
+ */
+const findAbstractEntrancePath = (start, end, startNodeId, endNodeId, componentGraph, heuristicType = 'octile', terrain = null, allowedNodes = null, movement = DEFAULT_MOVEMENT, onStep = null, OpenSet = IndexedMinHeap) => {
+  let debugInfo = `\n=== HAA* ENTRANCE PATHFINDING DEBUG ===\n`;
+  debugInfo += `Start: (${start.row},${start.col}) in ${startNodeId} -> End: (${end.row},${end.col}) in ${endNodeId}\n`;
+  
+  const { estimate } = getHeuristic(heuristicType);
+  const heuristic = (a, b) => estimate(a, b, movement);
+  const startKey = getKey(start);
+  const goalKey = 'goal';
+  
+  // Paths inside the start and end components that the precomputed table does not cover
+  const startAdjacency = buildComponentAdjacency(componentGraph[startNodeId].cells, terrain, movement);
+  const startDistances = findDistancesWithinComponent(startAdjacency.indexOf(start), startAdjacency);
+  const fromStart = componentGraph[startNodeId].entrances.map(cell => {
+    const distance = startDistances[startAdjacency.indexOf(cell)];
+    return distance < Infinity ? distance : null;
+  });
+  const endAdjacency = buildComponentAdjacency(componentGraph[endNodeId].cells, terrain, movement);
+  const toEnd = findDistancesWithinComponent(endAdjacency.indexOf(end), endAdjacency, true);
+  
+  const states = new Map([[startKey, { nodeId: startNodeId, cell: start, entrance: -1, transition: null }]]);
+  const cameFrom = new Map();
+  const gScore = new Map([[startKey, 0]]);
+  const openSet = new OpenSet();
+  openSet.push(startKey, heuristic(start, end));
+  let expanded = 0;
+  
+  const relax = (fromKey, key, cost, state) => {
+    if (gScore.has(key) && cost >= gScore.get(key)) return false;
+    gScore.set(key, cost);
+    cameFrom.set(key, fromKey);
+    if (state) states.set(key, state);
+    openSet.push(key, cost + (state ? heuristic(state.cell, end) : 0));
+    return true;
+  };
+  
+  while (openSet.size > 0) {
+    const key = openSet.pop();
+    
+    if (key === goalKey) {
+      const transitions = [];
+      for (let stateKey = cameFrom.get(goalKey); stateKey !== startKey; stateKey = cameFrom.get(stateKey)) {
+        transitions.unshift(states.get(stateKey).transition);
+      }
+      const path = [startNodeId, ...transitions.map(transition => transition.to)];
+      debugInfo += `SUCCESS: cost ${gScore.get(goalKey).toFixed(2)} through ${path.length} components, ${expanded} entrances expanded\n`;
+      return { path, transitions, cost: gScore.get(goalKey), debugInfo };
+    }
+    
+    expanded++;
+    const { nodeId, cell, entrance } = states.get(key);
+    const node = componentGraph[nodeId];
+    if (expanded <= 50) { // Keep the log readable on large graphs
+      debugInfo += `Expanded (${cell.row},${cell.col}) in ${nodeId}, g=${gScore.get(key).toFixed(2)}\n`;
+    }
+    const distances = key === startKey ? fromStart : node.entranceDistances[entrance];
+    
+    const distanceToEnd = nodeId === endNodeId ? toEnd[endAdjacency.indexOf(cell)] : Infinity;
+    if (distanceToEnd < Infinity) {
+      relax(key, goalKey, gScore.get(key) + distanceToEnd, null);
+    }
+    
+    const opened = [];
+    for (const transition of node.transitions) {
+      const distance = distances[transition.entrance];
+      if (distance === null || transition.toEntrance === -1) continue;
+      if (allowedNodes && !allowedNodes.has(transition.to)) continue;
+      const pushed = relax(key, getKey(transition.toCell), gScore.get(key) + distance + transition.cost, {
+        nodeId: transition.to,
+        cell: transition.toCell,
+        entrance: transition.toEntrance,
+        transition
+      });
+      if (pushed && !opened.includes(transition.to)) opened.push(transition.to);
+    }
+    if (onStep) onStep({ type: 'abstract_node_expanded', nodeId, cell, opened });
+  }
+  
+  debugInfo += `FAILURE: No path found after expanding ${expanded} entrances\n`;
+  return { path: null, transitions: null, cost: null, debugInfo };
+};
+
 /**
  * Standard A* pathfinding within a specific component
- * Only explores cells that belong to the given component
+ * Only explores cells that belong to the given component, moving as the movement
+ * model allows; with a terrain grid each step is scaled by the terrain cost of the
+ * cell it enters. With refinement 'jps' the search is Jump Point Search instead,
+ * as long as the component's cells all cost the same and the model is the
+ * corner-cutting 8-connected one JPS prunes for. The A* refinement reports its
+ * steps to onStep like findAStarPath ('node_expanded', 'open_set_updated') and,
+ * like it, takes the open set class as OpenSet.
  */
-const findPathWithinComponent = (start, end, maze, SIZE, componentCells, heuristicType = 'manhattan') => {
+const findPathWithinComponent = (start, end, maze, componentCells, heuristicType = 'octile', terrain = null, refinement = 'a-star', movement = DEFAULT_MOVEMENT, onStep = null, OpenSet = IndexedMinHeap) => {
   let debugInfo = '';
   debugInfo += `\n--- WITHIN COMPONENT PATHFINDING DEBUG ---\n`;
   debugInfo += `Start: (${start.row}, ${start.col}), End: (${end.row}, ${end.col})\n`;
   debugInfo += `Component has ${componentCells.length} cells\n`;
   
   // Select heuristic function based on type
-  const heuristic = heuristicType === 'chebyshev' ? heuristicObjectChebyshev : heuristicObject;
+  const { estimate } = getHeuristic(heuristicType);
+  const heuristic = (a, b) => estimate(a, b, movement);
   
   // Create set of valid cells for O(1) lookup
   const validCells = new Set();
@@ -410,6 +869,8 @@ const findPathWithinComponent = (start, end, maze, SIZE, componentCells, heurist
     validCells.add(`${cell.row},${cell.col}`);
   }
   
+  const isInComponent = (row, col) => validCells.has(`${row},${col}`);
+  
   // Show sample component cells for debugging
   const sampleCells = componentCells.slice(0, 10).map(c => `(${c.row},${c.col})`);
   debugInfo += `Sample component cells: [${sampleCells.join(', ')}${componentCells.length > 10 ? '...' : ''}]\n`;
@@ -444,15 +905,22 @@ const findPathWithinComponent = (start, end, maze, SIZE, componentCells, heurist
     debugInfo += `Using original end position: (${actualEnd.row}, ${actualEnd.col})\n`;
   }
   
-  const openSet = [start];
+  if (refinement === 'jps' && !hasWeightedTerrain(terrain, componentCells) && supportsJPS(movement)) {
+    const jpsResult = findJPSPath(start, actualEnd, maze, 1, heuristicType, componentCells, movement);
+    debugInfo += jpsResult.path
+      ? `SUCCESS: Jump Point Search found path with ${jpsResult.path.length} steps (${jpsResult.nodesExplored} jump points expanded)\n`
+      : `FAILURE: Jump Point Search found no path within component!\n`;
+    return { path: jpsResult.path, actualEnd: jpsResult.path ? actualEnd : null, debugInfo: debugInfo };
+  }
+  
+  const openSet = new OpenSet();
   const cameFrom = {};
   const gScore = { [getKey(start)]: 0 };
   const fScore = { [getKey(start)]: heuristic(start, actualEnd) };
+  openSet.push(getKey(start), fScore[getKey(start)], start);
   
-  while (openSet.length > 0) {
-    let current = openSet.reduce((min, node) => 
-      fScore[getKey(node)] < fScore[getKey(min)] ? node : min
-    );
+  while (openSet.size > 0) {
+    let current = openSet.pop();
     
     if (current.row === actualEnd.row && current.col === actualEnd.col) {
       const path = [];
@@ -466,48 +934,27 @@ const findPathWithinComponent = (start, end, maze, SIZE, componentCells, heurist
       return { path, actualEnd, debugInfo: debugInfo };
     }
     
-    openSet.splice(openSet.findIndex(n => n.row === current.row && n.col === current.col), 1);
-    
-    const neighbors = [
-      // Orthogonal movements (cost = 1.0)
-      { row: current.row - 1, col: current.col, cost: 1.0 },     // Up
-      { row: current.row + 1, col: current.col, cost: 1.0 },     // Down
-      { row: current.row, col: current.col - 1, cost: 1.0 },     // Left
-      { row: current.row, col: current.col + 1, cost: 1.0 },     // Right
-      
-      // Diagonal movements (cost = √2)
-      { row: current.row - 1, col: current.col - 1, cost: Math.SQRT2 }, // Up-Left
-      { row: current.row - 1, col: current.col + 1, cost: Math.SQRT2 }, // Up-Right
-      { row: current.row + 1, col: current.col - 1, cost: Math.SQRT2 }, // Down-Left
-      { row: current.row + 1, col: current.col + 1, cost: Math.SQRT2 }  // Down-Right
-    ];
-    
-    for (const neighbor of neighbors) {
-      if (neighbor.row < 0 || neighbor.row >= SIZE || 
-          neighbor.col < 0 || neighbor.col >= SIZE ||
-          maze[neighbor.row][neighbor.col] === CELL_STATES.WALL ||
-          maze[neighbor.row][neighbor.col] === CELL_STATES.UNKNOWN) {
-        continue;
-      }
-      
+    const opened = onStep ? [] : null;
+    if (onStep) onStep({ type: 'node_expanded', cell: { row: current.row, col: current.col } });
+    for (const { dRow, dCol, cost } of movement.moves) {
       // Only explore cells within this component
-      if (!validCells.has(`${neighbor.row},${neighbor.col}`)) {
+      if (!movement.canStep(isInComponent, current.row, current.col, dRow, dCol)) {
         continue;
       }
       
-      const tentativeGScore = gScore[getKey(current)] + neighbor.cost;
+      const neighbor = { row: current.row + dRow, col: current.col + dCol, cost };
+      const tentativeGScore = gScore[getKey(current)] + neighbor.cost * getTerrainCost(terrain, neighbor.row, neighbor.col);
       const neighborKey = getKey(neighbor);
       
       if (gScore[neighborKey] === undefined || tentativeGScore < gScore[neighborKey]) {
         cameFrom[neighborKey] = current;
         gScore[neighborKey] = tentativeGScore;
         fScore[neighborKey] = gScore[neighborKey] + heuristic(neighbor, actualEnd);
-        
-        if (!openSet.some(n => n.row === neighbor.row && n.col === neighbor.col)) {
-          openSet.push(neighbor);
-        }
+        openSet.push(neighborKey, fScore[neighborKey], neighbor);
+        if (opened) opened.push({ row: neighbor.row, col: neighbor.col });
       }
     }
+    if (opened && opened.length > 0) onStep({ type: 'open_set_updated', cells: opened });
   }
   
   debugInfo += `FAILURE: No path found within component!\n`;
@@ -516,10 +963,45 @@ const findPathWithinComponent = (start, end, maze, SIZE, componentCells, heurist
   return { path: null, actualEnd: null, debugInfo: debugInfo }; // No path found
 };
 
+/**
+ * Pick the transition into the next component that minimizes the total path cost
+ * Used when the abstract search did not choose transitions itself: each candidate
+ * is scored by the exact cost of reaching it inside the component, the border
+ * step, and the heuristic distance from the far side to the end.
+ * @returns {Object|undefined} The chosen transition, undefined when the components are not connected
+ */
+const selectTransition = (currentPos, component, nextNodeId, end, heuristicType = 'octile', terrain = null, movement = DEFAULT_MOVEMENT) => {
+  const candidates = component.transitions.filter(t => t.to === nextNodeId);
+  if (candidates.length <= 1) return candidates[0];
+  
+  const { estimate } = getHeuristic(heuristicType);
+  const heuristic = (a, b) => estimate(a, b, movement);
+  const adjacency = buildComponentAdjacency(component.cells, terrain, movement);
+  const candidateCells = candidates.map(t => adjacency.indexOf(t.fromCell));
+  const distances = findDistancesWithinComponent(adjacency.indexOf(currentPos), adjacency, false, new Set(candidateCells));
+  
+  let best = candidates[0];
+  let bestCost = Infinity;
+  candidates.forEach((transition, i) => {
+    const stepCost = transition.cost ?? getMovementCost(transition.fromCell, transition.toCell, terrain, movement);
+    const cost = distances[candidateCells[i]] + stepCost + heuristic(transition.toCell, end);
+    if (cost < bestCost) {
+      best = transition;
+      bestCost = cost;
+    }
+  });
+  return best;
+};
+
 /**
  * Main Component-based HAA* pathfinding implementation
+ * With a hierarchy of more than one level (see component-hierarchy.js) the
+ * abstract search is confined to the corridor found top-down through the
+ * upper levels. The movement model must be the one the component graph was built with.
+ * onStep, when given, receives the search trace: abstract expansions first, then
+ * the expansions of the refinement searches. OpenSet is passed on to every search.
  */
-const findComponentBasedHAAStarPath = (start, end, maze, componentGraph, coloredMaze, REGION_SIZE, SIZE, heuristicType = 'manhattan') => {
+const findComponentBasedHAAStarPath = (start, end, maze, componentGraph, coloredMaze, REGION_SIZE, heuristicType = 'octile', terrain = null, refinement = 'a-star', hierarchy = null, movement = DEFAULT_MOVEMENT, onStep = null, OpenSet = IndexedMinHeap) => {
   const startTime = performance.now();
   
   // Step 1: Find start and end component nodes
@@ -534,9 +1016,31 @@ const findComponentBasedHAAStarPath = (start, end, maze, componentGraph, colored
     return { abstractPath: null, detailedPath: null , debugInfo: debugInfo};
   }
   
-  // Step 2: Find abstract path through component graph
-  const abstractComponentPathResult = findAbstractComponentPath(startNodeId, endNodeId, componentGraph, heuristicType);
+  // Step 2a: Narrow the search to a corridor through the upper hierarchy levels
+  let allowedNodes = null;
+  let levelPaths = [];
+  if (hierarchy && hierarchy.levels.length > 1) {
+    const corridor = findHierarchyCorridor(hierarchy, startNodeId, endNodeId);
+    if (corridor) {
+      allowedNodes = corridor.allowedNodes;
+      levelPaths = corridor.levelPaths;
+      for (const { level, path } of levelPaths) {
+        debugInfo += `HAA* DEBUG: level ${level} path: ${path.length} nodes\n`;
+      }
+      debugInfo += `HAA* DEBUG: corridor of ${allowedNodes.size} components\n`;
+    } else {
+      debugInfo += 'HAA* DEBUG: No corridor through the upper levels, searching the whole component graph\n';
+    }
+  }
+  
+  // Step 2b: Find abstract path through component graph, entrance to entrance when
+  // the graph has in-component distances (graphs built elsewhere fall back to hop costs)
+  const useEntranceSearch = componentGraph[startNodeId]?.entranceDistances && componentGraph[endNodeId]?.entranceDistances;
+  const abstractComponentPathResult = useEntranceSearch
+    ? findAbstractEntrancePath(start, end, startNodeId, endNodeId, componentGraph, heuristicType, terrain, allowedNodes, movement, onStep, OpenSet)
+    : findAbstractComponentPath(startNodeId, endNodeId, componentGraph, heuristicType, allowedNodes, movement, onStep, OpenSet);
   const abstractComponentPath = abstractComponentPathResult.path;
+  const abstractTransitions = abstractComponentPathResult.transitions || null;
   debugInfo += abstractComponentPathResult.debugInfo;
   
   // console.log('HAA* DEBUG: Abstract path:', abstractComponentPath);
@@ -569,7 +1073,7 @@ const findComponentBasedHAAStarPath = (start, end, maze, componentGraph, colored
       // Last component - path directly to end
       debugInfo += `FINAL COMPONENT: Pathing from (${currentPos.row}, ${currentPos.col}) to (${end.row}, ${end.col})\n`;
       
-      const pathResult = findPathWithinComponent(currentPos, end, maze, SIZE, currentComponent.cells, heuristicType);
+      const pathResult = findPathWithinComponent(currentPos, end, maze, currentComponent.cells, heuristicType, terrain, refinement, movement, onStep, OpenSet);
       
       debugInfo += `Path within component result: ${pathResult.path ? `${pathResult.path.length} steps` : 'null'}\n`;
       
@@ -604,8 +1108,10 @@ const findComponentBasedHAAStarPath = (start, end, maze, componentGraph, colored
       
       debugInfo += `INTERMEDIATE COMPONENT: Finding transition to ${nextComponentNodeId}\n`;
       
-      // Find the transition between these components
-      const transition = currentComponent.transitions.find(t => t.to === nextComponentNodeId);
+      // Take the transition chosen by the abstract search, or the cheapest one between these components
+      const transition = abstractTransitions
+        ? abstractTransitions[i]
+        : selectTransition(currentPos, currentComponent, nextComponentNodeId, end, heuristicType, terrain, movement);
       
       if (!transition) {
         debugInfo += `FAILURE: No transition found from ${currentComponentNodeId} to ${nextComponentNodeId}!\n`;
@@ -619,7 +1125,7 @@ const findComponentBasedHAAStarPath = (start, end, maze, componentGraph, colored
       // Path within current component to the transition point
       debugInfo += `Pathing from (${currentPos.row}, ${currentPos.col}) to transition point (${transition.fromCell.row}, ${transition.fromCell.col})\n`;
       
-      const pathResult = findPathWithinComponent(currentPos, transition.fromCell, maze, SIZE, currentComponent.cells, heuristicType);
+      const pathResult = findPathWithinComponent(currentPos, transition.fromCell, maze, currentComponent.cells, heuristicType, terrain, refinement, movement, onStep, OpenSet);
       
       debugInfo += `Path to transition result: ${pathResult.path ? `${pathResult.path.length} steps` : 'null'}\n`;
       
@@ -670,6 +1176,7 @@ const findComponentBasedHAAStarPath = (start, end, maze, componentGraph, colored
   return { 
     abstractPath: abstractComponentPath, 
     detailedPath,
+    levelPaths,
     actualEnd: finalActualEnd,
     executionTime: endTime - startTime,
     debugInfo: debugInfo
@@ -684,14 +1191,44 @@ const componentBasedHAAStarAlgorithm = createAlgorithm({
   type: 'pathfinding',
   description: 'Hierarchical A* using component-based abstraction for efficient pathfinding',
   parameters: {
-    regionSize: numberParam(4, 16, DEFAULT_REGION_SIZE, 4),
+    regionSize: numberParam(4, 32, DEFAULT_REGION_SIZE, 4),
     heuristicWeight: numberParam(1, 2, 1, 0.1),
-    heuristicType: selectParam(['manhattan', 'chebyshev'], 'manhattan')
+    heuristicType: heuristicParam('octile'),
+    refinement: selectParam(['a-star', 'jps'], 'a-star'),
+    // Hierarchy depth including the cell level (2 = cells and components); each level
+    // above the components uses regions levelScale times larger than the one below
+    levels: numberParam(2, 5, 2, 1),
+    levelScale: numberParam(2, 8, 4, 1),
+    // Pull the cell path taut into straight line-of-sight segments (result.waypoints)
+    smoothing: booleanParam(false),
+    // Run traditional A* after the search to report the cost relative to the optimum
+    measureSuboptimality: booleanParam(false),
+    // Report abstract and refinement expansions through onProgress, for step-by-step replays
+    traceSearch: booleanParam(false),
+    // Must match the movement the component graph was built with
+    ...movementParameters
   },
   
   async execute(input, options, onProgress) {
-    const { maze, coloredMaze, componentGraph, start, end, SIZE = 256 } = input;
-    const { regionSize = DEFAULT_REGION_SIZE, heuristicType = 'manhattan' } = options;
+    const { maze, coloredMaze, componentGraph, start, end, terrain = null } = input;
+    const {
+      regionSize: regionSizeOption = DEFAULT_REGION_SIZE,
+      heuristicType = 'octile',
+      refinement = 'a-star',
+      levels = 2,
+      levelScale = 4,
+      levelRegionSizes = null, // Explicit region size per level, overrides levels and levelScale
+      smoothing = false,
+      measureSuboptimality = false,
+      traceSearch = false
+    } = options;
+    const movement = getMovementModel(options);
+    // Maze data carries the region size its component graph was built with, which wins over the option
+    const regionSize = input.regionSize ?? regionSizeOption;
+    
+    // Upper levels are built once per component graph and reused by later queries
+    const regionSizes = levelRegionSizes || getLevelRegionSizes(regionSize, levels, levelScale);
+    const hierarchy = regionSizes.length > 1 ? getComponentHierarchy(componentGraph, regionSizes) : null;
     
     const startTime = performance.now();
     
@@ -703,18 +1240,38 @@ const componentBasedHAAStarAlgorithm = createAlgorithm({
       componentGraph, 
       coloredMaze, 
       regionSize, 
-      SIZE,
-      heuristicType
+      heuristicType,
+      terrain,
+      refinement,
+      hierarchy,
+      movement,
+      traceSearch && onProgress ? onProgress : null
     );
     
+    // Optional smoothing stage; the raw cell path is kept alongside the waypoints
+    const waypoints = smoothing && result.detailedPath ? smoothPath(result.detailedPath, maze, terrain, movement) : null;
+    const waypointCost = waypoints ? getWaypointPathCost(waypoints, terrain) : null;
+    
     const endTime = performance.now();
     
+    // Compare with the optimum from traditional A* under the same movement model
+    // (octile distance is admissible for every model)
+    const pathCost = result.detailedPath ? getPathCost(result.detailedPath, terrain, movement) : null;
+    let optimalCost = null;
+    if (measureSuboptimality && pathCost !== null) {
+      const optimal = findAStarPath(start, end, maze, 1, 'octile', terrain, movement);
+      optimalCost = optimal.path ? getPathCost(optimal.path, terrain, movement) : null;
+    }
+    const suboptimality = optimalCost > 0 ? pathCost / optimalCost : (optimalCost === 0 ? 1 : null);
+    
     // Call progress callback if provided
     if (onProgress) {
       onProgress({
         type: 'pathfinding_complete',
         abstractPath: result.abstractPath,
         detailedPath: result.detailedPath,
+        waypoints,
+        suboptimality,
         executionTime: endTime - startTime
       });
     }
@@ -723,12 +1280,24 @@ const componentBasedHAAStarAlgorithm = createAlgorithm({
       {
         abstractPath: result.abstractPath,
         detailedPath: result.detailedPath,
+        levelPaths: result.levelPaths || [],
+        waypoints,
+        pathCost,
+        waypointCost,
+        optimalCost,
+        suboptimality,
         success: result.detailedPath !== null
       },
       {
         executionTime: endTime - startTime,
         pathLength: result.detailedPath ? result.detailedPath.length : 0,
+        pathCost,
+        waypointCost,
+        suboptimality,
         abstractPathLength: result.abstractPath ? result.abstractPath.length : 0,
+        regionSize,
+        hierarchyLevels: regionSizes.length + 1,
+        ...getHeuristicMetrics(heuristicType, movement),
         componentsTraversed: result.abstractPath ? result.abstractPath.length : 0
       }
     );
@@ -740,8 +1309,10 @@ export default componentBasedHAAStarAlgorithm;
 // Export utility functions for reuse
 export {
   buildComponentGraph,
+  repairComponentGraph,
   getComponentNodeId,
   findAbstractComponentPath,
+  findAbstractEntrancePath,
   findPathWithinComponent,
   findComponentBasedHAAStarPath,
   componentHeuristic,
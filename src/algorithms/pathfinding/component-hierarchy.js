@@ -0,0 +1,229 @@
+/**
+ * Multi-level component hierarchy for HAA*
+ *
+ * Level 1 is the component graph from buildComponentGraph (the connected
+ * components of each REGION_SIZE region). Every further level groups the nodes
+ * of the level below by a larger square super-region: nodes of one
+ * super-region that are linked by edges inside it become one node of the new
+ * level, and edges between super-regions carry over. Search runs top-down: the
+ * path found on one level restricts the search on the level below to the
+ * children of its nodes (the corridor), down to the component graph, where
+ * HAA* refines the path to cells as before.
+ */
+
+import { UnionFind, IndexedMinHeap } from '../../utils/utilities.js';
+
+/**
+ * Region sizes (in cells) of hierarchy levels 1 .. levels - 1
+ * levels counts the cell level too, so 2 is the plain component graph.
+ * @param {number} regionSize - Region size of the component graph (level 1)
+ * @param {number} levels - Total number of levels, at least 2
+ * @param {number} levelScale - How many regions of one level fit along a region side of the next
+ * @returns {number[]} Region size per level, starting with regionSize
+ */
+export const getLevelRegionSizes = (regionSize, levels, levelScale) => (
+  Array.from({ length: Math.max(1, levels - 1) }, (_, i) => regionSize * levelScale ** i)
+);
+
+/**
+ * Weighted center of a set of nodes (or cells, with weight 1 each)
+ */
+const getCenter = (items) => {
+  let row = 0;
+  let col = 0;
+  let weight = 0;
+  for (const item of items) {
+    const w = item.cellCount ?? 1;
+    const center = item.center ?? item;
+    row += center.row * w;
+    col += center.col * w;
+    weight += w;
+  }
+  return { row: row / weight, col: col / weight };
+};
+
+/**
+ * Group the nodes of one level into the nodes of the next
+ * Sets lower.parentOf and returns the new level.
+ */
+const buildUpperLevel = (lower, regionSize, level) => {
+  const scale = regionSize / lower.regionSize;
+  const ids = Object.keys(lower.nodes);
+  const indexOf = new Map(ids.map((id, i) => [id, i]));
+  const superRegionOf = (node) => `${Math.floor(node.regionRow / scale)},${Math.floor(node.regionCol / scale)}`;
+
+  // Nodes of the same super-region that are linked inside it belong together
+  const unionFind = new UnionFind(ids.length);
+  ids.forEach((id, i) => {
+    const node = lower.nodes[id];
+    for (const neighbor of node.neighbors) {
+      if (indexOf.has(neighbor) && superRegionOf(lower.nodes[neighbor]) === superRegionOf(node)) {
+        unionFind.union(i, indexOf.get(neighbor));
+      }
+    }
+  });
+
+  const nodes = {};
+  const nodeIdOfRoot = new Map();
+  const countPerSuperRegion = new Map();
+  lower.parentOf = {};
+  ids.forEach((id, i) => {
+    const root = unionFind.find(i);
+    if (!nodeIdOfRoot.has(root)) {
+      const node = lower.nodes[id];
+      const superRegion = superRegionOf(node);
+      const count = countPerSuperRegion.get(superRegion) || 0;
+      countPerSuperRegion.set(superRegion, count + 1);
+      const nodeId = `${level}:${superRegion}_${count}`;
+      nodeIdOfRoot.set(root, nodeId);
+      nodes[nodeId] = {
+        regionRow: Math.floor(node.regionRow / scale),
+        regionCol: Math.floor(node.regionCol / scale),
+        children: [],
+        neighbors: []
+      };
+    }
+    const nodeId = nodeIdOfRoot.get(root);
+    nodes[nodeId].children.push(id);
+    lower.parentOf[id] = nodeId;
+  });
+
+  for (const node of Object.values(nodes)) {
+    const children = node.children.map(id => lower.nodes[id]);
+    node.center = getCenter(children);
+    node.cellCount = children.reduce((sum, child) => sum + child.cellCount, 0);
+
+    const neighbors = new Set();
+    for (const child of children) {
+      for (const neighbor of child.neighbors) {
+        const parent = lower.parentOf[neighbor];
+        if (parent && nodes[parent] !== node) neighbors.add(parent);
+      }
+    }
+    node.neighbors = [...neighbors];
+  }
+
+  return { level, regionSize, nodes, parentOf: null };
+};
+
+/**
+ * Build the levels above a component graph
+ * @param {Object} componentGraph - Level 1, as built by buildComponentGraph
+ * @param {number[]} regionSizes - Region size per level, starting with the component graph's; each a multiple of the one before
+ * @returns {Object} { regionSizes, levels } - levels[0] is level 1; every level has { level, regionSize, nodes, parentOf }
+ *   and every node { regionRow, regionCol, neighbors, center, cellCount } (plus children above level 1)
+ */
+export const buildComponentHierarchy = (componentGraph, regionSizes) => {
+  regionSizes.forEach((size, i) => {
+    if (i > 0 && (size <= regionSizes[i - 1] || size % regionSizes[i - 1] !== 0)) {
+      throw new Error(`Hierarchy region sizes must grow by whole multiples, got ${regionSizes.join(', ')}`);
+    }
+  });
+
+  const nodes = {};
+  for (const [nodeId, node] of Object.entries(componentGraph)) {
+    nodes[nodeId] = {
+      regionRow: node.regionRow,
+      regionCol: node.regionCol,
+      neighbors: node.neighbors,
+      center: getCenter(node.cells),
+      cellCount: node.cells.length
+    };
+  }
+
+  const levels = [{ level: 1, regionSize: regionSizes[0], nodes, parentOf: null }];
+  for (let i = 1; i < regionSizes.length; i++) {
+    levels.push(buildUpperLevel(levels[i - 1], regionSizes[i], i + 1));
+  }
+  return { regionSizes, levels };
+};
+
+// Hierarchies are reused while the component graph stays the same
+const hierarchyCache = new WeakMap();
+
+/**
+ * Hierarchy of a component graph, built once per graph and region sizes
+ */
+export const getComponentHierarchy = (componentGraph, regionSizes) => {
+  if (!hierarchyCache.has(componentGraph)) {
+    hierarchyCache.set(componentGraph, new Map());
+  }
+  const cached = hierarchyCache.get(componentGraph);
+  const key = regionSizes.join(',');
+  if (!cached.has(key)) {
+    cached.set(key, buildComponentHierarchy(componentGraph, regionSizes));
+  }
+  return cached.get(key);
+};
+
+/**
+ * A* over the nodes of one level, optionally restricted to a set of nodes
+ * Edges cost the straight-line distance between node centers, which is also the heuristic.
+ * @returns {string[]|null} Node IDs from start to end, or null when not connected
+ */
+const findLevelPath = (levelGraph, startNodeId, endNodeId, allowedNodes) => {
+  const { nodes } = levelGraph;
+  const distance = (a, b) => Math.hypot(nodes[a].center.row - nodes[b].center.row, nodes[a].center.col - nodes[b].center.col);
+
+  const openSet = new IndexedMinHeap();
+  const cameFrom = new Map();
+  const gScore = new Map([[startNodeId, 0]]);
+  openSet.push(startNodeId, distance(startNodeId, endNodeId));
+
+  while (openSet.size > 0) {
+    const current = openSet.pop();
+    if (current === endNodeId) {
+      const path = [];
+      for (let nodeId = current; nodeId; nodeId = cameFrom.get(nodeId)) {
+        path.unshift(nodeId);
+      }
+      return path;
+    }
+
+    for (const neighbor of nodes[current].neighbors) {
+      if (allowedNodes && !allowedNodes.has(neighbor)) continue;
+      const tentativeGScore = gScore.get(current) + distance(current, neighbor);
+      if (gScore.has(neighbor) && tentativeGScore >= gScore.get(neighbor)) continue;
+      gScore.set(neighbor, tentativeGScore);
+      cameFrom.set(neighbor, current);
+      openSet.push(neighbor, tentativeGScore + distance(neighbor, endNodeId));
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Search the hierarchy top-down for the component graph nodes a path may use
+ * The path on each level is searched among the children of the path above it.
+ * @param {Object} hierarchy - Result of buildComponentHierarchy
+ * @param {string} startNodeId - Component graph node of the start
+ * @param {string} endNodeId - Component graph node of the end
+ * @returns {Object|null} { allowedNodes, levelPaths } - allowedNodes is the Set of component graph nodes
+ *   in the corridor, levelPaths the paths from the top level down to level 2; null when the
+ *   hierarchy has no upper level or the nodes are not connected
+ */
+export const findHierarchyCorridor = (hierarchy, startNodeId, endNodeId) => {
+  const { levels } = hierarchy;
+  if (levels.length < 2) return null;
+
+  // Ancestors of the start and end node on every level
+  const startIds = [startNodeId];
+  const endIds = [endNodeId];
+  for (let i = 0; i < levels.length - 1; i++) {
+    startIds.push(levels[i].parentOf[startIds[i]]);
+    endIds.push(levels[i].parentOf[endIds[i]]);
+  }
+  if (startIds.includes(undefined) || endIds.includes(undefined)) return null;
+
+  let allowedNodes = null;
+  const levelPaths = [];
+  for (let i = levels.length - 1; i >= 1; i--) {
+    const path = findLevelPath(levels[i], startIds[i], endIds[i], allowedNodes);
+    if (!path) return null;
+    levelPaths.push({ level: levels[i].level, path });
+    allowedNodes = new Set(path.flatMap(nodeId => levels[i].nodes[nodeId].children));
+  }
+
+  return { allowedNodes, levelPaths };
+};
@@ -0,0 +1,71 @@
+/**
+ * Dijkstra Pathfinding Algorithm
+ *
+ * Uniform-cost search: A* without a heuristic. Always finds the cheapest path,
+ * terrain included, but settles every cell cheaper than the goal.
+ */
+
+import { getKey, IndexedMinHeap } from '../../utils/utilities.js';
+import { getTerrainCost } from '../../core/utils/map-utils.js';
+import { DEFAULT_MOVEMENT } from '../../core/utils/movement-model.js';
+import { createGridSearchAlgorithm, getWalkableNeighbors, reconstructPath } from './grid-search-utils.js';
+
+/**
+ * Dijkstra's algorithm from start until end is settled
+ * @param {Object} start - Start position {row, col}
+ * @param {Object} end - End position {row, col}
+ * @param {Array} maze - 2D maze array (0 = walkable, 1 = wall)
+ * @param {Array|null} terrain - Optional terrain grid
+ * @param {Object} movement - Movement model (default 8-connected with corner cutting)
+ * @returns {Object} { path, nodesExplored, executionTime } - path is null when end is unreachable
+ */
+const findDijkstraPath = (start, end, maze, terrain = null, movement = DEFAULT_MOVEMENT) => {
+  const startTime = performance.now();
+
+  const openSet = new IndexedMinHeap();
+  const settled = new Set();
+  const cameFrom = new Map();
+  const gScore = new Map([[getKey(start), 0]]);
+  openSet.push(getKey(start), 0, start);
+  let nodesExplored = 0;
+
+  while (openSet.size > 0) {
+    const current = openSet.pop();
+    const currentKey = getKey(current);
+
+    if (current.row === end.row && current.col === end.col) {
+      return { path: reconstructPath(cameFrom, current), nodesExplored, executionTime: performance.now() - startTime };
+    }
+
+    settled.add(currentKey);
+    nodesExplored++;
+
+    for (const neighbor of getWalkableNeighbors(maze, current, movement)) {
+      const neighborKey = getKey(neighbor);
+      if (settled.has(neighborKey)) continue;
+
+      const tentativeGScore = gScore.get(currentKey) + neighbor.cost * getTerrainCost(terrain, neighbor.row, neighbor.col);
+      if (!gScore.has(neighborKey) || tentativeGScore < gScore.get(neighborKey)) {
+        gScore.set(neighborKey, tentativeGScore);
+        cameFrom.set(neighborKey, current);
+        openSet.push(neighborKey, tentativeGScore, { row: neighbor.row, col: neighbor.col });
+      }
+    }
+  }
+
+  return { path: null, nodesExplored, executionTime: performance.now() - startTime };
+};
+
+/**
+ * Dijkstra Algorithm
+ */
+const dijkstraAlgorithm = createGridSearchAlgorithm({
+  name: 'Dijkstra',
+  description: 'Uniform-cost search without a heuristic; optimal, but explores every cell cheaper than the goal',
+  search: (start, end, maze, terrain, options, movement) => findDijkstraPath(start, end, maze, terrain, movement)
+});
+
+export default dijkstraAlgorithm;
+
+// Export utility function for reuse
+export { findDijkstraPath };
@@ -0,0 +1,70 @@
+/**
+ * Greedy Best-First Search Pathfinding Algorithm
+ *
+ * Always expands the open cell that looks closest to the goal by the
+ * heuristic alone, ignoring the cost so far. Usually explores very few cells,
+ * but the path can be far from optimal.
+ */
+
+import { getHeuristic, getKey, IndexedMinHeap } from '../../utils/utilities.js';
+import { DEFAULT_MOVEMENT } from '../../core/utils/movement-model.js';
+import { createGridSearchAlgorithm, getWalkableNeighbors, reconstructPath, heuristicParam } from './grid-search-utils.js';
+
+/**
+ * Greedy best-first search from start until end is reached
+ * Each cell keeps the parent it was first discovered from.
+ * @param {Object} start - Start position {row, col}
+ * @param {Object} end - End position {row, col}
+ * @param {Array} maze - 2D maze array (0 = walkable, 1 = wall)
+ * @param {string} heuristicType - Registered heuristic name (default 'chebyshev')
+ * @param {Object} movement - Movement model (default 8-connected with corner cutting)
+ * @returns {Object} { path, nodesExplored, executionTime } - path is null when end is unreachable
+ */
+const findGreedyBestFirstPath = (start, end, maze, heuristicType = 'chebyshev', movement = DEFAULT_MOVEMENT) => {
+  const startTime = performance.now();
+
+  const { estimate } = getHeuristic(heuristicType);
+  const heuristic = (a, b) => estimate(a, b, movement);
+  const openSet = new IndexedMinHeap();
+  const cameFrom = new Map();
+  const discovered = new Set([getKey(start)]);
+  openSet.push(getKey(start), heuristic(start, end), start);
+  let nodesExplored = 0;
+
+  while (openSet.size > 0) {
+    const current = openSet.pop();
+
+    if (current.row === end.row && current.col === end.col) {
+      return { path: reconstructPath(cameFrom, current), nodesExplored, executionTime: performance.now() - startTime };
+    }
+
+    nodesExplored++;
+
+    for (const neighbor of getWalkableNeighbors(maze, current, movement)) {
+      const neighborKey = getKey(neighbor);
+      if (discovered.has(neighborKey)) continue;
+      discovered.add(neighborKey);
+      cameFrom.set(neighborKey, current);
+      openSet.push(neighborKey, heuristic(neighbor, end), { row: neighbor.row, col: neighbor.col });
+    }
+  }
+
+  return { path: null, nodesExplored, executionTime: performance.now() - startTime };
+};
+
+/**
+ * Greedy Best-First Search Algorithm
+ */
+const greedyBestFirstAlgorithm = createGridSearchAlgorithm({
+  name: 'Greedy Best-First Search',
+  description: 'Expands the cell closest to the goal by heuristic only; fast but not optimal',
+  parameters: {
+    heuristicType: heuristicParam('chebyshev')
+  },
+  search: (start, end, maze, terrain, { heuristicType = 'chebyshev' } = {}, movement) => findGreedyBestFirstPath(start, end, maze, heuristicType, movement)
+});
+
+export default greedyBestFirstAlgorithm;
+
+// Export utility function for reuse
+export { findGreedyBestFirstPath };
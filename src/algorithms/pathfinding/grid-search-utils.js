@@ -0,0 +1,147 @@
+/**
+ * Shared pieces of the flat grid searches
+ *
+ * Dijkstra, breadth-first search, greedy best-first search and bidirectional A*
+ * move like traditional A*, as the movement model allows (see movement-model.js),
+ * and a step costs its base cost times the terrain cost of the cell it enters.
+ * They are baselines to put HAA* in context, so they all report the same metrics.
+ */
+
+import { createAlgorithm, createAlgorithmResult, numberParam, selectParam } from '../algorithm-interface.js';
+import { getKey, getHeuristicNames, getHeuristicWarning } from '../../utils/utilities.js';
+import { getPathCost } from '../../core/utils/maze-utils.js';
+import { DEFAULT_MOVEMENT, MOVEMENT_TYPES, getMovementModel, createMazeWalkableTest } from '../../core/utils/movement-model.js';
+import { getWaypointPathCost } from './path-smoothing.js';
+
+/**
+ * Movement model parameters shared by the pathfinding algorithms (see getMovementModel)
+ */
+export const movementParameters = {
+  movement: selectParam(Object.values(MOVEMENT_TYPES), MOVEMENT_TYPES.EIGHT_CONNECTED),
+  diagonalCost: numberParam(1, 2, Math.SQRT2, 0.01)
+};
+
+/**
+ * heuristicType parameter offering every registered heuristic (see utilities.js)
+ * The options are read on use, so heuristics registered later are offered too.
+ * @param {string} defaultValue - Default heuristic name
+ */
+export const heuristicParam = (defaultValue) => ({
+  ...selectParam([], defaultValue),
+  get options() {
+    return getHeuristicNames();
+  }
+});
+
+/**
+ * Metrics describing the heuristic a search ran with
+ * @returns {Object} { heuristic, heuristicAdmissible, heuristicWarning } - the warning is null when the
+ *   weighted heuristic is admissible for the movement model
+ */
+export const getHeuristicMetrics = (heuristicType, movement, heuristicWeight = 1) => {
+  const heuristicWarning = getHeuristicWarning(heuristicType, movement, heuristicWeight);
+  return { heuristic: heuristicType, heuristicAdmissible: heuristicWarning === null, heuristicWarning };
+};
+
+/**
+ * Walkable cells one move away from a cell
+ * @param {Array} maze - 2D maze array
+ * @param {Object} cell - Cell {row, col}
+ * @param {Object} movement - Movement model (default 8-connected with corner cutting)
+ * @returns {Array} Neighbors {row, col, cost} with the base cost of the move
+ */
+export const getWalkableNeighbors = (maze, cell, movement = DEFAULT_MOVEMENT) => {
+  const isOpen = createMazeWalkableTest(maze);
+  const neighbors = [];
+  for (const { dRow, dCol, cost } of movement.moves) {
+    if (movement.canStep(isOpen, cell.row, cell.col, dRow, dCol)) {
+      neighbors.push({ row: cell.row + dRow, col: cell.col + dCol, cost });
+    }
+  }
+  return neighbors;
+};
+
+/**
+ * Walk a cameFrom map (cell key -> previous cell) back from the end cell
+ * @returns {Array} Path from the search's start to end
+ */
+export const reconstructPath = (cameFrom, end) => {
+  const path = [];
+  for (let cell = end; cell; cell = cameFrom.get(getKey(cell))) {
+    path.unshift(cell);
+  }
+  return path;
+};
+
+/**
+ * Wrap a grid search function as a registered pathfinding algorithm
+ * The search is called as search(start, end, maze, terrain, options, movement) and
+ * returns { path, nodesExplored, executionTime }; the wrapper adds the movement
+ * parameters, resolves the model from the options, adds the path cost and
+ * reports everything in the standard result and metrics. Any-angle searches also
+ * return the waypoints their cell path follows, reported with their own cost.
+ * Searches with a heuristicType parameter report the heuristic and whether it is
+ * admissible for the movement model.
+ * @param {Object} config
+ * @param {string} config.name - Human-readable algorithm name
+ * @param {string} config.description - Algorithm description
+ * @param {Object} config.parameters - Algorithm parameters
+ * @param {Function} config.search - The search function
+ * @returns {Object} Algorithm object from createAlgorithm
+ */
+export const createGridSearchAlgorithm = ({ name, description, parameters = {}, search }) => createAlgorithm({
+  name,
+  type: 'pathfinding',
+  description,
+  parameters: { ...parameters, ...movementParameters },
+
+  async execute(input, options, onProgress) {
+    const { maze, start, end, terrain = null } = input;
+
+    if (onProgress) {
+      onProgress({
+        type: 'pathfinding_start',
+        algorithm: name,
+        start,
+        end
+      });
+    }
+
+    const movement = getMovementModel(options);
+    const result = search(start, end, maze, terrain, options, movement);
+    const pathCost = result.path ? getPathCost(result.path, terrain, movement) : null;
+    const waypoints = result.waypoints || null;
+    const waypointCost = waypoints ? getWaypointPathCost(waypoints, terrain) : null;
+    const heuristicMetrics = parameters.heuristicType
+      ? getHeuristicMetrics(options?.heuristicType ?? parameters.heuristicType.default, movement)
+      : {};
+
+    if (onProgress) {
+      onProgress({
+        type: 'pathfinding_complete',
+        path: result.path,
+        nodesExplored: result.nodesExplored,
+        executionTime: result.executionTime
+      });
+    }
+
+    return createAlgorithmResult(
+      {
+        path: result.path,
+        pathCost,
+        waypoints,
+        waypointCost,
+        success: result.path !== null
+      },
+      {
+        executionTime: result.executionTime,
+        pathLength: result.path ? result.path.length : 0,
+        pathCost,
+        waypointCost,
+        nodesExplored: result.nodesExplored,
+        ...heuristicMetrics,
+        algorithm: name
+      }
+    );
+  }
+});
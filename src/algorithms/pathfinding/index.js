@@ -6,13 +6,25 @@
 
 import componentBasedHAAStarAlgorithm from './component-based-haa-star.js';
 import traditionalAStarAlgorithm from './traditional-a-star.js';
+import jumpPointSearchAlgorithm from './jump-point-search.js';
+import dijkstraAlgorithm from './dijkstra.js';
+import breadthFirstSearchAlgorithm from './breadth-first-search.js';
+import greedyBestFirstAlgorithm from './greedy-best-first.js';
+import bidirectionalAStarAlgorithm from './bidirectional-a-star.js';
+import thetaStarAlgorithm from './theta-star.js';
 
 /**
  * Registry of pathfinding algorithms
  */
 export const pathfindingAlgorithms = {
   'component-haa-star': componentBasedHAAStarAlgorithm,
-  'traditional-a-star': traditionalAStarAlgorithm
+  'traditional-a-star': traditionalAStarAlgorithm,
+  'jump-point-search': jumpPointSearchAlgorithm,
+  'dijkstra': dijkstraAlgorithm,
+  'breadth-first-search': breadthFirstSearchAlgorithm,
+  'greedy-best-first': greedyBestFirstAlgorithm,
+  'bidirectional-a-star': bidirectionalAStarAlgorithm,
+  'theta-star': thetaStarAlgorithm
 };
 
 /**
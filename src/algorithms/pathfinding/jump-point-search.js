@@ -0,0 +1,279 @@
+/**
+ * Jump Point Search (JPS) Pathfinding Algorithm
+ *
+ * A* on 8-connected uniform-cost grids that prunes symmetric paths: from each
+ * expanded node the search jumps in a straight or diagonal line until it meets
+ * the goal or a cell with a forced neighbor, and only those jump points enter
+ * the open set. The pruning rules hold for the 8-connected movement model, where
+ * diagonal steps may cut wall corners; cardinal steps cost 1 and diagonal steps
+ * the model's diagonal cost. Paths are optimal with an admissible heuristic
+ * (octile by default). With weighted terrain the step costs are no longer uniform, and
+ * other movement models need other pruning rules, so in both cases the algorithm
+ * falls back to A*.
+ */
+
+import { createAlgorithm, createAlgorithmResult, numberParam } from '../algorithm-interface.js';
+import { getHeuristic, getKey, IndexedMinHeap } from '../../utils/utilities.js';
+import { getMazeDimensions, getPathCost } from '../../core/utils/maze-utils.js';
+import { CELL_STATES, hasWeightedTerrain } from '../../core/utils/map-utils.js';
+import { DEFAULT_MOVEMENT, MOVEMENT_TYPES, getMovementModel } from '../../core/utils/movement-model.js';
+import { findAStarPath } from './traditional-a-star.js';
+import { movementParameters, heuristicParam, getHeuristicMetrics } from './grid-search-utils.js';
+
+/**
+ * Whether Jump Point Search can search with a movement model (any diagonal cost)
+ */
+const supportsJPS = (movement) => movement.type === MOVEMENT_TYPES.EIGHT_CONNECTED;
+
+/**
+ * Walkability test for the whole maze, or for the cells of one component
+ * @returns {Function} (row, col) -> boolean, false outside the grid
+ */
+const createWalkableTest = (maze, componentCells) => {
+  if (!componentCells) {
+    const { width, height } = getMazeDimensions(maze);
+    return (row, col) => row >= 0 && row < height && col >= 0 && col < width && maze[row][col] === CELL_STATES.WALKABLE;
+  }
+
+  // A grid over the component's bounding box marks its cells
+  let minRow = Infinity, minCol = Infinity, maxRow = -Infinity, maxCol = -Infinity;
+  for (const cell of componentCells) {
+    minRow = Math.min(minRow, cell.row);
+    minCol = Math.min(minCol, cell.col);
+    maxRow = Math.max(maxRow, cell.row);
+    maxCol = Math.max(maxCol, cell.col);
+  }
+  const gridWidth = maxCol - minCol + 1;
+  const grid = new Uint8Array(gridWidth * (maxRow - minRow + 1));
+  for (const cell of componentCells) {
+    grid[(cell.row - minRow) * gridWidth + (cell.col - minCol)] = 1;
+  }
+  return (row, col) => row >= minRow && row <= maxRow && col >= minCol && col <= maxCol &&
+    grid[(row - minRow) * gridWidth + (col - minCol)] === 1;
+};
+
+/**
+ * Directions worth searching from a node reached in direction (dRow, dCol)
+ * Natural neighbors continue the move; forced neighbors appear where a wall
+ * beside the previous move hides a cell that is only optimally reached through this node.
+ * The start node (no direction) searches all 8 directions.
+ */
+const getPrunedDirections = (row, col, dRow, dCol, isWalkable) => {
+  const directions = [];
+  const add = (r, c) => {
+    if (isWalkable(row + r, col + c)) directions.push([r, c]);
+  };
+
+  if (dRow === 0 && dCol === 0) {
+    for (let r = -1; r <= 1; r++) {
+      for (let c = -1; c <= 1; c++) {
+        if (r !== 0 || c !== 0) add(r, c);
+      }
+    }
+  } else if (dRow !== 0 && dCol !== 0) {
+    add(dRow, 0);
+    add(0, dCol);
+    add(dRow, dCol);
+    if (!isWalkable(row, col - dCol)) add(dRow, -dCol);
+    if (!isWalkable(row - dRow, col)) add(-dRow, dCol);
+  } else if (dRow !== 0) {
+    add(dRow, 0);
+    if (!isWalkable(row, col + 1)) add(dRow, 1);
+    if (!isWalkable(row, col - 1)) add(dRow, -1);
+  } else {
+    add(0, dCol);
+    if (!isWalkable(row + 1, col)) add(1, dCol);
+    if (!isWalkable(row - 1, col)) add(-1, dCol);
+  }
+
+  return directions;
+};
+
+/**
+ * Jump Point Search
+ * @param {Object} start - Start position {row, col}
+ * @param {Object} end - End position {row, col}
+ * @param {Array} maze - 2D maze array (0 = walkable, 1 = wall), any width and height
+ * @param {number} heuristicWeight - Weight for heuristic function (default 1.0)
+ * @param {string} heuristicType - Registered heuristic name (default 'octile')
+ * @param {Array|null} componentCells - Optional cells {row, col} to search within (e.g. one HAA* component); the whole maze when null
+ * @param {Object} movement - Movement model, one supportsJPS accepts (default 8-connected, diagonal steps cost √2)
+ * @returns {Object} { path, nodesExplored, cellsScanned, executionTime } - path is null when no path exists
+ */
+const findJPSPath = (start, end, maze, heuristicWeight = 1.0, heuristicType = 'octile', componentCells = null, movement = DEFAULT_MOVEMENT) => {
+  const startTime = performance.now();
+
+  const { estimate } = getHeuristic(heuristicType);
+  const heuristic = (a, b) => estimate(a, b, movement);
+  const isWalkable = createWalkableTest(maze, componentCells);
+  let nodesExplored = 0;
+  let cellsScanned = 0;
+
+  /**
+   * Follow one direction from (row, col) to the next jump point, or null at a wall
+   * A diagonal move also stops where one of its straight components finds a jump point.
+   */
+  const jump = (row, col, dRow, dCol) => {
+    for (;;) {
+      row += dRow;
+      col += dCol;
+      if (!isWalkable(row, col)) return null;
+      cellsScanned++;
+      if (row === end.row && col === end.col) return { row, col };
+
+      if (dRow !== 0 && dCol !== 0) {
+        if ((!isWalkable(row, col - dCol) && isWalkable(row + dRow, col - dCol)) ||
+            (!isWalkable(row - dRow, col) && isWalkable(row - dRow, col + dCol))) {
+          return { row, col };
+        }
+        if (jump(row, col, dRow, 0) || jump(row, col, 0, dCol)) return { row, col };
+      } else if (dRow !== 0) {
+        if ((!isWalkable(row, col + 1) && isWalkable(row + dRow, col + 1)) ||
+            (!isWalkable(row, col - 1) && isWalkable(row + dRow, col - 1))) {
+          return { row, col };
+        }
+      } else if ((!isWalkable(row + 1, col) && isWalkable(row + 1, col + dCol)) ||
+                 (!isWalkable(row - 1, col) && isWalkable(row - 1, col + dCol))) {
+        return { row, col };
+      }
+    }
+  };
+
+  if (!isWalkable(start.row, start.col) || !isWalkable(end.row, end.col)) {
+    return { path: null, nodesExplored, cellsScanned, executionTime: performance.now() - startTime };
+  }
+
+  const openSet = new IndexedMinHeap();
+  const cameFrom = {};
+  const gScore = { [getKey(start)]: 0 };
+  openSet.push(getKey(start), heuristic(start, end) * heuristicWeight, start);
+
+  while (openSet.size > 0) {
+    const current = openSet.pop();
+    const currentKey = getKey(current);
+
+    if (current.row === end.row && current.col === end.col) {
+      // Jump points lie on straight or diagonal lines; fill in the cells between them
+      const jumpPoints = [];
+      for (let point = current; point; point = cameFrom[getKey(point)]) {
+        jumpPoints.unshift(point);
+      }
+      const path = [jumpPoints[0]];
+      for (let i = 1; i < jumpPoints.length; i++) {
+        const target = jumpPoints[i];
+        let { row, col } = path[path.length - 1];
+        while (row !== target.row || col !== target.col) {
+          row += Math.sign(target.row - row);
+          col += Math.sign(target.col - col);
+          path.push({ row, col });
+        }
+      }
+
+      return {
+        path,
+        nodesExplored,
+        cellsScanned,
+        executionTime: performance.now() - startTime
+      };
+    }
+
+    nodesExplored++;
+
+    const parent = cameFrom[currentKey];
+    const dRow = parent ? Math.sign(current.row - parent.row) : 0;
+    const dCol = parent ? Math.sign(current.col - parent.col) : 0;
+
+    for (const [stepRow, stepCol] of getPrunedDirections(current.row, current.col, dRow, dCol, isWalkable)) {
+      const jumpPoint = jump(current.row, current.col, stepRow, stepCol);
+      if (!jumpPoint) continue;
+
+      // Jumps are straight or diagonal, so the distance is a run of equal steps
+      const steps = Math.max(Math.abs(jumpPoint.row - current.row), Math.abs(jumpPoint.col - current.col));
+      const tentativeGScore = gScore[currentKey] + steps * (stepRow !== 0 && stepCol !== 0 ? movement.diagonalCost : 1);
+      const jumpKey = getKey(jumpPoint);
+
+      if (gScore[jumpKey] === undefined || tentativeGScore < gScore[jumpKey]) {
+        cameFrom[jumpKey] = current;
+        gScore[jumpKey] = tentativeGScore;
+        openSet.push(jumpKey, tentativeGScore + heuristic(jumpPoint, end) * heuristicWeight, jumpPoint);
+      }
+    }
+  }
+
+  return {
+    path: null,
+    nodesExplored,
+    cellsScanned,
+    executionTime: performance.now() - startTime
+  };
+};
+
+/**
+ * Jump Point Search Algorithm
+ */
+const jumpPointSearchAlgorithm = createAlgorithm({
+  name: 'Jump Point Search',
+  type: 'pathfinding',
+  description: 'A* with symmetry pruning for uniform-cost 8-connected grids; falls back to A* on weighted terrain or other movement models',
+  parameters: {
+    heuristicWeight: numberParam(0.5, 2.0, 1.0, 0.1),
+    heuristicType: heuristicParam('octile'),
+    ...movementParameters
+  },
+
+  async execute(input, options, onProgress) {
+    const { maze, start, end, terrain = null } = input;
+    const { heuristicWeight = 1.0, heuristicType = 'octile' } = options;
+    const movement = getMovementModel(options);
+
+    if (onProgress) {
+      onProgress({
+        type: 'pathfinding_start',
+        algorithm: 'Jump Point Search',
+        start,
+        end
+      });
+    }
+
+    const usedFallback = hasWeightedTerrain(terrain) || !supportsJPS(movement);
+    const result = usedFallback
+      ? findAStarPath(start, end, maze, heuristicWeight, heuristicType, terrain, movement)
+      : findJPSPath(start, end, maze, heuristicWeight, heuristicType, null, movement);
+
+    const pathCost = result.path ? getPathCost(result.path, terrain, movement) : null;
+
+    if (onProgress) {
+      onProgress({
+        type: 'pathfinding_complete',
+        path: result.path,
+        nodesExplored: result.nodesExplored,
+        executionTime: result.executionTime
+      });
+    }
+
+    return createAlgorithmResult(
+      {
+        path: result.path,
+        pathCost,
+        success: result.path !== null
+      },
+      {
+        executionTime: result.executionTime,
+        pathLength: result.path ? result.path.length : 0,
+        pathCost,
+        nodesExplored: result.nodesExplored,
+        cellsScanned: result.cellsScanned ?? null,
+        usedFallback,
+        ...getHeuristicMetrics(heuristicType, movement, heuristicWeight),
+        algorithm: usedFallback
+          ? `Traditional A* (${hasWeightedTerrain(terrain) ? 'weighted terrain' : `${movement.type} movement`})`
+          : 'Jump Point Search'
+      }
+    );
+  }
+});
+
+export default jumpPointSearchAlgorithm;
+
+// Export utility function for reuse
+export { findJPSPath, supportsJPS };
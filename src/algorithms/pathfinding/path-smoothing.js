@@ -0,0 +1,171 @@
+/**
+ * Any-angle path utilities
+ *
+ * Waypoint paths run in straight segments between cell centers. A segment is
+ * open when every cell it passes through is walkable; where it passes exactly
+ * through a cell corner it steps diagonally, and the movement model decides
+ * whether the walls beside that corner block it (see canPassCorner). A segment
+ * costs its length, each part weighted by the terrain cost of the cell it lies
+ * in, so smoothing never trades a detour for a shortcut through mud or water.
+ */
+
+import { getTerrainCost } from '../../core/utils/map-utils.js';
+import { DEFAULT_MOVEMENT, createMazeWalkableTest } from '../../core/utils/movement-model.js';
+
+/**
+ * Walk the cells a segment between two cell centers passes through
+ * visit(row, col, share) gets each cell in order with the share (0..1) of the
+ * segment inside it; the walk stops early when visit returns false.
+ * @returns {boolean} false when visit stopped the walk
+ */
+const traceSegment = (from, to, visit) => {
+  const rowSpan = Math.abs(to.row - from.row);
+  const colSpan = Math.abs(to.col - from.col);
+  const rowStep = Math.sign(to.row - from.row);
+  const colStep = Math.sign(to.col - from.col);
+
+  // The segment leaves its k-th cell row at t = (2k + 1) / (2 * rowSpan), and likewise for columns;
+  // both are kept as integers over the common denominator so crossings through corners compare exactly
+  const rowScale = colSpan || 1;
+  const colScale = rowSpan || 1;
+  const denominator = 2 * rowScale * colScale;
+  let row = from.row;
+  let col = from.col;
+  let rowCrossings = 0;
+  let colCrossings = 0;
+  let t = 0;
+  for (;;) {
+    const rowExit = rowSpan > 0 ? (2 * rowCrossings + 1) * rowScale : Infinity;
+    const colExit = colSpan > 0 ? (2 * colCrossings + 1) * colScale : Infinity;
+    const atEnd = row === to.row && col === to.col;
+    const tExit = atEnd ? 1 : Math.min(rowExit, colExit) / denominator;
+    if (visit(row, col, tExit - t) === false) return false;
+    if (atEnd) return true;
+
+    t = tExit;
+    if (rowExit <= colExit) {
+      row += rowStep;
+      rowCrossings++;
+    }
+    if (colExit <= rowExit) {
+      col += colStep;
+      colCrossings++;
+    }
+  }
+};
+
+/**
+ * Whether the segment between two cell centers crosses only walkable cells
+ * @param {Array} maze - 2D maze array (0 = walkable, 1 = wall)
+ * @param {Object} from - Cell {row, col}
+ * @param {Object} to - Cell {row, col}
+ * @param {Object} movement - Movement model deciding corner passages (default 8-connected with corner cutting)
+ * @returns {boolean}
+ */
+export const hasLineOfSight = (maze, from, to, movement = DEFAULT_MOVEMENT) => {
+  const isOpen = createMazeWalkableTest(maze);
+  let previous = null;
+  return traceSegment(from, to, (row, col) => {
+    if (!isOpen(row, col)) return false;
+    if (previous && previous.row !== row && previous.col !== col &&
+        !movement.canPassCorner(isOpen(previous.row, col), isOpen(row, previous.col))) {
+      return false;
+    }
+    previous = { row, col };
+    return true;
+  });
+};
+
+/**
+ * Cost of the straight segment between two cell centers
+ * Each part of the segment costs its length times the terrain cost of its cell.
+ * @param {Object} from - Cell {row, col}
+ * @param {Object} to - Cell {row, col}
+ * @param {Array|null} terrain - Optional terrain grid
+ * @returns {number}
+ */
+export const getSegmentCost = (from, to, terrain = null) => {
+  const length = Math.hypot(to.row - from.row, to.col - from.col);
+  if (!terrain) return length;
+
+  let weight = 0;
+  traceSegment(from, to, (row, col, share) => {
+    weight += share * getTerrainCost(terrain, row, col);
+  });
+  return length * weight;
+};
+
+/**
+ * Total cost of a waypoint path (see getSegmentCost)
+ * @param {Array} waypoints - Cells {row, col}
+ * @param {Array|null} terrain - Optional terrain grid
+ * @returns {number}
+ */
+export const getWaypointPathCost = (waypoints, terrain = null) => {
+  let cost = 0;
+  for (let i = 1; i < waypoints.length; i++) {
+    cost += getSegmentCost(waypoints[i - 1], waypoints[i], terrain);
+  }
+  return cost;
+};
+
+/**
+ * The cells along a waypoint path, one move apart
+ * Without diagonal moves, each corner passage goes through a walkable cell beside it,
+ * so the maze is needed then.
+ * @param {Array} waypoints - Cells {row, col}
+ * @param {Array|null} maze - 2D maze array, required when the movement model has no diagonal moves
+ * @param {Object} movement - Movement model (default 8-connected with corner cutting)
+ * @returns {Array} Cell path from the first to the last waypoint
+ */
+export const expandWaypoints = (waypoints, maze = null, movement = DEFAULT_MOVEMENT) => {
+  const isOpen = movement.allowsDiagonal ? null : createMazeWalkableTest(maze);
+  const path = waypoints.length > 0 ? [waypoints[0]] : [];
+  for (let i = 1; i < waypoints.length; i++) {
+    let first = true;
+    traceSegment(waypoints[i - 1], waypoints[i], (row, col) => {
+      const previous = path[path.length - 1];
+      if (isOpen && !first && previous.row !== row && previous.col !== col) {
+        path.push(isOpen(previous.row, col) ? { row: previous.row, col } : { row, col: previous.col });
+      }
+      if (!first) path.push({ row, col });
+      first = false;
+    });
+  }
+  return path;
+};
+
+/**
+ * Shorten a cell path into waypoints by string pulling
+ * From each waypoint the path is followed as far as the cells stay in line of
+ * sight and the straight segment costs no more than the cells it replaces.
+ * @param {Array} path - Cell path, consecutive cells one move apart
+ * @param {Array} maze - 2D maze array (0 = walkable, 1 = wall)
+ * @param {Array|null} terrain - Optional terrain grid
+ * @param {Object} movement - Movement model the path was found with (default 8-connected with corner cutting)
+ * @returns {Array} Waypoints, starting and ending with the path's first and last cell
+ */
+export const smoothPath = (path, maze, terrain = null, movement = DEFAULT_MOVEMENT) => {
+  if (path.length <= 2) return [...path];
+
+  // Cost along the path up to each cell, in segment costs so the comparison is like for like
+  const costTo = [0];
+  for (let i = 1; i < path.length; i++) {
+    costTo.push(costTo[i - 1] + getSegmentCost(path[i - 1], path[i], terrain));
+  }
+
+  const waypoints = [path[0]];
+  let anchor = 0;
+  while (anchor < path.length - 1) {
+    let next = anchor + 1;
+    for (let candidate = anchor + 2; candidate < path.length; candidate++) {
+      if (!hasLineOfSight(maze, path[anchor], path[candidate], movement)) break;
+      if (getSegmentCost(path[anchor], path[candidate], terrain) <= costTo[candidate] - costTo[anchor] + 1e-9) {
+        next = candidate;
+      }
+    }
+    waypoints.push(path[next]);
+    anchor = next;
+  }
+  return waypoints;
+};
@@ -0,0 +1,98 @@
+/**
+ * Theta* Pathfinding Algorithm
+ *
+ * Any-angle A*: when a cell is reached, it may take its parent's parent as its
+ * own parent if the two are in line of sight and the straight segment costs no
+ * more, so the path bends only where walls or costly terrain force it to. Paths are waypoint lists of straight segments between
+ * cell centers, costed by length and terrain (see path-smoothing.js). Cells are
+ * expanded along the moves of the movement model, which also decides whether a
+ * line of sight may pass wall corners.
+ */
+
+import { getKey, IndexedMinHeap } from '../../utils/utilities.js';
+import { DEFAULT_MOVEMENT } from '../../core/utils/movement-model.js';
+import { createGridSearchAlgorithm, getWalkableNeighbors } from './grid-search-utils.js';
+import { hasLineOfSight, getSegmentCost, expandWaypoints } from './path-smoothing.js';
+
+/**
+ * Straight-line distance between two cells, the Theta* heuristic
+ */
+const euclidean = (a, b) => Math.hypot(a.row - b.row, a.col - b.col);
+
+/**
+ * Theta* (basic variant) from start until end is reached
+ * @param {Object} start - Start position {row, col}
+ * @param {Object} end - End position {row, col}
+ * @param {Array} maze - 2D maze array (0 = walkable, 1 = wall)
+ * @param {Array|null} terrain - Optional terrain grid
+ * @param {Object} movement - Movement model (default 8-connected with corner cutting)
+ * @returns {Object} { path, waypoints, nodesExplored, executionTime } - path is the cell path along
+ *   the waypoints; both are null when end is unreachable
+ */
+const findThetaStarPath = (start, end, maze, terrain = null, movement = DEFAULT_MOVEMENT) => {
+  const startTime = performance.now();
+
+  const openSet = new IndexedMinHeap();
+  const closedSet = new Set();
+  const parent = new Map([[getKey(start), start]]);
+  const gScore = new Map([[getKey(start), 0]]);
+  openSet.push(getKey(start), euclidean(start, end), start);
+  let nodesExplored = 0;
+
+  while (openSet.size > 0) {
+    const current = openSet.pop();
+    const currentKey = getKey(current);
+
+    if (current.row === end.row && current.col === end.col) {
+      const waypoints = [current];
+      for (let cell = current; getKey(cell) !== getKey(start); cell = parent.get(getKey(cell))) {
+        waypoints.unshift(parent.get(getKey(cell)));
+      }
+      return { path: expandWaypoints(waypoints, maze, movement), waypoints, nodesExplored, executionTime: performance.now() - startTime };
+    }
+
+    closedSet.add(currentKey);
+    nodesExplored++;
+
+    const currentParent = parent.get(currentKey);
+    for (const neighbor of getWalkableNeighbors(maze, current, movement)) {
+      const neighborKey = getKey(neighbor);
+      if (closedSet.has(neighborKey)) continue;
+
+      // Path 1 steps from the current cell; path 2 goes straight from the current cell's
+      // parent when it can see the neighbor. On terrain the straight segment may cross
+      // mud or water, so it is taken only when it is the cheaper of the two.
+      const cell = { row: neighbor.row, col: neighbor.col };
+      let from = current;
+      let tentativeGScore = gScore.get(currentKey) + getSegmentCost(current, cell, terrain);
+      if (currentParent !== current && hasLineOfSight(maze, currentParent, cell, movement)) {
+        const parentGScore = gScore.get(getKey(currentParent)) + getSegmentCost(currentParent, cell, terrain);
+        if (parentGScore <= tentativeGScore) {
+          from = currentParent;
+          tentativeGScore = parentGScore;
+        }
+      }
+      if (gScore.has(neighborKey) && tentativeGScore >= gScore.get(neighborKey)) continue;
+
+      gScore.set(neighborKey, tentativeGScore);
+      parent.set(neighborKey, from);
+      openSet.push(neighborKey, tentativeGScore + euclidean(cell, end), cell);
+    }
+  }
+
+  return { path: null, waypoints: null, nodesExplored, executionTime: performance.now() - startTime };
+};
+
+/**
+ * Theta* Algorithm
+ */
+const thetaStarAlgorithm = createGridSearchAlgorithm({
+  name: 'Theta*',
+  description: 'Any-angle A* that connects cells by line of sight, giving paths of straight segments',
+  search: (start, end, maze, terrain, options, movement) => findThetaStarPath(start, end, maze, terrain, movement)
+});
+
+export default thetaStarAlgorithm;
+
+// Export utility function for reuse
+export { findThetaStarPath };
@@ -0,0 +1,29 @@
+import { getAlgorithm } from '../index.js';
+import { findThetaStarPath } from './theta-star.js';
+import { findDijkstraPath } from './dijkstra.js';
+import { getWaypointPathCost } from './path-smoothing.js';
+import { createSeededRandom } from '../../utils/utilities.js';
+
+describe('Theta* on terrain', () => {
+  // The straight segment from the parent may cross mud or water; Theta* must not
+  // take it when stepping through the current cell is cheaper
+  test.each(['cave', 'frontier'])('waypoint cost stays within the grid-optimal cost on %s mazes', async (mazeAlgorithm) => {
+    const generator = getAlgorithm('maze-generation', mazeAlgorithm);
+    const { maze, terrain } = (await generator.execute({ WIDTH: 72, HEIGHT: 50 }, { seed: 11, terrainDensity: 0.3, connectivity: 'fill' })).result;
+
+    const walkable = [];
+    maze.forEach((row, r) => row.forEach((cell, c) => {
+      if (cell === 0) walkable.push({ row: r, col: c });
+    }));
+    const random = createSeededRandom(2);
+
+    for (let i = 0; i < 15; i++) {
+      const start = walkable[Math.floor(random() * walkable.length)];
+      const end = walkable[Math.floor(random() * walkable.length)];
+      const { waypoints } = findThetaStarPath(start, end, maze, terrain);
+      const { path } = findDijkstraPath(start, end, maze, terrain);
+
+      expect(getWaypointPathCost(waypoints, terrain)).toBeLessThanOrEqual(getWaypointPathCost(path, terrain) + 1e-9);
+    }
+  });
+});
@@ -5,36 +5,45 @@
  * Extracted from the original pathfinding.js file.
  */
 
-import { createAlgorithm, createAlgorithmResult, numberParam } from '../algorithm-interface.js';
-import { heuristicObject, heuristicObjectChebyshev, getKey } from '../../utils/utilities.js';
+import { createAlgorithm, createAlgorithmResult, numberParam, booleanParam } from '../algorithm-interface.js';
+import { getHeuristic, getKey, IndexedMinHeap } from '../../utils/utilities.js';
+import { getPathCost } from '../../core/utils/maze-utils.js';
+import { getTerrainCost } from '../../core/utils/map-utils.js';
+import { DEFAULT_MOVEMENT, getMovementModel, createMazeWalkableTest } from '../../core/utils/movement-model.js';
+import { movementParameters, heuristicParam, getHeuristicMetrics } from './grid-search-utils.js';
 
 /**
  * Standard A* pathfinding algorithm
  * @param {Object} start - Start position {row, col}
  * @param {Object} end - End position {row, col}
- * @param {Array} maze - 2D maze array (0 = walkable, 1 = wall)
- * @param {number} SIZE - Maze size
+ * @param {Array} maze - 2D maze array (0 = walkable, 1 = wall), any width and height
  * @param {number} heuristicWeight - Weight for heuristic function (default 1.0)
- * @param {string} heuristicType - Type of heuristic: 'manhattan' or 'chebyshev' (default 'manhattan')
+ * @param {string} heuristicType - Registered heuristic name (default 'octile')
+ * @param {Array|null} terrain - Optional terrain grid; each step costs its base cost times the entered cell's terrain cost
+ * @param {Object} movement - Movement model (default 8-connected with corner cutting)
+ * @param {Function|null} onStep - Optional search trace callback, called with a 'node_expanded' event
+ *   { cell } per expansion and an 'open_set_updated' event { cells } for the cells it pushed
+ * @param {Function} OpenSet - Open set class with push(key, priority, value), pop() and size (default IndexedMinHeap)
  * @returns {Array|null} Path array or null if no path found
  */
-const findAStarPath = (start, end, maze, SIZE, heuristicWeight = 1.0, heuristicType = 'manhattan') => {
+const findAStarPath = (start, end, maze, heuristicWeight = 1.0, heuristicType = 'octile', terrain = null, movement = DEFAULT_MOVEMENT, onStep = null, OpenSet = IndexedMinHeap) => {
   const startTime = performance.now();
   
   // Select heuristic function based on type
-  const heuristic = heuristicType === 'chebyshev' ? heuristicObjectChebyshev : heuristicObject;
+  const { estimate } = getHeuristic(heuristicType);
+  const heuristic = (a, b) => estimate(a, b, movement);
+  const isOpen = createMazeWalkableTest(maze);
   
-  const openSet = [start];
+  const openSet = new OpenSet();
   const cameFrom = {};
   const gScore = { [getKey(start)]: 0 };
   const fScore = { [getKey(start)]: heuristic(start, end) * heuristicWeight };
+  openSet.push(getKey(start), fScore[getKey(start)], start);
   
   let nodesExplored = 0;
   
-  while (openSet.length > 0) {
-    let current = openSet.reduce((min, node) => 
-      fScore[getKey(node)] < fScore[getKey(min)] ? node : min
-    );
+  while (openSet.size > 0) {
+    let current = openSet.pop();
     
     if (current.row === end.row && current.col === end.col) {
       const path = [];
@@ -51,11 +60,10 @@ const findAStarPath = (start, end, maze, SIZE, heuristicWeight = 1.0, heuristicT
           return null;
         }
         
-        // Check connectivity
+        // Check connectivity (every step must be one the movement model allows)
         if (i > 0) {
           const prevCell = path[i - 1];
-          const distance = Math.abs(cell.row - prevCell.row) + Math.abs(cell.col - prevCell.col);
-          if (distance !== 1) {
+          if (!movement.canStep(isOpen, prevCell.row, prevCell.col, cell.row - prevCell.row, cell.col - prevCell.col)) {
             console.error('Disconnected path between cells:', prevCell, cell);
             return null;
           }
@@ -70,43 +78,28 @@ const findAStarPath = (start, end, maze, SIZE, heuristicWeight = 1.0, heuristicT
       };
     }
     
-    openSet.splice(openSet.findIndex(n => n.row === current.row && n.col === current.col), 1);
     nodesExplored++;
+    const opened = onStep ? [] : null;
+    if (onStep) onStep({ type: 'node_expanded', cell: { row: current.row, col: current.col } });
     
-    const neighbors = [
-      // Orthogonal movements (cost = 1.0)
-      { row: current.row - 1, col: current.col, cost: 1.0 },     // Up
-      { row: current.row + 1, col: current.col, cost: 1.0 },     // Down
-      { row: current.row, col: current.col - 1, cost: 1.0 },     // Left
-      { row: current.row, col: current.col + 1, cost: 1.0 },     // Right
-      
-      // Diagonal movements (cost = √2)
-      { row: current.row - 1, col: current.col - 1, cost: Math.SQRT2 }, // Up-Left
-      { row: current.row - 1, col: current.col + 1, cost: Math.SQRT2 }, // Up-Right
-      { row: current.row + 1, col: current.col - 1, cost: Math.SQRT2 }, // Down-Left
-      { row: current.row + 1, col: current.col + 1, cost: Math.SQRT2 }  // Down-Right
-    ];
-    
-    for (const neighbor of neighbors) {
-      if (neighbor.row < 0 || neighbor.row >= SIZE || 
-          neighbor.col < 0 || neighbor.col >= SIZE ||
-          maze[neighbor.row][neighbor.col] === 1) {
+    for (const { dRow, dCol, cost } of movement.moves) {
+      if (!movement.canStep(isOpen, current.row, current.col, dRow, dCol)) {
         continue;
       }
       
-      const tentativeGScore = gScore[getKey(current)] + neighbor.cost;
+      const neighbor = { row: current.row + dRow, col: current.col + dCol, cost };
+      const tentativeGScore = gScore[getKey(current)] + neighbor.cost * getTerrainCost(terrain, neighbor.row, neighbor.col);
       const neighborKey = getKey(neighbor);
       
       if (gScore[neighborKey] === undefined || tentativeGScore < gScore[neighborKey]) {
         cameFrom[neighborKey] = current;
         gScore[neighborKey] = tentativeGScore;
         fScore[neighborKey] = gScore[neighborKey] + (heuristic(neighbor, end) * heuristicWeight);
-        
-        if (!openSet.some(n => n.row === neighbor.row && n.col === neighbor.col)) {
-          openSet.push(neighbor);
-        }
+        openSet.push(neighborKey, fScore[neighborKey], neighbor);
+        if (opened) opened.push({ row: neighbor.row, col: neighbor.col });
       }
     }
+    if (opened && opened.length > 0) onStep({ type: 'open_set_updated', cells: opened });
   }
   
   const endTime = performance.now();
@@ -123,14 +116,19 @@ const findAStarPath = (start, end, maze, SIZE, heuristicWeight = 1.0, heuristicT
 const traditionalAStarAlgorithm = createAlgorithm({
   name: 'Traditional A*',
   type: 'pathfinding',
-  description: 'Standard A* pathfinding algorithm with Manhattan distance heuristic',
+  description: 'Standard A* pathfinding algorithm, octile distance heuristic by default',
   parameters: {
-    heuristicWeight: numberParam(0.5, 2.0, 1.0, 0.1)
+    heuristicWeight: numberParam(0.5, 2.0, 1.0, 0.1),
+    heuristicType: heuristicParam('octile'),
+    // Report every expansion and open set change through onProgress, for step-by-step replays
+    traceSearch: booleanParam(false),
+    ...movementParameters
   },
   
   async execute(input, options, onProgress) {
-    const { maze, start, end, SIZE = 256 } = input;
-    const { heuristicWeight = 1.0 } = options;
+    const { maze, start, end, terrain = null } = input;
+    const { heuristicWeight = 1.0, heuristicType = 'octile', traceSearch = false } = options;
+    const movement = getMovementModel(options);
     
     const startTime = performance.now();
     
@@ -145,10 +143,13 @@ const traditionalAStarAlgorithm = createAlgorithm({
     }
     
     // Execute A* pathfinding
-    const result = findAStarPath(start, end, maze, SIZE, heuristicWeight);
+    const result = findAStarPath(start, end, maze, heuristicWeight, heuristicType, terrain, movement,
+      traceSearch && onProgress ? onProgress : null);
     
     const endTime = performance.now();
     
+    const pathCost = result.path ? getPathCost(result.path, terrain, movement) : null;
+    
     // Call progress callback with final result
     if (onProgress) {
       onProgress({
@@ -162,12 +163,15 @@ const traditionalAStarAlgorithm = createAlgorithm({
     return createAlgorithmResult(
       {
         path: result.path,
+        pathCost,
         success: result.path !== null
       },
       {
         executionTime: result.executionTime,
         pathLength: result.path ? result.path.length : 0,
+        pathCost,
         nodesExplored: result.nodesExplored,
+        ...getHeuristicMetrics(heuristicType, movement, heuristicWeight),
         algorithm: 'Traditional A*'
       }
     );
@@ -0,0 +1,10 @@
+/**
+ * Benchmark Exports
+ *
+ * Scenario runners for comparing pathfinding algorithms on benchmark maps,
+ * and the open set benchmark for the A* priority queue.
+ */
+
+export { runScenarioBenchmark, formatBenchmarkReport, DEFAULT_BENCHMARK_ALGORITHMS } from './scenario-runner.js';
+export { getPathCost } from '../core/utils/maze-utils.js';
+export { runOpenSetBenchmark, formatOpenSetReport, DEFAULT_OPEN_SET_SIZES } from './open-set-benchmark.js';
@@ -0,0 +1,192 @@
+/**
+ * Open Set Benchmark
+ *
+ * Measures what the indexed binary heap buys the searches: findAStarPath and
+ * findComponentBasedHAAStarPath run once with a plain array open set (linear
+ * scan for the minimum and for membership, as the searches did before) and once
+ * with IndexedMinHeap, on generated mazes of several sizes.
+ */
+
+import { getAlgorithm } from '../algorithms/index.js';
+import { buildMazeComponents } from '../algorithms/maze-generation/shared-utils.js';
+import { findAStarPath } from '../algorithms/pathfinding/traditional-a-star.js';
+import { findComponentBasedHAAStarPath } from '../algorithms/pathfinding/component-based-haa-star.js';
+import { IndexedMinHeap, createSeededRandom } from '../utils/utilities.js';
+import { getPathCost } from '../core/utils/maze-utils.js';
+import { CELL_STATES } from '../core/utils/map-utils.js';
+import { DEFAULT_MOVEMENT } from '../core/utils/movement-model.js';
+import { DEFAULT_REGION_SIZE } from '../core/constants.js';
+
+/**
+ * Maze sizes benchmarked by default
+ */
+export const DEFAULT_OPEN_SET_SIZES = [256, 1024];
+
+/**
+ * Array open set with the same interface as IndexedMinHeap
+ * Every pop scans for the minimum and every push or has scans for membership.
+ */
+class LinearScanOpenSet {
+  constructor() {
+    this.entries = [];
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  push(key, priority, value = key) {
+    const entry = this.entries.find(e => e.key === key);
+    if (!entry) {
+      this.entries.push({ key, priority, value });
+    } else if (priority < entry.priority) {
+      entry.priority = priority;
+      entry.value = value;
+    }
+  }
+
+  has(key) {
+    return this.entries.some(e => e.key === key);
+  }
+
+  pop() {
+    const min = this.entries.reduce((best, entry) => entry.priority < best.priority ? entry : best);
+    this.entries.splice(this.entries.indexOf(min), 1);
+    return min.value;
+  }
+}
+
+/**
+ * Searches timed with each open set
+ * Both run the real implementations with the open set class swapped in; HAA*
+ * covers the abstract search and the refinement searches within components.
+ */
+const SEARCHES = [
+  {
+    name: 'A*',
+    run: (mazeData, { start, end }, OpenSet) => {
+      const result = findAStarPath(start, end, mazeData.maze, 1.0, 'octile', null, DEFAULT_MOVEMENT, null, OpenSet);
+      return { path: result.path, nodesExplored: result.nodesExplored };
+    }
+  },
+  {
+    name: 'HAA*',
+    run: ({ maze, componentGraph, coloredMaze }, { start, end }, OpenSet) => {
+      const result = findComponentBasedHAAStarPath(start, end, maze, componentGraph, coloredMaze, DEFAULT_REGION_SIZE, 'octile', null, 'a-star', null, DEFAULT_MOVEMENT, null, OpenSet);
+      return { path: result.detailedPath, nodesExplored: null };
+    }
+  }
+];
+
+/**
+ * Time one search with one open set implementation over all queries
+ */
+const timeSearch = (search, mazeData, queries, OpenSet) => {
+  const startTime = performance.now();
+  const results = queries.map(query => search.run(mazeData, query, OpenSet));
+  return {
+    time: performance.now() - startTime,
+    costs: results.map(result => result.path ? getPathCost(result.path) : null),
+    nodesExplored: results.every(result => result.nodesExplored !== null)
+      ? results.reduce((sum, result) => sum + result.nodesExplored, 0)
+      : null
+  };
+};
+
+/**
+ * Path costs agree up to floating point, unsolved queries only with unsolved ones
+ */
+const costsMatch = (a, b) => a.every((cost, i) => cost === b[i] || (cost !== null && b[i] !== null && Math.abs(cost - b[i]) < 1e-9));
+
+/**
+ * Compare the array open set with IndexedMinHeap on generated mazes
+ * Mazes are generated with connectivity 'fill', so every query is solvable;
+ * HAA* uses components built with DEFAULT_REGION_SIZE.
+ * @param {Object} options
+ * @param {number[]} options.sizes - Maze side lengths
+ * @param {number} options.queries - Random start/goal pairs per maze
+ * @param {string} options.mazeAlgorithm - Maze generator name
+ * @param {number} options.seed - Seed for the mazes and the queries
+ * @param {Function} options.onProgress - Optional ({ size, stage }) callback
+ * @returns {Promise<Object>} { mazeAlgorithm, seed, results: [{ size, search, walkableCells, queries, nodesExplored, linearTime, heapTime, speedup, costsMatch }] }
+ *   - one result per maze size and search, nodesExplored null for HAA*
+ */
+export const runOpenSetBenchmark = async ({
+  sizes = DEFAULT_OPEN_SET_SIZES,
+  queries = 5,
+  mazeAlgorithm = 'cave',
+  seed = 1,
+  onProgress = null
+} = {}) => {
+  const generator = getAlgorithm('maze-generation', mazeAlgorithm);
+  if (!generator) {
+    throw new Error(`Unknown maze algorithm: ${mazeAlgorithm}`);
+  }
+
+  const results = [];
+  for (const size of sizes) {
+    if (onProgress) onProgress({ size, stage: 'generating' });
+    const { maze } = (await generator.execute({ SIZE: size }, { seed, connectivity: 'fill' })).result;
+
+    const walkable = [];
+    maze.forEach((row, r) => row.forEach((cell, c) => {
+      if (cell === CELL_STATES.WALKABLE) walkable.push({ row: r, col: c });
+    }));
+    const random = createSeededRandom(seed);
+    const pairs = Array.from({ length: queries }, () => ({
+      start: walkable[Math.floor(random() * walkable.length)],
+      end: walkable[Math.floor(random() * walkable.length)]
+    }));
+
+    const { componentGraph, coloredMaze } = buildMazeComponents(maze, DEFAULT_REGION_SIZE);
+    const mazeData = { maze, componentGraph, coloredMaze };
+
+    for (const search of SEARCHES) {
+      if (onProgress) onProgress({ size, stage: `${search.name} array` });
+      const linear = timeSearch(search, mazeData, pairs, LinearScanOpenSet);
+      if (onProgress) onProgress({ size, stage: `${search.name} heap` });
+      const heap = timeSearch(search, mazeData, pairs, IndexedMinHeap);
+
+      results.push({
+        size,
+        search: search.name,
+        walkableCells: walkable.length,
+        queries: pairs.length,
+        nodesExplored: heap.nodesExplored,
+        linearTime: linear.time,
+        heapTime: heap.time,
+        speedup: heap.time > 0 ? linear.time / heap.time : null,
+        // Tie-breaks may differ, path costs may not
+        costsMatch: costsMatch(linear.costs, heap.costs)
+      });
+    }
+  }
+
+  return { mazeAlgorithm, seed, results };
+};
+
+/**
+ * Format an open set benchmark report as a plain-text table
+ */
+export const formatOpenSetReport = (report) => {
+  const lines = [];
+  lines.push(`Open set benchmark: ${report.mazeAlgorithm} mazes, seed ${report.seed}`);
+  lines.push('');
+  lines.push(`${'Maze'.padEnd(12)}${'Search'.padEnd(8)}${'Cells'.padStart(9)}${'Queries'.padStart(9)}${'Expanded'.padStart(11)}${'Array ms'.padStart(12)}${'Heap ms'.padStart(10)}${'Speedup'.padStart(9)}${'Costs'.padStart(8)}`);
+
+  for (const result of report.results) {
+    lines.push(
+      `${result.size}x${result.size}`.padEnd(12) +
+      result.search.padEnd(8) +
+      String(result.walkableCells).padStart(9) +
+      String(result.queries).padStart(9) +
+      (result.nodesExplored === null ? '-' : String(result.nodesExplored)).padStart(11) +
+      result.linearTime.toFixed(1).padStart(12) +
+      result.heapTime.toFixed(1).padStart(10) +
+      (result.speedup === null ? '-' : `${result.speedup.toFixed(1)}x`).padStart(9) +
+      (result.costsMatch ? 'match' : 'DIFFER').padStart(8)
+    );
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,170 @@
+/**
+ * Scenario Benchmark Runner
+ *
+ * Solves every start/goal scenario of a benchmark map with registered
+ * pathfinding algorithms and reports success rate, suboptimality and timing.
+ */
+
+import { getAlgorithm } from '../algorithms/index.js';
+import { buildMazeComponents } from '../algorithms/maze-generation/shared-utils.js';
+import { getWaypointPathCost } from '../algorithms/pathfinding/path-smoothing.js';
+import { getPathCost } from '../core/utils/maze-utils.js';
+import { MOVEMENT_TYPES, getMovementModel } from '../core/utils/movement-model.js';
+import { DEFAULT_REGION_SIZE } from '../core/constants.js';
+
+/**
+ * Pathfinding algorithms compared by default
+ */
+export const DEFAULT_BENCHMARK_ALGORITHMS = [
+  'component-haa-star',
+  'traditional-a-star',
+  'jump-point-search',
+  'dijkstra',
+  'breadth-first-search',
+  'greedy-best-first',
+  'bidirectional-a-star',
+  'theta-star'
+];
+
+/**
+ * Solve a single scenario with one algorithm and measure it
+ * Suboptimality is taken against the scenario's optimalLength; scenarios without one
+ * turn on measureSuboptimality and use what the algorithm reports (null if it doesn't).
+ */
+const runScenario = async (algorithm, input, scenario, options, movement) => {
+  const hasOptimum = Number.isFinite(scenario.optimalLength);
+  const startTime = performance.now();
+  let result;
+  try {
+    result = await algorithm.execute({ ...input, start: scenario.start, end: scenario.end }, { ...options, measureSuboptimality: !hasOptimum });
+  } catch (error) {
+    return { success: false, time: performance.now() - startTime, error: error.message };
+  }
+  const time = performance.now() - startTime;
+
+  const path = result.result.detailedPath || result.result.path;
+  const reachedGoal = path && path.length > 0 &&
+    path[path.length - 1].row === scenario.end.row &&
+    path[path.length - 1].col === scenario.end.col;
+
+  if (!reachedGoal) {
+    return { success: false, time };
+  }
+
+  // Any-angle results (Theta*, smoothed HAA*) are scored along their straight segments
+  const { waypoints, waypointCost } = result.result;
+  const cost = waypoints
+    ? waypointCost ?? getWaypointPathCost(waypoints)
+    : getPathCost(path, null, movement);
+  return {
+    success: true,
+    time,
+    cost,
+    suboptimality: hasOptimum
+      ? (scenario.optimalLength > 0 ? cost / scenario.optimalLength : 1)
+      : result.result.suboptimality ?? null
+  };
+};
+
+/**
+ * Aggregate per-scenario results into summary statistics
+ */
+const summarize = (runs) => {
+  const solved = runs.filter(run => run.success);
+  const ratios = solved.map(run => run.suboptimality).filter(ratio => ratio !== null);
+  const totalTime = runs.reduce((sum, run) => sum + run.time, 0);
+
+  return {
+    queries: runs.length,
+    solved: solved.length,
+    successRate: runs.length > 0 ? solved.length / runs.length : 0,
+    meanSuboptimality: ratios.length > 0 ? ratios.reduce((sum, r) => sum + r, 0) / ratios.length : null,
+    maxSuboptimality: ratios.length > 0 ? Math.max(...ratios) : null,
+    meanTime: runs.length > 0 ? totalTime / runs.length : 0,
+    totalTime
+  };
+};
+
+/**
+ * Run benchmark scenarios on a maze through the algorithm registry
+ *
+ * The maze's component graph is built once up front (reported as preprocessing
+ * time) so that per-query times only cover the search itself.
+ *
+ * The reference optimum from MovingAI forbids cutting wall corners, so the
+ * algorithms run with the 8-connected-no-corner-cutting movement model by
+ * default; with corner cutting, suboptimality can dip slightly below 1, and
+ * any-angle paths, scored by their waypoint cost, can go below 1 as well.
+ *
+ * @param {Object} params
+ * @param {Array} params.maze - 2D maze array (0 = walkable, 1 = wall)
+ * @param {Array} params.scenarios - Scenarios with start, end and optimalLength
+ * @param {string[]} params.algorithms - Pathfinding algorithm names from the registry
+ * @param {number} params.regionSize - Region size for component-based algorithms
+ * @param {string} params.movement - Movement type (MOVEMENT_TYPES) the algorithms run with
+ * @param {Function} params.onProgress - Called after each scenario with { algorithm, index, total, run }
+ * @returns {Promise<Object>} { preprocessingTime, results: { [algorithm]: { summary, runs } } }
+ */
+export const runScenarioBenchmark = async ({
+  maze,
+  scenarios,
+  algorithms = DEFAULT_BENCHMARK_ALGORITHMS,
+  regionSize = DEFAULT_REGION_SIZE,
+  movement: movementType = MOVEMENT_TYPES.NO_CORNER_CUTTING,
+  onProgress = null
+}) => {
+  const movement = getMovementModel({ movement: movementType });
+  const preprocessingStart = performance.now();
+  const { coloredMaze, componentGraph } = buildMazeComponents(maze, regionSize, null, movement);
+  const preprocessingTime = performance.now() - preprocessingStart;
+
+  const input = { maze, coloredMaze, componentGraph };
+  const results = {};
+
+  for (const name of algorithms) {
+    const algorithm = getAlgorithm('pathfinding', name);
+    if (!algorithm) {
+      throw new Error(`Unknown pathfinding algorithm: ${name}`);
+    }
+
+    const runs = [];
+    for (let i = 0; i < scenarios.length; i++) {
+      const run = await runScenario(algorithm, input, scenarios[i], { regionSize, movement }, movement);
+      runs.push(run);
+
+      if (onProgress) {
+        onProgress({ algorithm: name, index: i, total: scenarios.length, run });
+      }
+    }
+
+    results[name] = { summary: summarize(runs), runs };
+  }
+
+  return { preprocessingTime, results };
+};
+
+/**
+ * Format a benchmark report as a plain-text table
+ * @param {Object} report - Result of runScenarioBenchmark
+ * @returns {string} Human-readable report
+ */
+export const formatBenchmarkReport = (report) => {
+  const lines = [];
+  lines.push(`Component graph preprocessing: ${report.preprocessingTime.toFixed(1)}ms`);
+  lines.push('');
+  lines.push(`${'Algorithm'.padEnd(22)}${'Solved'.padStart(12)}${'Success'.padStart(10)}${'Mean subopt'.padStart(13)}${'Max subopt'.padStart(12)}${'ms/query'.padStart(11)}`);
+
+  for (const [name, { summary }] of Object.entries(report.results)) {
+    const formatRatio = (value) => value === null ? '-' : value.toFixed(4);
+    lines.push(
+      name.padEnd(22) +
+      `${summary.solved}/${summary.queries}`.padStart(12) +
+      `${(summary.successRate * 100).toFixed(1)}%`.padStart(10) +
+      formatRatio(summary.meanSuboptimality).padStart(13) +
+      formatRatio(summary.maxSuboptimality).padStart(12) +
+      summary.meanTime.toFixed(2).padStart(11)
+    );
+  }
+
+  return lines.join('\n');
+};
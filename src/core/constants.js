@@ -6,15 +6,30 @@
 
 /**
  * Default region size for component-based algorithms.
- * This value controls the size of regions used in pathfinding and exploration algorithms.
+ * This value controls the size of regions used in pathfinding and exploration algorithms
+ * when no other size is given; maze data carries the region size it was built with.
  */
 export const DEFAULT_REGION_SIZE = 16;
 
+/**
+ * Region sizes offered by the demos' region size controls
+ */
+export const REGION_SIZE_OPTIONS = [4, 8, 16, 32];
+
 /**
  * Default maze size
  */
 export const DEFAULT_MAZE_SIZE = 256;
 
+/**
+ * Maze Generation Animation Configuration
+ * 
+ * The demos replay generation as roughly GENERATION_ANIMATION_FRAMES batches of
+ * carved cells, GENERATION_STEP_DELAY ms apart.
+ */
+export const GENERATION_ANIMATION_FRAMES = 120;
+export const GENERATION_STEP_DELAY = 16;
+
 /**
  * CLI ASCII Viewport Configuration
  * 
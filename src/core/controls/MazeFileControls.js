@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { MAZE_FILE_FORMATS, MAZE_FILE_TYPES } from '../utils/maze-io.js';
+
+/**
+ * Load/save controls for maze files (ASCII, JSON, PBM, PGM)
+ */
+const MazeFileControls = ({
+  onLoad,
+  onSave,
+  disabled = false,
+  canSave = true
+}) => {
+  const [format, setFormat] = useState(MAZE_FILE_FORMATS.JSON);
+  const accept = Object.values(MAZE_FILE_TYPES).map(type => type.extension).join(',');
+
+  return (
+    <div className="flex items-center justify-center gap-4">
+      <label className="text-sm text-gray-700">Load Maze:</label>
+      <input
+        type="file"
+        accept={accept}
+        onChange={(e) => {
+          const file = e.target.files[0];
+          if (file) onLoad(file);
+          e.target.value = ''; // Allow reloading the same file
+        }}
+        className="text-sm"
+        disabled={disabled}
+      />
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        className="px-2 py-1 border border-gray-300 rounded text-sm"
+      >
+        {Object.values(MAZE_FILE_FORMATS).map(option => (
+          <option key={option} value={option}>{option.toUpperCase()}</option>
+        ))}
+      </select>
+      <button
+        onClick={() => onSave(format)}
+        disabled={!canSave}
+        className={`px-4 py-1 text-white rounded text-sm transition-colors ${
+          !canSave
+            ? 'bg-gray-400 cursor-not-allowed'
+            : 'bg-gray-600 hover:bg-gray-700'
+        }`}
+      >
+        Save Maze
+      </button>
+    </div>
+  );
+};
+
+export default MazeFileControls;
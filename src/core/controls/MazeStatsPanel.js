@@ -0,0 +1,50 @@
+import React from 'react';
+
+/**
+ * Side panel with the structural statistics of the current maze
+ * (see analyzeMaze in algorithms/analysis/maze-statistics.js)
+ */
+const MazeStatsPanel = ({ statistics }) => {
+  if (!statistics) {
+    return (
+      <div className="w-64 bg-white p-4 rounded-lg shadow-lg text-sm text-gray-500">
+        Maze statistics appear once the maze is ready.
+      </div>
+    );
+  }
+
+  const { regions, componentGraph, longestShortestPath } = statistics;
+  const branching = Object.entries(statistics.branching)
+    .map(([degree, count]) => `${degree}-way: ${count}`)
+    .join(', ');
+
+  const rows = [
+    ['Open cells', `${statistics.walkableCells} (${(statistics.openness * 100).toFixed(1)}%)`],
+    ['Dead ends', statistics.deadEnds],
+    ['Junctions', statistics.junctions],
+    ['Branching', branching || 'none'],
+    ['Loops', statistics.loops],
+    ['Connected areas', statistics.connectedComponents],
+    ['Longest shortest path', `${longestShortestPath.exact ? '' : '≥ '}${longestShortestPath.length} steps`],
+    [`Components per ${regions.regionSize}×${regions.regionSize} region`, `${regions.min} / ${regions.mean.toFixed(2)} / ${regions.max} (min / mean / max)`],
+    ['Component graph', `${componentGraph.nodes} nodes, ${componentGraph.edges} edges`],
+    ['Chokepoints', componentGraph.articulationPointCount]
+  ];
+
+  return (
+    <div className="w-64 bg-white p-4 rounded-lg shadow-lg text-sm">
+      <h2 className="font-semibold text-gray-800 mb-2">Maze Statistics</h2>
+      <div className="text-xs text-gray-500 mb-3">{statistics.neighborhood} cell graph</div>
+      <dl className="space-y-2">
+        {rows.map(([label, value]) => (
+          <div key={label}>
+            <dt className="text-gray-500 text-xs">{label}</dt>
+            <dd className="text-gray-800">{value}</dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+};
+
+export default MazeStatsPanel;
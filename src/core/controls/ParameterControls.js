@@ -0,0 +1,69 @@
+import React from 'react';
+import { ParameterTypes } from '../../algorithms/algorithm-interface.js';
+
+/**
+ * Generic controls for an algorithm's declared parameters
+ * Renders a slider, select or checkbox per parameter spec (see numberParam/selectParam/booleanParam)
+ */
+const ParameterControls = ({
+  parameters = {},
+  values = {},
+  onChange,
+  disabled = false,
+  exclude = [] // Parameter names rendered elsewhere (e.g. seed)
+}) => {
+  const entries = Object.entries(parameters).filter(([key]) => !exclude.includes(key));
+  
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="grid grid-cols-2 gap-x-6 gap-y-2">
+      {entries.map(([key, spec]) => {
+        const value = values[key] !== undefined ? values[key] : spec.default;
+        
+        return (
+          <div key={key} className="flex items-center justify-between gap-2">
+            <label className="text-sm text-gray-700">{key}:</label>
+            {spec.type === ParameterTypes.SELECT && (
+              <select
+                value={value}
+                onChange={(e) => onChange(key, e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded text-sm"
+                disabled={disabled}
+              >
+                {spec.options.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            )}
+            {spec.type === ParameterTypes.BOOLEAN && (
+              <input
+                type="checkbox"
+                checked={Boolean(value)}
+                onChange={(e) => onChange(key, e.target.checked)}
+                disabled={disabled}
+              />
+            )}
+            {spec.type === ParameterTypes.NUMBER && (
+              <div className="flex items-center gap-2">
+                <input
+                  type="range"
+                  min={spec.min}
+                  max={spec.max}
+                  step={spec.step}
+                  value={value}
+                  onChange={(e) => onChange(key, Number(e.target.value))}
+                  className="w-28"
+                  disabled={disabled}
+                />
+                <span className="text-xs text-gray-600 w-12">{value}</span>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ParameterControls;
@@ -0,0 +1,9 @@
+/**
+ * Core Control Components
+ * 
+ * Shared UI controls for all demos.
+ */
+
+export { default as ParameterControls } from './ParameterControls.js';
+export { default as MazeFileControls } from './MazeFileControls.js';
+export { default as MazeStatsPanel } from './MazeStatsPanel.js';
@@ -5,13 +5,30 @@
  */
 
 // Constants
-export { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from './constants.js';
+export { DEFAULT_REGION_SIZE, REGION_SIZE_OPTIONS, DEFAULT_MAZE_SIZE } from './constants.js';
 
 // Rendering
 export { CanvasRenderer, useViewport } from './rendering/index.js';
 
+// Controls
+export { ParameterControls, MazeFileControls, MazeStatsPanel } from './controls/index.js';
+
 // Utilities
-export { findConnectedComponents } from './utils/index.js';
+export {
+  findConnectedComponents,
+  getMazeDimensions,
+  MOVEMENT_TYPES,
+  DEFAULT_MOVEMENT,
+  createMovementModel,
+  getMovementModel,
+  parseMovingAIMap,
+  parseMovingAIScenarios,
+  MAZE_FILE_FORMATS,
+  MAZE_FILE_TYPES,
+  serializeMaze,
+  parseMaze,
+  detectMazeFormat
+} from './utils/index.js';
 
 // Sensors
 export { 
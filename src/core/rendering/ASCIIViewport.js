@@ -21,8 +21,9 @@ export class ASCIIViewport {
 
   /**
    * Update viewport to center on character position
+   * mazeHeight defaults to mazeWidth for square mazes
    */
-  updateCamera(characterPosition, mazeSize) {
+  updateCamera(characterPosition, mazeWidth, mazeHeight = mazeWidth) {
     if (!characterPosition) {
       return;
     }
@@ -33,8 +34,8 @@ export class ASCIIViewport {
 
     // Clamp to maze boundaries
     this.cameraPosition = {
-      row: Math.max(0, Math.min(targetRow, mazeSize - this.VIEWPORT_HEIGHT)),
-      col: Math.max(0, Math.min(targetCol, mazeSize - this.VIEWPORT_WIDTH))
+      row: Math.max(0, Math.min(targetRow, mazeHeight - this.VIEWPORT_HEIGHT)),
+      col: Math.max(0, Math.min(targetCol, mazeWidth - this.VIEWPORT_WIDTH))
     };
 
     this.initialized = true;
@@ -43,20 +44,20 @@ export class ASCIIViewport {
   /**
    * Calculate visible bounds with buffer for efficient rendering
    */
-  getVisibleBounds(mazeSize) {
+  getVisibleBounds(mazeWidth, mazeHeight = mazeWidth) {
     if (!this.initialized) {
       return {
         startRow: 0,
-        endRow: Math.min(this.VIEWPORT_HEIGHT, mazeSize),
+        endRow: Math.min(this.VIEWPORT_HEIGHT, mazeHeight),
         startCol: 0,
-        endCol: Math.min(this.VIEWPORT_WIDTH, mazeSize)
+        endCol: Math.min(this.VIEWPORT_WIDTH, mazeWidth)
       };
     }
 
     const startRow = Math.max(0, this.cameraPosition.row - this.BUFFER_CELLS);
-    const endRow = Math.min(mazeSize, this.cameraPosition.row + this.VIEWPORT_HEIGHT + this.BUFFER_CELLS);
+    const endRow = Math.min(mazeHeight, this.cameraPosition.row + this.VIEWPORT_HEIGHT + this.BUFFER_CELLS);
     const startCol = Math.max(0, this.cameraPosition.col - this.BUFFER_CELLS);
-    const endCol = Math.min(mazeSize, this.cameraPosition.col + this.VIEWPORT_WIDTH + this.BUFFER_CELLS);
+    const endCol = Math.min(mazeWidth, this.cameraPosition.col + this.VIEWPORT_WIDTH + this.BUFFER_CELLS);
 
     return { startRow, endRow, startCol, endCol };
   }
@@ -64,9 +65,9 @@ export class ASCIIViewport {
   /**
    * Get viewport statistics for debugging
    */
-  getViewportStats(mazeSize) {
-    const bounds = this.getVisibleBounds(mazeSize);
-    const totalCells = mazeSize * mazeSize;
+  getViewportStats(mazeWidth, mazeHeight = mazeWidth) {
+    const bounds = this.getVisibleBounds(mazeWidth, mazeHeight);
+    const totalCells = mazeWidth * mazeHeight;
     const visibleCells = (bounds.endRow - bounds.startRow) * (bounds.endCol - bounds.startCol);
     const cullPercentage = ((totalCells - visibleCells) / totalCells * 100).toFixed(1);
 
@@ -1,5 +1,7 @@
 import { useRef, useEffect, useCallback } from 'react';
 import { DEFAULT_REGION_SIZE } from '../constants.js';
+import { getMazeDimensions } from '../utils/maze-utils.js';
+import { TERRAIN_TYPES } from '../utils/map-utils.js';
 
 /**
  * Generic canvas-based renderer for maze visualizations
@@ -12,10 +14,11 @@ const CanvasRenderer = ({
   colors = {}, 
   viewport, 
   isAnimating = false,
-  renderMode = 'pathfinding' // 'pathfinding' | 'exploration'
+  renderMode = 'pathfinding', // 'pathfinding' | 'exploration'
+  onCellClick = null // Called with {row, col} of a clicked cell
 }) => {
   const canvasRef = useRef(null);
-  const { maze, coloredMaze, visitedCells } = state;
+  const { maze, coloredMaze, visitedCells, terrain, waypoints, regionSize = DEFAULT_REGION_SIZE } = state;
   const { 
     visibleBounds, 
     getCellPosition, 
@@ -37,9 +40,19 @@ const CanvasRenderer = ({
     UNREACHABLE_FRONTIER: '#ffff00', // Yellow for unreachable frontiers
     ROBOT: '#00ff00',     // Bright green like frontier_maze - clear distinction
     UNKNOWN: '#808080',   // Gray for unknown areas
+    CARPET: '#e9d5ff',    // Light purple carpet
+    MUD: '#b08968',       // Brown mud
+    WATER: '#7dd3fc',     // Light blue water
     ...colors // Override defaults with provided colors
   };
 
+  // Floor color per terrain type (plain floor keeps WALKABLE/EXPLORED)
+  const TERRAIN_COLORS = {
+    [TERRAIN_TYPES.CARPET]: COLORS.CARPET,
+    [TERRAIN_TYPES.MUD]: COLORS.MUD,
+    [TERRAIN_TYPES.WATER]: COLORS.WATER
+  };
+
   /**
    * Draws a single cell with proper colors and markers
    */
@@ -50,6 +63,7 @@ const CanvasRenderer = ({
     const isWall = maze[row][col] === 1;
     const colorIndex = coloredMaze[row]?.[col];
     const isVisited = visitedCells?.has(cellKey);
+    const terrainColor = TERRAIN_COLORS[terrain?.[row]?.[col]];
 
     // Get cell state using existing O(1) lookups
     const isStartPoint = cellCheckers?.isStartPoint?.(row, col) || false;
@@ -68,7 +82,7 @@ const CanvasRenderer = ({
     const isComponentTransition = cellCheckers?.isComponentTransition?.(row, col) || false;
 
     // Determine background color based on render mode
-    let backgroundColor = isWall ? COLORS.WALL : COLORS.WALKABLE;
+    let backgroundColor = isWall ? COLORS.WALL : (terrainColor || COLORS.WALKABLE);
     
     if (renderMode === 'pathfinding') {
       // Pathfinding mode: use component colors for visited cells
@@ -93,9 +107,9 @@ const CanvasRenderer = ({
       } else if (isWall) {
         backgroundColor = COLORS.WALL;
       } else if (isExplored) {
-        backgroundColor = COLORS.EXPLORED;
+        backgroundColor = terrainColor || COLORS.EXPLORED;
       } else {
-        backgroundColor = COLORS.WALKABLE;
+        backgroundColor = terrainColor || COLORS.WALKABLE;
       }
       
       // Show current detailed path (remaining path to frontier)
@@ -203,7 +217,7 @@ const CanvasRenderer = ({
       ctx.textBaseline = 'top';
       ctx.fillText(colorIndex.toString(), x + 2, y + 2);
     }
-  }, [maze, coloredMaze, visitedCells, cellCheckers, colors, isAnimating, CELL_SIZE, renderMode, COLORS]);
+  }, [maze, coloredMaze, visitedCells, terrain, cellCheckers, colors, isAnimating, CELL_SIZE, renderMode, COLORS, TERRAIN_COLORS]);
 
   /**
    * Draws region borders for abstract path visualization (pathfinding mode)
@@ -211,11 +225,10 @@ const CanvasRenderer = ({
   const drawRegionBorders = useCallback((ctx) => {
     if (renderMode !== 'pathfinding' || !state.showAbstractPath) return;
 
-    const REGION_SIZE = DEFAULT_REGION_SIZE;
     const { abstractPath } = state;
     const regions = getVisibleRegions;
 
-    regions.forEach(({ regionRow, regionCol, x, y }) => {
+    regions.forEach(({ regionRow, regionCol, x, y, width, height }) => {
       const regionId = `${regionRow},${regionCol}`;
       
       // Check if region is in abstract path
@@ -235,22 +248,96 @@ const CanvasRenderer = ({
       const overlap = isInPath ? 1 : 0;
       const borderX = x - overlap;
       const borderY = y - overlap;
-      const borderSize = REGION_SIZE * CELL_SIZE + overlap * 2;
       
-      ctx.strokeRect(borderX, borderY, borderSize, borderSize);
+      ctx.strokeRect(borderX, borderY, width + overlap * 2, height + overlap * 2);
     });
     
     // Reset line dash
     ctx.setLineDash([]);
   }, [state.showAbstractPath, state.abstractPath, getVisibleRegions, CELL_SIZE, renderMode]);
 
+  /**
+   * Draws the straight segments of an any-angle or smoothed path (pathfinding mode)
+   */
+  const drawWaypoints = useCallback((ctx) => {
+    if (renderMode !== 'pathfinding' || !waypoints || waypoints.length < 2) return;
+
+    ctx.strokeStyle = 'rgba(59, 130, 246, 0.8)'; // Blue, like the character
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    waypoints.forEach((point, index) => {
+      const position = getCellPosition(point.row, point.col);
+      const x = position.x + CELL_SIZE / 2;
+      const y = position.y + CELL_SIZE / 2;
+      if (index === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.stroke();
+  }, [renderMode, waypoints, getCellPosition, CELL_SIZE]);
+
+  /**
+   * Draws the replayed search steps (pathfinding mode)
+   * Cells opened or expanded up to the replay step get a tint; abstract nodes get a
+   * ring once opened and a dot once expanded, at the center of their component.
+   */
+  const drawSearchTrace = useCallback((ctx) => {
+    const { searchTrace, replayStep, componentGraph } = state;
+    if (renderMode !== 'pathfinding' || !searchTrace) return;
+
+    for (let row = visibleBounds.startRow; row < visibleBounds.endRow; row++) {
+      for (let col = visibleBounds.startCol; col < visibleBounds.endCol; col++) {
+        const cellKey = `${row},${col}`;
+        const closedAt = searchTrace.closedAt.get(cellKey);
+        const openedAt = searchTrace.openedAt.get(cellKey);
+        let color = null;
+        if (closedAt !== undefined && closedAt < replayStep) {
+          color = 'rgba(249, 115, 22, 0.35)'; // Orange tint: expanded
+        } else if (openedAt !== undefined && openedAt < replayStep) {
+          color = 'rgba(34, 197, 94, 0.35)'; // Green tint: in the open set
+        }
+        if (!color) continue;
+
+        const position = getCellPosition(row, col);
+        ctx.fillStyle = color;
+        ctx.fillRect(position.x, position.y, CELL_SIZE, CELL_SIZE);
+      }
+    }
+
+    if (!componentGraph) return;
+    ctx.strokeStyle = '#7c3aed'; // Purple abstract nodes
+    ctx.fillStyle = '#7c3aed';
+    ctx.lineWidth = 3;
+    const abstractNodes = new Set([...searchTrace.abstractOpenedAt.keys(), ...searchTrace.abstractExpandedAt.keys()]);
+    abstractNodes.forEach(nodeId => {
+      const component = componentGraph[nodeId];
+      const openedAt = searchTrace.abstractOpenedAt.get(nodeId) ?? Infinity;
+      const expandedAt = searchTrace.abstractExpandedAt.get(nodeId) ?? Infinity;
+      if (!component || Math.min(openedAt, expandedAt) >= replayStep) return;
+
+      const center = component.cells.reduce(
+        (sum, cell) => ({ row: sum.row + cell.row / component.cells.length, col: sum.col + cell.col / component.cells.length }),
+        { row: 0, col: 0 }
+      );
+      const position = getCellPosition(center.row, center.col);
+      ctx.beginPath();
+      ctx.arc(position.x + CELL_SIZE / 2, position.y + CELL_SIZE / 2, CELL_SIZE / 2, 0, 2 * Math.PI);
+      if (expandedAt < replayStep) {
+        ctx.fill();
+      } else {
+        ctx.stroke();
+      }
+    });
+  }, [state, renderMode, visibleBounds, getCellPosition, CELL_SIZE]);
+
   /**
    * Draws simple region grids for exploration mode (like pathfinding)
    */
   const drawRegionGrids = useCallback((ctx) => {
     if (renderMode !== 'exploration') return;
 
-    const REGION_SIZE = DEFAULT_REGION_SIZE;
     const regions = getVisibleRegions;
 
     // Simple black region borders like pathfinding mode
@@ -258,14 +345,14 @@ const CanvasRenderer = ({
     ctx.lineWidth = 2;
     ctx.setLineDash([4, 2]); // Dotted line pattern like pathfinding
 
-    regions.forEach(({ regionRow, regionCol, x, y }) => {
-      // Simple 8x8 region border
-      ctx.strokeRect(x, y, REGION_SIZE * CELL_SIZE, REGION_SIZE * CELL_SIZE);
+    regions.forEach(({ x, y, width, height }) => {
+      // Simple region border (clipped at the maze edges)
+      ctx.strokeRect(x, y, width, height);
     });
     
     // Reset line dash
     ctx.setLineDash([]);
-  }, [renderMode, getVisibleRegions, CELL_SIZE]);
+  }, [renderMode, getVisibleRegions]);
 
   /**
    * Draws exploration-specific overlays: sensor coverage and clean component indicators
@@ -275,6 +362,7 @@ const CanvasRenderer = ({
 
     // Only draw component borders for large, established components to reduce visual noise
     if (state.componentGraph && Object.keys(state.componentGraph).length < 10) {
+      const { width: mazeWidth, height: mazeHeight } = getMazeDimensions(maze);
       Object.entries(state.componentGraph).forEach(([nodeId, component]) => {
         // Only show borders for significant components
         if (component.cells.length > 15) {
@@ -284,9 +372,11 @@ const CanvasRenderer = ({
           ctx.lineWidth = 2;
           ctx.setLineDash([8, 4]); // Longer dashes, less visual noise
           
-          const x = regionCol * DEFAULT_REGION_SIZE * CELL_SIZE - (viewport.cameraPosition?.x || 0);
-          const y = regionRow * DEFAULT_REGION_SIZE * CELL_SIZE - (viewport.cameraPosition?.y || 0);
-          ctx.strokeRect(x, y, DEFAULT_REGION_SIZE * CELL_SIZE, DEFAULT_REGION_SIZE * CELL_SIZE);
+          const x = regionCol * regionSize * CELL_SIZE - (viewport.cameraPosition?.x || 0);
+          const y = regionRow * regionSize * CELL_SIZE - (viewport.cameraPosition?.y || 0);
+          const width = Math.min(regionSize, mazeWidth - regionCol * regionSize) * CELL_SIZE;
+          const height = Math.min(regionSize, mazeHeight - regionRow * regionSize) * CELL_SIZE;
+          ctx.strokeRect(x, y, width, height);
         }
       });
       
@@ -344,7 +434,7 @@ const CanvasRenderer = ({
       
       ctx.stroke();
     }
-  }, [renderMode, state.componentGraph, state.robotPosition, state.sensorRange, 
+  }, [renderMode, maze, regionSize, state.componentGraph, state.robotPosition, state.sensorRange, 
       state.sensorPositions, state.plannedPath, state.currentPath, CELL_SIZE, viewport]);
 
   /**
@@ -379,7 +469,9 @@ const CanvasRenderer = ({
 
     // Draw overlays based on render mode
     if (renderMode === 'pathfinding') {
+      drawSearchTrace(ctx);
       drawRegionBorders(ctx);
+      drawWaypoints(ctx);
     } else if (renderMode === 'exploration') {
       // Draw region grids first (background layer)
       drawRegionGrids(ctx);
@@ -399,6 +491,8 @@ const CanvasRenderer = ({
     getCellPosition, 
     drawCell, 
     drawRegionBorders,
+    drawWaypoints,
+    drawSearchTrace,
     drawRegionGrids,
     drawExplorationOverlays,
     VIEWPORT_SIZE,
@@ -410,6 +504,22 @@ const CanvasRenderer = ({
     render();
   }, [render]);
 
+  /**
+   * Maps a click on the canvas to the maze cell under it
+   */
+  const handleClick = useCallback((event) => {
+    if (!onCellClick) return;
+
+    const rect = event.currentTarget.getBoundingClientRect();
+    const scale = VIEWPORT_SIZE / rect.width;
+    const origin = getCellPosition(0, 0);
+    const col = Math.floor(((event.clientX - rect.left) * scale - origin.x) / CELL_SIZE);
+    const row = Math.floor(((event.clientY - rect.top) * scale - origin.y) / CELL_SIZE);
+    if (maze[row]?.[col] === undefined) return;
+
+    onCellClick({ row, col });
+  }, [onCellClick, getCellPosition, maze, VIEWPORT_SIZE, CELL_SIZE]);
+
   return (
     <div
       style={{
@@ -421,10 +531,12 @@ const CanvasRenderer = ({
     >
       <canvas
         ref={canvasRef}
+        onClick={handleClick}
         style={{
           display: 'block',
           width: '100%',
-          height: '100%'
+          height: '100%',
+          cursor: onCellClick ? 'crosshair' : 'default'
         }}
       />
     </div>
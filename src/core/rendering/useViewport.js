@@ -1,27 +1,31 @@
 import { useMemo, useRef } from 'react';
 import { DEFAULT_REGION_SIZE } from '../constants.js';
+import { getMazeDimensions } from '../utils/maze-utils.js';
 
 /**
  * Simplified viewport hook with smooth camera movement
  * Features: Simple linear interpolation without state conflicts
  */
 export const useViewport = (state) => {
-  const { characterPosition, maze } = state;
+  const { characterPosition, maze, regionSize = DEFAULT_REGION_SIZE } = state;
   
   // Constants
   const VIEWPORT_SIZE = 600;
   const CELL_SIZE = 10;
   const BUFFER_CELLS = 10;
-  const MAZE_SIZE = maze.length || 256;
-  const TOTAL_MAZE_PX = MAZE_SIZE * CELL_SIZE;
+  const { width, height } = getMazeDimensions(maze);
+  const MAZE_WIDTH = width || 256;
+  const MAZE_HEIGHT = height || 256;
+  const TOTAL_MAZE_WIDTH_PX = MAZE_WIDTH * CELL_SIZE;
+  const TOTAL_MAZE_HEIGHT_PX = MAZE_HEIGHT * CELL_SIZE;
   
   // Simple smoothing configuration
   const SMOOTHING_FACTOR = 0.05; // How fast camera follows (0.1 = smooth, 1.0 = instant)
   
   // Persistent camera position for smoothing
   const smoothCameraRef = useRef({
-    x: (TOTAL_MAZE_PX - VIEWPORT_SIZE) / 2,
-    y: (TOTAL_MAZE_PX - VIEWPORT_SIZE) / 2
+    x: (TOTAL_MAZE_WIDTH_PX - VIEWPORT_SIZE) / 2,
+    y: (TOTAL_MAZE_HEIGHT_PX - VIEWPORT_SIZE) / 2
   });
   
   // Track if we've positioned camera on character yet
@@ -32,8 +36,8 @@ export const useViewport = (state) => {
     if (!characterPosition) {
       hasInitializedRef.current = false; // Reset when no character
       return {
-        x: (TOTAL_MAZE_PX - VIEWPORT_SIZE) / 2,
-        y: (TOTAL_MAZE_PX - VIEWPORT_SIZE) / 2
+        x: (TOTAL_MAZE_WIDTH_PX - VIEWPORT_SIZE) / 2,
+        y: (TOTAL_MAZE_HEIGHT_PX - VIEWPORT_SIZE) / 2
       };
     }
     
@@ -44,9 +48,9 @@ export const useViewport = (state) => {
     let targetX = characterPixelX - VIEWPORT_SIZE / 2;
     let targetY = characterPixelY - VIEWPORT_SIZE / 2;
     
-    // Clamp to world boundaries
-    targetX = Math.max(0, Math.min(targetX, TOTAL_MAZE_PX - VIEWPORT_SIZE));
-    targetY = Math.max(0, Math.min(targetY, TOTAL_MAZE_PX - VIEWPORT_SIZE));
+    // Clamp to world boundaries (each axis separately for non-square mazes)
+    targetX = Math.max(0, Math.min(targetX, TOTAL_MAZE_WIDTH_PX - VIEWPORT_SIZE));
+    targetY = Math.max(0, Math.min(targetY, TOTAL_MAZE_HEIGHT_PX - VIEWPORT_SIZE));
     
     // First time positioning: snap directly to character (no smoothing)
     if (!hasInitializedRef.current) {
@@ -63,15 +67,15 @@ export const useViewport = (state) => {
     smoothCameraRef.current = { x: currentX, y: currentY };
     
     return { x: currentX, y: currentY };
-  }, [characterPosition, TOTAL_MAZE_PX, VIEWPORT_SIZE, SMOOTHING_FACTOR]);
+  }, [characterPosition, TOTAL_MAZE_WIDTH_PX, TOTAL_MAZE_HEIGHT_PX, VIEWPORT_SIZE, SMOOTHING_FACTOR]);
   
   // Calculate everything in one go to avoid cascading dependencies
   const viewportData = useMemo(() => {
     // Calculate visible bounds with buffer
     const startCol = Math.floor(Math.max(0, cameraPosition.x / CELL_SIZE - BUFFER_CELLS));
-    const endCol = Math.ceil(Math.min(MAZE_SIZE, (cameraPosition.x + VIEWPORT_SIZE) / CELL_SIZE + BUFFER_CELLS));
+    const endCol = Math.ceil(Math.min(MAZE_WIDTH, (cameraPosition.x + VIEWPORT_SIZE) / CELL_SIZE + BUFFER_CELLS));
     const startRow = Math.floor(Math.max(0, cameraPosition.y / CELL_SIZE - BUFFER_CELLS));
-    const endRow = Math.ceil(Math.min(MAZE_SIZE, (cameraPosition.y + VIEWPORT_SIZE) / CELL_SIZE + BUFFER_CELLS));
+    const endRow = Math.ceil(Math.min(MAZE_HEIGHT, (cameraPosition.y + VIEWPORT_SIZE) / CELL_SIZE + BUFFER_CELLS));
     
     const visibleBounds = { startCol, endCol, startRow, endRow };
     
@@ -81,10 +85,10 @@ export const useViewport = (state) => {
       y: row * CELL_SIZE - cameraPosition.y
     });
     
-    // Calculate visible regions (for borders)
+    // Calculate visible regions (for borders), sized like the maze's components
     const getVisibleRegions = (() => {
       const regions = [];
-      const REGION_SIZE = DEFAULT_REGION_SIZE;
+      const REGION_SIZE = regionSize;
       
       const startRegionCol = Math.floor(startCol / REGION_SIZE);
       const endRegionCol = Math.ceil(endCol / REGION_SIZE);
@@ -96,11 +100,17 @@ export const useViewport = (state) => {
           const x = regionCol * REGION_SIZE * CELL_SIZE - cameraPosition.x;
           const y = regionRow * REGION_SIZE * CELL_SIZE - cameraPosition.y;
           
+          // Regions on the right and bottom edges are clipped to the maze
+          const width = Math.min(REGION_SIZE, MAZE_WIDTH - regionCol * REGION_SIZE) * CELL_SIZE;
+          const height = Math.min(REGION_SIZE, MAZE_HEIGHT - regionRow * REGION_SIZE) * CELL_SIZE;
+          
           regions.push({
             regionRow,
             regionCol,
             x,
-            y
+            y,
+            width,
+            height
           });
         }
       }
@@ -109,7 +119,7 @@ export const useViewport = (state) => {
     })();
     
     // Stats with smoothing information
-    const totalCells = MAZE_SIZE * MAZE_SIZE;
+    const totalCells = MAZE_WIDTH * MAZE_HEIGHT;
     const visibleCells = (visibleBounds.endRow - visibleBounds.startRow) * 
                         (visibleBounds.endCol - visibleBounds.startCol);
     const cullPercentage = ((totalCells - visibleCells) / totalCells * 100).toFixed(1);
@@ -132,7 +142,7 @@ export const useViewport = (state) => {
         }
       }
     };
-  }, [cameraPosition, VIEWPORT_SIZE, CELL_SIZE, BUFFER_CELLS, MAZE_SIZE, SMOOTHING_FACTOR]);
+  }, [cameraPosition, VIEWPORT_SIZE, CELL_SIZE, BUFFER_CELLS, MAZE_WIDTH, MAZE_HEIGHT, SMOOTHING_FACTOR, regionSize]);
   
   return {
     VIEWPORT_SIZE,
@@ -1,10 +1,14 @@
 // Sensor Management System
 // Handles different sensor types and fusion for exploration algorithms
 
+import { DEFAULT_MOVEMENT } from '../utils/movement-model.js';
+
 export class SensorManager {
-  constructor(width, height) {
+  // The movement model decides whether sight passes between walls that meet at a corner
+  constructor(width, height, movement = DEFAULT_MOVEMENT) {
     this.width = width;
     this.height = height;
+    this.movement = movement;
     this.sensors = new Map();
   }
 
@@ -64,10 +68,11 @@ export class SensorManager {
     let err = dx - dy;
     let x = x1;
     let y = y1;
+    const isOpen = (cellX, cellY) => maze[cellY * this.width + cellX] !== 1;
 
     while (true) {
       // Stop if a wall is hit before the target
-      if (maze[y * this.width + x] === 1 && (x !== x2 || y !== y2)) {
+      if (!isOpen(x, y) && (x !== x2 || y !== y2)) {
         return false;
       }
       // Reached the target cell
@@ -76,8 +81,15 @@ export class SensorManager {
       }
 
       const e2 = 2 * err;
+      const previousX = x;
+      const previousY = y;
       if (e2 > -dy) { err -= dy; x += sx; }
       if (e2 < dx) { err += dx; y += sy; }
+      // A diagonal step passes the corner between the two cells beside it
+      if (x !== previousX && y !== previousY &&
+          !this.movement.canPassCorner(isOpen(x, previousY), isOpen(previousX, y))) {
+        return false;
+      }
     }
   }
 }
@@ -4,4 +4,18 @@
  * Shared utility functions for all parts of the application.
  */
 
-export { findConnectedComponents } from './maze-utils.js';
\ No newline at end of file
+export { findConnectedComponents, getMazeDimensions } from './maze-utils.js';
+export {
+  MOVEMENT_TYPES,
+  DEFAULT_MOVEMENT,
+  createMovementModel,
+  getMovementModel
+} from './movement-model.js';
+export { parseMovingAIMap, parseMovingAIScenarios } from './movingai-utils.js';
+export {
+  MAZE_FILE_FORMATS,
+  MAZE_FILE_TYPES,
+  serializeMaze,
+  parseMaze,
+  detectMazeFormat
+} from './maze-io.js';
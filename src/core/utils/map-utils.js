@@ -10,6 +10,47 @@ export const CELL_STATES = {
   WALKABLE: 0
 };
 
+// Terrain types of walkable cells, kept in a terrain grid alongside the 0/1 maze
+export const TERRAIN_TYPES = {
+  FLOOR: 0,
+  CARPET: 1,
+  MUD: 2,
+  WATER: 3
+};
+
+// Movement cost multiplier per terrain type; none is below 1, so distance heuristics stay admissible
+export const TERRAIN_COSTS = {
+  [TERRAIN_TYPES.FLOOR]: 1,
+  [TERRAIN_TYPES.CARPET]: 1.25,
+  [TERRAIN_TYPES.MUD]: 3,
+  [TERRAIN_TYPES.WATER]: 5
+};
+
+/**
+ * Movement cost multiplier for entering a cell
+ * @param {Array|null} terrain - 2D terrain type array, or null for uniform floor
+ * @param {number} row - Cell row
+ * @param {number} col - Cell column
+ * @returns {number} Terrain cost (1 for plain floor)
+ */
+export const getTerrainCost = (terrain, row, col) => {
+  if (!terrain) return 1;
+  return TERRAIN_COSTS[terrain[row][col]] ?? 1;
+};
+
+/**
+ * Whether any cell costs more than plain floor
+ * Searches that assume uniform step costs (Jump Point Search) fall back to A* when it does.
+ * @param {Array|null} terrain - 2D terrain type array, or null for uniform floor
+ * @param {Array|null} cells - Optional cells {row, col} to check instead of the whole grid
+ * @returns {boolean} True if some checked cell has a terrain cost other than 1
+ */
+export const hasWeightedTerrain = (terrain, cells = null) => {
+  if (!terrain) return false;
+  if (cells) return cells.some(cell => getTerrainCost(terrain, cell.row, cell.col) !== 1);
+  return terrain.some(row => row.some(type => (TERRAIN_COSTS[type] ?? 1) !== 1));
+};
+
 /**
  * Update known map with sensor readings
  */
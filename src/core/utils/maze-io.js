@@ -0,0 +1,503 @@
+/**
+ * Maze Import/Export
+ *
+ * Serializers and parsers for saving mazes to files and loading hand-drawn ones.
+ * Every parser returns the same shape:
+ *   { maze, start, end, coloredMaze, componentGraph, regionSize, movement, seed, terrain }
+ * where fields a format cannot carry are null. ASCII and JSON keep terrain,
+ * except that ASCII writes 'S' and 'E' over the start and end cells, which
+ * come back as plain floor; PBM/PGM images store walls only. JSON stores the movement model of its
+ * components next to their region size.
+ */
+
+import { CELL_STATES, TERRAIN_TYPES } from './map-utils.js';
+import { getMazeDimensions } from './maze-utils.js';
+import { getMovementModel } from './movement-model.js';
+
+/**
+ * Supported maze file formats
+ */
+export const MAZE_FILE_FORMATS = {
+  ASCII: 'ascii',
+  JSON: 'json',
+  PBM: 'pbm',
+  PGM: 'pgm'
+};
+
+/**
+ * File extension and MIME type for each format
+ */
+export const MAZE_FILE_TYPES = {
+  [MAZE_FILE_FORMATS.ASCII]: { extension: '.txt', mimeType: 'text/plain' },
+  [MAZE_FILE_FORMATS.JSON]: { extension: '.json', mimeType: 'application/json' },
+  [MAZE_FILE_FORMATS.PBM]: { extension: '.pbm', mimeType: 'image/x-portable-bitmap' },
+  [MAZE_FILE_FORMATS.PGM]: { extension: '.pgm', mimeType: 'image/x-portable-graymap' }
+};
+
+/**
+ * Identifier and current version of the JSON maze document
+ */
+export const MAZE_JSON_FORMAT = 'hastar-maze';
+export const MAZE_JSON_VERSION = 1;
+
+// ASCII characters
+const ASCII_WALL = '#';
+const ASCII_FLOOR = '.';
+const ASCII_START = 'S';
+const ASCII_END = 'E';
+
+/**
+ * ASCII characters of the non-floor terrain types
+ */
+export const TERRAIN_ASCII = {
+  [TERRAIN_TYPES.CARPET]: '=',
+  [TERRAIN_TYPES.MUD]: ',',
+  [TERRAIN_TYPES.WATER]: '~'
+};
+
+const ASCII_TERRAIN_TYPES = Object.fromEntries(
+  Object.entries(TERRAIN_ASCII).map(([type, ch]) => [ch, Number(type)])
+);
+
+/**
+ * Build the common parser result
+ */
+const createMazeData = (maze, fields = {}) => ({
+  maze,
+  start: fields.start || null,
+  end: fields.end || null,
+  coloredMaze: fields.coloredMaze || null,
+  componentGraph: fields.componentGraph || null,
+  regionSize: fields.regionSize || null,
+  movement: fields.movement || null,
+  seed: fields.seed !== undefined ? fields.seed : null,
+  terrain: fields.terrain || null
+});
+
+/**
+ * Check that a start/end point lies on a walkable cell of the maze
+ */
+const validatePoint = (maze, point, name) => {
+  if (!point) return;
+  if (maze[point.row]?.[point.col] !== CELL_STATES.WALKABLE) {
+    throw new Error(`Invalid maze file: ${name} (${point.row}, ${point.col}) is not a walkable cell`);
+  }
+};
+
+/**
+ * Accept either text or raw bytes and return both views
+ */
+const toBytes = (content) => {
+  if (typeof content === 'string') {
+    return Uint8Array.from(content, ch => ch.charCodeAt(0) & 0xff);
+  }
+  return content instanceof Uint8Array ? content : new Uint8Array(content);
+};
+
+const toText = (content) => {
+  if (typeof content === 'string') return content;
+  return new TextDecoder().decode(toBytes(content));
+};
+
+// ---------------------------------------------------------------------------
+// ASCII
+// ---------------------------------------------------------------------------
+
+/**
+ * Serialize a maze to ASCII: '#' wall, '.' floor, 'S' start, 'E' end,
+ * plus the TERRAIN_ASCII characters for terrain cells
+ * 'S' and 'E' replace the terrain of their cells, so a start or end on carpet,
+ * mud or water is floor once loaded again (a warning is logged); JSON keeps it.
+ * @param {Object} mazeData - { maze, start, end, terrain }
+ * @returns {string} One line per maze row
+ */
+export const serializeMazeToASCII = ({ maze, start = null, end = null, terrain = null }) => {
+  [['start', start], ['end', end]].forEach(([name, point]) => {
+    if (point && TERRAIN_ASCII[terrain?.[point.row]?.[point.col]]) {
+      console.warn(`ASCII maze: the terrain under the ${name} (${point.row}, ${point.col}) is saved as floor`);
+    }
+  });
+
+  const lines = maze.map((row, r) => row.map((cell, c) => {
+    if (start && start.row === r && start.col === c) return ASCII_START;
+    if (end && end.row === r && end.col === c) return ASCII_END;
+    if (cell !== CELL_STATES.WALKABLE) return ASCII_WALL;
+    return TERRAIN_ASCII[terrain?.[r][c]] || ASCII_FLOOR;
+  }).join(''));
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Parse an ASCII maze ('#' wall, '.' or space floor, 'S' start, 'E' end, terrain characters)
+ * The start and end cells are plain floor.
+ * @param {string} text - Maze text
+ * @returns {Object} Maze data
+ */
+export const parseMazeFromASCII = (text) => {
+  const lines = text.split(/\r?\n/);
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+    lines.pop();
+  }
+
+  if (lines.length === 0) {
+    throw new Error('Invalid ASCII maze: file is empty');
+  }
+
+  const width = Math.max(...lines.map(line => line.length));
+  const terrain = lines.map(() => Array(width).fill(TERRAIN_TYPES.FLOOR));
+  let hasTerrain = false;
+  let start = null;
+  let end = null;
+
+  const maze = lines.map((line, row) => {
+    const mazeRow = Array(width).fill(CELL_STATES.WALL); // Short lines are padded with walls
+    for (let col = 0; col < line.length; col++) {
+      const ch = line[col];
+      if (ch === ASCII_WALL) continue;
+      if (ch === ASCII_FLOOR || ch === ' ') {
+        mazeRow[col] = CELL_STATES.WALKABLE;
+      } else if (ASCII_TERRAIN_TYPES[ch] !== undefined) {
+        mazeRow[col] = CELL_STATES.WALKABLE;
+        terrain[row][col] = ASCII_TERRAIN_TYPES[ch];
+        hasTerrain = true;
+      } else if (ch === ASCII_START) {
+        mazeRow[col] = CELL_STATES.WALKABLE;
+        start = { row, col };
+      } else if (ch === ASCII_END) {
+        mazeRow[col] = CELL_STATES.WALKABLE;
+        end = { row, col };
+      } else {
+        throw new Error(`Invalid ASCII maze: unexpected character '${ch}' at (${row}, ${col})`);
+      }
+    }
+    return mazeRow;
+  });
+
+  return createMazeData(maze, { start, end, terrain: hasTerrain ? terrain : null });
+};
+
+// ---------------------------------------------------------------------------
+// JSON
+// ---------------------------------------------------------------------------
+
+/**
+ * Serialize a maze to a versioned JSON document
+ * @param {Object} mazeData - { maze, start, end, coloredMaze, componentGraph, regionSize, movement, seed, terrain }
+ * @param {Object} options
+ * @param {boolean} options.includeComponents - Also store coloredMaze and componentGraph
+ * @returns {string} JSON text
+ */
+export const serializeMazeToJSON = (mazeData, { includeComponents = true } = {}) => {
+  const { maze, start = null, end = null, seed = null, terrain = null } = mazeData;
+  const { width, height } = getMazeDimensions(maze);
+
+  const document = {
+    format: MAZE_JSON_FORMAT,
+    version: MAZE_JSON_VERSION,
+    width,
+    height,
+    grid: maze.map(row => row.join('')),
+    start,
+    end,
+    seed
+  };
+
+  // Terrain rows are strings of TERRAIN_TYPES digits, like the grid
+  if (terrain) {
+    document.terrain = terrain.map(row => row.join(''));
+  }
+
+  if (includeComponents && mazeData.coloredMaze && mazeData.componentGraph) {
+    document.regionSize = mazeData.regionSize;
+    if (mazeData.movement) {
+      document.movement = { type: mazeData.movement.type, diagonalCost: mazeData.movement.diagonalCost };
+    }
+    document.coloredMaze = mazeData.coloredMaze;
+    document.componentGraph = mazeData.componentGraph;
+  }
+
+  return JSON.stringify(document);
+};
+
+/**
+ * Parse a versioned JSON maze document
+ * @param {string} text - JSON text
+ * @returns {Object} Maze data
+ */
+export const parseMazeFromJSON = (text) => {
+  const document = JSON.parse(text);
+
+  if (document.format !== MAZE_JSON_FORMAT) {
+    throw new Error(`Invalid JSON maze: expected format "${MAZE_JSON_FORMAT}"`);
+  }
+  if (!Number.isInteger(document.version) || document.version > MAZE_JSON_VERSION) {
+    throw new Error(`Unsupported JSON maze version: ${document.version}`);
+  }
+  if (!Array.isArray(document.grid) || document.grid.length !== document.height) {
+    throw new Error('Invalid JSON maze: grid does not match height');
+  }
+
+  const maze = document.grid.map((line, row) => {
+    if (line.length !== document.width) {
+      throw new Error(`Invalid JSON maze: row ${row} does not match width`);
+    }
+    return Array.from(line, ch => ch === '0' ? CELL_STATES.WALKABLE : CELL_STATES.WALL);
+  });
+
+  validatePoint(maze, document.start, 'start');
+  validatePoint(maze, document.end, 'end');
+
+  let terrain = null;
+  if (document.terrain) {
+    if (!Array.isArray(document.terrain) || document.terrain.length !== document.height ||
+        document.terrain.some(line => line.length !== document.width)) {
+      throw new Error('Invalid JSON maze: terrain does not match the grid size');
+    }
+    terrain = document.terrain.map(line => Array.from(line, Number));
+  }
+
+  return createMazeData(maze, {
+    start: document.start,
+    end: document.end,
+    coloredMaze: document.coloredMaze,
+    componentGraph: document.componentGraph,
+    regionSize: document.regionSize,
+    movement: document.movement
+      ? getMovementModel({ movement: document.movement.type, diagonalCost: document.movement.diagonalCost })
+      : null,
+    seed: document.seed,
+    terrain
+  });
+};
+
+// ---------------------------------------------------------------------------
+// PBM / PGM (Netpbm)
+// ---------------------------------------------------------------------------
+
+/**
+ * Header comments carrying the start/end points, e.g. "# start=12,34"
+ */
+const pointComments = ({ start, end }) => {
+  const comments = [];
+  if (start) comments.push(`# start=${start.row},${start.col}`);
+  if (end) comments.push(`# end=${end.row},${end.col}`);
+  return comments;
+};
+
+/**
+ * Serialize a maze to plain PBM (P1): 1 = black = wall, matching the maze array
+ * Start/end are stored in header comments.
+ * @param {Object} mazeData - { maze, start, end }
+ * @returns {string} PBM text
+ */
+export const serializeMazeToPBM = (mazeData) => {
+  const { width, height } = getMazeDimensions(mazeData.maze);
+  const lines = ['P1', ...pointComments(mazeData), `${width} ${height}`];
+  for (const row of mazeData.maze) {
+    lines.push(row.map(cell => cell === CELL_STATES.WALKABLE ? '0' : '1').join(' '));
+  }
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Serialize a maze to plain PGM (P2): walls black (0), floor white (255)
+ * Start/end are stored in header comments.
+ * @param {Object} mazeData - { maze, start, end }
+ * @returns {string} PGM text
+ */
+export const serializeMazeToPGM = (mazeData) => {
+  const { width, height } = getMazeDimensions(mazeData.maze);
+  const lines = ['P2', ...pointComments(mazeData), `${width} ${height}`, '255'];
+  for (const row of mazeData.maze) {
+    lines.push(row.map(cell => cell === CELL_STATES.WALKABLE ? '255' : '0').join(' '));
+  }
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Parse a PBM or PGM image, plain (P1/P2) or raw (P4/P5)
+ * PBM: 1 (black) is a wall. PGM: pixels darker than half of maxval are walls.
+ * @param {string|Uint8Array|ArrayBuffer} content - File contents
+ * @returns {Object} Maze data
+ */
+export const parseMazeFromPNM = (content) => {
+  const bytes = toBytes(content);
+  let offset = 0;
+  const comments = [];
+
+  const isWhitespace = (byte) => byte === 0x20 || byte === 0x09 || byte === 0x0a || byte === 0x0d;
+
+  // Read the next whitespace-separated header token, collecting comments
+  const readToken = () => {
+    while (offset < bytes.length) {
+      if (isWhitespace(bytes[offset])) {
+        offset++;
+      } else if (bytes[offset] === 0x23) { // '#'
+        let comment = '';
+        while (offset < bytes.length && bytes[offset] !== 0x0a) {
+          comment += String.fromCharCode(bytes[offset++]);
+        }
+        comments.push(comment.slice(1).trim());
+      } else {
+        break;
+      }
+    }
+    let token = '';
+    while (offset < bytes.length && !isWhitespace(bytes[offset]) && bytes[offset] !== 0x23) {
+      token += String.fromCharCode(bytes[offset++]);
+    }
+    return token;
+  };
+
+  const magic = readToken();
+  if (!['P1', 'P2', 'P4', 'P5'].includes(magic)) {
+    throw new Error(`Invalid PNM maze: unsupported magic number "${magic}"`);
+  }
+
+  const width = Number(readToken());
+  const height = Number(readToken());
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+    throw new Error('Invalid PNM maze: bad width/height');
+  }
+
+  const isBitmap = magic === 'P1' || magic === 'P4';
+  const maxval = isBitmap ? 1 : Number(readToken());
+  if (!isBitmap && (!Number.isInteger(maxval) || maxval <= 0 || maxval > 65535)) {
+    throw new Error('Invalid PNM maze: bad maxval');
+  }
+
+  // Read raw pixel values in row-major order
+  const pixels = new Array(width * height);
+  if (magic === 'P1') {
+    // Plain PBM digits may or may not be separated by whitespace
+    let i = 0;
+    while (i < pixels.length && offset < bytes.length) {
+      const byte = bytes[offset++];
+      if (byte === 0x30 || byte === 0x31) {
+        pixels[i++] = byte - 0x30;
+      } else if (byte === 0x23) {
+        while (offset < bytes.length && bytes[offset] !== 0x0a) offset++;
+      }
+    }
+    if (i < pixels.length) throw new Error('Invalid PNM maze: not enough pixel data');
+  } else if (magic === 'P2') {
+    for (let i = 0; i < pixels.length; i++) {
+      const token = readToken();
+      if (token === '') throw new Error('Invalid PNM maze: not enough pixel data');
+      pixels[i] = Number(token);
+    }
+  } else {
+    offset++; // Single whitespace byte after the header
+    if (magic === 'P4') {
+      const rowBytes = Math.ceil(width / 8);
+      if (offset + rowBytes * height > bytes.length) throw new Error('Invalid PNM maze: not enough pixel data');
+      for (let r = 0; r < height; r++) {
+        for (let c = 0; c < width; c++) {
+          const byte = bytes[offset + r * rowBytes + (c >> 3)];
+          pixels[r * width + c] = (byte >> (7 - (c & 7))) & 1;
+        }
+      }
+    } else {
+      const sampleBytes = maxval < 256 ? 1 : 2;
+      if (offset + pixels.length * sampleBytes > bytes.length) throw new Error('Invalid PNM maze: not enough pixel data');
+      for (let i = 0; i < pixels.length; i++) {
+        pixels[i] = sampleBytes === 1
+          ? bytes[offset + i]
+          : (bytes[offset + 2 * i] << 8) | bytes[offset + 2 * i + 1];
+      }
+    }
+  }
+
+  const isWall = isBitmap
+    ? (value) => value === 1
+    : (value) => value < maxval / 2;
+
+  const maze = [];
+  for (let r = 0; r < height; r++) {
+    const row = new Array(width);
+    for (let c = 0; c < width; c++) {
+      row[c] = isWall(pixels[r * width + c]) ? CELL_STATES.WALL : CELL_STATES.WALKABLE;
+    }
+    maze.push(row);
+  }
+
+  // Recover start/end from "start=row,col" / "end=row,col" comments
+  const points = {};
+  for (const comment of comments) {
+    const match = comment.match(/^(start|end)=(\d+),(\d+)$/);
+    if (match) {
+      points[match[1]] = { row: Number(match[2]), col: Number(match[3]) };
+    }
+  }
+  validatePoint(maze, points.start, 'start');
+  validatePoint(maze, points.end, 'end');
+
+  return createMazeData(maze, points);
+};
+
+// ---------------------------------------------------------------------------
+// Format dispatch
+// ---------------------------------------------------------------------------
+
+/**
+ * Guess a maze file's format from its name, falling back to its contents
+ * @param {string} fileName - File name (may be empty)
+ * @param {string|Uint8Array} content - File contents
+ * @returns {string} One of MAZE_FILE_FORMATS
+ */
+export const detectMazeFormat = (fileName = '', content = '') => {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (extension === 'json') return MAZE_FILE_FORMATS.JSON;
+  if (extension === 'pbm') return MAZE_FILE_FORMATS.PBM;
+  if (extension === 'pgm') return MAZE_FILE_FORMATS.PGM;
+  if (extension === 'txt' || extension === 'maze') return MAZE_FILE_FORMATS.ASCII;
+
+  const head = toText(toBytes(content).slice(0, 2)).trimStart();
+  if (head.startsWith('{')) return MAZE_FILE_FORMATS.JSON;
+  if (head === 'P1' || head === 'P4') return MAZE_FILE_FORMATS.PBM;
+  if (head === 'P2' || head === 'P5') return MAZE_FILE_FORMATS.PGM;
+  return MAZE_FILE_FORMATS.ASCII;
+};
+
+/**
+ * Serialize a maze in the given format
+ * @param {Object} mazeData - { maze, start, end, coloredMaze, componentGraph, regionSize, movement, seed, terrain }
+ * @param {string} format - One of MAZE_FILE_FORMATS
+ * @param {Object} options - Format options (see serializeMazeToJSON)
+ * @returns {string} File contents
+ */
+export const serializeMaze = (mazeData, format = MAZE_FILE_FORMATS.JSON, options = {}) => {
+  switch (format) {
+    case MAZE_FILE_FORMATS.ASCII:
+      return serializeMazeToASCII(mazeData);
+    case MAZE_FILE_FORMATS.JSON:
+      return serializeMazeToJSON(mazeData, options);
+    case MAZE_FILE_FORMATS.PBM:
+      return serializeMazeToPBM(mazeData);
+    case MAZE_FILE_FORMATS.PGM:
+      return serializeMazeToPGM(mazeData);
+    default:
+      throw new Error(`Unknown maze file format: ${format}`);
+  }
+};
+
+/**
+ * Parse a maze file in the given format
+ * @param {string|Uint8Array|ArrayBuffer} content - File contents
+ * @param {string} format - One of MAZE_FILE_FORMATS
+ * @returns {Object} Maze data
+ */
+export const parseMaze = (content, format) => {
+  switch (format) {
+    case MAZE_FILE_FORMATS.ASCII:
+      return parseMazeFromASCII(toText(content));
+    case MAZE_FILE_FORMATS.JSON:
+      return parseMazeFromJSON(toText(content));
+    case MAZE_FILE_FORMATS.PBM:
+    case MAZE_FILE_FORMATS.PGM:
+      return parseMazeFromPNM(content);
+    default:
+      throw new Error(`Unknown maze file format: ${format}`);
+  }
+};
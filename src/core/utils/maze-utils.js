@@ -3,45 +3,59 @@
  * 
  * Common utilities for maze analysis and processing.
  */
-import { CELL_STATES } from '../../core/utils/map-utils.js';
+import { CELL_STATES, getTerrainCost } from '../../core/utils/map-utils.js';
+import { DEFAULT_MOVEMENT } from './movement-model.js';
+
+/**
+ * Get the dimensions of a maze (rows may differ from columns)
+ * @param {Array} maze - 2D maze array
+ * @returns {Object} { width, height } in cells
+ */
+export const getMazeDimensions = (maze) => ({
+  width: maze.length > 0 ? maze[0].length : 0,
+  height: maze.length
+});
+
 /**
  * Find connected components within a region using flood fill
+ * Regions on the right and bottom edges are clipped to the maze bounds,
+ * so maze dimensions need not be multiples of REGION_SIZE. Cells are connected
+ * by the steps the movement model allows inside the region.
  * @param {Array} maze - 2D maze array
  * @param {number} startRow - Starting row of the region
  * @param {number} startCol - Starting column of the region  
  * @param {number} REGION_SIZE - Size of the region to analyze
+ * @param {Object} movement - Movement model (default 8-connected with corner cutting)
  * @returns {Array} Array of components, each containing cell positions
  */
-export const findConnectedComponents = (maze, startRow, startCol, REGION_SIZE) => {
+export const findConnectedComponents = (maze, startRow, startCol, REGION_SIZE, movement = DEFAULT_MOVEMENT) => {
+  const { width, height } = getMazeDimensions(maze);
+  const regionHeight = Math.max(0, Math.min(REGION_SIZE, height - startRow));
+  const regionWidth = Math.max(0, Math.min(REGION_SIZE, width - startCol));
   const components = [];
-  const visited = Array(REGION_SIZE).fill(null).map(() => Array(REGION_SIZE).fill(false));
+  const visited = Array(regionHeight).fill(null).map(() => Array(regionWidth).fill(false));
+  
+  // Region-relative walkability; unknown cells count as walls
+  const isOpen = (row, col) => row >= 0 && row < regionHeight && col >= 0 && col < regionWidth &&
+    maze[startRow + row][startCol + col] === CELL_STATES.WALKABLE;
     
   const floodFill = (row, col, componentId) => {
-    if (row < 0 || row >= REGION_SIZE || col < 0 || col >= REGION_SIZE) return;
     if (visited[row][col]) return;
     
-    const mazeRow = startRow + row;
-    const mazeCol = startCol + col;
-    if (maze[mazeRow][mazeCol] === CELL_STATES.WALL || maze[mazeRow][mazeCol] === CELL_STATES.UNKNOWN) return; // Wall
-    
     visited[row][col] = true;
-    components[componentId].push({ row: mazeRow, col: mazeCol });
+    components[componentId].push({ row: startRow + row, col: startCol + col });
     
-    // Check 8 neighbors (including diagonals)
-    floodFill(row - 1, col, componentId);     // North
-    floodFill(row + 1, col, componentId);     // South
-    floodFill(row, col - 1, componentId);     // West
-    floodFill(row, col + 1, componentId);     // East
-    floodFill(row - 1, col - 1, componentId); // Northwest
-    floodFill(row - 1, col + 1, componentId); // Northeast
-    floodFill(row + 1, col - 1, componentId); // Southwest
-    floodFill(row + 1, col + 1, componentId); // Southeast
+    for (const { dRow, dCol } of movement.moves) {
+      if (movement.canStep(isOpen, row, col, dRow, dCol)) {
+        floodFill(row + dRow, col + dCol, componentId);
+      }
+    }
   };
     
   let componentId = 0;
-  for (let row = 0; row < REGION_SIZE; row++) {
-    for (let col = 0; col < REGION_SIZE; col++) {
-      if (!visited[row][col] && maze[startRow + row][startCol + col] === 0) {
+  for (let row = 0; row < regionHeight; row++) {
+    for (let col = 0; col < regionWidth; col++) {
+      if (!visited[row][col] && isOpen(row, col)) {
         components[componentId] = [];
         floodFill(row, col, componentId);
         componentId++;
@@ -106,16 +120,29 @@ export const getNeighbors4 = (row, col, maxRow, maxCol) => {
  * Calculate movement cost between two adjacent positions
  * @param {Object} from - Starting position {row, col}
  * @param {Object} to - Target position {row, col}
- * @returns {number} Movement cost (1.0 for cardinal, √2 for diagonal)
+ * @param {Array|null} terrain - Optional terrain grid; the step is scaled by the cost of the target cell
+ * @param {Object} movement - Movement model (default 8-connected, diagonal steps cost √2)
+ * @returns {number} Movement cost (1.0 for cardinal, the model's diagonal cost for diagonal, times the terrain cost)
  */
-export const getMovementCost = (from, to) => {
-  const dx = Math.abs(to.col - from.col);
-  const dy = Math.abs(to.row - from.row);
-  
-  // Diagonal movement costs √2 ≈ 1.414
-  if (dx === 1 && dy === 1) return Math.SQRT2;
-  // Cardinal movement costs 1
-  if ((dx === 1 && dy === 0) || (dx === 0 && dy === 1)) return 1;
-  
-  throw new Error('Invalid movement: positions not adjacent');
-};
\ No newline at end of file
+export const getMovementCost = (from, to, terrain = null, movement = DEFAULT_MOVEMENT) => {
+  const stepCost = movement.getStepCost(from, to);
+  if (stepCost === null) {
+    throw new Error('Invalid movement: positions not adjacent');
+  }
+  return stepCost * getTerrainCost(terrain, to.row, to.col);
+};
+
+/**
+ * Total movement cost of a path (1 per cardinal step, the diagonal cost per diagonal step)
+ * @param {Array} path - Array of {row, col} cells
+ * @param {Array|null} terrain - Optional terrain grid; each step is scaled by the cost of the cell it enters
+ * @param {Object} movement - Movement model (default 8-connected, diagonal steps cost √2)
+ * @returns {number} Path cost
+ */
+export const getPathCost = (path, terrain = null, movement = DEFAULT_MOVEMENT) => {
+  let cost = 0;
+  for (let i = 1; i < path.length; i++) {
+    cost += getMovementCost(path[i - 1], path[i], terrain, movement);
+  }
+  return cost;
+};
@@ -0,0 +1,129 @@
+/**
+ * Movement models
+ *
+ * A movement model decides which steps between cells are allowed and what they
+ * cost. Component analysis, the HAA* component graph, every grid search, line
+ * of sight and the heuristics all take it from here, so they agree on what is
+ * reachable:
+ * - '8-connected': 8 directions, diagonal steps may cut wall corners (the default)
+ * - '8-connected-no-corner-cutting': diagonal steps need both cells beside them walkable
+ * - '4-connected': cardinal steps only
+ * A cardinal step costs 1 and a diagonal step diagonalCost (√2 by default),
+ * times the terrain cost of the cell entered.
+ */
+
+import { CELL_STATES } from './map-utils.js';
+
+export const MOVEMENT_TYPES = {
+  EIGHT_CONNECTED: '8-connected',
+  NO_CORNER_CUTTING: '8-connected-no-corner-cutting',
+  FOUR_CONNECTED: '4-connected'
+};
+
+const CARDINAL_STEPS = [[-1, 0], [1, 0], [0, -1], [0, 1]];       // Up, Down, Left, Right
+const DIAGONAL_STEPS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];     // Up-Left, Up-Right, Down-Left, Down-Right
+
+/**
+ * Create a movement model
+ * @param {string} type - One of MOVEMENT_TYPES (default '8-connected')
+ * @param {number} diagonalCost - Base cost of a diagonal step, between 1 and 2 (default √2)
+ * @returns {Object} Frozen model { type, diagonalCost, allowsDiagonal, cutsCorners, moves, key,
+ *   canStep, getStepCost, distance, canPassCorner }
+ */
+export const createMovementModel = (type = MOVEMENT_TYPES.EIGHT_CONNECTED, diagonalCost = Math.SQRT2) => {
+  if (!Object.values(MOVEMENT_TYPES).includes(type)) {
+    throw new Error(`Unknown movement type: ${type}`);
+  }
+  if (!(diagonalCost >= 1 && diagonalCost <= 2)) {
+    throw new Error(`Diagonal cost must be between 1 and 2, got ${diagonalCost}`);
+  }
+
+  const allowsDiagonal = type !== MOVEMENT_TYPES.FOUR_CONNECTED;
+  const cutsCorners = type === MOVEMENT_TYPES.EIGHT_CONNECTED;
+  const moves = [...CARDINAL_STEPS, ...(allowsDiagonal ? DIAGONAL_STEPS : [])]
+    .map(([dRow, dCol]) => Object.freeze({ dRow, dCol, cost: dRow !== 0 && dCol !== 0 ? diagonalCost : 1 }));
+
+  return Object.freeze({
+    type,
+    diagonalCost,
+    allowsDiagonal,
+    cutsCorners,
+    moves: Object.freeze(moves),
+    key: `${type}:${diagonalCost}`,
+
+    /**
+     * Whether the step (dRow, dCol) from (row, col) is allowed
+     * isOpen(row, col) tells walkable cells and must be false outside the area searched.
+     */
+    canStep(isOpen, row, col, dRow, dCol) {
+      if (!isOpen(row + dRow, col + dCol)) return false;
+      if (dRow === 0 || dCol === 0) return true;
+      if (!allowsDiagonal) return false;
+      return cutsCorners || (isOpen(row + dRow, col) && isOpen(row, col + dCol));
+    },
+
+    /**
+     * Base cost of a step between adjacent cells, before terrain
+     * @returns {number|null} null when the model does not allow that step
+     */
+    getStepCost(from, to) {
+      const dRow = Math.abs(to.row - from.row);
+      const dCol = Math.abs(to.col - from.col);
+      if (dRow + dCol === 1) return 1;
+      if (dRow === 1 && dCol === 1 && allowsDiagonal) return diagonalCost;
+      return null;
+    },
+
+    /**
+     * Cheapest cost between two cells on an open floor
+     * Manhattan distance for 4-connected moves, octile distance with diagonalCost otherwise;
+     * never more than the real path cost, so it is an admissible and consistent heuristic.
+     */
+    distance(a, b) {
+      const dRow = Math.abs(a.row - b.row);
+      const dCol = Math.abs(a.col - b.col);
+      if (!allowsDiagonal) return dRow + dCol;
+      return Math.max(dRow, dCol) + (diagonalCost - 1) * Math.min(dRow, dCol);
+    },
+
+    /**
+     * Whether a straight line may pass through the corner between two diagonal cells
+     * sideAOpen and sideBOpen tell whether the two cells sharing that corner are walkable.
+     * The line passes wherever the model could step around the corner.
+     */
+    canPassCorner(sideAOpen, sideBOpen) {
+      if (cutsCorners) return true;
+      return allowsDiagonal ? sideAOpen && sideBOpen : sideAOpen || sideBOpen;
+    }
+  });
+};
+
+export const DEFAULT_MOVEMENT = createMovementModel();
+
+const modelCache = new Map([[DEFAULT_MOVEMENT.key, DEFAULT_MOVEMENT]]);
+
+/**
+ * Movement model from algorithm options
+ * options.movement may be a model or a type name; options.diagonalCost applies to type names.
+ * Models are cached, so equal options give the same model object.
+ * @param {Object} options - { movement, diagonalCost }
+ * @returns {Object} Movement model (the default when options name none)
+ */
+export const getMovementModel = ({ movement = MOVEMENT_TYPES.EIGHT_CONNECTED, diagonalCost = Math.SQRT2 } = {}) => {
+  if (typeof movement === 'object' && movement !== null) return movement;
+  const key = `${movement}:${diagonalCost}`;
+  if (!modelCache.has(key)) {
+    modelCache.set(key, createMovementModel(movement, diagonalCost));
+  }
+  return modelCache.get(key);
+};
+
+/**
+ * Walkability test for a whole maze
+ * @returns {Function} (row, col) -> boolean, false outside the grid
+ */
+export const createMazeWalkableTest = (maze) => {
+  const height = maze.length;
+  const width = height > 0 ? maze[0].length : 0;
+  return (row, col) => row >= 0 && row < height && col >= 0 && col < width && maze[row][col] === CELL_STATES.WALKABLE;
+};
@@ -0,0 +1,92 @@
+/**
+ * MovingAI Benchmark Utilities
+ *
+ * Parsers for the grid-pathfinding benchmark formats from movingai.com:
+ * `.map` files (the grid) and `.scen` files (start/goal pairs with optimal lengths).
+ */
+
+import { CELL_STATES } from './map-utils.js';
+
+/**
+ * Terrain characters that a ground unit may pass through.
+ * '.' and 'G' are passable ground, 'S' is swamp (passable from regular terrain).
+ * Everything else ('@', 'O', 'T', 'W') is treated as a wall.
+ */
+const PASSABLE_TERRAIN = new Set(['.', 'G', 'S']);
+
+/**
+ * Parse a MovingAI `.map` file into the project's 0/1 maze array
+ * @param {string} text - Contents of the .map file
+ * @returns {Object} { maze, width, height, type }
+ */
+export const parseMovingAIMap = (text) => {
+  const lines = text.split(/\r?\n/);
+  const header = {};
+  let lineIndex = 0;
+
+  // Header: "type <name>", "height <n>", "width <n>", then "map"
+  while (lineIndex < lines.length) {
+    const line = lines[lineIndex++].trim();
+    if (line === '') continue;
+    if (line === 'map') break;
+
+    const [key, value] = line.split(/\s+/);
+    header[key] = value;
+  }
+
+  const height = Number(header.height);
+  const width = Number(header.width);
+
+  if (!Number.isInteger(height) || !Number.isInteger(width) || height <= 0 || width <= 0) {
+    throw new Error('Invalid MovingAI map: missing or invalid width/height header');
+  }
+
+  const maze = [];
+  for (let row = 0; row < height; row++) {
+    const line = lines[lineIndex + row];
+    if (line === undefined || line.length < width) {
+      throw new Error(`Invalid MovingAI map: row ${row} is shorter than width ${width}`);
+    }
+
+    const mazeRow = new Array(width);
+    for (let col = 0; col < width; col++) {
+      mazeRow[col] = PASSABLE_TERRAIN.has(line[col]) ? CELL_STATES.WALKABLE : CELL_STATES.WALL;
+    }
+    maze.push(mazeRow);
+  }
+
+  return { maze, width, height, type: header.type || 'octile' };
+};
+
+/**
+ * Parse a MovingAI `.scen` file into start/goal scenarios
+ * MovingAI coordinates are (x, y) = (col, row); they are converted to {row, col}.
+ * @param {string} text - Contents of the .scen file
+ * @returns {Array} Scenarios: { bucket, map, mapWidth, mapHeight, start, end, optimalLength }
+ */
+export const parseMovingAIScenarios = (text) => {
+  const scenarios = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('version')) continue;
+
+    const fields = line.split(/\s+/);
+    if (fields.length < 9) {
+      throw new Error(`Invalid MovingAI scenario line: "${line}"`);
+    }
+
+    const [bucket, map, mapWidth, mapHeight, startX, startY, goalX, goalY, optimalLength] = fields;
+    scenarios.push({
+      bucket: Number(bucket),
+      map,
+      mapWidth: Number(mapWidth),
+      mapHeight: Number(mapHeight),
+      start: { row: Number(startY), col: Number(startX) },
+      end: { row: Number(goalY), col: Number(goalX) },
+      optimalLength: Number(optimalLength)
+    });
+  }
+
+  return scenarios;
+};
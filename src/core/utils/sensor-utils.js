@@ -4,21 +4,24 @@
  */
 
 import { SensorManager, DirectionalConeSensor } from '../sensors/index.js';
+import { getMazeDimensions } from './maze-utils.js';
+import { DEFAULT_MOVEMENT } from './movement-model.js';
 
 /**
  * Advanced robot sensor scanning using DirectionalConeSensor with line-of-sight
- * Returns positions that would be visible to the robot's sensors
+ * Returns positions that would be visible to the robot's sensors; the movement
+ * model decides whether sight passes between walls that meet at a corner
  */
-export const scanWithSensors = (robotPosition, sensorRange, maze, robotDirection = 0) => {
-  const SIZE = maze.length;
-  const sensorManager = new SensorManager(SIZE, SIZE);
-  sensorManager.addSensor('cone', new DirectionalConeSensor(SIZE, SIZE));
+export const scanWithSensors = (robotPosition, sensorRange, maze, robotDirection = 0, movement = DEFAULT_MOVEMENT) => {
+  const { width, height } = getMazeDimensions(maze);
+  const sensorManager = new SensorManager(width, height, movement);
+  sensorManager.addSensor('cone', new DirectionalConeSensor(width, height));
   
-  // Convert 2D maze to flat array for SensorManager (required format)
-  const flatMaze = new Uint8Array(SIZE * SIZE);
-  for (let r = 0; r < SIZE; r++) {
-    for (let c = 0; c < SIZE; c++) {
-      flatMaze[r * SIZE + c] = maze[r][c];
+  // Convert 2D maze to flat row-major array for SensorManager (required format)
+  const flatMaze = new Uint8Array(width * height);
+  for (let r = 0; r < height; r++) {
+    for (let c = 0; c < width; c++) {
+      flatMaze[r * width + c] = maze[r][c];
     }
   }
   
@@ -2,24 +2,47 @@
 // import { useMazeState } from '../../hooks/useMazeState.js'; // TODO: Replace with plain JS
 import { getAlgorithm } from '../../algorithms/index.js';
 import { CELL_STATES } from '../../core/utils/map-utils.js';
+import { getMazeDimensions } from '../../core/utils/maze-utils.js';
 import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE, CLI_VIEWPORT_WIDTH, CLI_VIEWPORT_HEIGHT, CLI_VIEWPORT_BUFFER, CLI_FRAME_BUFFER_SIZE, CLI_SAVE_KEY } from '../../core/constants.js';
-import { writeFileSync } from 'fs';
+import { readFileSync, writeFileSync } from 'fs';
 import { ASCIIViewport } from '../../core/rendering/ASCIIViewport.js';
+import { createSeededRandom } from '../../utils/utilities.js';
+import { parseMaze, serializeMaze, detectMazeFormat, TERRAIN_ASCII } from '../../core/utils/maze-io.js';
+import { resolveMazeComponents } from '../../algorithms/maze-generation/shared-utils.js';
+import { DEFAULT_MOVEMENT, getMovementModel } from '../../core/utils/movement-model.js';
 
 /**
  * CLI Exploration Demo - Plain JavaScript version
+ * @param {Object} options - Demo options
+ * @param {number} options.seed - Maze seed; omit for a random maze
+ * @param {Object} options.mazeParams - Overrides for the maze algorithm's parameters; movement and
+ *   diagonalCost pick the movement model of the maze, its components and the robot
+ * @param {number} options.width - Maze width in cells (defaults to DEFAULT_MAZE_SIZE)
+ * @param {number} options.height - Maze height in cells (defaults to DEFAULT_MAZE_SIZE)
+ * @param {string} options.mazeAlgorithm - Maze generation algorithm name (defaults to 'frontier')
+ * @param {number} options.regionSize - Component region size in cells (defaults to DEFAULT_REGION_SIZE)
  */
 export class CLIExplorationDemo {
-  constructor() {
+  constructor(options = {}) {
     // Main state (replaces useMazeState)
     this.state = {
       maze: [],
       coloredMaze: [],
       componentGraph: {},
       totalComponents: 0,
+      seed: null,
+      terrain: null,
+      movement: null, // Movement model the components were built with, null for the default
+      connectivityRepair: null,
+      regionSize: options.regionSize || DEFAULT_REGION_SIZE, // Region size the components were built with
+      seedInput: options.seed !== undefined ? options.seed : null,
+      mazeParams: options.mazeParams || {},
+      mazeWidth: options.width || DEFAULT_MAZE_SIZE,
+      mazeHeight: options.height || DEFAULT_MAZE_SIZE,
+      mazeRegionSize: options.regionSize || DEFAULT_REGION_SIZE, // Region size of the next generated or loaded maze
       start: null,
       end: null,
-      mazeAlgorithm: 'frontier'
+      mazeAlgorithm: options.mazeAlgorithm || 'frontier'
     };
     
     // Exploration-specific state
@@ -118,7 +141,9 @@ export class CLIExplorationDemo {
     let content = `Maze Exploration Animation Buffer\n`;
     content += `Generated: ${new Date().toISOString()}\n`;
     content += `Total frames: ${this.frameBuffer.length}\n`;
-    content += `Maze size: ${this.state.maze.length}x${this.state.maze.length}\n`;
+    const { width, height } = getMazeDimensions(this.state.maze);
+    content += `Maze size: ${width}x${height}\n`;
+    content += `Maze seed: ${this.state.seed}\n`;
     content += `${'='.repeat(80)}\n\n`;
     
     this.frameBuffer.forEach((frame, index) => {
@@ -152,7 +177,7 @@ export class CLIExplorationDemo {
   /**
    * Find random start position from walkable cells
    */
-  findRandomStart(maze) {
+  findRandomStart(maze, random = Math.random) {
     const walkableCells = [];
     for (let row = 0; row < maze.length; row++) {
       for (let col = 0; col < maze[row].length; col++) {
@@ -161,7 +186,7 @@ export class CLIExplorationDemo {
         }
       }
     }
-    return walkableCells[Math.floor(Math.random() * walkableCells.length)];
+    return walkableCells[Math.floor(random() * walkableCells.length)];
   }
 
   /**
@@ -364,11 +389,12 @@ export class CLIExplorationDemo {
     try {
       // Execute maze generation algorithm
       const result = await mazeGenerationAlgorithm.execute(
-        { SIZE: DEFAULT_MAZE_SIZE, REGION_SIZE: DEFAULT_REGION_SIZE },
-        {},
+        { WIDTH: this.state.mazeWidth, HEIGHT: this.state.mazeHeight, REGION_SIZE: this.state.mazeRegionSize },
+        { ...this.state.mazeParams, seed: this.state.seedInput },
         (progress) => {
           if (progress.type === 'generation_complete') {
-            const start = this.findRandomStart(progress.maze);
+            // Robot start is drawn from the maze seed so a seed replays the whole run
+            const start = this.findRandomStart(progress.maze, createSeededRandom(progress.seed));
             
             // Set maze data
             this.setMazeData({
@@ -376,6 +402,11 @@ export class CLIExplorationDemo {
               coloredMaze: progress.coloredMaze,
               componentGraph: progress.componentGraph,
               totalComponents: progress.totalComponents,
+              seed: progress.seed,
+              terrain: progress.terrain,
+              movement: progress.movement,
+              connectivityRepair: progress.connectivityRepair,
+              regionSize: progress.regionSize,
               start,
               end: null // No end point needed for exploration
             });
@@ -385,8 +416,8 @@ export class CLIExplorationDemo {
 
       // If no progress callback was called, handle result directly
       if (result.result) {
-        const { maze, coloredMaze, componentGraph, totalComponents } = result.result;
-        const start = this.findRandomStart(maze);
+        const { maze, coloredMaze, componentGraph, totalComponents, seed, terrain, movement, connectivityRepair, regionSize } = result.result;
+        const start = this.findRandomStart(maze, createSeededRandom(seed));
         
         // Set maze data
         this.setMazeData({
@@ -394,6 +425,11 @@ export class CLIExplorationDemo {
           coloredMaze,
           componentGraph,
           totalComponents,
+          seed,
+          terrain,
+          movement,
+          connectivityRepair,
+          regionSize,
           start,
           end: null
         });
@@ -403,6 +439,56 @@ export class CLIExplorationDemo {
     }
   }
 
+  /**
+   * Load a maze from an ASCII, JSON, PBM or PGM file instead of generating one
+   * @param {string} filePath - Path to the maze file
+   */
+  loadMazeFile(filePath) {
+    this.startGeneration();
+    this.resetExploration();
+
+    const content = new Uint8Array(readFileSync(filePath));
+    const mazeData = parseMaze(content, detectMazeFormat(filePath, content));
+    // Files keep the movement model their components were built with; others take the generation parameters'
+    const movement = mazeData.movement || getMovementModel(this.state.mazeParams);
+    const { coloredMaze, componentGraph, totalComponents } = resolveMazeComponents(mazeData, this.state.mazeRegionSize, movement);
+    const random = mazeData.seed !== null ? createSeededRandom(mazeData.seed) : Math.random;
+
+    this.setMazeData({
+      maze: mazeData.maze,
+      coloredMaze,
+      componentGraph,
+      totalComponents,
+      seed: mazeData.seed,
+      terrain: mazeData.terrain,
+      movement,
+      connectivityRepair: null,
+      regionSize: this.state.mazeRegionSize,
+      start: mazeData.start || this.findRandomStart(mazeData.maze, random),
+      end: null
+    });
+  }
+
+  /**
+   * Save the current maze; the format follows the file extension
+   * @param {string} filePath - Destination path (.txt, .json, .pbm or .pgm)
+   */
+  saveMazeFile(filePath) {
+    const content = serializeMaze({
+      maze: this.state.maze,
+      start: this.state.start,
+      end: null,
+      coloredMaze: this.state.coloredMaze,
+      componentGraph: this.state.componentGraph,
+      regionSize: this.state.regionSize,
+      seed: this.state.seed,
+      terrain: this.state.terrain,
+      movement: this.state.movement || DEFAULT_MOVEMENT
+    }, detectMazeFormat(filePath));
+
+    writeFileSync(filePath, content);
+  }
+
   /**
    * Start exploration
    */
@@ -421,8 +507,7 @@ export class CLIExplorationDemo {
     await explorationAlgorithm.execute(
       {
         maze: this.state.maze,
-        start: this.state.start,
-        SIZE: DEFAULT_MAZE_SIZE
+        start: this.state.start
       },
       {
         sensorRange: 15,
@@ -431,6 +516,8 @@ export class CLIExplorationDemo {
         explorationThreshold: 95,
         useWFD: 'true',
         frontierStrategy: 'nearest',
+        regionSize: this.state.regionSize,
+        movement: this.state.movement || DEFAULT_MOVEMENT,
         delay: 100
       },
       (progress) => {
@@ -540,9 +627,12 @@ export class CLIExplorationDemo {
       return '?';
     }
     
+    // Terrain shows on every known walkable cell
+    const terrainChar = TERRAIN_ASCII[this.state.terrain?.[row][col]];
+    
     // Check if it's explored
     if (cellCheckers.isExplored(row, col)) {
-      return ' ';
+      return terrainChar || ' ';
     }
     
     // Check if it's unknown
@@ -556,7 +646,7 @@ export class CLIExplorationDemo {
     }
     
     // Default to walkable
-    return '░';
+    return terrainChar || '░';
   }
   
   renderASCII() {
@@ -564,16 +654,16 @@ export class CLIExplorationDemo {
       return "Loading maze...";
     }
     
-    const mazeSize = this.state.maze.length;
+    const { width, height } = getMazeDimensions(this.state.maze);
     
     // Use robot position if available, otherwise use start position
     const cameraTarget = this.explorationState.robotPosition || this.state.start || { row: 0, col: 0 };
     
     // Update viewport to center on robot/start
-    this.viewport.updateCamera(cameraTarget, mazeSize);
+    this.viewport.updateCamera(cameraTarget, width, height);
     
     // Get visible bounds for culling
-    const bounds = this.viewport.getVisibleBounds(mazeSize);
+    const bounds = this.viewport.getVisibleBounds(width, height);
     
     // Calculate cell checkers ONCE per frame (not per cell!)
     const cellCheckers = this.getCellCheckers();
@@ -584,7 +674,7 @@ export class CLIExplorationDemo {
     for (let row = bounds.startRow; row < bounds.endRow; row++) {
       let line = '';
       for (let col = bounds.startCol; col < bounds.endCol; col++) {
-        if (row >= 0 && row < mazeSize && col >= 0 && col < mazeSize) {
+        if (row >= 0 && row < height && col >= 0 && col < width) {
           line += this.getASCIIChar(row, col, cellCheckers);
         } else {
           line += ' '; // Empty space for out-of-bounds
@@ -605,19 +695,19 @@ export class CLIExplorationDemo {
       process.stdout.write('\x1B[0f');
     }
     
-    const mazeSize = this.state.maze.length;
+    const { width, height } = getMazeDimensions(this.state.maze);
     const robotPos = this.explorationState.robotPosition;
-    const viewportStats = this.viewport.getViewportStats(mazeSize);
+    const viewportStats = this.viewport.getViewportStats(width, height);
     
     // Build frame content for buffer
     let frameContent = '';
     frameContent += 'CLI Exploration Demo - Component-based Exploration\n';
-    frameContent += 'Legend: █=Wall/Unknown, ░=Walkable, ?=Frontier, @=Robot, *=Path,  =Explored\n';
-    frameContent += `Coverage: ${this.explorationState.coverage?.toFixed(1) || '0.0'}% | Iteration: ${this.explorationState.iteration || 0}\n`;
+    frameContent += 'Legend: █=Wall/Unknown, ░=Walkable, ?=Frontier, @=Robot, *=Path,  =Explored, ==Carpet, ,=Mud, ~=Water\n';
+    frameContent += `Coverage: ${this.explorationState.coverage?.toFixed(1) || '0.0'}% | Iteration: ${this.explorationState.iteration || 0} | Seed: ${this.state.seed}\n`;
     
     // Viewport info
     if (robotPos) {
-      frameContent += `Robot: (${robotPos.row}, ${robotPos.col}) | Maze: ${mazeSize}x${mazeSize} | Culling: ${viewportStats.cullPercentage}\n`;
+      frameContent += `Robot: (${robotPos.row}, ${robotPos.col}) | Maze: ${width}x${height} | Culling: ${viewportStats.cullPercentage}\n`;
     }
     
     frameContent += '=' + '='.repeat(CLI_VIEWPORT_WIDTH) + '\n';
@@ -629,12 +719,12 @@ export class CLIExplorationDemo {
     
     // Output to console
     console.log('CLI Exploration Demo - Component-based Exploration');
-    console.log('Legend: █=Wall/Unknown, ░=Walkable, ?=Frontier, @=Robot, *=Path,  =Explored');
-    console.log(`Coverage: ${this.explorationState.coverage?.toFixed(1) || '0.0'}% | Iteration: ${this.explorationState.iteration || 0}`);
+    console.log('Legend: █=Wall/Unknown, ░=Walkable, ?=Frontier, @=Robot, *=Path,  =Explored, ==Carpet, ,=Mud, ~=Water');
+    console.log(`Coverage: ${this.explorationState.coverage?.toFixed(1) || '0.0'}% | Iteration: ${this.explorationState.iteration || 0} | Seed: ${this.state.seed}`);
     
     // Viewport info
     if (robotPos) {
-      console.log(`Robot: (${robotPos.row}, ${robotPos.col}) | Maze: ${mazeSize}x${mazeSize} | Culling: ${viewportStats.cullPercentage}`);
+      console.log(`Robot: (${robotPos.row}, ${robotPos.col}) | Maze: ${width}x${height} | Culling: ${viewportStats.cullPercentage}`);
     }
     
     console.log('=' + '='.repeat(CLI_VIEWPORT_WIDTH));
@@ -1,9 +1,9 @@
 import React, { useEffect, useMemo } from 'react';
 import { useExplorationDemo } from './useExplorationDemo.js';
 import { useViewport } from '../../core/index.js';
-import { CanvasRenderer } from '../../core/index.js';
+import { CanvasRenderer, ParameterControls, MazeFileControls, MazeStatsPanel } from '../../core/index.js';
 import { ANIMATION_PHASES } from '../../hooks/useMazeState.js';
-import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from '../../core/constants.js';
+import { REGION_SIZE_OPTIONS, DEFAULT_MAZE_SIZE } from '../../core/constants.js';
 
 /**
  * Exploration Demo Component using component-based exploration algorithm
@@ -20,12 +20,15 @@ const ExplorationDemo = () => {
     explorationState,
     computed,
     cellCheckers,
+    mazeStatistics,
     explorationColors,
     actions,
     generateNewMaze,
     startExploration,
     stopExploration,
     resetExploration,
+    loadMazeFile,
+    saveMazeFile,
     algorithms
   } = useExplorationDemo();
   
@@ -100,6 +103,12 @@ const ExplorationDemo = () => {
           </div>
         )}
         
+        {state.seed !== null && (
+          <div className="text-xs text-gray-500">
+            Maze seed: {state.seed}
+          </div>
+        )}
+        
         {/* Algorithm info */}
         <div className="text-xs text-gray-500">
           Algorithms: {algorithms.mazeGeneration?.name || 'Unknown'} + {algorithms.exploration?.name || 'Unknown'}
@@ -174,20 +183,87 @@ const ExplorationDemo = () => {
           >
             <option value="kruskal">Kruskal (Traditional)</option>
             <option value="frontier">Frontier (Rooms)</option>
+            <option value="recursive-backtracker">Recursive Backtracker (Long Corridors)</option>
+            <option value="prim">Prim (Short Branches)</option>
+            <option value="wilson">Wilson (Unbiased)</option>
+            <option value="eller">Eller (Row by Row)</option>
+            <option value="binary-tree">Binary Tree (Diagonal Bias)</option>
+            <option value="cave">Cave (Cellular Automaton)</option>
+            <option value="bsp-dungeon">BSP Dungeon (Rooms &amp; Corridors)</option>
+          </select>
+          <label className="text-sm text-gray-700">Seed:</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={state.seedInput}
+            onChange={(e) => actions.updateSeedInput(e.target.value.replace(/[^0-9]/g, ''))}
+            placeholder="random"
+            className="w-28 px-2 py-1 border border-gray-300 rounded text-sm"
+            disabled={!computed.canGenerateNewMaze}
+          />
+          <label className="text-sm text-gray-700">Size:</label>
+          <input
+            type="number"
+            min="8"
+            max="1024"
+            value={state.mazeWidth}
+            onChange={(e) => actions.updateMazeDimensions({ width: Number(e.target.value) })}
+            className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+            disabled={!computed.canGenerateNewMaze}
+            title="Width (cells)"
+          />
+          <span className="text-sm text-gray-700">×</span>
+          <input
+            type="number"
+            min="8"
+            max="1024"
+            value={state.mazeHeight}
+            onChange={(e) => actions.updateMazeDimensions({ height: Number(e.target.value) })}
+            className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+            disabled={!computed.canGenerateNewMaze}
+            title="Height (cells)"
+          />
+          <label className="text-sm text-gray-700">Region:</label>
+          <select
+            value={state.mazeRegionSize}
+            onChange={(e) => actions.updateRegionSize(Number(e.target.value))}
+            className="px-2 py-1 border border-gray-300 rounded text-sm"
+            disabled={!computed.canGenerateNewMaze}
+            title="Region size (cells) of the components of the next maze"
+          >
+            {REGION_SIZE_OPTIONS.map(size => (
+              <option key={size} value={size}>{size}×{size}</option>
+            ))}
           </select>
         </div>
+        <ParameterControls
+          parameters={algorithms.mazeGeneration?.parameters}
+          values={state.mazeParams}
+          onChange={actions.updateMazeParam}
+          disabled={!computed.canGenerateNewMaze}
+          exclude={['seed']}
+        />
+        <MazeFileControls
+          onLoad={loadMazeFile}
+          onSave={saveMazeFile}
+          disabled={!computed.canGenerateNewMaze}
+          canSave={state.maze.length > 0}
+        />
       </div>
 
-      {/* Canvas renderer using exploration mode */}
-      <div className="bg-white p-4 rounded-lg shadow-lg mb-4">
-        <CanvasRenderer
-          state={rendererState}
-          cellCheckers={cellCheckers}
-          colors={rendererColors}
-          viewport={viewport}
-          isAnimating={explorationState.isExploring}
-          renderMode="exploration"
-        />
+      {/* Canvas renderer using exploration mode, with the maze statistics alongside */}
+      <div className="flex gap-4 items-start mb-4">
+        <div className="bg-white p-4 rounded-lg shadow-lg">
+          <CanvasRenderer
+            state={rendererState}
+            cellCheckers={cellCheckers}
+            colors={rendererColors}
+            viewport={viewport}
+            isAnimating={explorationState.isExploring}
+            renderMode="exploration"
+          />
+        </div>
+        <MazeStatsPanel statistics={mazeStatistics} />
       </div>
 
       {/* Legend */}
@@ -220,8 +296,24 @@ const ExplorationDemo = () => {
           <div className="w-4 h-4 bg-gray-500"></div>
           <span>Unknown</span>
         </div>
+        {state.terrain && (
+          <>
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-4" style={{ backgroundColor: '#e9d5ff' }}></div>
+              <span>Carpet (×1.25)</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-4" style={{ backgroundColor: '#b08968' }}></div>
+              <span>Mud (×3)</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-4" style={{ backgroundColor: '#7dd3fc' }}></div>
+              <span>Water (×5)</span>
+            </div>
+          </>
+        )}
         <div className="flex items-center gap-2">
-          <div className="w-4 h-4 border border-gray-400 bg-white flex items-center justify-center text-xs text-gray-500">{DEFAULT_REGION_SIZE}×{DEFAULT_REGION_SIZE}</div>
+          <div className="w-4 h-4 border border-gray-400 bg-white flex items-center justify-center text-xs text-gray-500">{state.regionSize}×{state.regionSize}</div>
           <span>HAA* Regions</span>
         </div>
       </div>
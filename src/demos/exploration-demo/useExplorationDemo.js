@@ -1,14 +1,25 @@
-import { useCallback, useMemo, useState } from 'react';
-import { useMazeState } from '../../hooks/useMazeState.js';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useMazeState, ANIMATION_PHASES } from '../../hooks/useMazeState.js';
+import { useMazeStatistics } from '../../hooks/useMazeStatistics.js';
 import { getAlgorithm } from '../../algorithms/index.js';
 import { CELL_STATES } from '../../core/utils/map-utils.js';
-import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from '../../core/constants.js';
+import { resolveMazeComponents } from '../../algorithms/maze-generation/shared-utils.js';
+import { GENERATION_ANIMATION_FRAMES, GENERATION_STEP_DELAY } from '../../core/constants.js';
+import { MAZE_FILE_TYPES, serializeMaze, parseMaze, detectMazeFormat } from '../../core/utils/maze-io.js';
+import { createSeededRandom } from '../../utils/utilities.js';
+import { DEFAULT_MOVEMENT, getMovementModel } from '../../core/utils/movement-model.js';
 
 /**
  * Hook for exploration demo logic using the component-based exploration algorithm
  */
 export const useExplorationDemo = () => {
   const { state, actions } = useMazeState();
+  const mazeStatistics = useMazeStatistics(state.maze, {
+    enabled: state.phase !== ANIMATION_PHASES.GENERATING,
+    terrain: state.terrain,
+    regionSize: state.regionSize,
+    movement: state.movement
+  });
   
   // Exploration-specific state
   const [explorationState, setExplorationState] = useState({
@@ -32,10 +43,28 @@ export const useExplorationDemo = () => {
   const mazeGenerationAlgorithm = getAlgorithm('maze-generation', state.mazeAlgorithm);
   const explorationAlgorithm = getAlgorithm('exploration', 'component-based-exploration');
 
+  // Movement model of the current maze; generation parameters pick it for the next one
+  const movement = state.movement || DEFAULT_MOVEMENT;
+
+  // Abort controller of the running (animated) maze generation
+  const generationRef = useRef(null);
+
+  /**
+   * Cancel the running maze generation, if any
+   */
+  const cancelGeneration = useCallback(() => {
+    if (generationRef.current) {
+      generationRef.current.abort();
+      generationRef.current = null;
+    }
+  }, []);
+
+  useEffect(() => cancelGeneration, [cancelGeneration]);
+
   /**
    * Find random start position from walkable cells
    */
-  const findRandomStart = useCallback((maze) => {
+  const findRandomStart = useCallback((maze, random = Math.random) => {
     const walkableCells = [];
     for (let row = 0; row < maze.length; row++) {
       for (let col = 0; col < maze[row].length; col++) {
@@ -44,7 +73,7 @@ export const useExplorationDemo = () => {
         }
       }
     }
-    return walkableCells[Math.floor(Math.random() * walkableCells.length)];
+    return walkableCells[Math.floor(random() * walkableCells.length)];
   }, []);
 
   /**
@@ -52,6 +81,7 @@ export const useExplorationDemo = () => {
    */
   const cellCheckers = useMemo(() => {
     const { robotPosition, frontiers, knownMap } = explorationState;
+    const isGenerating = state.phase === ANIMATION_PHASES.GENERATING;
     
     // Create frontier position set for O(1) lookup
     // console.log('Processing frontiers:', frontiers);
@@ -148,6 +178,8 @@ export const useExplorationDemo = () => {
         return exploredSet.has(`${row},${col}`);
       },
       isUnknown: (row, col) => {
+        // The maze is shown as ground truth while its generation is animated
+        if (isGenerating) return false;
         // Check if cell is in unknown state (not yet explored)
         if (!knownMap || !knownMap[row] || knownMap[row][col] === undefined) {
           return true; // Unknown if no data
@@ -172,7 +204,7 @@ export const useExplorationDemo = () => {
         return frontierCircleSizes.get(`${row},${col}`) || 0;
       }
     };
-  }, [explorationState, state.start]);
+  }, [explorationState, state.start, state.phase]);
 
   // Helper function to find which component a position belongs to
   const findPositionComponent = (position, componentGraph) => {
@@ -224,6 +256,11 @@ export const useExplorationDemo = () => {
       return;
     }
 
+    // Clicking "new maze" during an animated generation restarts it
+    cancelGeneration();
+    const controller = new AbortController();
+    generationRef.current = controller;
+
     actions.startGeneration();
     
     // Reset exploration state
@@ -246,11 +283,21 @@ export const useExplorationDemo = () => {
     try {
       // Execute maze generation algorithm
       const result = await mazeGenerationAlgorithm.execute(
-        { SIZE: DEFAULT_MAZE_SIZE, REGION_SIZE: DEFAULT_REGION_SIZE },
-        {},
+        { WIDTH: state.mazeWidth, HEIGHT: state.mazeHeight, REGION_SIZE: state.mazeRegionSize },
+        {
+          ...state.mazeParams,
+          seed: state.seedInput,
+          stepBatchSize: Math.ceil((state.mazeWidth * state.mazeHeight) / GENERATION_ANIMATION_FRAMES),
+          stepDelay: GENERATION_STEP_DELAY,
+          signal: controller.signal
+        },
         (progress) => {
+          if (progress.type === 'generation_step') {
+            actions.applyGenerationStep(progress.cells, progress.width, progress.height);
+          }
           if (progress.type === 'generation_complete') {
-            const start = findRandomStart(progress.maze);
+            // Robot start is drawn from the maze seed so a seed replays the whole run
+            const start = findRandomStart(progress.maze, createSeededRandom(progress.seed));
             
             // Set maze data
             actions.setMazeData({
@@ -258,6 +305,10 @@ export const useExplorationDemo = () => {
               coloredMaze: progress.coloredMaze,
               componentGraph: progress.componentGraph,
               totalComponents: progress.totalComponents,
+              seed: progress.seed,
+              terrain: progress.terrain,
+              movement: progress.movement,
+              regionSize: progress.regionSize,
               start,
               end: null // No end point needed for exploration
             });
@@ -267,8 +318,8 @@ export const useExplorationDemo = () => {
 
       // If no progress callback was called, handle result directly
       if (result.result) {
-        const { maze, coloredMaze, componentGraph, totalComponents } = result.result;
-        const start = findRandomStart(maze);
+        const { maze, coloredMaze, componentGraph, totalComponents, seed, terrain, movement: mazeMovement, regionSize } = result.result;
+        const start = findRandomStart(maze, createSeededRandom(seed));
         
         // Set maze data
         actions.setMazeData({
@@ -276,14 +327,21 @@ export const useExplorationDemo = () => {
           coloredMaze,
           componentGraph,
           totalComponents,
+          seed,
+          terrain,
+          movement: mazeMovement,
+          regionSize,
           start,
           end: null
         });
       }
     } catch (error) {
+      if (error.name === 'AbortError') return; // Superseded by a newer generation
       console.error('Maze generation failed:', error);
+    } finally {
+      if (generationRef.current === controller) generationRef.current = null;
     }
-  }, [mazeGenerationAlgorithm, state.mazeAlgorithm, actions, findRandomStart]);
+  }, [mazeGenerationAlgorithm, state.mazeAlgorithm, state.mazeParams, state.seedInput, state.mazeWidth, state.mazeHeight, state.mazeRegionSize, actions, findRandomStart, cancelGeneration]);
 
   /**
    * Start exploration
@@ -302,8 +360,7 @@ export const useExplorationDemo = () => {
     await explorationAlgorithm.execute(
       {
         maze: state.maze,
-        start: state.start,
-        SIZE: DEFAULT_MAZE_SIZE
+        start: state.start
       },
       {
         sensorRange: 15,
@@ -312,6 +369,8 @@ export const useExplorationDemo = () => {
         explorationThreshold: 95,
         useWFD: 'true',
         frontierStrategy: 'nearest',
+        regionSize: state.regionSize,
+        movement,
         delay: 100
       },
       (progress) => {
@@ -350,7 +409,7 @@ export const useExplorationDemo = () => {
       explorationComplete: true
     }));
     
-  }, [explorationAlgorithm, state, actions]);
+  }, [explorationAlgorithm, movement, state, actions]);
 
   /**
    * Stop exploration
@@ -383,6 +442,68 @@ export const useExplorationDemo = () => {
     });
   }, []);
 
+  /**
+   * Load a maze from an ASCII, JSON, PBM or PGM file instead of generating one
+   * The file's start point (or a random one) becomes the robot start.
+   */
+  const loadMazeFile = useCallback(async (file) => {
+    cancelGeneration();
+    actions.startGeneration();
+    resetExploration();
+
+    try {
+      const content = new Uint8Array(await file.arrayBuffer());
+      const mazeData = parseMaze(content, detectMazeFormat(file.name, content));
+      // Files keep the movement model their components were built with; others take the generation parameters'
+      const mazeMovement = mazeData.movement || getMovementModel(state.mazeParams);
+      const { coloredMaze, componentGraph, totalComponents } = resolveMazeComponents(mazeData, state.mazeRegionSize, mazeMovement);
+      const random = mazeData.seed !== null ? createSeededRandom(mazeData.seed) : Math.random;
+
+      actions.setMazeData({
+        maze: mazeData.maze,
+        coloredMaze,
+        componentGraph,
+        totalComponents,
+        seed: mazeData.seed,
+        terrain: mazeData.terrain,
+        movement: mazeMovement,
+        regionSize: state.mazeRegionSize,
+        start: mazeData.start || findRandomStart(mazeData.maze, random),
+        end: null
+      });
+    } catch (error) {
+      console.error('Maze file could not be loaded:', error);
+      actions.resetToIdle();
+    }
+  }, [state.mazeParams, state.mazeRegionSize, actions, findRandomStart, resetExploration, cancelGeneration]);
+
+  /**
+   * Download the current maze in the given format
+   */
+  const saveMazeFile = useCallback((format) => {
+    if (state.maze.length === 0) return;
+
+    const content = serializeMaze({
+      maze: state.maze,
+      start: state.start,
+      end: null,
+      coloredMaze: state.coloredMaze,
+      componentGraph: state.componentGraph,
+      regionSize: state.regionSize,
+      seed: state.seed,
+      terrain: state.terrain,
+      movement
+    }, format);
+
+    const { extension, mimeType } = MAZE_FILE_TYPES[format];
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `maze${state.seed !== null ? `-${state.seed}` : ''}${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [state.maze, state.start, state.coloredMaze, state.componentGraph, state.regionSize, state.seed, state.terrain, movement]);
+
   // Computed values
   const computed = useMemo(() => ({
     canStartExploration: state.maze.length > 0 && state.start && !explorationState.isExploring,
@@ -400,6 +521,9 @@ export const useExplorationDemo = () => {
     // Cell checkers for rendering
     cellCheckers,
     
+    // Maze analysis
+    mazeStatistics,
+    
     // Colors
     explorationColors,
     
@@ -409,6 +533,8 @@ export const useExplorationDemo = () => {
     startExploration,
     stopExploration,
     resetExploration,
+    loadMazeFile,
+    saveMazeFile,
     
     // Algorithm info
     algorithms: {
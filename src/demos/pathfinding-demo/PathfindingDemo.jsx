@@ -2,9 +2,9 @@ import React, { useEffect, useMemo } from 'react';
 import { usePathfindingDemo } from './usePathfindingDemo.js';
 import { useAnimationStateMachine } from '../../hooks/useAnimationStateMachine.js';
 import { useViewport } from '../../core/index.js';
-import { CanvasRenderer } from '../../core/index.js';
+import { CanvasRenderer, ParameterControls, MazeFileControls, MazeStatsPanel } from '../../core/index.js';
 import { ANIMATION_PHASES } from '../../hooks/useMazeState.js';
-import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from '../../core/constants.js';
+import { REGION_SIZE_OPTIONS, DEFAULT_MAZE_SIZE } from '../../core/constants.js';
 
 /**
  * Pathfinding Demo Component using new modular architecture
@@ -14,7 +14,6 @@ import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from '../../core/constants.js'
  */
 const PathfindingDemo = () => {
   const SIZE = DEFAULT_MAZE_SIZE;
-  const REGION_SIZE = DEFAULT_REGION_SIZE;
   
   // Use the new pathfinding demo hook
   const {
@@ -22,10 +21,14 @@ const PathfindingDemo = () => {
     computed,
     cellCheckers,
     performanceStats,
+    mazeStatistics,
     pathfindingColors,
     actions,
     generateNewMaze,
     generateNewPathFromEnd,
+    loadMazeFile,
+    saveMazeFile,
+    toggleWall,
     algorithms
   } = usePathfindingDemo();
   
@@ -51,12 +54,13 @@ const PathfindingDemo = () => {
 
   // Status message computation
   const statusMessage = useMemo(() => {
+    if (computed.isReplaying) return `Replaying search: ${Math.min(state.replayStep, state.searchTrace.length)}/${state.searchTrace.length} steps`;
     if (computed.isAnimating) return "Character is moving...";
     if (computed.isCountingDown) return `Next path in ${state.countdown} seconds...`;
     if (computed.isGenerating) return "Generating maze...";
     if (computed.isPathfinding) return "Finding path...";
     return "Start (green) and end (red) points are randomly selected";
-  }, [computed, state.countdown]);
+  }, [computed, state.countdown, state.replayStep, state.searchTrace]);
 
   // Prepare colors for renderer
   const rendererColors = useMemo(() => ({
@@ -70,7 +74,7 @@ const PathfindingDemo = () => {
       </h1>
       
       <div className="mb-4 text-lg text-gray-700">
-        Connected components within each {DEFAULT_REGION_SIZE}x{DEFAULT_REGION_SIZE} region are shown in different colors
+        Connected components within each {state.regionSize}x{state.regionSize} region are shown in different colors
       </div>
       
       <div className="mb-4 space-y-2 text-center">
@@ -84,6 +88,26 @@ const PathfindingDemo = () => {
           <div className="text-sm text-gray-600">
             Abstract path: {state.abstractPath.length} components | 
             Detailed path: {state.detailedPath.length} cells
+            {state.suboptimality !== null && ` | ${state.suboptimality.toFixed(3)}× optimal cost`}
+          </div>
+        )}
+        {state.pathMetrics && state.pathMetrics.pathCost !== null && (
+          <div className="text-sm text-gray-600">
+            Path cost: {state.pathMetrics.pathCost.toFixed(2)}
+            {state.pathMetrics.waypointCost !== null && ` | any-angle ${state.pathMetrics.waypointCost.toFixed(2)} over ${state.waypoints.length} waypoints`}
+            {state.pathMetrics.nodesExplored !== null && ` | ${state.pathMetrics.nodesExplored} nodes explored`}
+            {` | ${state.pathMetrics.executionTime.toFixed(1)} ms`}
+          </div>
+        )}
+        {state.pathMetrics?.heuristicWarning && (
+          <div className="text-xs text-amber-700">
+            ⚠ {state.pathMetrics.heuristicWarning}
+          </div>
+        )}
+        
+        {state.seed !== null && (
+          <div className="text-xs text-gray-500">
+            Maze seed: {state.seed}
           </div>
         )}
         
@@ -132,8 +156,120 @@ const PathfindingDemo = () => {
           >
             <option value="kruskal">Kruskal (Traditional)</option>
             <option value="frontier">Frontier (Rooms)</option>
+            <option value="recursive-backtracker">Recursive Backtracker (Long Corridors)</option>
+            <option value="prim">Prim (Short Branches)</option>
+            <option value="wilson">Wilson (Unbiased)</option>
+            <option value="eller">Eller (Row by Row)</option>
+            <option value="binary-tree">Binary Tree (Diagonal Bias)</option>
+            <option value="cave">Cave (Cellular Automaton)</option>
+            <option value="bsp-dungeon">BSP Dungeon (Rooms &amp; Corridors)</option>
+          </select>
+          <label className="text-sm text-gray-700">Seed:</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={state.seedInput}
+            onChange={(e) => actions.updateSeedInput(e.target.value.replace(/[^0-9]/g, ''))}
+            placeholder="random"
+            className="w-28 px-2 py-1 border border-gray-300 rounded text-sm"
+            disabled={!computed.canGenerateNewMaze}
+          />
+          <label className="text-sm text-gray-700">Size:</label>
+          <input
+            type="number"
+            min="8"
+            max="1024"
+            value={state.mazeWidth}
+            onChange={(e) => actions.updateMazeDimensions({ width: Number(e.target.value) })}
+            className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+            disabled={!computed.canGenerateNewMaze}
+            title="Width (cells)"
+          />
+          <span className="text-sm text-gray-700">×</span>
+          <input
+            type="number"
+            min="8"
+            max="1024"
+            value={state.mazeHeight}
+            onChange={(e) => actions.updateMazeDimensions({ height: Number(e.target.value) })}
+            className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+            disabled={!computed.canGenerateNewMaze}
+            title="Height (cells)"
+          />
+          <label className="text-sm text-gray-700">Region:</label>
+          <select
+            value={state.mazeRegionSize}
+            onChange={(e) => actions.updateRegionSize(Number(e.target.value))}
+            className="px-2 py-1 border border-gray-300 rounded text-sm"
+            disabled={!computed.canGenerateNewMaze}
+            title="Region size (cells) of the components of the next maze"
+          >
+            {REGION_SIZE_OPTIONS.map(size => (
+              <option key={size} value={size}>{size}×{size}</option>
+            ))}
           </select>
         </div>
+        <div className="flex items-center justify-center gap-4">
+          <label className="text-sm text-gray-700">Pathfinding Algorithm:</label>
+          <select
+            value={state.pathfindingAlgorithm}
+            onChange={(e) => actions.updatePathfindingAlgorithm(e.target.value)}
+            className="px-3 py-1 border border-gray-300 rounded text-sm"
+            title="Used from the next path on"
+          >
+            {algorithms.pathfindingOptions.map(({ name, displayName }) => (
+              <option key={name} value={name}>{displayName}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 text-sm text-gray-700" title="Straighten HAA* paths by line of sight (Theta* paths are always straight)">
+            <input
+              type="checkbox"
+              checked={state.smoothPaths}
+              onChange={actions.toggleSmoothPaths}
+            />
+            Smooth paths
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700" title="Replay the cells and components A* and HAA* expand before the character moves">
+            <input
+              type="checkbox"
+              checked={state.showSearchSteps}
+              onChange={actions.toggleSearchSteps}
+            />
+            Show search steps
+          </label>
+          <select
+            value={state.replaySpeed}
+            onChange={(e) => actions.updateReplaySpeed(Number(e.target.value))}
+            className="px-2 py-1 border border-gray-300 rounded text-sm"
+            disabled={!state.showSearchSteps}
+            title="Search events replayed per frame"
+          >
+            {[1, 5, 25, 100].map(speed => (
+              <option key={speed} value={speed}>{speed} / frame</option>
+            ))}
+          </select>
+          {computed.isReplaying && (
+            <button
+              onClick={actions.replayComplete}
+              className="px-2 py-1 bg-gray-200 text-gray-700 rounded text-sm hover:bg-gray-300"
+            >
+              Skip
+            </button>
+          )}
+        </div>
+        <ParameterControls
+          parameters={algorithms.mazeGeneration?.parameters}
+          values={state.mazeParams}
+          onChange={actions.updateMazeParam}
+          disabled={!computed.canGenerateNewMaze}
+          exclude={['seed']}
+        />
+        <MazeFileControls
+          onLoad={loadMazeFile}
+          onSave={saveMazeFile}
+          disabled={!computed.canGenerateNewMaze}
+          canSave={state.maze.length > 0}
+        />
         <div className="flex items-center justify-center gap-4">
           <label className="text-sm text-gray-700">Animation Speed:</label>
           <input
@@ -150,16 +286,20 @@ const PathfindingDemo = () => {
         </div>
       </div>
 
-      {/* Canvas renderer using new core component */}
-      <div className="bg-white p-4 rounded-lg shadow-lg mb-4">
-        <CanvasRenderer
-          state={state}
-          cellCheckers={cellCheckers}
-          colors={rendererColors}
-          viewport={viewport}
-          isAnimating={computed.isAnimating}
-          renderMode="pathfinding"
-        />
+      {/* Canvas renderer using new core component, with the maze statistics alongside */}
+      <div className="flex gap-4 items-start mb-4">
+        <div className="bg-white p-4 rounded-lg shadow-lg">
+          <CanvasRenderer
+            state={state}
+            cellCheckers={cellCheckers}
+            colors={rendererColors}
+            viewport={viewport}
+            isAnimating={computed.isAnimating}
+            renderMode="pathfinding"
+            onCellClick={toggleWall}
+          />
+        </div>
+        <MazeStatsPanel statistics={mazeStatistics} />
       </div>
 
       {/* Legend */}
@@ -184,6 +324,38 @@ const PathfindingDemo = () => {
           <div className="w-4 h-4 bg-gray-700"></div>
           <span>Wall</span>
         </div>
+        {state.terrain && (
+          <>
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-4" style={{ backgroundColor: '#e9d5ff' }}></div>
+              <span>Carpet (×1.25)</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-4" style={{ backgroundColor: '#b08968' }}></div>
+              <span>Mud (×3)</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-4" style={{ backgroundColor: '#7dd3fc' }}></div>
+              <span>Water (×5)</span>
+            </div>
+          </>
+        )}
+        {state.searchTrace && (
+          <>
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-4" style={{ backgroundColor: 'rgba(34, 197, 94, 0.35)' }}></div>
+              <span>Open</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-4" style={{ backgroundColor: 'rgba(249, 115, 22, 0.35)' }}></div>
+              <span>Expanded</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-4 rounded-full" style={{ backgroundColor: '#7c3aed' }}></div>
+              <span>Abstract node</span>
+            </div>
+          </>
+        )}
       </div>
 
       <div className="mt-6 text-sm text-gray-600 max-w-2xl text-center space-y-2">
@@ -192,6 +364,8 @@ const PathfindingDemo = () => {
         <p>2. <strong>Abstract Path</strong>: HAA* finds which components to traverse (highlighted regions)</p>
         <p>3. <strong>Detailed Path</strong>: Finds cell-by-cell path within components (X markers)</p>
         <p>4. <strong>Animation</strong>: Smooth 60fps character movement using requestAnimationFrame</p>
+        <p>5. <strong>Search Steps</strong>: Optionally replays the nodes A* and HAA* open and expand, abstract components first</p>
+        <p>6. <strong>Edit</strong>: Click a cell to add or remove a wall; only the regions around it are rebuilt and the character replans</p>
         <p className="text-xs mt-2 text-green-600">
           ✅ Refactored: Modular algorithm system with pluggable components
         </p>
@@ -1,8 +1,74 @@
-import { useCallback, useMemo } from 'react';
-import { useMazeState } from '../../hooks/useMazeState.js';
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import { useMazeState, ANIMATION_PHASES } from '../../hooks/useMazeState.js';
 import { useMemoizedLookups } from '../../hooks/useMemoizedLookups.js';
-import { getAlgorithm } from '../../algorithms/index.js';
-import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from '../../core/constants.js';
+import { useMazeStatistics } from '../../hooks/useMazeStatistics.js';
+import { getAlgorithm, getAlgorithmsByType } from '../../algorithms/index.js';
+import { resolveMazeComponents, repairMazeComponents } from '../../algorithms/maze-generation/shared-utils.js';
+import { GENERATION_ANIMATION_FRAMES, GENERATION_STEP_DELAY } from '../../core/constants.js';
+import { MAZE_FILE_TYPES, serializeMaze, parseMaze, detectMazeFormat } from '../../core/utils/maze-io.js';
+import { CELL_STATES } from '../../core/utils/map-utils.js';
+import { DEFAULT_MOVEMENT, getMovementModel } from '../../core/utils/movement-model.js';
+import { createSeededRandom, getKey } from '../../utils/utilities.js';
+import { expandWaypoints } from '../../algorithms/pathfinding/path-smoothing.js';
+
+// onProgress events of a traced search (see the traceSearch parameter of A* and HAA*)
+const SEARCH_TRACE_EVENTS = new Set(['node_expanded', 'open_set_updated', 'abstract_node_expanded']);
+
+/**
+ * Replay data for the events of a traced search
+ * Every cell and abstract node keeps the index of the event that first opened or
+ * expanded it, so the overlay at any replay step is one comparison per cell.
+ * @param {Array} events - Search trace events in the order they were reported
+ * @returns {Object} { length, openedAt, closedAt, abstractOpenedAt, abstractExpandedAt } - Maps from
+ *   cell keys or node IDs to event indices
+ */
+const toSearchTrace = (events) => {
+  const trace = {
+    length: events.length,
+    openedAt: new Map(),
+    closedAt: new Map(),
+    abstractOpenedAt: new Map(),
+    abstractExpandedAt: new Map()
+  };
+  const mark = (map, key, index) => {
+    if (!map.has(key)) map.set(key, index);
+  };
+
+  events.forEach((event, index) => {
+    if (event.type === 'node_expanded') {
+      mark(trace.closedAt, getKey(event.cell), index);
+    } else if (event.type === 'open_set_updated') {
+      event.cells.forEach(cell => mark(trace.openedAt, getKey(cell), index));
+    } else if (event.type === 'abstract_node_expanded') {
+      mark(trace.abstractExpandedAt, event.nodeId, index);
+      event.opened.forEach(nodeId => mark(trace.abstractOpenedAt, nodeId, index));
+    }
+  });
+  return trace;
+};
+
+/**
+ * Reducer payload for a pathfinding result
+ * HAA* returns an abstract and a detailed path, the flat grid searches a single path.
+ * With waypoints (Theta*, smoothed HAA*) the character walks their straight segments,
+ * expanded into cells with the moves of the maze's movement model. A traced search
+ * brings its events along for the step replay.
+ */
+const toPathData = ({ result, metrics, searchEvents = null }, start, maze, movement) => ({
+  abstractPath: result.abstractPath || [],
+  detailedPath: result.waypoints ? expandWaypoints(result.waypoints, maze, movement) : (result.detailedPath || result.path || []),
+  waypoints: result.waypoints || null,
+  suboptimality: result.suboptimality,
+  metrics: {
+    pathCost: metrics.pathCost ?? null,
+    waypointCost: metrics.waypointCost ?? null,
+    nodesExplored: metrics.nodesExplored ?? null,
+    executionTime: metrics.executionTime,
+    heuristicWarning: metrics.heuristicWarning ?? null
+  },
+  searchTrace: searchEvents && searchEvents.length > 0 ? toSearchTrace(searchEvents) : null,
+  start
+});
 
 /**
  * Hook for pathfinding demo logic using the new modular algorithm system
@@ -10,10 +76,68 @@ import { DEFAULT_REGION_SIZE, DEFAULT_MAZE_SIZE } from '../../core/constants.js'
 export const usePathfindingDemo = () => {
   const { state, actions, computed } = useMazeState();
   const { cellCheckers, performanceStats } = useMemoizedLookups(state);
+  const mazeStatistics = useMazeStatistics(state.maze, {
+    enabled: state.phase !== ANIMATION_PHASES.GENERATING,
+    terrain: state.terrain,
+    regionSize: state.regionSize,
+    movement: state.movement
+  });
 
   // Get algorithms
   const mazeGenerationAlgorithm = getAlgorithm('maze-generation', state.mazeAlgorithm);
-  const pathfindingAlgorithm = getAlgorithm('pathfinding', 'component-haa-star');
+  const pathfindingAlgorithm = getAlgorithm('pathfinding', state.pathfindingAlgorithm);
+
+  // Movement model of the current maze; generation parameters pick it for the next one
+  const movement = state.movement || DEFAULT_MOVEMENT;
+
+  // Options for every pathfinding run; algorithms ignore the ones they do not have
+  // (the region size travels with the maze data in the search input)
+  const searchOptions = useMemo(() => ({
+    smoothing: state.smoothPaths,
+    measureSuboptimality: true,
+    movement
+  }), [state.smoothPaths, movement]);
+
+  /**
+   * Run the selected pathfinding algorithm
+   * With search steps shown, the search is traced and its events are returned as
+   * searchEvents; every other progress event goes to onProgress.
+   */
+  const runPathfinding = useCallback(async (input, options, onProgress) => {
+    if (!state.showSearchSteps) {
+      return pathfindingAlgorithm.execute(input, options, onProgress);
+    }
+
+    const searchEvents = [];
+    const pathResult = await pathfindingAlgorithm.execute(input, { ...options, traceSearch: true }, (progress) => {
+      if (SEARCH_TRACE_EVENTS.has(progress.type)) {
+        searchEvents.push(progress);
+      } else if (onProgress) {
+        onProgress(progress);
+      }
+    });
+    return { ...pathResult, searchEvents };
+  }, [pathfindingAlgorithm, state.showSearchSteps]);
+
+  // Registered pathfinding algorithms for the algorithm dropdown
+  const pathfindingOptions = useMemo(() => (
+    Object.entries(getAlgorithmsByType('pathfinding')).map(([name, algorithm]) => ({ name, displayName: algorithm.name }))
+  ), []);
+
+  // Abort controller of the running (animated) maze generation
+  const generationRef = useRef(null);
+
+  /**
+   * Cancel the running maze generation, if any
+   */
+  const cancelGeneration = useCallback(() => {
+    if (generationRef.current) {
+      generationRef.current.abort();
+      generationRef.current = null;
+    }
+  }, []);
+
+  useEffect(() => cancelGeneration, [cancelGeneration]);
 
   // Colors for pathfinding visualization
   const pathfindingColors = useMemo(() => {
@@ -28,7 +152,7 @@ export const usePathfindingDemo = () => {
   /**
    * Find random start position from walkable cells
    */
-  const findRandomStart = useCallback((maze) => {
+  const findRandomStart = useCallback((maze, random = Math.random) => {
     const walkableCells = [];
     for (let row = 0; row < maze.length; row++) {
       for (let col = 0; col < maze[row].length; col++) {
@@ -37,7 +161,7 @@ export const usePathfindingDemo = () => {
         }
       }
     }
-    return walkableCells[Math.floor(Math.random() * walkableCells.length)];
+    return walkableCells[Math.floor(random() * walkableCells.length)];
   }, []);
 
   // Helper function to get component node ID (copied from algorithm)
@@ -55,8 +179,9 @@ export const usePathfindingDemo = () => {
 
   /**
    * Find a good end position that creates interesting paths
+   * regionSize is the region size the component data was built with.
    */
-  const findGoodEnd = useCallback((maze, componentGraph, start) => {
+  const findGoodEnd = useCallback((maze, coloredMaze, componentGraph, regionSize, start, random = Math.random) => {
     if (!componentGraph || !start) return null;
 
     // Get all component nodes
@@ -64,24 +189,24 @@ export const usePathfindingDemo = () => {
     if (componentNodes.length === 0) return null;
 
     // Try to find an end position in a different component
-    const startNodeId = getComponentNodeId(start, state.coloredMaze, DEFAULT_REGION_SIZE);
+    const startNodeId = getComponentNodeId(start, coloredMaze, regionSize);
     
     // Filter out start component and find distant components
     const otherComponents = componentNodes.filter(nodeId => nodeId !== startNodeId);
     
     if (otherComponents.length === 0) {
       // If no other components, just pick a random walkable cell
-      return findRandomStart(maze);
+      return findRandomStart(maze, random);
     }
 
     // Pick a random component and random cell within it
-    const randomComponent = otherComponents[Math.floor(Math.random() * otherComponents.length)];
+    const randomComponent = otherComponents[Math.floor(random() * otherComponents.length)];
     const componentCells = componentGraph[randomComponent].cells;
     
-    if (componentCells.length === 0) return findRandomStart(maze);
+    if (componentCells.length === 0) return findRandomStart(maze, random);
     
-    return componentCells[Math.floor(Math.random() * componentCells.length)];
-  }, [state.coloredMaze, findRandomStart, getComponentNodeId]);
+    return componentCells[Math.floor(random() * componentCells.length)];
+  }, [findRandomStart, getComponentNodeId]);
 
   /**
    * Generate a new maze using the selected algorithm
@@ -92,18 +217,33 @@ export const usePathfindingDemo = () => {
       return;
     }
 
+    // Clicking "new maze" during an animated generation restarts it
+    cancelGeneration();
+    const controller = new AbortController();
+    generationRef.current = controller;
+
     actions.startGeneration();
 
     try {
       // Execute maze generation algorithm
       const result = await mazeGenerationAlgorithm.execute(
-        { SIZE: DEFAULT_MAZE_SIZE, REGION_SIZE: DEFAULT_REGION_SIZE },
-        {},
+        { WIDTH: state.mazeWidth, HEIGHT: state.mazeHeight, REGION_SIZE: state.mazeRegionSize },
+        {
+          ...state.mazeParams,
+          seed: state.seedInput,
+          stepBatchSize: Math.ceil((state.mazeWidth * state.mazeHeight) / GENERATION_ANIMATION_FRAMES),
+          stepDelay: GENERATION_STEP_DELAY,
+          signal: controller.signal
+        },
         (progress) => {
-          // Handle progress updates if needed
+          if (progress.type === 'generation_step') {
+            actions.applyGenerationStep(progress.cells, progress.width, progress.height);
+          }
           if (progress.type === 'generation_complete') {
-            const start = findRandomStart(progress.maze);
-            const end = findGoodEnd(progress.maze, progress.componentGraph, start);
+            // Start/end are drawn from the maze seed so a seed replays the whole scenario
+            const random = createSeededRandom(progress.seed);
+            const start = findRandomStart(progress.maze, random);
+            const end = findGoodEnd(progress.maze, progress.coloredMaze, progress.componentGraph, progress.regionSize, start, random);
             
             // Set maze data
             actions.setMazeData({
@@ -111,29 +251,30 @@ export const usePathfindingDemo = () => {
               coloredMaze: progress.coloredMaze,
               componentGraph: progress.componentGraph,
               totalComponents: progress.totalComponents,
+              seed: progress.seed,
+              terrain: progress.terrain,
+              movement: progress.movement,
+              regionSize: progress.regionSize,
               start,
               end
             });
             
             // Find initial path if we have valid start/end
             if (start && end && pathfindingAlgorithm) {
-              pathfindingAlgorithm.execute(
+              runPathfinding(
                 {
                   maze: progress.maze,
                   coloredMaze: progress.coloredMaze,
                   componentGraph: progress.componentGraph,
+                  terrain: progress.terrain,
+                  regionSize: progress.regionSize,
                   start,
-                  end,
-                  SIZE: DEFAULT_MAZE_SIZE
+                  end
                 },
-                { regionSize: DEFAULT_REGION_SIZE }
+                { ...searchOptions, movement: progress.movement }
               ).then(pathResult => {
                 if (pathResult.result) {
-                  actions.setPathData({
-                    abstractPath: pathResult.result.abstractPath || [],
-                    detailedPath: pathResult.result.detailedPath || [],
-                    start
-                  });
+                  actions.setPathData(toPathData(pathResult, start, progress.maze, progress.movement));
                 }
               }).catch(error => {
                 console.error('Initial pathfinding failed:', error);
@@ -145,9 +286,10 @@ export const usePathfindingDemo = () => {
 
       // If no progress callback was called, handle result directly
       if (result.result) {
-        const { maze, coloredMaze, componentGraph, totalComponents } = result.result;
-        const start = findRandomStart(maze);
-        const end = findGoodEnd(maze, componentGraph, start);
+        const { maze, coloredMaze, componentGraph, totalComponents, seed, terrain, movement: mazeMovement, regionSize } = result.result;
+        const random = createSeededRandom(seed);
+        const start = findRandomStart(maze, random);
+        const end = findGoodEnd(maze, coloredMaze, componentGraph, regionSize, start, random);
         
         // Set maze data
         actions.setMazeData({
@@ -155,29 +297,30 @@ export const usePathfindingDemo = () => {
           coloredMaze,
           componentGraph,
           totalComponents,
+          seed,
+          terrain,
+          movement: mazeMovement,
+          regionSize,
           start,
           end
         });
         
         // Find initial path if we have valid start/end
         if (start && end && pathfindingAlgorithm) {
-          pathfindingAlgorithm.execute(
+          runPathfinding(
             {
               maze,
               coloredMaze,
               componentGraph,
+              terrain,
+              regionSize,
               start,
-              end,
-              SIZE: DEFAULT_MAZE_SIZE
+              end
             },
-            { regionSize: DEFAULT_REGION_SIZE }
+            { ...searchOptions, movement: mazeMovement }
           ).then(pathResult => {
             if (pathResult.result) {
-              actions.setPathData({
-                abstractPath: pathResult.result.abstractPath || [],
-                detailedPath: pathResult.result.detailedPath || [],
-                start
-              });
+              actions.setPathData(toPathData(pathResult, start, maze, mazeMovement));
             }
           }).catch(error => {
             console.error('Initial pathfinding failed:', error);
@@ -185,9 +328,127 @@ export const usePathfindingDemo = () => {
         }
       }
     } catch (error) {
+      if (error.name === 'AbortError') return; // Superseded by a newer generation
       console.error('Maze generation failed:', error);
+    } finally {
+      if (generationRef.current === controller) generationRef.current = null;
+    }
+  }, [mazeGenerationAlgorithm, pathfindingAlgorithm, runPathfinding, searchOptions, state.mazeAlgorithm, state.mazeParams, state.seedInput, state.mazeWidth, state.mazeHeight, state.mazeRegionSize, actions, findRandomStart, findGoodEnd, cancelGeneration]);
+
+  /**
+   * Load a maze from an ASCII, JSON, PBM or PGM file instead of generating one
+   * Missing start/end points are picked at random; missing components, and components
+   * built with another region size than the selected one, are rebuilt.
+   */
+  const loadMazeFile = useCallback(async (file) => {
+    cancelGeneration();
+    actions.startGeneration();
+
+    try {
+      const content = new Uint8Array(await file.arrayBuffer());
+      const mazeData = parseMaze(content, detectMazeFormat(file.name, content));
+      const { maze, terrain } = mazeData;
+      // Files keep the movement model their components were built with; others take the generation parameters'
+      const mazeMovement = mazeData.movement || getMovementModel(state.mazeParams);
+      const regionSize = state.mazeRegionSize;
+      const { coloredMaze, componentGraph, totalComponents } = resolveMazeComponents(mazeData, regionSize, mazeMovement);
+
+      const random = mazeData.seed !== null ? createSeededRandom(mazeData.seed) : Math.random;
+      const start = mazeData.start || findRandomStart(maze, random);
+      const end = mazeData.end || findGoodEnd(maze, coloredMaze, componentGraph, regionSize, start, random);
+
+      actions.setMazeData({
+        maze,
+        coloredMaze,
+        componentGraph,
+        totalComponents,
+        seed: mazeData.seed,
+        terrain,
+        movement: mazeMovement,
+        regionSize,
+        start,
+        end
+      });
+
+      if (start && end && pathfindingAlgorithm) {
+        const pathResult = await runPathfinding(
+          { maze, coloredMaze, componentGraph, terrain, regionSize, start, end },
+          { ...searchOptions, movement: mazeMovement }
+        );
+        actions.setPathData(toPathData(pathResult, start, maze, mazeMovement));
+      }
+    } catch (error) {
+      console.error('Maze file could not be loaded:', error);
+      actions.resetToIdle();
+    }
+  }, [pathfindingAlgorithm, runPathfinding, searchOptions, state.mazeParams, state.mazeRegionSize, actions, findRandomStart, findGoodEnd, cancelGeneration]);
+
+  /**
+   * Download the current maze in the given format
+   */
+  const saveMazeFile = useCallback((format) => {
+    if (state.maze.length === 0) return;
+
+    const content = serializeMaze({
+      maze: state.maze,
+      start: state.start,
+      end: state.end,
+      coloredMaze: state.coloredMaze,
+      componentGraph: state.componentGraph,
+      regionSize: state.regionSize,
+      seed: state.seed,
+      terrain: state.terrain,
+      movement
+    }, format);
+
+    const { extension, mimeType } = MAZE_FILE_TYPES[format];
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `maze${state.seed !== null ? `-${state.seed}` : ''}${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [state.maze, state.start, state.end, state.coloredMaze, state.componentGraph, state.regionSize, state.seed, state.terrain, movement]);
+
+  /**
+   * Add or remove the wall at a cell, repairing the component graph around it
+   * A moving character replans from where it stands on the repaired graph; when its
+   * goal has been walled off it stops there and picks a new goal after the countdown.
+   */
+  const toggleWall = useCallback(async (cell) => {
+    if (!state.componentGraph || state.phase === ANIMATION_PHASES.GENERATING) return;
+
+    // The character's cell and its goal stay open
+    const position = state.characterPosition || state.start;
+    const isCell = (other) => other && other.row === cell.row && other.col === cell.col;
+    if (isCell(position) || isCell(state.end)) return;
+
+    const maze = [...state.maze];
+    maze[cell.row] = [...maze[cell.row]];
+    maze[cell.row][cell.col] = maze[cell.row][cell.col] === CELL_STATES.WALL ? CELL_STATES.WALKABLE : CELL_STATES.WALL;
+    const { coloredMaze, componentGraph, totalComponents } = repairMazeComponents(
+      { maze, coloredMaze: state.coloredMaze, componentGraph: state.componentGraph, terrain: state.terrain },
+      [cell],
+      state.regionSize,
+      movement
+    );
+    actions.applyMazeEdit({ maze, coloredMaze, componentGraph, totalComponents });
+
+    if (state.phase !== ANIMATION_PHASES.ANIMATING || !pathfindingAlgorithm || !position || !state.end) return;
+
+    try {
+      const pathResult = await pathfindingAlgorithm.execute(
+        { maze, coloredMaze, componentGraph, terrain: state.terrain, regionSize: state.regionSize, start: position, end: state.end },
+        searchOptions
+      );
+      const pathData = toPathData(pathResult, position, maze, movement);
+      actions.setPathData(pathData.detailedPath.length > 0
+        ? pathData
+        : { ...pathData, abstractPath: [], detailedPath: [position] });
+    } catch (error) {
+      console.error('Replanning failed:', error);
     }
-  }, [mazeGenerationAlgorithm, pathfindingAlgorithm, state.mazeAlgorithm, actions, findRandomStart, findGoodEnd]);
+  }, [pathfindingAlgorithm, searchOptions, movement, state.componentGraph, state.phase, state.characterPosition, state.start, state.end, state.maze, state.coloredMaze, state.terrain, state.regionSize, actions]);
 
   /**
    * Generate new path from current end position (continuous pathfinding)
@@ -207,23 +468,24 @@ export const usePathfindingDemo = () => {
       }
 
       // Find a new end position from the current end
-      const newEnd = findGoodEnd(state.maze, state.componentGraph, currentEnd);
+      const newEnd = findGoodEnd(state.maze, state.coloredMaze, state.componentGraph, state.regionSize, currentEnd);
       if (!newEnd) {
         console.error('Could not find suitable end position');
         return;
       }
 
       // Execute pathfinding algorithm from current end to new end
-      const result = await pathfindingAlgorithm.execute(
+      const result = await runPathfinding(
         {
           maze: state.maze,
           coloredMaze: state.coloredMaze,
           componentGraph: state.componentGraph,
+          terrain: state.terrain,
+          regionSize: state.regionSize,
           start: currentEnd,  // Old end becomes new start
-          end: newEnd,
-          SIZE: DEFAULT_MAZE_SIZE
+          end: newEnd
         },
-        { regionSize: DEFAULT_REGION_SIZE },
+        searchOptions,
         (progress) => {
           if (progress.type === 'pathfinding_complete') {
             // Update maze data with new start/end
@@ -239,7 +501,8 @@ export const usePathfindingDemo = () => {
             // Update path data
             actions.setPathData({
               abstractPath: progress.abstractPath || [],
-              detailedPath: progress.detailedPath || [],
+              detailedPath: progress.detailedPath || progress.path || [],
+              suboptimality: progress.suboptimality,
               start: currentEnd
             });
           }
@@ -259,16 +522,12 @@ export const usePathfindingDemo = () => {
         });
         
         // Update path data
-        actions.setPathData({
-          abstractPath: result.result.abstractPath || [],
-          detailedPath: result.result.detailedPath || [],
-          start: currentEnd
-        });
+        actions.setPathData(toPathData(result, currentEnd, state.maze, movement));
       }
     } catch (error) {
       console.error('Pathfinding failed:', error);
     }
-  }, [pathfindingAlgorithm, state, actions, findGoodEnd]);
+  }, [pathfindingAlgorithm, runPathfinding, searchOptions, movement, state, actions, findGoodEnd]);
 
   return {
     // State
@@ -279,6 +538,9 @@ export const usePathfindingDemo = () => {
     cellCheckers,
     performanceStats,
     
+    // Maze analysis
+    mazeStatistics,
+    
     // Colors
     pathfindingColors,
     
@@ -286,11 +548,15 @@ export const usePathfindingDemo = () => {
     actions,
     generateNewMaze,
     generateNewPathFromEnd,
+    loadMazeFile,
+    saveMazeFile,
+    toggleWall,
     
     // Algorithm info
     algorithms: {
       mazeGeneration: mazeGenerationAlgorithm,
-      pathfinding: pathfindingAlgorithm
+      pathfinding: pathfindingAlgorithm,
+      pathfindingOptions: pathfindingOptions
     }
   };
 };
\ No newline at end of file
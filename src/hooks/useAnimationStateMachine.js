@@ -15,7 +15,10 @@ export const useAnimationStateMachine = (state, actions) => {
     detailedPath, 
     currentStep, 
     animationSpeed, 
-    countdown 
+    countdown,
+    searchTrace,
+    replayStep,
+    replaySpeed
   } = state;
   
   const { 
@@ -23,7 +26,9 @@ export const useAnimationStateMachine = (state, actions) => {
     markCellVisited,
     animationComplete, 
     updateCountdown, 
-    countdownComplete 
+    countdownComplete,
+    advanceReplay,
+    replayComplete
   } = actions;
 
   // Cancel any ongoing animations
@@ -71,6 +76,17 @@ export const useAnimationStateMachine = (state, actions) => {
     }
   }, [currentStep, detailedPath, animationSpeed, updateCharacterPosition, markCellVisited, animationComplete]);
 
+  // Search replay: show replaySpeed more trace events each frame
+  const replayFrame = useCallback(() => {
+    animationRef.current = null;
+    const nextStep = replayStep + replaySpeed;
+    if (!searchTrace || nextStep >= searchTrace.length) {
+      replayComplete();
+    } else {
+      advanceReplay(nextStep);
+    }
+  }, [searchTrace, replayStep, replaySpeed, advanceReplay, replayComplete]);
+
   // Start countdown with proper cleanup
   const startCountdown = useCallback(() => {
     if (countdownIntervalRef.current) {
@@ -106,6 +122,12 @@ export const useAnimationStateMachine = (state, actions) => {
         }
         break;
         
+      case 'REPLAYING':
+        // Each replay step changes replayStep, which schedules the next frame
+        cancelAnimation();
+        animationRef.current = requestAnimationFrame(replayFrame);
+        break;
+        
       case 'COUNTDOWN':
         if (countdown > 0) {
           startCountdown();
@@ -125,11 +147,11 @@ export const useAnimationStateMachine = (state, actions) => {
     
     // Cleanup on phase change
     return () => {
-      if (phase === 'ANIMATING') {
+      if (phase === 'ANIMATING' || phase === 'REPLAYING') {
         cancelAnimation();
       }
     };
-  }, [phase, detailedPath.length, detailedPath, currentStep, countdown, animate, startCountdown, cancelAnimation, markCellVisited]);
+  }, [phase, detailedPath.length, detailedPath, currentStep, countdown, animate, replayFrame, startCountdown, cancelAnimation, markCellVisited]);
 
   // Handle animation speed changes during animation
   useEffect(() => {
@@ -149,6 +171,7 @@ export const useAnimationStateMachine = (state, actions) => {
   // Return animation controls and status
   return {
     isAnimating: phase === 'ANIMATING',
+    isReplaying: phase === 'REPLAYING',
     isCountingDown: phase === 'COUNTDOWN',
     currentAnimationStep: currentStep,
     
@@ -1,10 +1,12 @@
 import { useReducer, useCallback } from 'react';
+import { DEFAULT_MAZE_SIZE, DEFAULT_REGION_SIZE } from '../core/constants.js';
 
 // Animation state machine phases
 export const ANIMATION_PHASES = {
   IDLE: 'IDLE',
   GENERATING: 'GENERATING', 
   PATHFINDING: 'PATHFINDING',
+  REPLAYING: 'REPLAYING', // Replaying the recorded search steps before the character moves
   ANIMATING: 'ANIMATING',
   COUNTDOWN: 'COUNTDOWN'
 };
@@ -13,13 +15,19 @@ export const ANIMATION_PHASES = {
 export const MAZE_ACTIONS = {
   // Maze generation
   START_GENERATION: 'START_GENERATION',
+  APPLY_GENERATION_STEP: 'APPLY_GENERATION_STEP',
   SET_MAZE_DATA: 'SET_MAZE_DATA',
+  APPLY_MAZE_EDIT: 'APPLY_MAZE_EDIT',
   
   // Pathfinding
   START_PATHFINDING: 'START_PATHFINDING',
   SET_PATH_DATA: 'SET_PATH_DATA',
   CLEAR_PATHS: 'CLEAR_PATHS',
   
+  // Search step replay
+  ADVANCE_REPLAY: 'ADVANCE_REPLAY',
+  REPLAY_COMPLETE: 'REPLAY_COMPLETE',
+  
   // Animation visited cells
   MARK_CELL_VISITED: 'MARK_CELL_VISITED',
   
@@ -36,7 +44,15 @@ export const MAZE_ACTIONS = {
   // Settings
   UPDATE_ANIMATION_SPEED: 'UPDATE_ANIMATION_SPEED',
   TOGGLE_ABSTRACT_PATH: 'TOGGLE_ABSTRACT_PATH',
+  TOGGLE_SMOOTH_PATHS: 'TOGGLE_SMOOTH_PATHS',
+  TOGGLE_SEARCH_STEPS: 'TOGGLE_SEARCH_STEPS',
+  UPDATE_REPLAY_SPEED: 'UPDATE_REPLAY_SPEED',
   UPDATE_MAZE_ALGORITHM: 'UPDATE_MAZE_ALGORITHM',
+  UPDATE_PATHFINDING_ALGORITHM: 'UPDATE_PATHFINDING_ALGORITHM',
+  UPDATE_SEED_INPUT: 'UPDATE_SEED_INPUT',
+  UPDATE_MAZE_PARAM: 'UPDATE_MAZE_PARAM',
+  UPDATE_MAZE_DIMENSIONS: 'UPDATE_MAZE_DIMENSIONS',
+  UPDATE_REGION_SIZE: 'UPDATE_REGION_SIZE',
   
   // Reset
   RESET_TO_IDLE: 'RESET_TO_IDLE'
@@ -52,12 +68,21 @@ const initialState = {
   coloredMaze: [],
   componentGraph: null,
   totalComponents: 0,
+  seed: null, // Seed the current maze was generated with
+  terrain: null, // Terrain type per cell (TERRAIN_TYPES), null when the maze is plain floor
+  movement: null, // Movement model the components were built with, null for the default
+  regionSize: DEFAULT_REGION_SIZE, // Region size the components were built with
   
   // Path data
   start: null,
   end: null,
   abstractPath: [],
   detailedPath: [],
+  waypoints: null, // Straight-segment waypoints of an any-angle or smoothed path
+  suboptimality: null, // Path cost relative to the optimum, when the algorithm reports it
+  pathMetrics: null, // { pathCost, nodesExplored, executionTime, heuristicWarning } of the last search
+  searchTrace: null, // Recorded search steps of the last search (see toSearchTrace), null when not recorded
+  replayStep: 0, // Number of search trace events shown so far
   
   // Animation state
   characterPosition: null,
@@ -70,7 +95,16 @@ const initialState = {
   // Settings
   animationSpeed: 200,
   showAbstractPath: true,
+  smoothPaths: false, // Ask the pathfinding algorithm for smoothed waypoint paths
+  showSearchSteps: false, // Record each search and replay its steps before the character moves
+  replaySpeed: 5, // Search trace events shown per animation frame
   mazeAlgorithm: 'frontier',
+  pathfindingAlgorithm: 'component-haa-star',
+  seedInput: '', // Empty = pick a random seed for each new maze
+  mazeParams: {}, // Overrides for the selected maze algorithm's parameters
+  mazeWidth: DEFAULT_MAZE_SIZE, // Cells per row of the next generated maze
+  mazeHeight: DEFAULT_MAZE_SIZE, // Rows of the next generated maze
+  mazeRegionSize: DEFAULT_REGION_SIZE, // Region size of the next generated or loaded maze
   
   // Error handling
   error: null
@@ -89,16 +123,41 @@ const mazeReducer = (state, action) => {
         coloredMaze: [],
         componentGraph: null,
         totalComponents: 0,
+        seed: null,
+        terrain: null,
+        movement: null,
         start: null,
         end: null,
         abstractPath: [],
         detailedPath: [],
+        waypoints: null,
+        suboptimality: null,
+        pathMetrics: null,
+        searchTrace: null,
+        replayStep: 0,
         characterPosition: null,
         currentStep: 0,
         visitedCells: new Set(),
         countdown: 0
       };
 
+    case MAZE_ACTIONS.APPLY_GENERATION_STEP: {
+      // Partially built maze for the generation animation; starts as solid wall
+      const { cells, width, height } = action.payload;
+      const base = state.maze.length > 0
+        ? state.maze
+        : Array(height).fill(null).map(() => Array(width).fill(1));
+      const maze = [...base];
+      cells.forEach(({ row, col, value }) => {
+        if (maze[row] === base[row]) maze[row] = [...base[row]]; // Copy only touched rows
+        maze[row][col] = value;
+      });
+      return {
+        ...state,
+        maze
+      };
+    }
+
     case MAZE_ACTIONS.SET_MAZE_DATA:
       return {
         ...state,
@@ -107,26 +166,65 @@ const mazeReducer = (state, action) => {
         coloredMaze: action.payload.coloredMaze,
         componentGraph: action.payload.componentGraph,
         totalComponents: action.payload.totalComponents,
+        seed: action.payload.seed !== undefined ? action.payload.seed : state.seed,
+        terrain: action.payload.terrain !== undefined ? action.payload.terrain : state.terrain,
+        movement: action.payload.movement !== undefined ? action.payload.movement : state.movement,
+        regionSize: action.payload.regionSize !== undefined ? action.payload.regionSize : state.regionSize,
         start: action.payload.start,
         end: action.payload.end
       };
 
+    case MAZE_ACTIONS.APPLY_MAZE_EDIT:
+      // Walls changed in place; the phase and the path are left to the caller
+      return {
+        ...state,
+        maze: action.payload.maze,
+        coloredMaze: action.payload.coloredMaze,
+        componentGraph: action.payload.componentGraph,
+        totalComponents: action.payload.totalComponents
+      };
+
     case MAZE_ACTIONS.SET_PATH_DATA:
+      // A recorded search is replayed before the character starts moving
       return {
         ...state,
-        phase: ANIMATION_PHASES.ANIMATING,
+        phase: action.payload.searchTrace ? ANIMATION_PHASES.REPLAYING : ANIMATION_PHASES.ANIMATING,
         abstractPath: action.payload.abstractPath,
         detailedPath: action.payload.detailedPath,
+        waypoints: action.payload.waypoints ?? null,
+        suboptimality: action.payload.suboptimality ?? null,
+        pathMetrics: action.payload.metrics ?? null,
+        searchTrace: action.payload.searchTrace ?? null,
+        replayStep: 0,
         characterPosition: action.payload.start, // Set initial character position
         currentStep: 0
       };
 
+    case MAZE_ACTIONS.ADVANCE_REPLAY:
+      return {
+        ...state,
+        replayStep: action.payload.step
+      };
+
+    case MAZE_ACTIONS.REPLAY_COMPLETE:
+      // The whole trace stays on screen while the character walks the path
+      return {
+        ...state,
+        phase: ANIMATION_PHASES.ANIMATING,
+        replayStep: state.searchTrace ? state.searchTrace.length : 0
+      };
+
     case MAZE_ACTIONS.CLEAR_PATHS:
       return {
         ...state,
         phase: ANIMATION_PHASES.IDLE,
         abstractPath: [],
         detailedPath: [],
+        waypoints: null,
+        suboptimality: null,
+        pathMetrics: null,
+        searchTrace: null,
+        replayStep: 0,
         characterPosition: null,
         currentStep: 0,
         visitedCells: new Set()
@@ -186,10 +284,63 @@ const mazeReducer = (state, action) => {
         showAbstractPath: !state.showAbstractPath
       };
 
+    case MAZE_ACTIONS.TOGGLE_SMOOTH_PATHS:
+      return {
+        ...state,
+        smoothPaths: !state.smoothPaths
+      };
+
+    case MAZE_ACTIONS.TOGGLE_SEARCH_STEPS:
+      return {
+        ...state,
+        showSearchSteps: !state.showSearchSteps
+      };
+
+    case MAZE_ACTIONS.UPDATE_REPLAY_SPEED:
+      return {
+        ...state,
+        replaySpeed: action.payload.speed
+      };
+
     case MAZE_ACTIONS.UPDATE_MAZE_ALGORITHM:
       return {
         ...state,
-        mazeAlgorithm: action.payload.algorithm
+        mazeAlgorithm: action.payload.algorithm,
+        mazeParams: {} // Parameters are algorithm-specific
+      };
+
+    case MAZE_ACTIONS.UPDATE_PATHFINDING_ALGORITHM:
+      return {
+        ...state,
+        pathfindingAlgorithm: action.payload.algorithm
+      };
+
+    case MAZE_ACTIONS.UPDATE_SEED_INPUT:
+      return {
+        ...state,
+        seedInput: action.payload.seedInput
+      };
+
+    case MAZE_ACTIONS.UPDATE_MAZE_PARAM:
+      return {
+        ...state,
+        mazeParams: {
+          ...state.mazeParams,
+          [action.payload.key]: action.payload.value
+        }
+      };
+
+    case MAZE_ACTIONS.UPDATE_MAZE_DIMENSIONS:
+      return {
+        ...state,
+        mazeWidth: action.payload.width || state.mazeWidth,
+        mazeHeight: action.payload.height || state.mazeHeight
+      };
+
+    case MAZE_ACTIONS.UPDATE_REGION_SIZE:
+      return {
+        ...state,
+        mazeRegionSize: action.payload.regionSize
       };
 
     case MAZE_ACTIONS.RESET_TO_IDLE:
@@ -217,6 +368,13 @@ export const useMazeState = () => {
       dispatch({ type: MAZE_ACTIONS.START_GENERATION });
     }, []),
 
+    applyGenerationStep: useCallback((cells, width, height) => {
+      dispatch({
+        type: MAZE_ACTIONS.APPLY_GENERATION_STEP,
+        payload: { cells, width, height }
+      });
+    }, []),
+
     setMazeData: useCallback((mazeData) => {
       dispatch({ 
         type: MAZE_ACTIONS.SET_MAZE_DATA,
@@ -224,6 +382,13 @@ export const useMazeState = () => {
       });
     }, []),
 
+    applyMazeEdit: useCallback((mazeData) => {
+      dispatch({
+        type: MAZE_ACTIONS.APPLY_MAZE_EDIT,
+        payload: mazeData
+      });
+    }, []),
+
     setPathData: useCallback((pathData) => {
       dispatch({
         type: MAZE_ACTIONS.SET_PATH_DATA,
@@ -235,6 +400,17 @@ export const useMazeState = () => {
       dispatch({ type: MAZE_ACTIONS.CLEAR_PATHS });
     }, []),
 
+    advanceReplay: useCallback((step) => {
+      dispatch({
+        type: MAZE_ACTIONS.ADVANCE_REPLAY,
+        payload: { step }
+      });
+    }, []),
+
+    replayComplete: useCallback(() => {
+      dispatch({ type: MAZE_ACTIONS.REPLAY_COMPLETE });
+    }, []),
+
     updateCharacterPosition: useCallback((position, step) => {
       dispatch({
         type: MAZE_ACTIONS.UPDATE_CHARACTER_POSITION,
@@ -275,6 +451,21 @@ export const useMazeState = () => {
       dispatch({ type: MAZE_ACTIONS.TOGGLE_ABSTRACT_PATH });
     }, []),
 
+    toggleSmoothPaths: useCallback(() => {
+      dispatch({ type: MAZE_ACTIONS.TOGGLE_SMOOTH_PATHS });
+    }, []),
+
+    toggleSearchSteps: useCallback(() => {
+      dispatch({ type: MAZE_ACTIONS.TOGGLE_SEARCH_STEPS });
+    }, []),
+
+    updateReplaySpeed: useCallback((speed) => {
+      dispatch({
+        type: MAZE_ACTIONS.UPDATE_REPLAY_SPEED,
+        payload: { speed }
+      });
+    }, []),
+
     updateMazeAlgorithm: useCallback((algorithm) => {
       dispatch({
         type: MAZE_ACTIONS.UPDATE_MAZE_ALGORITHM,
@@ -282,6 +473,41 @@ export const useMazeState = () => {
       });
     }, []),
 
+    updatePathfindingAlgorithm: useCallback((algorithm) => {
+      dispatch({
+        type: MAZE_ACTIONS.UPDATE_PATHFINDING_ALGORITHM,
+        payload: { algorithm }
+      });
+    }, []),
+
+    updateSeedInput: useCallback((seedInput) => {
+      dispatch({
+        type: MAZE_ACTIONS.UPDATE_SEED_INPUT,
+        payload: { seedInput }
+      });
+    }, []),
+
+    updateMazeParam: useCallback((key, value) => {
+      dispatch({
+        type: MAZE_ACTIONS.UPDATE_MAZE_PARAM,
+        payload: { key, value }
+      });
+    }, []),
+
+    updateMazeDimensions: useCallback(({ width, height }) => {
+      dispatch({
+        type: MAZE_ACTIONS.UPDATE_MAZE_DIMENSIONS,
+        payload: { width, height }
+      });
+    }, []),
+
+    updateRegionSize: useCallback((regionSize) => {
+      dispatch({
+        type: MAZE_ACTIONS.UPDATE_REGION_SIZE,
+        payload: { regionSize }
+      });
+    }, []),
+
     resetToIdle: useCallback(() => {
       dispatch({ type: MAZE_ACTIONS.RESET_TO_IDLE });
     }, [])
@@ -291,10 +517,12 @@ export const useMazeState = () => {
   const computed = {
     isGenerating: state.phase === ANIMATION_PHASES.GENERATING,
     isPathfinding: state.phase === ANIMATION_PHASES.PATHFINDING,
+    isReplaying: state.phase === ANIMATION_PHASES.REPLAYING,
     isAnimating: state.phase === ANIMATION_PHASES.ANIMATING,
     isCountingDown: state.phase === ANIMATION_PHASES.COUNTDOWN,
     isIdle: state.phase === ANIMATION_PHASES.IDLE,
-    canGenerateNewMaze: state.phase === ANIMATION_PHASES.IDLE,
+    // A running generation can be restarted; the hooks cancel the previous one
+    canGenerateNewMaze: state.phase === ANIMATION_PHASES.IDLE || state.phase === ANIMATION_PHASES.GENERATING,
     hasPath: state.detailedPath.length > 0,
     hasAbstractPath: state.abstractPath.length > 0
   };
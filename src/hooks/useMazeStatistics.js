@@ -0,0 +1,42 @@
+import { useEffect, useState } from 'react';
+import { getAlgorithm } from '../algorithms/index.js';
+import { DEFAULT_REGION_SIZE } from '../core/constants.js';
+
+/**
+ * Structural statistics of the current maze from the 'maze-statistics' analysis algorithm
+ * The statistics are recomputed when the maze or terrain changes; while disabled
+ * (e.g. during the generation animation) the hook returns null.
+ * @param {Array} maze - 2D maze array
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether the maze is complete and should be analyzed
+ * @param {Array} options.terrain - Optional terrain grid
+ * @param {number} options.regionSize - HAA* region size
+ * @param {Object} options.movement - Movement model of the maze's components, null for the default
+ * @returns {Object|null} Statistics as returned by analyzeMaze
+ */
+export const useMazeStatistics = (maze, { enabled = true, terrain = null, regionSize = DEFAULT_REGION_SIZE, movement = null } = {}) => {
+  const [statistics, setStatistics] = useState(null);
+
+  useEffect(() => {
+    const analysisAlgorithm = getAlgorithm('analysis', 'maze-statistics');
+    if (!enabled || !analysisAlgorithm || !maze || maze.length === 0) {
+      setStatistics(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    analysisAlgorithm.execute({ maze, terrain, REGION_SIZE: regionSize }, movement ? { movement } : {})
+      .then(result => {
+        if (!cancelled) setStatistics(result.result);
+      })
+      .catch(error => {
+        console.error('Maze analysis failed:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [maze, terrain, regionSize, movement, enabled]);
+
+  return statistics;
+};
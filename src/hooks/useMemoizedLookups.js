@@ -1,5 +1,6 @@
 import { useMemo } from 'react';
 import { DEFAULT_REGION_SIZE } from '../core/constants.js';
+import { getMazeDimensions } from '../core/utils/maze-utils.js';
 
 /**
  * Performance optimization hook that converts O(n) array operations to O(1) lookups
@@ -13,7 +14,8 @@ export const useMemoizedLookups = (state) => {
     start, 
     end, 
     showAbstractPath,
-    maze 
+    maze,
+    regionSize = DEFAULT_REGION_SIZE
   } = state;
 
   // Convert detailed path to Set for O(1) position lookups
@@ -111,11 +113,10 @@ export const useMemoizedLookups = (state) => {
     // Only compute if we have a maze
     if (maze.length === 0) return styles;
     
-    const REGION_SIZE = DEFAULT_REGION_SIZE;
-    const SIZE = maze.length;
+    const { width, height } = getMazeDimensions(maze);
     
-    for (let regionRow = 0; regionRow < SIZE / REGION_SIZE; regionRow++) {
-      for (let regionCol = 0; regionCol < SIZE / REGION_SIZE; regionCol++) {
+    for (let regionRow = 0; regionRow < Math.ceil(height / regionSize); regionRow++) {
+      for (let regionCol = 0; regionCol < Math.ceil(width / regionSize); regionCol++) {
         const regionId = `${regionRow},${regionCol}`;
         const isInPath = isRegionInAbstractPath(regionRow, regionCol);
         
@@ -128,7 +129,7 @@ export const useMemoizedLookups = (state) => {
     }
     
     return styles;
-  }, [maze, isRegionInAbstractPath]);
+  }, [maze, regionSize, isRegionInAbstractPath]);
 
   // Stats for performance monitoring
   const performanceStats = useMemo(() => {
@@ -33,6 +33,115 @@ class UnionFind {
   }
 }
 
+/**
+ * Indexed binary min-heap for A* open sets
+ * Entries are identified by key (e.g. getKey(cell) or a component node id), so
+ * membership checks are O(1) and lowering an entry's priority (decrease-key) is
+ * O(log n). Equal priorities come out in insertion order.
+ */
+class IndexedMinHeap {
+  constructor() {
+    this.heap = [];
+    this.positions = new Map();
+    this.insertions = 0;
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  has(key) {
+    return this.positions.has(key);
+  }
+
+  /**
+   * Insert an entry, or lower the priority of an entry that is already queued
+   * A higher priority for a queued key is ignored.
+   * @param {string|number} key - Entry identity
+   * @param {number} priority - Lower comes out first (e.g. the f-score)
+   * @param {*} value - Returned by pop(), defaults to the key
+   */
+  push(key, priority, value = key) {
+    const index = this.positions.get(key);
+    if (index === undefined) {
+      this.heap.push({ key, priority, value, order: this.insertions++ });
+      this.positions.set(key, this.heap.length - 1);
+      this.siftUp(this.heap.length - 1);
+    } else if (priority < this.heap[index].priority) {
+      this.heap[index].priority = priority;
+      this.heap[index].value = value;
+      this.siftUp(index);
+    }
+  }
+
+  /**
+   * Remove the entry with the lowest priority
+   * @returns {*} Its value, or undefined when the heap is empty
+   */
+  pop() {
+    if (this.heap.length === 0) return undefined;
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    this.positions.delete(top.key);
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.siftDown(0);
+    }
+    return top.value;
+  }
+
+  /**
+   * Priority of the entry pop() returns next
+   * @returns {number} The lowest priority, or Infinity when the heap is empty
+   */
+  peekPriority() {
+    return this.heap.length > 0 ? this.heap[0].priority : Infinity;
+  }
+
+  /**
+   * Values of all queued entries (heap order, for debug output)
+   */
+  values() {
+    return this.heap.map(entry => entry.value);
+  }
+
+  precedes(a, b) {
+    return a.priority < b.priority || (a.priority === b.priority && a.order < b.order);
+  }
+
+  // Move the entry at index towards the root until its parent precedes it
+  siftUp(index) {
+    const entry = this.heap[index];
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this.precedes(entry, this.heap[parent])) break;
+      this.heap[index] = this.heap[parent];
+      this.positions.set(this.heap[index].key, index);
+      index = parent;
+    }
+    this.heap[index] = entry;
+    this.positions.set(entry.key, index);
+  }
+
+  // Move the entry at index towards the leaves until it precedes both children
+  siftDown(index) {
+    const entry = this.heap[index];
+    const length = this.heap.length;
+    for (;;) {
+      const left = 2 * index + 1;
+      if (left >= length) break;
+      const right = left + 1;
+      const child = right < length && this.precedes(this.heap[right], this.heap[left]) ? right : left;
+      if (!this.precedes(this.heap[child], entry)) break;
+      this.heap[index] = this.heap[child];
+      this.positions.set(this.heap[index].key, index);
+      index = child;
+    }
+    this.heap[index] = entry;
+    this.positions.set(entry.key, index);
+  }
+}
+
 function heuristicString(a, b) {
   const [r1, c1] = a.split(',').map(Number);
   const [r2, c2] = b.split(',').map(Number);
@@ -57,10 +166,115 @@ function heuristicObjectChebyshev(a, b) {
   return Math.max(dx, dy);
 }
 
+/**
+ * Heuristic registry for the cell searches
+ * Every entry estimates the cost between two cells {row, col} as estimate(a, b, movement),
+ * where movement is the search's movement model (see core/utils/movement-model.js).
+ * isAdmissible(movement) tells whether the estimate never exceeds the cheapest path
+ * cost under that model; terrain costs are never below 1, so it holds on terrain too.
+ */
+const HEURISTICS = new Map();
+
+/**
+ * Register a heuristic, replacing any entry with the same name
+ * @param {string} name - Name used in heuristicType options
+ * @param {Object} heuristic
+ * @param {Function} heuristic.estimate - (a, b, movement) => estimated cost from a to b
+ * @param {Function} heuristic.isAdmissible - (movement) => boolean (default: never admissible)
+ * @param {string} heuristic.label - Human-readable name (default: the name)
+ */
+function registerHeuristic(name, { estimate, isAdmissible = () => false, label = name }) {
+  if (typeof estimate !== 'function') {
+    throw new Error(`Heuristic ${name} needs an estimate function`);
+  }
+  HEURISTICS.set(name, Object.freeze({ name, label, estimate, isAdmissible }));
+}
+
+function getHeuristic(name) {
+  const heuristic = HEURISTICS.get(name);
+  if (!heuristic) {
+    throw new Error(`Unknown heuristic: ${name}`);
+  }
+  return heuristic;
+}
+
+function getHeuristicNames() {
+  return [...HEURISTICS.keys()];
+}
+
+/**
+ * Why a heuristic setting may give suboptimal paths
+ * A weight above 1 breaks admissibility too, though the path cost then stays
+ * within weight times the optimum if the heuristic itself is admissible.
+ * @param {string} name - Registered heuristic name
+ * @param {Object} movement - Movement model of the search
+ * @param {number} weight - Heuristic weight (default 1)
+ * @returns {string|null} Warning message, or null when the heuristic is admissible
+ */
+function getHeuristicWarning(name, movement, weight = 1) {
+  const { label, isAdmissible } = getHeuristic(name);
+  if (!isAdmissible(movement)) {
+    return `${label} heuristic is not admissible for ${movement.type} movement with diagonal cost ${movement.diagonalCost.toFixed(2)}; paths may be suboptimal`;
+  }
+  if (weight > 1) {
+    return `${label} heuristic weighted by ${weight} is not admissible; path costs stay within ${weight}× the optimum`;
+  }
+  return null;
+}
+
+// Built-in heuristics
+registerHeuristic('manhattan', {
+  label: 'Manhattan',
+  estimate: heuristicObject,
+  isAdmissible: (movement) => !movement.allowsDiagonal || movement.diagonalCost >= 2
+});
+registerHeuristic('chebyshev', {
+  label: 'Chebyshev',
+  estimate: heuristicObjectChebyshev,
+  isAdmissible: () => true
+});
+// Exact on open floor: the model's diagonal cost, Manhattan distance when it has no diagonal moves
+registerHeuristic('octile', {
+  label: 'Octile',
+  estimate: (a, b, movement) => movement.distance(a, b),
+  isAdmissible: () => true
+});
+registerHeuristic('euclidean', {
+  label: 'Euclidean',
+  estimate: (a, b) => Math.hypot(a.row - b.row, a.col - b.col),
+  isAdmissible: (movement) => !movement.allowsDiagonal || movement.diagonalCost >= Math.SQRT2
+});
+
 function getKey(cell) {
   return `${cell.row},${cell.col}`;
 }
 
+/**
+ * Create a seeded pseudo-random number generator (mulberry32).
+ * The returned function has the same contract as Math.random, so it can be
+ * passed anywhere Math.random was used to make the results reproducible.
+ * @param {number} seed - 32-bit unsigned integer seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh random 32-bit seed
+ * @returns {number} Unsigned 32-bit integer
+ */
+function generateSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
 /**
  * 8-directional movement constants for diagonal movement support
  */
@@ -75,4 +289,18 @@ export const DIRECTIONS = {
   NORTHWEST: 7
 };
 
-export { UnionFind, heuristicString, heuristicObject, heuristicStringChebyshev, heuristicObjectChebyshev, getKey };
+export {
+  UnionFind,
+  IndexedMinHeap,
+  heuristicString,
+  heuristicObject,
+  heuristicStringChebyshev,
+  heuristicObjectChebyshev,
+  registerHeuristic,
+  getHeuristic,
+  getHeuristicNames,
+  getHeuristicWarning,
+  getKey,
+  createSeededRandom,
+  generateSeed
+};